@@ -0,0 +1,104 @@
+"use client"
+
+import { useEffect } from 'react'
+import { Card } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Unlock, RefreshCw } from 'lucide-react'
+import { formatDistanceToNow, parseISO } from 'date-fns'
+import { useAppDispatch, useAppSelector } from '@/store'
+import {
+  fetchActiveOverrides,
+  revokeOverride,
+  selectActiveOverrides,
+  selectRevokingOverrides,
+  selectOverridesError
+} from '@/store/slices/overridesSlice'
+
+/**
+ * Constraint overrides granted via OVERRIDE_CONSTRAINT prompts that are still in effect
+ */
+export default function ActiveOverridesPanel() {
+  const dispatch = useAppDispatch()
+  const overrides = useAppSelector(selectActiveOverrides)
+  const revoking = useAppSelector(selectRevokingOverrides)
+  const error = useAppSelector(selectOverridesError)
+
+  // Fetch once on mount, refresh on user action
+  useEffect(() => {
+    dispatch(fetchActiveOverrides())
+  }, [dispatch])
+
+  const handleRevoke = (id: string) => {
+    const reason = window.prompt('Reason for revoking this override (optional):')
+    if (reason === null) return // Prompt cancelled
+    dispatch(revokeOverride({ id, reason: reason || undefined }))
+  }
+
+  return (
+    <Card className="p-4">
+      <div className="flex items-center justify-between mb-3">
+        <div className="flex items-center gap-2">
+          <Unlock className="h-4 w-4 text-amber-500" />
+          <h2 className="text-lg font-semibold">Active Overrides</h2>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          className="h-8 px-2"
+          onClick={() => dispatch(fetchActiveOverrides())}
+        >
+          <RefreshCw className="h-3 w-3 mr-1" />
+          Refresh
+        </Button>
+      </div>
+
+      {error && (
+        <div className="mb-2 text-xs text-red-600">{error}</div>
+      )}
+
+      {overrides.length === 0 ? (
+        <p className="text-sm text-muted-foreground">
+          No active overrides. Request one in a prompt with{' '}
+          <code className="text-xs bg-muted px-1 py-0.5 rounded">OVERRIDE_CONSTRAINT: &lt;id&gt; -- &lt;justification&gt;</code>
+        </p>
+      ) : (
+        <div className="space-y-2">
+          {overrides.map((override) => (
+            <div key={override.id} className="flex items-start justify-between gap-3 p-2 rounded border border-border">
+              <div className="flex-1 min-w-0 space-y-1 text-xs">
+                <div className="flex flex-wrap items-center gap-1">
+                  {override.constraint_ids.map(constraintId => (
+                    <code key={constraintId} className="font-mono bg-muted px-1 py-0.5 rounded">
+                      {constraintId}
+                    </code>
+                  ))}
+                </div>
+                <div className="text-sm">{override.justification}</div>
+                <div className="text-muted-foreground">
+                  {override.paths.length > 0 ? `Files: ${override.paths.join(', ')}` : 'All files'}
+                  {' • '}
+                  {override.tools.length > 0 ? `Tools: ${override.tools.join(', ')}` : 'All tools'}
+                  {' • '}
+                  Expires {formatDistanceToNow(parseISO(override.expires_at), { addSuffix: true })}
+                  {override.max_uses !== null && ` • ${override.uses}/${override.max_uses} uses`}
+                </div>
+                <div className="text-muted-foreground font-mono">
+                  Session {override.session_id || 'any'} • by {override.created_by}
+                </div>
+              </div>
+              <Button
+                variant="outline"
+                size="sm"
+                className="h-7 px-2 text-xs"
+                disabled={revoking.includes(override.id)}
+                onClick={() => handleRevoke(override.id)}
+              >
+                Revoke
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+    </Card>
+  )
+}
@@ -34,8 +34,11 @@ import { isAfter, subHours, subDays, subMonths, format, parseISO } from 'date-fn
 import CONFIG from '@/lib/config'
 import { useAppDispatch, useAppSelector } from '@/store'
 import {
+  type ViolationLocation,
+  type ViolationAction,
   fetchConstraintData,
   toggleConstraint as toggleConstraintAction,
+  updateViolationStatus,
   setTimeRange,
   selectCompliance,
   selectViolations,
@@ -47,6 +50,7 @@ import {
 } from '@/store/slices/constraintsSlice'
 import { selectProjects, selectCurrentProject, fetchProjects, setCurrentProject } from '@/store/slices/projectsSlice'
 import SystemHealthIndicator from '@/components/system-health-indicator'
+import ActiveOverridesPanel from '@/components/active-overrides-panel'
 
 interface Constraint {
   id: string
@@ -80,6 +84,9 @@ interface Violation {
   context?: string
   file_path?: string
   matches?: number
+  line?: number
+  column?: number
+  locations?: ViolationLocation[]
 }
 
 interface ConstraintData {
@@ -142,6 +149,8 @@ export default function ConstraintDashboard() {
   const [togglingGroups, setTogglingGroups] = useState<Set<string>>(new Set())
   const [groupToggleStates, setGroupToggleStates] = useState<Record<string, boolean>>({})
   const [expandedViolations, setExpandedViolations] = useState<Set<string>>(new Set())
+  const [selectedViolations, setSelectedViolations] = useState<Set<string>>(new Set())
+  const [updatingViolations, setUpdatingViolations] = useState(false)
 
   // Cycle through time ranges
   const cycleTimeRange = () => {
@@ -323,6 +332,45 @@ export default function ConstraintDashboard() {
     })
   }
 
+  const toggleViolationSelection = (violationId: string) => {
+    setSelectedViolations(prev => {
+      const newSet = new Set(prev)
+      if (newSet.has(violationId)) {
+        newSet.delete(violationId)
+      } else {
+        newSet.add(violationId)
+      }
+      return newSet
+    })
+  }
+
+  const toggleAllViolationsSelection = (violationIds: string[]) => {
+    const allSelected = violationIds.length > 0 && violationIds.every(id => selectedViolations.has(id))
+    setSelectedViolations(allSelected ? new Set() : new Set(violationIds))
+  }
+
+  // Apply a lifecycle action (acknowledge, resolve, suppress, reopen) to the selected violations
+  const applyViolationAction = async (action: ViolationAction) => {
+    const ids = Array.from(selectedViolations)
+    if (ids.length === 0) return
+
+    const reason = action === 'suppress' || action === 'resolve'
+      ? window.prompt(`Reason to ${action} ${ids.length} violation${ids.length === 1 ? '' : 's'} (optional):`)
+      : undefined
+    if (reason === null) return // Prompt cancelled
+
+    try {
+      setUpdatingViolations(true)
+      await dispatch(updateViolationStatus({ ids, action, reason: reason || undefined })).unwrap()
+      setSelectedViolations(new Set())
+    } catch (err) {
+      console.error(`Failed to ${action} violations:`, err)
+      alert(`Failed to ${action} violations: ${err instanceof Error ? err.message : 'Unknown error'}`)
+    } finally {
+      setUpdatingViolations(false)
+    }
+  }
+
   // Helper function to get interval hours based on time range
   const getIntervalHours = () => {
     switch (timeRange) {
@@ -1091,10 +1139,48 @@ export default function ConstraintDashboard() {
               <AlertTriangle className="h-4 w-4 text-red-500" />
               <h2 className="text-lg font-semibold">Recent Violations</h2>
             </div>
-            <div className="text-sm text-muted-foreground">
-              {getFilteredViolations().length} violations in {timeRange === '1y' ? 'last 1y' : `last ${timeRange}`}
+            <div className="flex items-center gap-3 text-sm text-muted-foreground">
+              <label className="flex items-center gap-1 cursor-pointer">
+                <input
+                  type="checkbox"
+                  aria-label="Select all listed violations"
+                  checked={getFilteredViolations().length > 0 && getFilteredViolations().slice(0, 200).every(v => selectedViolations.has(v.id))}
+                  onChange={() => toggleAllViolationsSelection(getFilteredViolations().slice(0, 200).map(v => v.id))}
+                />
+                Select all
+              </label>
+              <span>{getFilteredViolations().length} violations in {timeRange === '1y' ? 'last 1y' : `last ${timeRange}`}</span>
             </div>
           </div>
+
+          {selectedViolations.size > 0 && (
+            <div className="flex items-center justify-between mb-3 p-2 rounded-lg border border-border bg-muted/40">
+              <span className="text-sm font-medium">{selectedViolations.size} selected</span>
+              <div className="flex items-center gap-2">
+                {(['acknowledge', 'resolve', 'suppress', 'reopen'] as ViolationAction[]).map(action => (
+                  <Button
+                    key={action}
+                    variant="outline"
+                    size="sm"
+                    className="h-7 px-2 text-xs capitalize"
+                    disabled={updatingViolations}
+                    onClick={() => applyViolationAction(action)}
+                  >
+                    {action}
+                  </Button>
+                ))}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-7 px-2 text-xs"
+                  disabled={updatingViolations}
+                  onClick={() => setSelectedViolations(new Set())}
+                >
+                  Clear
+                </Button>
+              </div>
+            </div>
+          )}
           
           <div className="space-y-2 max-h-96 overflow-y-auto">
             {getFilteredViolations().length === 0 ? (
@@ -1113,6 +1199,13 @@ export default function ConstraintDashboard() {
                       onClick={() => toggleViolationExpansion(violation.id)}
                     >
                       <div className="flex items-center gap-3 flex-1 min-w-0">
+                        <input
+                          type="checkbox"
+                          aria-label={`Select violation ${violation.id}`}
+                          checked={selectedViolations.has(violation.id)}
+                          onClick={(e) => e.stopPropagation()}
+                          onChange={() => toggleViolationSelection(violation.id)}
+                        />
                         <div className={`flex-shrink-0 w-2 h-2 rounded-full ${getSeverityColor(violation.severity)}`} />
                         <div className="flex-1 min-w-0">
                           <div className="flex items-center gap-2 mb-1">
@@ -1122,6 +1215,11 @@ export default function ConstraintDashboard() {
                             <span className="text-xs font-mono text-blue-600 bg-blue-50 px-1 py-0.5 rounded">
                               {formatTimestamp(violation.timestamp)}
                             </span>
+                            {violation.status && violation.status !== 'active' && (
+                              <Badge variant="outline" className="text-xs capitalize">
+                                {violation.status}
+                              </Badge>
+                            )}
                           </div>
                           <div className="text-xs text-muted-foreground truncate">
                             {violation.message}
@@ -1157,7 +1255,10 @@ export default function ConstraintDashboard() {
                             </div>
                             <div>
                               <span className="font-medium text-muted-foreground">File:</span>
-                              <span className="ml-1 font-mono">{violation.file_path || 'N/A'}</span>
+                              <span className="ml-1 font-mono">
+                                {violation.file_path || 'N/A'}
+                                {violation.line && `:${violation.line}:${violation.column}`}
+                              </span>
                             </div>
                             {violation.matches && (
                               <div>
@@ -1171,6 +1272,53 @@ export default function ConstraintDashboard() {
                             </div>
                           </div>
 
+                          {violation.suppression && (
+                            <div className="pt-2 border-t border-border">
+                              <span className="font-medium text-muted-foreground">Suppressed:</span>
+                              <span className="ml-1">
+                                constraint-{violation.suppression.kind} on line {violation.suppression.line}: {violation.suppression.reason}
+                              </span>
+                            </div>
+                          )}
+
+                          {violation.locations && violation.locations.length > 0 && (
+                            <div className="pt-2 border-t border-border space-y-2">
+                              <span className="font-medium text-muted-foreground">Locations:</span>
+                              {violation.locations.map((location, index) => (
+                                <div key={index} className="rounded border border-border bg-background">
+                                  <div className="px-2 py-1 border-b border-border font-mono text-muted-foreground">
+                                    {location.field && `${location.field} `}line {location.line}, column {location.column}
+                                  </div>
+                                  {location.context ? (
+                                    <pre className="px-2 py-1 font-mono overflow-x-auto">
+                                      {location.context.lines.map((text, offset) => {
+                                        const lineNumber = location.context!.start_line + offset
+                                        return (
+                                          <div
+                                            key={lineNumber}
+                                            className={lineNumber === location.line ? 'bg-red-50 text-red-700' : ''}
+                                          >
+                                            <span className="inline-block w-8 pr-2 text-right text-muted-foreground select-none">
+                                              {lineNumber}
+                                            </span>
+                                            {text}
+                                          </div>
+                                        )
+                                      })}
+                                    </pre>
+                                  ) : (
+                                    <code className="block px-2 py-1 font-mono">{location.snippet}</code>
+                                  )}
+                                </div>
+                              ))}
+                              {(violation.matches || 0) > violation.locations.length && (
+                                <div className="text-muted-foreground">
+                                  {violation.matches! - violation.locations.length} more matches not shown
+                                </div>
+                              )}
+                            </div>
+                          )}
+
                           <div className="pt-2 border-t border-border">
                             <div className="text-xs text-muted-foreground">
                               <span className="font-medium">Full Timestamp:</span>
@@ -1194,6 +1342,9 @@ export default function ConstraintDashboard() {
           </Card>
         </div>
 
+        {/* Active Constraint Overrides */}
+        <ActiveOverridesPanel />
+
         {/* Constraint Groups Management Section */}
         <div ref={constraintGroupsRef}>
           <Card className="p-4">
@@ -1304,6 +1455,32 @@ export default function ConstraintDashboard() {
                                     }`}>
                                       {constraint.severity}
                                     </span>
+                                    {(constraint.suppressed_count || 0) > 0 && (
+                                      <span
+                                        className="text-xs px-1 py-0.5 rounded bg-gray-100 text-gray-700"
+                                        title="Matches silenced by inline suppression comments"
+                                      >
+                                        {constraint.suppressed_count} suppressed
+                                      </span>
+                                    )}
+                                    {constraint.mode === 'warn' && (
+                                      <span
+                                        className="text-xs px-1 py-0.5 rounded bg-yellow-50 text-yellow-700"
+                                        title="Reported, never blocks"
+                                      >
+                                        warn only
+                                      </span>
+                                    )}
+                                    {constraint.mode === 'shadow' && (
+                                      <span
+                                        className="text-xs px-1 py-0.5 rounded bg-purple-100 text-purple-800"
+                                        title="Checked and recorded, never shown to the agent. Would-have-blocked rate over the calls it was checked on."
+                                      >
+                                        shadow · {constraint.shadow && constraint.shadow.checks > 0
+                                          ? `would block ${(constraint.shadow.would_block_rate * 100).toFixed(1)}% (${constraint.shadow.would_block}/${constraint.shadow.checks})`
+                                          : 'no checks yet'}
+                                      </span>
+                                    )}
                                   </div>
                                   <p className="text-sm text-muted-foreground truncate">
                                     {constraint.message}
@@ -7,6 +7,7 @@ import projectsReducer from './slices/projectsSlice'
 import constraintsReducer from './slices/constraintsSlice'
 import apiCostReducer from './slices/apiCostSlice'
 import lslWindowReducer from './slices/lslWindowSlice'
+import overridesReducer from './slices/overridesSlice'
 
 // Import middleware
 import { statusLineMiddleware } from './middleware/statusLineMiddleware'
@@ -17,6 +18,7 @@ const rootReducer = combineReducers({
   constraints: constraintsReducer,
   apiCost: apiCostReducer,
   lslWindow: lslWindowReducer,
+  overrides: overridesReducer,
 })
 
 export type RootState = ReturnType<typeof rootReducer>
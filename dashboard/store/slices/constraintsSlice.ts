@@ -1,6 +1,23 @@
 import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit'
 
 // Types for constraints state
+export interface ViolationLocation {
+  field?: string
+  line: number
+  column: number
+  end_line: number
+  end_column: number
+  snippet: string
+  context?: {
+    start_line: number
+    lines: string[]
+  }
+}
+
+export type ViolationStatus = 'active' | 'acknowledged' | 'resolved' | 'suppressed'
+
+export type ViolationAction = 'acknowledge' | 'resolve' | 'suppress' | 'reopen'
+
 export interface Violation {
   id: string
   timestamp: string
@@ -17,6 +34,26 @@ export interface Violation {
   detected_at: string
   pattern: string
   session_id?: string
+  line?: number
+  column?: number
+  locations?: ViolationLocation[]
+  status?: ViolationStatus
+  suppression?: {
+    kind: 'disable-next-line' | 'disable-line' | 'disable' | 'disable-file'
+    line: number
+    reason: string
+  }
+}
+
+export type ConstraintMode = 'enforce' | 'warn' | 'shadow'
+
+// How often a shadow constraint would have blocked, over the calls it was checked on
+export interface ShadowStats {
+  checks: number
+  would_block: number
+  would_block_rate: number
+  first_checked_at: string | null
+  last_checked_at: string | null
 }
 
 export interface ConstraintInfo {
@@ -27,6 +64,9 @@ export interface ConstraintInfo {
   severity: 'info' | 'warning' | 'error' | 'critical'
   enabled: boolean
   suggestion?: string
+  suppressed_count?: number
+  mode?: ConstraintMode
+  shadow?: ShadowStats
 }
 
 export interface ConstraintsState {
@@ -142,6 +182,31 @@ export const toggleConstraint = createAsyncThunk(
   }
 )
 
+export const updateViolationStatus = createAsyncThunk(
+  'constraints/updateViolationStatus',
+  async ({ ids, action, reason }: { ids: string[]; action: ViolationAction; reason?: string }) => {
+    const baseUrl = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:3031'
+
+    const response = await fetch(`${baseUrl}/api/violations/bulk`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ ids, action, reason, actor: 'dashboard' }),
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to ${action} violations: ${response.statusText}`)
+    }
+
+    const result = await response.json()
+    return {
+      updated: (result.data?.updated || []) as Violation[],
+      failed: (result.data?.failed || []) as { id: string; error: string }[]
+    }
+  }
+)
+
 const constraintsSlice = createSlice({
   name: 'constraints',
   initialState,
@@ -271,6 +336,20 @@ const constraintsSlice = createSlice({
       .addCase(toggleConstraint.rejected, (state, action) => {
         state.error = action.error.message || 'Failed to toggle constraint'
       })
+      .addCase(updateViolationStatus.fulfilled, (state, action) => {
+        for (const updated of action.payload.updated) {
+          const violation = state.violations.find(v => v.id === updated.id)
+          if (violation) {
+            violation.status = updated.status
+          }
+        }
+        if (action.payload.failed.length > 0) {
+          state.error = action.payload.failed.map(f => f.error).join('; ')
+        }
+      })
+      .addCase(updateViolationStatus.rejected, (state, action) => {
+        state.error = action.error.message || 'Failed to update violation status'
+      })
   },
 })
 
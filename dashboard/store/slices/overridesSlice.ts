@@ -0,0 +1,111 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit'
+
+// Types for constraint overrides state
+export interface ConstraintOverride {
+  id: string
+  session_id: string | null
+  project: string | null
+  constraint_ids: string[]
+  paths: string[]
+  tools: string[]
+  justification: string
+  created_by: string
+  created_at: string
+  expires_at: string
+  max_uses: number | null
+  uses: number
+  status: 'active' | 'revoked' | 'expired' | 'exhausted'
+}
+
+export interface OverridesState {
+  active: ConstraintOverride[]
+  revoking: string[]
+  loading: boolean
+  error: string | null
+  lastUpdate: number
+}
+
+const initialState: OverridesState = {
+  active: [],
+  revoking: [],
+  loading: false,
+  error: null,
+  lastUpdate: 0,
+}
+
+// Async thunks for API calls
+export const fetchActiveOverrides = createAsyncThunk(
+  'overrides/fetchActive',
+  async () => {
+    const baseUrl = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:3031'
+    const response = await fetch(`${baseUrl}/api/overrides?status=active`)
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`)
+    }
+
+    const result = await response.json()
+    return (result.data || []) as ConstraintOverride[]
+  }
+)
+
+export const revokeOverride = createAsyncThunk(
+  'overrides/revoke',
+  async ({ id, reason }: { id: string; reason?: string }) => {
+    const baseUrl = process.env.NEXT_PUBLIC_API_BASE_URL || 'http://localhost:3031'
+    const response = await fetch(`${baseUrl}/api/overrides/${id}/revoke`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ reason, actor: 'dashboard' }),
+    })
+
+    if (!response.ok) {
+      throw new Error(`Failed to revoke override: ${response.statusText}`)
+    }
+
+    return { id }
+  }
+)
+
+const overridesSlice = createSlice({
+  name: 'overrides',
+  initialState,
+  reducers: {},
+
+  extraReducers: (builder) => {
+    builder
+      .addCase(fetchActiveOverrides.pending, (state) => {
+        state.loading = true
+        state.error = null
+      })
+      .addCase(fetchActiveOverrides.fulfilled, (state, action) => {
+        state.loading = false
+        state.active = action.payload
+        state.lastUpdate = Date.now()
+      })
+      .addCase(fetchActiveOverrides.rejected, (state, action) => {
+        state.loading = false
+        state.error = action.error.message || 'Failed to fetch overrides'
+      })
+      .addCase(revokeOverride.pending, (state, action) => {
+        state.revoking.push(action.meta.arg.id)
+      })
+      .addCase(revokeOverride.fulfilled, (state, action) => {
+        state.active = state.active.filter(o => o.id !== action.payload.id)
+        state.revoking = state.revoking.filter(id => id !== action.payload.id)
+      })
+      .addCase(revokeOverride.rejected, (state, action) => {
+        state.revoking = state.revoking.filter(id => id !== action.meta.arg.id)
+        state.error = action.error.message || 'Failed to revoke override'
+      })
+  },
+})
+
+export default overridesSlice.reducer
+
+// Selectors
+export const selectActiveOverrides = (state: { overrides: OverridesState }) => state.overrides.active
+export const selectRevokingOverrides = (state: { overrides: OverridesState }) => state.overrides.revoking
+export const selectOverridesError = (state: { overrides: OverridesState }) => state.overrides.error
@@ -98,6 +98,26 @@ if [[ ! -f "$CLAUDE_SETTINGS" ]]; then
           }
         ]
       }
+    ],
+    "PostToolUse": [
+      {
+        "hooks": [
+          {
+            "type": "command",
+            "command": "node CODING_REPO/integrations/mcp-constraint-monitor/src/hooks/post-tool-hook-wrapper.js"
+          }
+        ]
+      }
+    ],
+    "SessionStart": [
+      {
+        "hooks": [
+          {
+            "type": "command",
+            "command": "node CODING_REPO/integrations/mcp-constraint-monitor/src/hooks/session-start-hook-wrapper.js"
+          }
+        ]
+      }
     ]
   }
 }
@@ -134,6 +154,26 @@ else
         echo '         }'
         echo '       ]'
         echo '     }'
+        echo '   ],'
+        echo '   "PostToolUse": ['
+        echo '     {'
+        echo '       "hooks": ['
+        echo '         {'
+        echo '           "type": "command",'
+        echo "           \"command\": \"node $CODING_REPO/integrations/mcp-constraint-monitor/src/hooks/post-tool-hook-wrapper.js\""
+        echo '         }'
+        echo '       ]'
+        echo '     }'
+        echo '   ],'
+        echo '   "SessionStart": ['
+        echo '     {'
+        echo '       "hooks": ['
+        echo '         {'
+        echo '           "type": "command",'
+        echo "           \"command\": \"node $CODING_REPO/integrations/mcp-constraint-monitor/src/hooks/session-start-hook-wrapper.js\""
+        echo '         }'
+        echo '       ]'
+        echo '     }'
         echo '   ]'
     fi
 fi
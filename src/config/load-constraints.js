@@ -13,16 +13,17 @@ function loadConstraints(configPath) {
     const yamlContent = readFileSync(configPath, 'utf8');
     const config = parse(yamlContent);
     
-    // Add default enforcement settings if not present
-    if (!config.enforcement) {
-      config.enforcement = {
-        enabled: true,
-        blocking_levels: ['critical', 'error'],
-        warning_levels: ['warning'],
-        info_levels: ['info'],
-        fail_open: true // Continue if constraint server unavailable
-      };
-    }
+    // Add default enforcement settings for those not set, so that setting one
+    // (e.g. default_mode) doesn't turn enforcement off
+    config.enforcement = {
+      enabled: true,
+      blocking_levels: ['critical', 'error'],
+      warning_levels: ['warning'],
+      info_levels: ['info'],
+      fail_open: true, // Continue if constraint server unavailable
+      default_mode: 'enforce',
+      ...config.enforcement
+    };
     
     return config;
   } catch (error) {
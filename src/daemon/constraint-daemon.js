@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+
+/**
+ * Constraint Daemon
+ *
+ * Every hook call is a new node process, so checking in-process means loading the
+ * engine, parsing the YAML config and compiling every pattern per tool call. The
+ * daemon keeps a RealTimeConstraintEnforcer warm for one project and answers the
+ * hook wrappers over a Unix socket (a named pipe on Windows).
+ *
+ * The config files are checked on every request and the enforcer is rebuilt when
+ * one of them changes. The daemon exits after being idle for 30 minutes.
+ *
+ * Usage (from the project directory):
+ *   node src/daemon/constraint-daemon.js start [--idle-timeout=<minutes>]
+ *   node src/daemon/constraint-daemon.js status
+ *   node src/daemon/constraint-daemon.js stop
+ */
+
+import { createServer } from 'net';
+import { existsSync, statSync, unlinkSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { RealTimeConstraintEnforcer } from '../hooks/real-time-constraint-hook.js';
+import { ConfigManager } from '../utils/config-manager.js';
+import { logger } from '../utils/logger.js';
+import { DaemonClient, getDaemonSocketPath } from './daemon-client.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PACKAGE_CONSTRAINTS = join(__dirname, '../../constraints.yaml');
+
+export class ConstraintDaemon {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.projectPath] - Project to serve, defaults to the working directory
+   * @param {string} [options.socketPath] - Defaults to getDaemonSocketPath(projectPath)
+   * @param {number} [options.idleTimeoutMs] - Exit after this long without requests, 0 to never
+   */
+  constructor(options = {}) {
+    this.projectPath = options.projectPath || process.cwd();
+    this.socketPath = options.socketPath || getDaemonSocketPath(this.projectPath);
+    this.idleTimeoutMs = options.idleTimeoutMs ?? 30 * 60 * 1000;
+
+    this.server = null;
+    this.enforcer = null;
+    this.configFiles = [];
+    this.configVersion = null;
+    // Requests run one at a time; the engine keeps per-check state
+    this.queue = Promise.resolve();
+    this.idleTimer = null;
+    this.startedAt = null;
+    this.requests = 0;
+    this.reloads = 0;
+    this.stopped = new Promise(resolve => {
+      this.resolveStopped = resolve;
+    });
+  }
+
+  async start() {
+    await this.removeStaleSocket();
+    // Warm up before accepting connections so the first hook doesn't time out
+    await this.getEnforcer();
+
+    this.server = createServer(socket => this.handleConnection(socket));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, resolve);
+    });
+
+    this.startedAt = Date.now();
+    this.resetIdleTimer();
+    logger.info(`Constraint daemon for ${this.projectPath} listening on ${this.socketPath} (pid ${process.pid})`);
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+
+    clearTimeout(this.idleTimer);
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => server.close(() => resolve()));
+    await this.queue;
+    await this.enforcer?.close();
+    this.enforcer = null;
+
+    logger.info(`Constraint daemon stopped after ${this.requests} requests`);
+    this.resolveStopped();
+  }
+
+  /**
+   * A socket file left behind by a crashed daemon would make listen() fail
+   */
+  async removeStaleSocket() {
+    if (process.platform === 'win32' || !existsSync(this.socketPath)) {
+      return;
+    }
+
+    const running = await new DaemonClient({ socketPath: this.socketPath, timeoutMs: 500 }).ping().catch(() => null);
+    if (running) {
+      throw new Error(`A constraint daemon (pid ${running.pid}) is already listening on ${this.socketPath}`);
+    }
+    unlinkSync(this.socketPath);
+  }
+
+  /**
+   * Warm enforcer for the project, rebuilt when a constraint config file or the baseline changes
+   */
+  async getEnforcer() {
+    if (this.enforcer && this.getConfigVersion() !== this.configVersion) {
+      logger.info('Constraint configuration changed, reloading');
+      await this.enforcer.close();
+      this.enforcer = null;
+      this.reloads++;
+    }
+
+    if (!this.enforcer) {
+      const enforcer = new RealTimeConstraintEnforcer(this.projectPath);
+      await enforcer.getConstraintEngine();
+
+      const configManager = new ConfigManager();
+      this.configFiles = [...new Set([
+        enforcer.constraintConfigPath,
+        configManager.findProjectConfig(),
+        configManager.getBaselinePath(),
+        PACKAGE_CONSTRAINTS
+      ].filter(Boolean))];
+      this.configVersion = this.getConfigVersion();
+      this.enforcer = enforcer;
+    }
+
+    return this.enforcer;
+  }
+
+  getConfigVersion() {
+    return this.configFiles.map(file => {
+      try {
+        return statSync(file).mtimeMs;
+      } catch {
+        return 0;
+      }
+    }).join(':');
+  }
+
+  resetIdleTimer() {
+    clearTimeout(this.idleTimer);
+    if (this.idleTimeoutMs > 0) {
+      this.idleTimer = setTimeout(() => {
+        logger.info(`Constraint daemon idle for ${Math.round(this.idleTimeoutMs / 60000)} minutes, stopping`);
+        this.stop();
+      }, this.idleTimeoutMs);
+    }
+  }
+
+  handleConnection(socket) {
+    let buffer = '';
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+      buffer += chunk;
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(newline + 1);
+        if (line.trim()) {
+          this.handleRequest(socket, line);
+        }
+      }
+    });
+    // Clients give up after their timeout; nothing to do for them
+    socket.on('error', error => logger.debug(`Constraint daemon client error: ${error.message}`));
+  }
+
+  handleRequest(socket, line) {
+    let request;
+    try {
+      request = JSON.parse(line);
+    } catch {
+      socket.write(JSON.stringify({ id: null, error: { message: 'Invalid JSON request' } }) + '\n');
+      return;
+    }
+
+    this.queue = this.queue
+      // Let the sockets of clients that gave up while the request was queued close first
+      .then(() => new Promise(resolve => setImmediate(resolve)))
+      .then(() => {
+        // The client has fallen back to checking in-process; running it here too would repeat its side effects
+        if (socket.destroyed) {
+          logger.warn(`Constraint daemon skipped ${request.method}: the client disconnected before it ran`);
+          return;
+        }
+
+        return this.dispatch(request)
+          .then(
+            result => ({ id: request.id, result }),
+            error => {
+              logger.error(`Constraint daemon ${request.method} failed:`, error.message);
+              return { id: request.id, error: { message: error.message } };
+            }
+          )
+          .then(response => {
+            if (!socket.destroyed) {
+              socket.write(JSON.stringify(response) + '\n');
+            }
+          });
+      });
+  }
+
+  async dispatch({ method, params = {} }) {
+    this.requests++;
+    this.resetIdleTimer();
+
+    switch (method) {
+      case 'ping':
+        return this.getStatus();
+
+      case 'preToolHook': {
+        const enforcer = await this.getEnforcer();
+        return toHookResult(await enforcer.enforceToolConstraints(params.toolCall, params.context));
+      }
+
+      case 'postToolHook': {
+        const enforcer = await this.getEnforcer();
+        return toHookResult(await enforcer.enforcePostToolConstraints(params.toolCall, params.toolResponse, params.context));
+      }
+
+      case 'sessionStartHook': {
+        const enforcer = await this.getEnforcer();
+        return enforcer.buildSessionContext(params.context);
+      }
+
+      case 'prePromptHook': {
+        const enforcer = await this.getEnforcer();
+        return toHookResult(await enforcer.enforcePromptConstraints(params.prompt, params.context));
+      }
+
+      case 'shutdown':
+        // Answer first, then close the server
+        setImmediate(() => this.stop());
+        return { stopping: true };
+
+      default:
+        throw new Error(`Unknown method: ${method}`);
+    }
+  }
+
+  getStatus() {
+    return {
+      pid: process.pid,
+      project_path: this.projectPath,
+      socket_path: this.socketPath,
+      uptime_ms: this.startedAt ? Date.now() - this.startedAt : 0,
+      requests: this.requests,
+      reloads: this.reloads,
+      constraints: this.enforcer?.constraintEngine?.constraints.size ?? 0
+    };
+  }
+}
+
+/**
+ * The parts of an enforcement result the hook wrappers use
+ */
+function toHookResult(result) {
+  return {
+    allowed: result.allowed,
+    message: result.message,
+    compliance: result.compliance,
+    inherited_violations: result.inherited_violations || [],
+    additional_context: result.additional_context
+  };
+}
+
+// CLI support
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const [,, command = 'start', ...args] = process.argv;
+  const idleArg = args.find(arg => arg.startsWith('--idle-timeout='));
+  const idleMinutes = idleArg
+    ? Number(idleArg.split('=')[1])
+    : Number(process.env.CONSTRAINT_DAEMON_IDLE_MINUTES || 30);
+  const client = new DaemonClient({ timeoutMs: 2000 });
+
+  if (command === 'start') {
+    const daemon = new ConstraintDaemon({ idleTimeoutMs: idleMinutes * 60 * 1000 });
+    daemon.start().catch(error => {
+      logger.error('Failed to start constraint daemon:', error.message);
+      process.exit(1);
+    });
+    daemon.stopped.then(() => process.exit(0));
+
+    process.on('SIGINT', () => daemon.stop());
+    process.on('SIGTERM', () => daemon.stop());
+  } else if (command === 'status') {
+    client.ping()
+      .then(status => console.log(JSON.stringify(status, null, 2)))
+      .catch(() => {
+        console.log(`Constraint daemon is not running (${client.socketPath})`);
+        process.exitCode = 1;
+      });
+  } else if (command === 'stop') {
+    client.request('shutdown')
+      .then(() => console.log('Constraint daemon stopping'))
+      .catch(() => console.log('Constraint daemon is not running'));
+  } else {
+    console.error('Usage: node constraint-daemon.js [start|status|stop] [--idle-timeout=<minutes>]');
+    process.exitCode = 1;
+  }
+}
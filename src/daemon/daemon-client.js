@@ -0,0 +1,103 @@
+import { createConnection } from 'net';
+import { createHash } from 'crypto';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+
+// Hook clients import this module, so it must stay free of heavy dependencies
+// (no logger, no engine): loading them is what the daemon saves.
+
+export const DEFAULT_DAEMON_TIMEOUT_MS = 750;
+
+/**
+ * Socket the constraint daemon for a project listens on
+ *
+ * Constraint configs are discovered from the working directory, so each project
+ * gets its own daemon. CONSTRAINT_DAEMON_SOCKET overrides the path.
+ * @param {string} [projectPath]
+ * @returns {string}
+ */
+export function getDaemonSocketPath(projectPath = process.cwd()) {
+  if (process.env.CONSTRAINT_DAEMON_SOCKET) {
+    return process.env.CONSTRAINT_DAEMON_SOCKET;
+  }
+
+  const hash = createHash('sha1').update(resolve(projectPath)).digest('hex').slice(0, 12);
+  const name = `constraint-monitor-${process.getuid?.() ?? 'user'}-${hash}`;
+  return process.platform === 'win32' ? `\\\\.\\pipe\\${name}` : join(tmpdir(), `${name}.sock`);
+}
+
+/**
+ * Client for the constraint daemon
+ *
+ * Speaks newline-delimited JSON: {id, method, params} → {id, result} or {id, error}.
+ * Every request opens its own connection and fails after `timeoutMs`, whether the
+ * daemon is missing, slow or broken; callers fall back to checking in-process.
+ */
+export class DaemonClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.socketPath] - Defaults to the socket for the working directory
+   * @param {number} [options.timeoutMs] - Defaults to CONSTRAINT_DAEMON_TIMEOUT_MS or 750
+   */
+  constructor(options = {}) {
+    this.socketPath = options.socketPath || getDaemonSocketPath();
+    this.timeoutMs = options.timeoutMs || Number(process.env.CONSTRAINT_DAEMON_TIMEOUT_MS) || DEFAULT_DAEMON_TIMEOUT_MS;
+  }
+
+  /**
+   * @param {string} method - ping, preToolHook, postToolHook, prePromptHook, sessionStartHook or shutdown
+   * @param {object} [params]
+   * @returns {Promise<object>} - The daemon's result
+   */
+  request(method, params = {}) {
+    return new Promise((resolvePromise, reject) => {
+      const socket = createConnection(this.socketPath);
+      let buffer = '';
+      let settled = false;
+
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.destroy();
+        if (error) {
+          reject(error);
+        } else {
+          resolvePromise(result);
+        }
+      };
+
+      const timer = setTimeout(
+        () => finish(new Error(`Constraint daemon did not answer ${method} within ${this.timeoutMs}ms`)),
+        this.timeoutMs
+      );
+
+      socket.setEncoding('utf8');
+      socket.on('connect', () => {
+        socket.write(JSON.stringify({ id: 1, method, params }) + '\n');
+      });
+      socket.on('data', chunk => {
+        buffer += chunk;
+        const newline = buffer.indexOf('\n');
+        if (newline === -1) return;
+
+        try {
+          const response = JSON.parse(buffer.slice(0, newline));
+          if (response.error) {
+            finish(new Error(`Constraint daemon error: ${response.error.message}`));
+          } else {
+            finish(null, response.result);
+          }
+        } catch (error) {
+          finish(new Error(`Invalid response from constraint daemon: ${error.message}`));
+        }
+      });
+      socket.on('error', error => finish(new Error(`Constraint daemon unavailable: ${error.message}`)));
+      socket.on('close', () => finish(new Error('Constraint daemon closed the connection')));
+    });
+  }
+
+  ping() {
+    return this.request('ping');
+  }
+}
@@ -9,16 +9,38 @@ import express from 'express';
 import { createServer } from 'http';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { readFileSync, writeFileSync, existsSync, statSync } from 'fs';
+import { readFileSync, existsSync, statSync } from 'fs';
 import cors from 'cors';
 import { parse as parseYAML, stringify as stringifyYAML } from 'yaml';
 import { ConfigManager } from './utils/config-manager.js';
 import { StatusGenerator } from './status/status-generator.js';
 import { ConstraintEngine } from './engines/constraint-engine.js';
+import { ViolationRepository } from './databases/violation-repository.js';
+import { OverrideRepository } from './databases/override-repository.js';
+import { FeedbackRepository } from './databases/feedback-repository.js';
+import { ShadowCheckRepository } from './databases/shadow-check-repository.js';
+import { OverrideManager } from './engines/override-manager.js';
+import { calculateComplianceScore, countBySeverity } from './utils/compliance.js';
 import { logger } from './utils/logger.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+// REST actions on a violation and the lifecycle status each one sets
+const VIOLATION_ACTIONS = {
+    acknowledge: 'acknowledged',
+    resolve: 'resolved',
+    suppress: 'suppressed',
+    reopen: 'active'
+};
+
+/**
+ * Status a violation action sets, or null for an unknown action
+ * Only own keys count, so "constructor" or "toString" are unknown too.
+ */
+function getActionStatus(action) {
+    return Object.hasOwn(VIOLATION_ACTIONS, action) ? VIOLATION_ACTIONS[action] : null;
+}
+
 /**
  * Load port configuration from centralized .env.ports file
  */
@@ -70,18 +92,32 @@ class DashboardServer {
         // Initialize constraint engine with the same ConfigManager
         this.constraintEngine = new ConstraintEngine(this.config);
 
-        // SELF-CONTAINED violations storage (ELIMINATING parallel version dependency)
-        this.violationsFile = join(__dirname, '../data/violations.json');
-        this.violations = [];
+        // Persistent violation history (SQLite)
+        this.violationRepository = new ViolationRepository({
+            path: this.config.get('databases.violations.path')
+        });
+
+        // Constraint overrides, stored alongside the violations
+        this.overrideManager = new OverrideManager({
+            repository: new OverrideRepository({ database: this.violationRepository.database }),
+            settings: this.config.getOverrideSettings(),
+            getConstraint: id => this.config.getConstraints().find(constraint => constraint.id === id)
+        });
+
+        // What came of the violations the post-tool hook fed back
+        this.feedbackRepository = new FeedbackRepository({ database: this.violationRepository.database });
+
+        // How often shadow constraints would have blocked
+        this.shadowCheckRepository = new ShadowCheckRepository({ database: this.violationRepository.database });
 
         // Initialize constraint engine
         this.constraintEngine.initialize().catch(error => {
             logger.error('Failed to initialize constraint engine:', error);
         });
 
-        // Load existing violations on startup
-        this.loadViolations().catch(error => {
-            logger.warn('Could not load existing violations:', error.message);
+        // Open the store and import the legacy JSON files on first start
+        this.storageReady = this.initializeStorage().catch(error => {
+            logger.error('Failed to initialize violation storage:', error);
         });
 
         this.setupMiddleware();
@@ -130,7 +166,13 @@ class DashboardServer {
 
         // Constraint management
         this.app.post('/api/constraints/:id/toggle', this.handleToggleConstraint.bind(this));
-        this.app.post('/api/violations/:id/resolve', this.handleResolveViolation.bind(this));
+        this.app.post('/api/violations/bulk', this.handleBulkViolationAction.bind(this));
+        this.app.post('/api/violations/:id/:action', this.handleViolationAction.bind(this));
+        this.app.get('/api/violations/:id/events', this.handleGetViolationEvents.bind(this));
+        this.app.get('/api/overrides', this.handleGetOverrides.bind(this));
+        this.app.get('/api/overrides/audit', this.handleGetOverrideAudit.bind(this));
+        this.app.post('/api/overrides/:id/revoke', this.handleRevokeOverride.bind(this));
+        this.app.get('/api/feedback/stats', this.handleGetFeedbackStats.bind(this));
         this.app.post('/api/constraints/check', this.handleConstraintCheck.bind(this));
 
         // Health Verifier routes
@@ -218,6 +260,11 @@ class DashboardServer {
             // Check if grouped data is requested
             const includeGroups = req.query.grouped === 'true';
 
+            // Matches silenced by inline suppression comments, per constraint
+            const suppressionCounts = await this.getSuppressionCounts(req.query.project);
+            // Checks and would-have-blocked counts of shadow constraints
+            const shadowStats = await this.getShadowStats(req.query.project);
+
             if (includeGroups) {
                 // Return grouped constraints with metadata (project-specific)
                 const groupedData = this.config.getProjectConstraintsWithGroups(projectPath);
@@ -235,7 +282,9 @@ class DashboardServer {
                                 message: constraint.message,
                                 severity: constraint.severity,
                                 enabled: constraint.enabled !== false,
-                                suggestion: constraint.suggestion || null
+                                suggestion: constraint.suggestion || null,
+                                suppressed_count: suppressionCounts[constraint.id] || 0,
+                                ...this.describeConstraintMode(constraint, shadowStats)
                             }))
                         })),
                         metadata: {
@@ -260,7 +309,9 @@ class DashboardServer {
                         message: constraint.message,
                         severity: constraint.severity,
                         enabled: constraint.enabled !== false,
-                        suggestion: constraint.suggestion || null
+                        suggestion: constraint.suggestion || null,
+                        suppressed_count: suppressionCounts[constraint.id] || 0,
+                        ...this.describeConstraintMode(constraint, shadowStats)
                     })),
                     meta: {
                         project_path: projectPath
@@ -277,38 +328,77 @@ class DashboardServer {
         }
     }
 
+    /**
+     * Number of suppressed violations per constraint ID; empty if storage is unavailable
+     */
+    async getSuppressionCounts(project) {
+        try {
+            await this.storageReady;
+            return await this.violationRepository.countByConstraint({ project, status: 'suppressed' });
+        } catch (error) {
+            logger.warn('Could not count suppressed violations', { error: error.message });
+            return {};
+        }
+    }
+
+    /**
+     * Shadow check counts per constraint ID; empty if storage is unavailable
+     */
+    async getShadowStats(project) {
+        try {
+            await this.storageReady;
+            const rows = await this.shadowCheckRepository.getStats({ project });
+            return Object.fromEntries(rows.map(row => [row.constraint_id, row]));
+        } catch (error) {
+            logger.warn('Could not read shadow constraint checks', { error: error.message });
+            return {};
+        }
+    }
+
+    /**
+     * `mode` of a constraint, and for shadow constraints how often they would have blocked
+     */
+    describeConstraintMode(constraint, shadowStats) {
+        const mode = constraint.mode || 'enforce';
+        if (mode !== 'shadow') {
+            return { mode };
+        }
+
+        const stats = shadowStats[constraint.id];
+        return {
+            mode,
+            shadow: {
+                checks: stats?.checks || 0,
+                would_block: stats?.would_block || 0,
+                would_block_rate: stats?.would_block_rate || 0,
+                first_checked_at: stats?.first_checked_at || null,
+                last_checked_at: stats?.last_checked_at || null
+            }
+        };
+    }
+
     async handleGetViolations(req, res) {
         try {
             const requestedProject = req.query.project || req.headers['x-project-name'];
             const limit = parseInt(req.query.limit) || 0; // Changed from 50 to 0 (no default limit)
 
-            // Read violations from SELF-CONTAINED storage (ELIMINATING parallel version)
-            await this.loadViolations();
-            let violations = [...this.violations];
-
-            // Filter violations by project if requested
-            if (requestedProject) {
-                logger.info(`Filtering violations for project: ${requestedProject}`, {
-                    totalViolations: violations.length,
-                    project: requestedProject,
-                    requestedLimit: limit
-                });
-
-                violations = violations.filter(v =>
-                    v.context === requestedProject ||
-                    v.repository === requestedProject
-                );
+            await this.storageReady;
 
-                logger.info(`Filtered violations result`, {
-                    remainingViolations: violations.length,
-                    project: requestedProject
-                });
-            }
+            // Most recent `limit` violations, returned oldest first; shadow mode
+            // violations only with ?shadow=true
+            const { violations: newestFirst } = await this.violationRepository.queryViolations({
+                project: requestedProject,
+                status: req.query.status,
+                shadow: req.query.shadow === 'true',
+                limit,
+                order: 'desc'
+            });
+            const violations = newestFirst.reverse();
 
-            // Apply limit
-            if (limit > 0) {
-                violations = violations.slice(-limit);
-            }
+            logger.debug(`Loaded ${violations.length} violations`, {
+                project: requestedProject || 'all',
+                requestedLimit: limit
+            });
 
             // Calculate statistics
             const severityBreakdown = violations.reduce((acc, v) => {
@@ -316,14 +406,17 @@ class DashboardServer {
                 return acc;
             }, {});
 
+            // Resolved and suppressed violations no longer count against compliance
+            const openViolations = violations.filter(v => v.status !== 'resolved' && v.status !== 'suppressed');
+
             const responseData = {
                 violations: violations,
                 live_session: {
-                    active_count: violations.filter(v => {
+                    active_count: openViolations.filter(v => {
                         const hourAgo = Date.now() - (60 * 60 * 1000);
                         return new Date(v.timestamp).getTime() > hourAgo;
                     }).length,
-                    compliance_score: this.calculateComplianceScore(violations),
+                    compliance_score: this.calculateComplianceScore(openViolations),
                     trends: violations.length > 0 ? 'violations_detected' : 'stable',
                     most_recent: violations[violations.length - 1] || null
                 },
@@ -342,7 +435,7 @@ class DashboardServer {
                     total: responseData.statistics.total_count,
                     live_session: responseData.live_session,
                     statistics: responseData.statistics,
-                    source: 'self_contained_storage',
+                    source: 'sqlite',
                     filtered_by: requestedProject || 'none',
                     limit_applied: limit
                 }
@@ -429,25 +522,12 @@ class DashboardServer {
     }
 
     calculateComplianceScore(violations) {
-        if (!violations || violations.length === 0) {
-            return 10.0;
-        }
-
-        // Simple compliance calculation based on violation count and severity
-        const criticalCount = violations.filter(v => v.severity === 'critical').length;
-        const errorCount = violations.filter(v => v.severity === 'error').length;
-        const warningCount = violations.filter(v => v.severity === 'warning').length;
-
-        // Calculate score reduction based on severity weights
-        const scoreReduction = (criticalCount * 3) + (errorCount * 2) + (warningCount * 1);
-        const maxReduction = Math.min(scoreReduction * 0.5, 9.0); // Cap at 90% reduction
-
-        return Math.max(1.0, 10.0 - maxReduction);
+        // Severity-weighted score, shared with the violation history metrics
+        return calculateComplianceScore(countBySeverity(violations || []));
     }
 
     async persistViolations(violations, metadata = {}) {
         try {
-            // Store violations to SELF-CONTAINED storage (ELIMINATING parallel version dependency)
             const violationsWithMetadata = violations.map(violation => ({
                 ...violation,
                 id: violation.id || `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
@@ -458,20 +538,17 @@ class DashboardServer {
                 context: violation.context || metadata.project || 'unknown',
                 repository: violation.repository || metadata.project || 'unknown',
                 status: 'active',
-                source: metadata.source || 'api'
+                source: metadata.source || 'api',
+                locations: Array.isArray(violation.locations) ? violation.locations : []
             }));
 
-            // Add violations to in-memory storage
-            this.violations.push(...violationsWithMetadata);
-
-            // Write to self-contained file storage
-            await this.saveViolations();
+            await this.storageReady;
+            const inserted = await this.violationRepository.insertViolations(violationsWithMetadata);
 
-            logger.info(`Persisted ${violations.length} violations to self-contained storage`, {
+            logger.info(`Persisted ${inserted} violations`, {
                 project: metadata.project,
                 tool: metadata.tool,
-                violationIds: violations.map(v => v.constraint_id),
-                totalViolations: this.violations.length
+                violationIds: violations.map(v => v.constraint_id)
             });
 
         } catch (error) {
@@ -479,91 +556,24 @@ class DashboardServer {
         }
     }
 
-    async loadViolations() {
-        try {
-            // CONSOLIDATED VIOLATION LOADING - collecting all historical violations
-            const allViolations = new Map(); // Use Map to deduplicate by ID
-
-            // Define all violation storage sources (REAL DATA ONLY - no test data)
-            const sources = [
-                { name: 'main', path: this.violationsFile, description: 'main storage' },
-                { name: 'backup', path: join(__dirname, '../data/violations-backup.json'), description: 'backup storage' },
-                { name: 'scripts', path: join(__dirname, '../../../scripts/.constraint-violations.json'), description: 'scripts storage' },
-                { name: 'merged', path: '/tmp/merged-violations.json', description: 'merged historical storage' },
-                { name: 'mcp-sync', path: join(__dirname, '../../../.mcp-sync/violation-history.json'), description: 'MCP sync storage' },
-                { name: 'mcp-local', path: join(__dirname, '../data/violations-mcp-sync.json'), description: 'MCP sync local copy' }
-                // Removed historic-test source - only showing real violations now
-            ];
-
-            let totalLoaded = 0;
-            const sourceStats = {};
-
-            // Load violations from each source
-            for (const source of sources) {
-                try {
-                    if (existsSync(source.path)) {
-                        const data = readFileSync(source.path, 'utf8');
-                        const violations = JSON.parse(data);
-                        const violationArray = Array.isArray(violations) ? violations : violations.violations || [];
-
-                        let addedCount = 0;
-                        violationArray.forEach(violation => {
-                            if (violation && violation.id) {
-                                if (!allViolations.has(violation.id)) {
-                                    allViolations.set(violation.id, {
-                                        ...violation,
-                                        source: source.name // Track source for debugging
-                                    });
-                                    addedCount++;
-                                }
-                            }
-                        });
-
-                        sourceStats[source.name] = { total: violationArray.length, added: addedCount };
-                        totalLoaded += addedCount;
-                        logger.info(`Loaded ${violationArray.length} violations from ${source.description}, ${addedCount} unique`);
-                    }
-                } catch (sourceError) {
-                    logger.warn(`Could not load violations from ${source.description}:`, sourceError.message);
-                    sourceStats[source.name] = { total: 0, added: 0, error: sourceError.message };
-                }
-            }
-
-            // Convert Map back to array
-            this.violations = Array.from(allViolations.values());
-
-            // Sort by timestamp for consistency
-            this.violations.sort((a, b) => {
-                const timeA = new Date(a.timestamp || 0).getTime();
-                const timeB = new Date(b.timestamp || 0).getTime();
-                return timeA - timeB;
-            });
-
-            logger.info(`CONSOLIDATED VIOLATIONS: Loaded ${this.violations.length} total unique violations from ${Object.keys(sourceStats).length} sources`, sourceStats);
-
-            // Save consolidated violations to main storage for persistence
-            if (this.violations.length > 0) {
-                await this.saveViolations();
-            }
-
-        } catch (error) {
-            logger.error('Failed to load consolidated violations:', error);
-            this.violations = [];
-        }
-    }
-
-    async saveViolations() {
-        try {
-            // Ensure data directory exists
-            const dataDir = join(__dirname, '../data');
-            if (!existsSync(dataDir)) {
-                await import('fs/promises').then(fs => fs.mkdir(dataDir, { recursive: true }));
-            }
-
-            writeFileSync(this.violationsFile, JSON.stringify(this.violations, null, 2));
-            logger.debug(`Saved ${this.violations.length} violations to self-contained storage`);
-        } catch (error) {
-            logger.error('Failed to save violations:', error);
+    /**
+     * Open the violation store; on first start, import the JSON files that held
+     * violations before the SQLite store existed
+     */
+    async initializeStorage() {
+        await this.violationRepository.initialize();
+
+        const result = await this.violationRepository.importLegacyFiles([
+            { name: 'main', path: join(__dirname, '../data/violations.json') },
+            { name: 'backup', path: join(__dirname, '../data/violations-backup.json') },
+            { name: 'scripts', path: join(__dirname, '../../../scripts/.constraint-violations.json') },
+            { name: 'merged', path: '/tmp/merged-violations.json' },
+            { name: 'mcp-sync', path: join(__dirname, '../../../.mcp-sync/violation-history.json') },
+            { name: 'mcp-local', path: join(__dirname, '../data/violations-mcp-sync.json') }
+        ]);
+
+        if (result) {
+            logger.info(`Imported ${result.imported} legacy violations into SQLite`, result.files);
         }
     }
 
@@ -810,27 +820,230 @@ class DashboardServer {
         }
     }
 
-    async handleResolveViolation(req, res) {
+    async handleViolationAction(req, res) {
+        try {
+            const { id, action } = req.params;
+            const status = getActionStatus(action);
+
+            if (!status) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `Unknown violation action "${action}" (expected one of: ${Object.keys(VIOLATION_ACTIONS).join(', ')})`
+                });
+            }
+
+            await this.storageReady;
+            const { updated, failed } = await this.violationRepository.updateStatus([id], status, {
+                actor: this.getActor(req),
+                reason: req.body?.reason
+            });
+
+            if (failed.length > 0) {
+                return res.status(failed[0].code === 'not_found' ? 404 : 409).json({
+                    status: 'error',
+                    message: failed[0].error
+                });
+            }
+
+            res.json({
+                status: 'success',
+                message: `Violation ${id} ${status === 'active' ? 'reopened' : status}`,
+                data: updated[0]
+            });
+        } catch (error) {
+            logger.error('Failed to update violation status', { error: error.message });
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to update violation status',
+                error: error.message
+            });
+        }
+    }
+
+    async handleBulkViolationAction(req, res) {
+        try {
+            const { ids, action, reason } = req.body || {};
+            const status = getActionStatus(action);
+
+            if (!Array.isArray(ids) || ids.length === 0 || !status) {
+                return res.status(400).json({
+                    status: 'error',
+                    message: `ids array and action (${Object.keys(VIOLATION_ACTIONS).join(', ')}) are required`
+                });
+            }
+
+            await this.storageReady;
+            const { updated, failed } = await this.violationRepository.updateStatus(ids, status, {
+                actor: this.getActor(req),
+                reason
+            });
+
+            res.json({
+                status: failed.length === 0 ? 'success' : 'partial',
+                message: `${updated.length} of ${ids.length} violations ${status === 'active' ? 'reopened' : status}`,
+                data: { updated, failed }
+            });
+        } catch (error) {
+            logger.error('Failed to update violation statuses', { error: error.message });
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to update violation statuses',
+                error: error.message
+            });
+        }
+    }
+
+    async handleGetViolationEvents(req, res) {
         try {
             const { id } = req.params;
 
-            logger.info(`Resolving violation ${id}`);
+            await this.storageReady;
+            const violation = await this.violationRepository.getViolation(id);
+            if (!violation) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: `Violation ${id} not found`
+                });
+            }
+
+            res.json({
+                status: 'success',
+                data: {
+                    violation_id: id,
+                    current_status: violation.status,
+                    events: await this.violationRepository.getEvents(id)
+                }
+            });
+        } catch (error) {
+            logger.error('Failed to get violation events', { error: error.message });
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to retrieve violation events',
+                error: error.message
+            });
+        }
+    }
+
+    async handleGetOverrides(req, res) {
+        try {
+            const status = req.query.status || 'active';
+            const filters = { sessionId: req.query.session, project: req.query.project };
+
+            await this.storageReady;
+            const overrides = status === 'active'
+                ? await this.overrideManager.listActive(filters)
+                : await this.overrideManager.repository.listOverrides({ ...filters, status: status === 'all' ? undefined : status });
 
             res.json({
                 status: 'success',
-                message: `Violation ${id} resolved`,
-                data: { violationId: id, resolved: true }
+                data: overrides,
+                meta: { total: overrides.length, status_filter: status }
             });
         } catch (error) {
-            logger.error('Failed to resolve violation', { error: error.message });
+            logger.error('Failed to get overrides', { error: error.message });
             res.status(500).json({
                 status: 'error',
-                message: 'Failed to resolve violation',
+                message: 'Failed to retrieve overrides',
                 error: error.message
             });
         }
     }
 
+    async handleRevokeOverride(req, res) {
+        try {
+            const { id } = req.params;
+
+            await this.storageReady;
+            const existing = await this.overrideManager.repository.getOverride(id);
+            if (!existing) {
+                return res.status(404).json({
+                    status: 'error',
+                    message: `Override ${id} not found`
+                });
+            }
+
+            const revoked = await this.overrideManager.revoke(id, {
+                actor: this.getActor(req),
+                reason: req.body?.reason
+            });
+            if (!revoked) {
+                return res.status(409).json({
+                    status: 'error',
+                    message: `Override ${id} is already ${existing.status}`
+                });
+            }
+
+            res.json({
+                status: 'success',
+                message: `Override ${id} revoked`,
+                data: revoked
+            });
+        } catch (error) {
+            logger.error('Failed to revoke override', { error: error.message });
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to revoke override',
+                error: error.message
+            });
+        }
+    }
+
+    async handleGetOverrideAudit(req, res) {
+        try {
+            await this.storageReady;
+            const events = await this.overrideManager.getAuditLog({
+                overrideId: req.query.override,
+                sessionId: req.query.session,
+                event: req.query.event,
+                limit: parseInt(req.query.limit) || 100
+            });
+
+            res.json({
+                status: 'success',
+                data: events
+            });
+        } catch (error) {
+            logger.error('Failed to get override audit log', { error: error.message });
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to retrieve override audit log',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * How often violations fed back after a tool call were fixed in the next step
+     */
+    async handleGetFeedbackStats(req, res) {
+        try {
+            await this.storageReady;
+            const stats = await this.feedbackRepository.getStats({
+                project: req.query.project,
+                since: req.query.since
+            });
+
+            res.json({
+                status: 'success',
+                data: stats
+            });
+        } catch (error) {
+            logger.error('Failed to get feedback stats', { error: error.message });
+            res.status(500).json({
+                status: 'error',
+                message: 'Failed to retrieve feedback stats',
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Who is changing a violation or override: body `actor`, the X-Actor header, or 'dashboard'
+     */
+    getActor(req) {
+        return req.body?.actor || req.headers['x-actor'] || 'dashboard';
+    }
+
     async handleConstraintCheck(req, res) {
         try {
             const { content, filePath, type = 'code' } = req.body;
@@ -1119,7 +1332,7 @@ class DashboardServer {
     }
 
     async stop() {
-        return new Promise((resolve) => {
+        await new Promise((resolve) => {
             if (this.server) {
                 this.server.close(() => {
                     logger.info('Dashboard server stopped');
@@ -1129,6 +1342,7 @@ class DashboardServer {
                 resolve();
             }
         });
+        await this.violationRepository.close();
     }
 
     getServerInfo() {
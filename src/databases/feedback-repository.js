@@ -0,0 +1,192 @@
+import { SqliteDatabase } from './sqlite-database.js';
+import { logger } from '../utils/logger.js';
+
+const MIGRATIONS = [
+  {
+    name: '001_create_hook_feedback',
+    up: `
+      CREATE TABLE hook_feedback (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        project TEXT,
+        constraint_id TEXT NOT NULL,
+        file_path TEXT,
+        violation_id TEXT,
+        tool TEXT,
+        severity TEXT,
+        fed_back_at TEXT NOT NULL,
+        steps INTEGER NOT NULL DEFAULT 0,
+        outcome TEXT NOT NULL DEFAULT 'pending',
+        resolved_at TEXT
+      );
+      CREATE INDEX idx_hook_feedback_session ON hook_feedback(session_id, outcome);
+      CREATE INDEX idx_hook_feedback_project ON hook_feedback(project, fed_back_at);
+    `
+  },
+  {
+    // Hook requests already observed as a step; a request checked twice is one step
+    name: '002_create_hook_feedback_steps',
+    up: `
+      CREATE TABLE hook_feedback_steps (
+        request_id TEXT PRIMARY KEY,
+        session_id TEXT NOT NULL,
+        observed_at TEXT NOT NULL
+      );
+    `
+  }
+];
+
+/**
+ * Violations the post-tool hook fed back to the agent, and what came of them
+ *
+ * Each row counts the tool calls (`steps`) since the feedback until the
+ * constraint passes again (`fixed`) or the tracker gives up (`unfixed`). Rules
+ * are in FeedbackTracker; this class only stores and queries.
+ */
+export class FeedbackRepository {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.path] - Database file, defaults to VIOLATIONS_DB_PATH or data/violations.db
+   * @param {SqliteDatabase} [options.database] - Shared connection, takes precedence over path
+   */
+  constructor(options = {}) {
+    this.database = options.database || new SqliteDatabase(options.path || undefined);
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    this.database.migrate(MIGRATIONS);
+    this.db = this.database.open();
+    this.initialized = true;
+    logger.debug(`Feedback repository ready at ${this.database.dbPath}`);
+  }
+
+  /**
+   * Claim a hook request as a step of the session
+   * @param {string} requestId
+   * @param {string} sessionId
+   * @returns {Promise<boolean>} - false when the request was claimed before
+   */
+  async claimStep(requestId, sessionId) {
+    await this.initialize();
+    return this.db.prepare(`
+      INSERT INTO hook_feedback_steps (request_id, session_id, observed_at)
+      VALUES (?, ?, ?)
+      ON CONFLICT DO NOTHING
+    `).run(requestId, sessionId, new Date().toISOString()).changes > 0;
+  }
+
+  /**
+   * @param {object} feedback - session_id, constraint_id, and optional project, file_path,
+   *   violation_id, tool, severity, fed_back_at
+   * @returns {Promise<object>} - The stored row with its id
+   */
+  async insertFeedback(feedback) {
+    await this.initialize();
+    const row = {
+      project: null,
+      file_path: null,
+      violation_id: null,
+      tool: null,
+      severity: null,
+      ...feedback,
+      fed_back_at: feedback.fed_back_at || new Date().toISOString()
+    };
+    const { lastInsertRowid } = this.db.prepare(`
+      INSERT INTO hook_feedback (session_id, project, constraint_id, file_path, violation_id, tool, severity, fed_back_at)
+      VALUES (@session_id, @project, @constraint_id, @file_path, @violation_id, @tool, @severity, @fed_back_at)
+    `).run(row);
+    return { id: Number(lastInsertRowid), steps: 0, outcome: 'pending', resolved_at: null, ...row };
+  }
+
+  /**
+   * @returns {Promise<Array<object>>} - Pending feedback of a session, oldest first
+   */
+  async listPending(sessionId) {
+    await this.initialize();
+    return this.db
+      .prepare("SELECT * FROM hook_feedback WHERE session_id = ? AND outcome = 'pending' ORDER BY id")
+      .all(sessionId);
+  }
+
+  /**
+   * Count a tool call for every pending feedback of a session
+   * @returns {Promise<number>} - Rows updated
+   */
+  async advanceSteps(sessionId) {
+    await this.initialize();
+    return this.db
+      .prepare("UPDATE hook_feedback SET steps = steps + 1 WHERE session_id = ? AND outcome = 'pending'")
+      .run(sessionId).changes;
+  }
+
+  /**
+   * @param {number} id
+   * @param {string} outcome - 'fixed' or 'unfixed'
+   * @param {string} [resolvedAt] - ISO timestamp, defaults to now
+   */
+  async resolve(id, outcome, resolvedAt = new Date().toISOString()) {
+    await this.initialize();
+    this.db
+      .prepare("UPDATE hook_feedback SET outcome = ?, resolved_at = ? WHERE id = ? AND outcome = 'pending'")
+      .run(outcome, resolvedAt, id);
+  }
+
+  /**
+   * Outcome counts, overall and per constraint
+   * @param {object} [filters]
+   * @param {string} [filters.project]
+   * @param {string} [filters.since] - ISO timestamp, inclusive
+   * @returns {Promise<{total: number, pending: number, fixed: number, fixed_next_step: number,
+   *   unfixed: number, fixed_next_step_rate: number|null, by_constraint: Array<object>}>}
+   *   The rate is over the feedback with an outcome, null while there is none
+   */
+  async getStats(filters = {}) {
+    await this.initialize();
+    const where = [];
+    const params = {};
+    if (filters.project) {
+      where.push('project = @project');
+      params.project = filters.project;
+    }
+    if (filters.since) {
+      where.push('fed_back_at >= @since');
+      params.since = filters.since;
+    }
+
+    const rows = this.db.prepare(`
+      SELECT constraint_id,
+             COUNT(*) AS total,
+             SUM(outcome = 'pending') AS pending,
+             SUM(outcome = 'fixed') AS fixed,
+             SUM(outcome = 'fixed' AND steps <= 1) AS fixed_next_step,
+             SUM(outcome = 'unfixed') AS unfixed
+      FROM hook_feedback
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      GROUP BY constraint_id
+      ORDER BY total DESC, constraint_id
+    `).all(params).map(row => ({ ...row, fixed_next_step_rate: rate(row) }));
+
+    const totals = { total: 0, pending: 0, fixed: 0, fixed_next_step: 0, unfixed: 0 };
+    for (const row of rows) {
+      for (const key of Object.keys(totals)) {
+        totals[key] += row[key];
+      }
+    }
+    return { ...totals, fixed_next_step_rate: rate(totals), by_constraint: rows };
+  }
+
+  async close() {
+    this.database.close();
+    this.initialized = false;
+  }
+}
+
+function rate({ fixed, unfixed, fixed_next_step: fixedNextStep }) {
+  const decided = fixed + unfixed;
+  return decided > 0 ? fixedNextStep / decided : null;
+}
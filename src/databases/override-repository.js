@@ -0,0 +1,273 @@
+import { SqliteDatabase } from './sqlite-database.js';
+import { logger } from '../utils/logger.js';
+
+const MIGRATIONS = [
+  {
+    name: '001_create_overrides',
+    up: `
+      CREATE TABLE overrides (
+        id TEXT PRIMARY KEY,
+        session_id TEXT,
+        project TEXT,
+        constraint_ids TEXT NOT NULL,
+        paths TEXT NOT NULL DEFAULT '[]',
+        tools TEXT NOT NULL DEFAULT '[]',
+        justification TEXT NOT NULL,
+        created_by TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        max_uses INTEGER,
+        uses INTEGER NOT NULL DEFAULT 0,
+        status TEXT NOT NULL DEFAULT 'active',
+        ended_at TEXT,
+        ended_by TEXT,
+        end_reason TEXT
+      );
+      CREATE INDEX idx_overrides_status ON overrides(status, expires_at);
+      CREATE INDEX idx_overrides_session ON overrides(session_id, status);
+
+      CREATE TABLE override_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        override_id TEXT REFERENCES overrides(id) ON DELETE CASCADE,
+        event TEXT NOT NULL,
+        session_id TEXT,
+        constraint_id TEXT,
+        tool TEXT,
+        file_path TEXT,
+        actor TEXT,
+        details TEXT NOT NULL DEFAULT '{}',
+        timestamp TEXT NOT NULL
+      );
+      CREATE INDEX idx_override_audit_override ON override_audit(override_id, id);
+      CREATE INDEX idx_override_audit_timestamp ON override_audit(timestamp);
+    `
+  },
+  {
+    // Hook requests an override was used for; a request checked twice counts once
+    name: '002_create_override_uses',
+    up: `
+      CREATE TABLE override_uses (
+        override_id TEXT NOT NULL REFERENCES overrides(id) ON DELETE CASCADE,
+        request_id TEXT NOT NULL,
+        used_at TEXT NOT NULL,
+        PRIMARY KEY (override_id, request_id)
+      );
+      CREATE INDEX idx_override_uses_request ON override_uses(request_id);
+    `
+  }
+];
+
+// Columns holding JSON arrays
+const JSON_COLUMNS = ['constraint_ids', 'paths', 'tools'];
+
+/**
+ * Constraint overrides and their audit log in SQLite
+ *
+ * Replaces the /tmp/constraint-override-{pid}.json files the prompt hook used to
+ * hand overrides to the tool hook. Policy (TTL, scope, which constraints may be
+ * overridden) lives in OverrideManager; this class only stores and queries.
+ */
+export class OverrideRepository {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.path] - Database file, defaults to VIOLATIONS_DB_PATH or data/violations.db
+   * @param {SqliteDatabase} [options.database] - Shared connection, takes precedence over path
+   */
+  constructor(options = {}) {
+    this.database = options.database || new SqliteDatabase(options.path || undefined);
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    this.database.migrate(MIGRATIONS);
+    this.db = this.database.open();
+    this.initialized = true;
+    logger.debug(`Override repository ready at ${this.database.dbPath}`);
+  }
+
+  async insertOverride(override) {
+    await this.initialize();
+    const row = this.toRow(override);
+    this.db.prepare(`
+      INSERT INTO overrides (${Object.keys(row).join(', ')})
+      VALUES (${Object.keys(row).map(column => `@${column}`).join(', ')})
+    `).run(row);
+    return this.getOverride(row.id);
+  }
+
+  async getOverride(id) {
+    await this.initialize();
+    const row = this.db.prepare('SELECT * FROM overrides WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * @param {object} [filters]
+   * @param {string} [filters.status]
+   * @param {string} [filters.sessionId]
+   * @param {string} [filters.project]
+   * @param {string} [filters.expiresAfter] - ISO timestamp
+   * @param {string} [filters.expiresBefore] - ISO timestamp, exclusive
+   * @returns {Promise<Array<object>>} - Newest first
+   */
+  async listOverrides(filters = {}) {
+    await this.initialize();
+
+    const conditions = [];
+    const params = {};
+    if (filters.status) {
+      conditions.push('status = @status');
+      params.status = filters.status;
+    }
+    if (filters.sessionId) {
+      conditions.push('session_id = @sessionId');
+      params.sessionId = filters.sessionId;
+    }
+    if (filters.project) {
+      conditions.push('project = @project');
+      params.project = filters.project;
+    }
+    if (filters.expiresAfter) {
+      conditions.push('expires_at > @expiresAfter');
+      params.expiresAfter = filters.expiresAfter;
+    }
+    if (filters.expiresBefore) {
+      conditions.push('expires_at <= @expiresBefore');
+      params.expiresBefore = filters.expiresBefore;
+    }
+
+    const clause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db
+      .prepare(`SELECT * FROM overrides ${clause} ORDER BY created_at DESC, id DESC`)
+      .all(params)
+      .map(row => this.fromRow(row));
+  }
+
+  /**
+   * End an override (revoked, expired or exhausted) if it is still active
+   * @returns {Promise<boolean>} - false if it was no longer active
+   */
+  async endOverride(id, status, { actor = null, reason = null } = {}) {
+    await this.initialize();
+    const { changes } = this.db.prepare(`
+      UPDATE overrides SET status = @status, ended_at = @endedAt, ended_by = @actor, end_reason = @reason
+      WHERE id = @id AND status = 'active'
+    `).run({ id, status, endedAt: new Date().toISOString(), actor, reason });
+    return changes > 0;
+  }
+
+  /**
+   * Count one use of an active override
+   * @returns {Promise<object|null>} - The updated override, null if it was no longer active
+   */
+  async recordUse(id) {
+    await this.initialize();
+    const { changes } = this.db
+      .prepare("UPDATE overrides SET uses = uses + 1 WHERE id = ? AND status = 'active'")
+      .run(id);
+    return changes > 0 ? this.getOverride(id) : null;
+  }
+
+  /**
+   * Claim the use of an override for a hook request
+   * @returns {Promise<boolean>} - false if the request already used it
+   */
+  async claimUse(id, requestId) {
+    await this.initialize();
+    const { changes } = this.db.prepare(`
+      INSERT INTO override_uses (override_id, request_id, used_at) VALUES (?, ?, ?)
+      ON CONFLICT (override_id, request_id) DO NOTHING
+    `).run(id, requestId, new Date().toISOString());
+    return changes > 0;
+  }
+
+  /**
+   * Overrides a hook request used, whatever their status now
+   * @returns {Promise<Array<object>>}
+   */
+  async listOverridesUsedBy(requestId) {
+    await this.initialize();
+    return this.db.prepare(`
+      SELECT overrides.* FROM overrides
+      JOIN override_uses ON override_uses.override_id = overrides.id
+      WHERE override_uses.request_id = ?
+    `).all(requestId).map(row => this.fromRow(row));
+  }
+
+  async insertAuditEvent(event) {
+    await this.initialize();
+    const { details, ...fields } = event;
+    this.db.prepare(`
+      INSERT INTO override_audit (override_id, event, session_id, constraint_id, tool, file_path, actor, details, timestamp)
+      VALUES (@override_id, @event, @session_id, @constraint_id, @tool, @file_path, @actor, @details, @timestamp)
+    `).run({
+      override_id: null,
+      session_id: null,
+      constraint_id: null,
+      tool: null,
+      file_path: null,
+      actor: null,
+      ...fields,
+      details: JSON.stringify(details || {}),
+      timestamp: fields.timestamp || new Date().toISOString()
+    });
+  }
+
+  /**
+   * @param {object} [filters]
+   * @param {string} [filters.overrideId]
+   * @param {string} [filters.sessionId]
+   * @param {string} [filters.event] - created, rejected, used, revoked, expired or exhausted
+   * @param {number} [filters.limit] - Default 100
+   * @returns {Promise<Array<object>>} - Newest first
+   */
+  async queryAudit(filters = {}) {
+    await this.initialize();
+
+    const conditions = [];
+    const params = { limit: filters.limit > 0 ? filters.limit : 100 };
+    if (filters.overrideId) {
+      conditions.push('override_id = @overrideId');
+      params.overrideId = filters.overrideId;
+    }
+    if (filters.sessionId) {
+      conditions.push('session_id = @sessionId');
+      params.sessionId = filters.sessionId;
+    }
+    if (filters.event) {
+      conditions.push('event = @event');
+      params.event = filters.event;
+    }
+
+    const clause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db
+      .prepare(`SELECT * FROM override_audit ${clause} ORDER BY id DESC LIMIT @limit`)
+      .all(params)
+      .map(row => ({ ...row, details: JSON.parse(row.details || '{}') }));
+  }
+
+  toRow(override) {
+    const row = { ...override };
+    for (const column of JSON_COLUMNS) {
+      row[column] = JSON.stringify(override[column] || []);
+    }
+    return row;
+  }
+
+  fromRow(row) {
+    const override = { ...row };
+    for (const column of JSON_COLUMNS) {
+      override[column] = JSON.parse(row[column] || '[]');
+    }
+    return override;
+  }
+
+  async close() {
+    this.database.close();
+    this.initialized = false;
+  }
+}
@@ -0,0 +1,112 @@
+import { SqliteDatabase } from './sqlite-database.js';
+import { logger } from '../utils/logger.js';
+
+const MIGRATIONS = [
+  {
+    name: '001_create_tool_calls',
+    up: `
+      CREATE TABLE tool_calls (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        session_id TEXT NOT NULL,
+        project TEXT,
+        tool TEXT NOT NULL,
+        file_path TEXT,
+        command TEXT,
+        timestamp TEXT NOT NULL
+      );
+      CREATE INDEX idx_tool_calls_session ON tool_calls(session_id, id);
+      CREATE INDEX idx_tool_calls_timestamp ON tool_calls(timestamp);
+    `
+  },
+  {
+    // Hook request that recorded the call; a request checked twice is recorded once
+    name: '002_add_tool_calls_request_id',
+    up: `
+      ALTER TABLE tool_calls ADD COLUMN request_id TEXT;
+      CREATE UNIQUE INDEX idx_tool_calls_request ON tool_calls(request_id);
+    `
+  }
+];
+
+/**
+ * Ordered tool-call history per session in SQLite
+ *
+ * Every hook invocation is a new process (or a daemon request), so the history
+ * workflow constraints are evaluated against has to live outside it. Rules are
+ * in WorkflowMonitor; this class only stores and queries.
+ */
+export class SessionHistoryRepository {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.path] - Database file, defaults to VIOLATIONS_DB_PATH or data/violations.db
+   * @param {SqliteDatabase} [options.database] - Shared connection, takes precedence over path
+   */
+  constructor(options = {}) {
+    this.database = options.database || new SqliteDatabase(options.path || undefined);
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    this.database.migrate(MIGRATIONS);
+    this.db = this.database.open();
+    this.initialized = true;
+    logger.debug(`Session history repository ready at ${this.database.dbPath}`);
+  }
+
+  /**
+   * @param {object} call - session_id, tool, and optional project, file_path, command,
+   *   request_id, timestamp
+   * @returns {Promise<object|null>} - The stored call with its id, null when its request
+   *   already recorded a call
+   */
+  async insertToolCall(call) {
+    await this.initialize();
+    const row = {
+      project: null,
+      file_path: null,
+      command: null,
+      request_id: null,
+      ...call,
+      timestamp: call.timestamp || new Date().toISOString()
+    };
+    const { changes, lastInsertRowid } = this.db.prepare(`
+      INSERT INTO tool_calls (session_id, project, tool, file_path, command, request_id, timestamp)
+      VALUES (@session_id, @project, @tool, @file_path, @command, @request_id, @timestamp)
+      ON CONFLICT DO NOTHING
+    `).run(row);
+    return changes > 0 ? { id: Number(lastInsertRowid), ...row } : null;
+  }
+
+  /**
+   * @param {string} sessionId
+   * @param {object} [options]
+   * @param {number} [options.limit] - Most recent calls to return, default 500
+   * @returns {Promise<Array<object>>} - Oldest first
+   */
+  async listToolCalls(sessionId, { limit = 500 } = {}) {
+    await this.initialize();
+    return this.db
+      .prepare('SELECT * FROM tool_calls WHERE session_id = ? ORDER BY id DESC LIMIT ?')
+      .all(sessionId, limit)
+      .reverse();
+  }
+
+  /**
+   * Delete calls recorded before a point in time
+   * @param {string} before - ISO timestamp, exclusive
+   * @returns {Promise<number>} - Calls deleted
+   */
+  async deleteToolCallsBefore(before) {
+    await this.initialize();
+    return this.db.prepare('DELETE FROM tool_calls WHERE timestamp < ?').run(before).changes;
+  }
+
+  async close() {
+    this.database.close();
+    this.initialized = false;
+  }
+}
@@ -0,0 +1,130 @@
+import { SqliteDatabase } from './sqlite-database.js';
+import { logger } from '../utils/logger.js';
+
+const MIGRATIONS = [
+  {
+    name: '001_create_shadow_checks',
+    up: `
+      CREATE TABLE shadow_checks (
+        constraint_id TEXT NOT NULL,
+        project TEXT NOT NULL DEFAULT '',
+        checks INTEGER NOT NULL DEFAULT 0,
+        would_block INTEGER NOT NULL DEFAULT 0,
+        first_checked_at TEXT NOT NULL,
+        last_checked_at TEXT NOT NULL,
+        PRIMARY KEY (constraint_id, project)
+      );
+    `
+  },
+  {
+    // Hook requests already counted; a request checked twice counts once
+    name: '002_create_shadow_check_requests',
+    up: `
+      CREATE TABLE shadow_check_requests (
+        request_id TEXT PRIMARY KEY,
+        recorded_at TEXT NOT NULL
+      );
+    `
+  }
+];
+
+/**
+ * How often shadow constraints were checked, and how often they would have blocked
+ *
+ * One row per constraint and project. A check is a prompt or tool call the
+ * constraint applied to; `would_block` counts the checks where it fired at a
+ * blocking severity. The violations themselves are in the violation history,
+ * flagged `shadow`.
+ */
+export class ShadowCheckRepository {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.path] - Database file, defaults to VIOLATIONS_DB_PATH or data/violations.db
+   * @param {SqliteDatabase} [options.database] - Shared connection, takes precedence over path
+   */
+  constructor(options = {}) {
+    this.database = options.database || new SqliteDatabase(options.path || undefined);
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    this.database.migrate(MIGRATIONS);
+    this.db = this.database.open();
+    this.upsertStatement = this.db.prepare(`
+      INSERT INTO shadow_checks (constraint_id, project, checks, would_block, first_checked_at, last_checked_at)
+      VALUES (@constraint_id, @project, 1, @would_block, @timestamp, @timestamp)
+      ON CONFLICT (constraint_id, project) DO UPDATE SET
+        checks = checks + 1,
+        would_block = would_block + excluded.would_block,
+        last_checked_at = excluded.last_checked_at
+    `);
+    this.claimRequestStatement = this.db.prepare(`
+      INSERT INTO shadow_check_requests (request_id, recorded_at)
+      VALUES (?, ?)
+      ON CONFLICT DO NOTHING
+    `);
+    this.initialized = true;
+    logger.debug(`Shadow check repository ready at ${this.database.dbPath}`);
+  }
+
+  /**
+   * Count one check for each constraint
+   * @param {object} step
+   * @param {string} [step.project]
+   * @param {string[]} step.checked - Shadow constraints the call was checked against
+   * @param {string[]} [step.wouldBlock] - Those of them that fired at a blocking severity
+   * @param {string} [step.requestId] - Hook request of the check; counted once however often it is checked
+   * @param {string} [step.timestamp] - ISO timestamp, defaults to now
+   * @returns {Promise<boolean>} - false when the request was counted before
+   */
+  async recordChecks({ project, checked, wouldBlock = [], requestId, timestamp = new Date().toISOString() }) {
+    await this.initialize();
+    const record = this.db.transaction(ids => {
+      if (requestId && this.claimRequestStatement.run(requestId, timestamp).changes === 0) {
+        return false;
+      }
+      for (const id of ids) {
+        this.upsertStatement.run({
+          constraint_id: id,
+          project: project || '',
+          would_block: wouldBlock.includes(id) ? 1 : 0,
+          timestamp
+        });
+      }
+      return true;
+    });
+    return record([...new Set(checked)]);
+  }
+
+  /**
+   * Check counts per constraint, summed over projects unless one is given
+   * @param {object} [filters]
+   * @param {string} [filters.project]
+   * @returns {Promise<Array<{constraint_id: string, checks: number, would_block: number,
+   *   would_block_rate: number, first_checked_at: string, last_checked_at: string}>>}
+   */
+  async getStats(filters = {}) {
+    await this.initialize();
+    return this.db.prepare(`
+      SELECT constraint_id,
+             SUM(checks) AS checks,
+             SUM(would_block) AS would_block,
+             MIN(first_checked_at) AS first_checked_at,
+             MAX(last_checked_at) AS last_checked_at
+      FROM shadow_checks
+      ${filters.project ? 'WHERE project = @project' : ''}
+      GROUP BY constraint_id
+      ORDER BY constraint_id
+    `).all(filters.project ? { project: filters.project } : {})
+      .map(row => ({ ...row, would_block_rate: row.checks > 0 ? row.would_block / row.checks : 0 }));
+  }
+
+  async close() {
+    this.database.close();
+    this.initialized = false;
+  }
+}
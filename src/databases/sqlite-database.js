@@ -0,0 +1,113 @@
+import Database from 'better-sqlite3';
+import { mkdirSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Default location of the persistent store, overridable with VIOLATIONS_DB_PATH
+ * or `databases.violations.path` in the monitor config
+ */
+export const DEFAULT_DB_PATH = join(__dirname, '../../data/violations.db');
+
+/**
+ * SQLite connection with named, run-once migrations
+ *
+ * Repositories sharing the database file each register their own migrations;
+ * applied migration names are recorded in `schema_migrations`.
+ */
+export class SqliteDatabase {
+  constructor(dbPath = process.env.VIOLATIONS_DB_PATH || DEFAULT_DB_PATH) {
+    this.dbPath = dbPath;
+    this.db = null;
+  }
+
+  open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    if (this.dbPath !== ':memory:') {
+      mkdirSync(dirname(this.dbPath), { recursive: true });
+    }
+
+    this.db = new Database(this.dbPath);
+
+    // Hooks, the dashboard and the MCP server write concurrently
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.pragma('foreign_keys = ON');
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+    `);
+
+    logger.debug(`Opened SQLite database at ${this.dbPath}`);
+    return this.db;
+  }
+
+  /**
+   * Apply migrations that have not run yet, each in its own transaction
+   * Processes starting together may race for the same migrations. Each transaction
+   * takes the write lock first (BEGIN IMMEDIATE) and checks again whether the
+   * migration is still pending, so it runs once.
+   * @param {Array<{name: string, up: string|function(Database): void}>} migrations - In order
+   * @returns {string[]} - Names of the migrations applied now
+   */
+  migrate(migrations) {
+    const db = this.open();
+    const applied = new Set(db.prepare('SELECT name FROM schema_migrations').all().map(row => row.name));
+    const isApplied = db.prepare('SELECT 1 FROM schema_migrations WHERE name = ?');
+    const record = db.prepare('INSERT INTO schema_migrations (name, applied_at) VALUES (?, ?)');
+    const apply = db.transaction(migration => {
+      if (isApplied.get(migration.name)) {
+        return false;
+      }
+      if (typeof migration.up === 'function') {
+        migration.up(db);
+      } else {
+        db.exec(migration.up);
+      }
+      record.run(migration.name, new Date().toISOString());
+      return true;
+    });
+    const appliedNow = [];
+
+    for (const migration of migrations) {
+      if (applied.has(migration.name) || !apply.immediate(migration)) continue;
+
+      appliedNow.push(migration.name);
+      logger.info(`Applied database migration ${migration.name}`);
+    }
+
+    return appliedNow;
+  }
+
+  getMeta(key) {
+    const row = this.open().prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  setMeta(key, value) {
+    this.open()
+      .prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value')
+      .run(key, JSON.stringify(value));
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
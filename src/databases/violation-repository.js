@@ -0,0 +1,509 @@
+import { readFileSync, existsSync } from 'fs';
+import { SqliteDatabase } from './sqlite-database.js';
+import { logger } from '../utils/logger.js';
+
+const LEGACY_IMPORT_KEY = 'legacy_json_import';
+
+export const VIOLATION_STATUSES = ['active', 'acknowledged', 'resolved', 'suppressed'];
+
+// Allowed lifecycle transitions; moving back to 'active' is a reopen
+export const STATUS_TRANSITIONS = {
+  active: ['acknowledged', 'resolved', 'suppressed'],
+  acknowledged: ['active', 'resolved', 'suppressed'],
+  resolved: ['active'],
+  suppressed: ['active']
+};
+
+// Actor recorded for transitions the repository makes by itself
+const SYSTEM_ACTOR = 'system';
+const INLINE_SUPPRESSION_ACTOR = 'inline-suppression';
+
+// Fields stored in their own columns; everything else goes to the `details` JSON
+const COLUMNS = [
+  'id', 'constraint_id', 'message', 'severity', 'timestamp', 'project', 'repository',
+  'context', 'session_id', 'tool', 'source', 'file_path', 'matches', 'pattern', 'status', 'shadow'
+];
+
+const MIGRATIONS = [
+  {
+    name: '001_create_violations',
+    up: `
+      CREATE TABLE violations (
+        id TEXT PRIMARY KEY,
+        constraint_id TEXT NOT NULL,
+        message TEXT,
+        severity TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        project TEXT,
+        repository TEXT,
+        context TEXT,
+        session_id TEXT,
+        tool TEXT,
+        source TEXT,
+        file_path TEXT,
+        matches INTEGER NOT NULL DEFAULT 1,
+        pattern TEXT,
+        status TEXT NOT NULL DEFAULT 'active',
+        details TEXT NOT NULL DEFAULT '{}'
+      );
+      CREATE INDEX idx_violations_project ON violations(project, timestamp);
+      CREATE INDEX idx_violations_constraint ON violations(constraint_id, timestamp);
+      CREATE INDEX idx_violations_timestamp ON violations(timestamp);
+    `
+  },
+  {
+    name: '002_create_violation_events',
+    up: `
+      CREATE TABLE violation_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        violation_id TEXT NOT NULL REFERENCES violations(id) ON DELETE CASCADE,
+        from_status TEXT,
+        to_status TEXT NOT NULL,
+        actor TEXT NOT NULL,
+        reason TEXT,
+        timestamp TEXT NOT NULL
+      );
+      CREATE INDEX idx_violation_events_violation ON violation_events(violation_id, id);
+      CREATE INDEX idx_violations_reopen ON violations(constraint_id, file_path, status);
+    `
+  },
+  {
+    // Violations of constraints in shadow mode: recorded, never shown to the agent
+    name: '003_add_violation_shadow',
+    up: `
+      ALTER TABLE violations ADD COLUMN shadow INTEGER NOT NULL DEFAULT 0;
+    `
+  }
+];
+
+/**
+ * Persistent violation history in SQLite
+ *
+ * Replaces the JSON files the dashboard server, the pre-tool hook and the MCP
+ * server used to read and rewrite in full. Legacy JSON files can be imported
+ * once with importLegacyFiles().
+ */
+export class ViolationRepository {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.path] - Database file, defaults to VIOLATIONS_DB_PATH or data/violations.db
+   * @param {SqliteDatabase} [options.database] - Shared connection, takes precedence over path
+   */
+  constructor(options = {}) {
+    this.database = options.database || new SqliteDatabase(options.path || undefined);
+    this.initialized = false;
+  }
+
+  async initialize() {
+    if (this.initialized) {
+      return;
+    }
+
+    this.database.migrate(MIGRATIONS);
+    this.db = this.database.open();
+
+    const columns = COLUMNS.concat('details');
+    this.insertStatement = this.db.prepare(`
+      INSERT INTO violations (${columns.join(', ')})
+      VALUES (${columns.map(column => `@${column}`).join(', ')})
+      ON CONFLICT (id) DO NOTHING
+    `);
+    this.updateStatusStatement = this.db.prepare('UPDATE violations SET status = @status WHERE id = @id');
+    this.insertEventStatement = this.db.prepare(`
+      INSERT INTO violation_events (violation_id, from_status, to_status, actor, reason, timestamp)
+      VALUES (@violation_id, @from_status, @to_status, @actor, @reason, @timestamp)
+    `);
+    this.findResolvedStatement = this.db.prepare(`
+      SELECT id FROM violations
+      WHERE constraint_id = @constraint_id AND file_path = @file_path AND status = 'resolved'
+        AND id != @id AND COALESCE(project, '') = COALESCE(@project, '')
+    `);
+
+    this.initialized = true;
+    logger.info(`Violation repository ready at ${this.database.dbPath}`);
+  }
+
+  /**
+   * Store violations; records whose id already exists are skipped
+   * A new active violation reopens resolved violations of the same constraint,
+   * file and project: the problem came back (shadow mode violations don't). Violations suppressed by an inline
+   * comment (`suppression` set) get their reason recorded as the first event.
+   * @param {Array<object>} violations
+   * @returns {Promise<number>} - Number of violations inserted
+   */
+  async insertViolations(violations) {
+    await this.initialize();
+
+    const insertAll = this.db.transaction(records => {
+      let inserted = 0;
+      for (const record of records) {
+        const row = this.toRow(record);
+        const changes = this.insertStatement.run(row).changes;
+        inserted += changes;
+
+        if (changes > 0 && row.status === 'active' && row.file_path && !row.shadow) {
+          this.reopenResolved(row);
+        }
+        // Inline suppression comments start the audit trail of a suppressed violation
+        if (changes > 0 && row.status === 'suppressed' && record.suppression) {
+          this.insertEventStatement.run({
+            violation_id: row.id,
+            from_status: null,
+            to_status: 'suppressed',
+            actor: INLINE_SUPPRESSION_ACTOR,
+            reason: record.suppression.reason || null,
+            timestamp: row.timestamp
+          });
+        }
+      }
+      return inserted;
+    });
+
+    return insertAll(violations);
+  }
+
+  reopenResolved(row) {
+    for (const { id } of this.findResolvedStatement.all(row)) {
+      this.recordTransition(id, 'resolved', 'active', {
+        actor: SYSTEM_ACTOR,
+        reason: `Constraint ${row.constraint_id} fired again on ${row.file_path} (violation ${row.id})`,
+        timestamp: row.timestamp
+      });
+      logger.info(`Reopened resolved violation ${id}: ${row.constraint_id} fired again on ${row.file_path}`);
+    }
+  }
+
+  recordTransition(id, fromStatus, toStatus, { actor, reason = null, timestamp = new Date().toISOString() }) {
+    this.updateStatusStatement.run({ id, status: toStatus });
+    this.insertEventStatement.run({
+      violation_id: id,
+      from_status: fromStatus,
+      to_status: toStatus,
+      actor,
+      reason,
+      timestamp
+    });
+  }
+
+  /**
+   * Move violations to a new lifecycle status, recording who did it and why
+   * Each id is handled on its own: unknown ids and disallowed transitions are
+   * reported in `failed` without affecting the others.
+   * @param {string[]} ids
+   * @param {string} status - One of VIOLATION_STATUSES
+   * @param {object} [options]
+   * @param {string} [options.actor] - Who made the change, defaults to 'unknown'
+   * @param {string} [options.reason]
+   * @returns {Promise<{updated: Array<object>, failed: Array<{id: string, error: string, code: string}>}>}
+   */
+  async updateStatus(ids, status, options = {}) {
+    await this.initialize();
+
+    if (!VIOLATION_STATUSES.includes(status)) {
+      throw new Error(`Invalid violation status "${status}" (expected one of: ${VIOLATION_STATUSES.join(', ')})`);
+    }
+
+    const actor = options.actor || 'unknown';
+    const reason = options.reason || null;
+    const select = this.db.prepare('SELECT id, status FROM violations WHERE id = ?');
+
+    const updateAll = this.db.transaction(violationIds => {
+      const updated = [];
+      const failed = [];
+
+      for (const id of violationIds) {
+        const current = select.get(String(id));
+        if (!current) {
+          failed.push({ id, error: `Violation ${id} not found`, code: 'not_found' });
+          continue;
+        }
+        if (!(STATUS_TRANSITIONS[current.status] || []).includes(status)) {
+          failed.push({
+            id,
+            error: `Cannot change violation ${id} from ${current.status} to ${status}`,
+            code: 'invalid_transition'
+          });
+          continue;
+        }
+
+        this.recordTransition(current.id, current.status, status, { actor, reason });
+        updated.push(current.id);
+      }
+
+      return { updated, failed };
+    });
+
+    const { updated, failed } = updateAll([...new Set(ids)]);
+    if (updated.length > 0) {
+      logger.info(`Set ${updated.length} violations to ${status}`, { actor, reason });
+    }
+
+    return {
+      updated: await Promise.all(updated.map(id => this.getViolation(id))),
+      failed
+    };
+  }
+
+  /**
+   * Lifecycle transitions of a violation, oldest first
+   * @returns {Promise<Array<{id: number, violation_id: string, from_status: string, to_status: string, actor: string, reason: string|null, timestamp: string}>>}
+   */
+  async getEvents(violationId) {
+    await this.initialize();
+    return this.db
+      .prepare('SELECT * FROM violation_events WHERE violation_id = ? ORDER BY id')
+      .all(String(violationId));
+  }
+
+  async getViolation(id) {
+    await this.initialize();
+    const row = this.db.prepare('SELECT * FROM violations WHERE id = ?').get(id);
+    return row ? this.fromRow(row) : null;
+  }
+
+  /**
+   * Query violations
+   * @param {object} [filters]
+   * @param {string} [filters.project] - Matches project, context or repository
+   * @param {string} [filters.constraintId]
+   * @param {string} [filters.severity]
+   * @param {string} [filters.sessionId]
+   * @param {string} [filters.status]
+   * @param {boolean} [filters.shadow] - Only shadow mode violations (true) or only the others (false)
+   * @param {string} [filters.since] - ISO timestamp, inclusive
+   * @param {string} [filters.until] - ISO timestamp, exclusive
+   * @param {number} [filters.limit] - 0 or omitted for no limit
+   * @param {number} [filters.offset]
+   * @param {string} [filters.cursor] - next_cursor of the previous page, continues in the same order
+   * @param {'asc'|'desc'} [filters.order] - By timestamp, default 'asc'
+   * @returns {Promise<{violations: Array<object>, total: number, next_cursor: string|null}>}
+   *   total counts all matches of the filters, ignoring cursor, limit and offset
+   */
+  async queryViolations(filters = {}) {
+    await this.initialize();
+
+    const { clause, params } = this.buildWhere(filters);
+    const order = filters.order === 'desc' ? 'DESC' : 'ASC';
+    const limit = filters.limit > 0 ? filters.limit : -1;
+    const offset = filters.offset > 0 ? filters.offset : 0;
+
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM violations ${clause}`).get(params).count;
+
+    // Keyset pagination on (timestamp, id), stable while new violations arrive
+    let pageClause = clause;
+    const pageParams = { ...params };
+    if (filters.cursor) {
+      const { timestamp, id } = this.decodeCursor(filters.cursor);
+      const comparison = order === 'DESC' ? '<' : '>';
+      const condition = `(timestamp ${comparison} @cursorTimestamp OR (timestamp = @cursorTimestamp AND id ${comparison} @cursorId))`;
+      pageClause = clause ? `${clause} AND ${condition}` : `WHERE ${condition}`;
+      pageParams.cursorTimestamp = timestamp;
+      pageParams.cursorId = id;
+    }
+
+    // Fetch one extra row to know whether there is a next page
+    const rows = this.db
+      .prepare(`SELECT * FROM violations ${pageClause} ORDER BY timestamp ${order}, id ${order} LIMIT @limit OFFSET @offset`)
+      .all({ ...pageParams, limit: limit > 0 ? limit + 1 : -1, offset });
+
+    const hasMore = limit > 0 && rows.length > limit;
+    const pageRows = hasMore ? rows.slice(0, limit) : rows;
+    const lastRow = pageRows[pageRows.length - 1];
+
+    return {
+      violations: pageRows.map(row => this.fromRow(row)),
+      total,
+      next_cursor: hasMore ? this.encodeCursor(lastRow) : null
+    };
+  }
+
+  /**
+   * Aggregate violations for metrics
+   * @param {object} [filters] - Same filters as queryViolations
+   * @param {number} [topLimit] - Number of most common constraints to return
+   * @returns {Promise<{total: number, sessions: Array<object>, top_constraints: Array<object>}>}
+   *   sessions hold per-session severity counts
+   */
+  async summarizeViolations(filters = {}, topLimit = 5) {
+    await this.initialize();
+
+    const { clause, params } = this.buildWhere(filters);
+
+    const sessions = this.db.prepare(`
+      SELECT
+        COALESCE(session_id, 'unknown') AS session_id,
+        COUNT(*) AS total,
+        SUM(severity = 'critical') AS critical,
+        SUM(severity = 'error') AS error,
+        SUM(severity = 'warning') AS warning,
+        SUM(severity = 'info') AS info
+      FROM violations ${clause}
+      GROUP BY COALESCE(session_id, 'unknown')
+    `).all(params);
+
+    const topConstraints = this.db.prepare(`
+      SELECT constraint_id, COUNT(*) AS count, MAX(timestamp) AS last_seen
+      FROM violations ${clause}
+      GROUP BY constraint_id
+      ORDER BY count DESC, last_seen DESC
+      LIMIT @topLimit
+    `).all({ ...params, topLimit });
+
+    return {
+      total: sessions.reduce((sum, session) => sum + session.total, 0),
+      sessions,
+      top_constraints: topConstraints
+    };
+  }
+
+  /**
+   * Number of violations per constraint
+   * @param {object} [filters] - Same filters as queryViolations, e.g. { status: 'suppressed' }
+   * @returns {Promise<Object<string, number>>} - Keyed by constraint ID
+   */
+  async countByConstraint(filters = {}) {
+    await this.initialize();
+
+    const { clause, params } = this.buildWhere(filters);
+    const rows = this.db
+      .prepare(`SELECT constraint_id, COUNT(*) AS count FROM violations ${clause} GROUP BY constraint_id`)
+      .all(params);
+
+    return Object.fromEntries(rows.map(row => [row.constraint_id, row.count]));
+  }
+
+  encodeCursor(row) {
+    return Buffer.from(`${row.timestamp}|${row.id}`).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    const decoded = Buffer.from(String(cursor), 'base64url').toString('utf8');
+    const separator = decoded.indexOf('|');
+    const timestamp = decoded.slice(0, separator);
+
+    if (separator === -1 || Number.isNaN(new Date(timestamp).getTime())) {
+      throw new Error(`Invalid cursor: ${cursor}`);
+    }
+
+    return { timestamp, id: decoded.slice(separator + 1) };
+  }
+
+  buildWhere(filters = {}) {
+    const conditions = [];
+    const params = {};
+
+    if (filters.project) {
+      conditions.push('(project = @project OR context = @project OR repository = @project)');
+      params.project = filters.project;
+    }
+    if (filters.constraintId) {
+      conditions.push('constraint_id = @constraintId');
+      params.constraintId = filters.constraintId;
+    }
+    if (filters.severity) {
+      conditions.push('severity = @severity');
+      params.severity = filters.severity;
+    }
+    if (filters.sessionId) {
+      conditions.push('session_id = @sessionId');
+      params.sessionId = filters.sessionId;
+    }
+    if (filters.status) {
+      conditions.push('status = @status');
+      params.status = filters.status;
+    }
+    if (filters.shadow !== undefined) {
+      conditions.push('shadow = @shadow');
+      params.shadow = filters.shadow ? 1 : 0;
+    }
+    if (filters.since) {
+      conditions.push('timestamp >= @since');
+      params.since = new Date(filters.since).toISOString();
+    }
+    if (filters.until) {
+      conditions.push('timestamp < @until');
+      params.until = new Date(filters.until).toISOString();
+    }
+
+    return {
+      clause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Import violations from the JSON files used before the SQLite store, once
+   * Later calls are no-ops, so removed or rewritten legacy files are never re-imported.
+   * @param {Array<{name: string, path: string}>} sources
+   * @returns {Promise<{imported: number, files: object}|null>} - null if the import already ran
+   */
+  async importLegacyFiles(sources) {
+    await this.initialize();
+
+    if (this.database.getMeta(LEGACY_IMPORT_KEY)) {
+      return null;
+    }
+
+    const files = {};
+    let imported = 0;
+
+    for (const source of sources) {
+      if (!existsSync(source.path)) continue;
+
+      try {
+        const data = JSON.parse(readFileSync(source.path, 'utf8'));
+        const records = (Array.isArray(data) ? data : data.violations || [])
+          .filter(violation => violation && violation.id && violation.constraint_id)
+          .map(violation => ({ ...violation, source: violation.source || source.name }));
+
+        const inserted = await this.insertViolations(records);
+        files[source.name] = { path: source.path, total: records.length, imported: inserted };
+        imported += inserted;
+        logger.info(`Imported ${inserted} of ${records.length} legacy violations from ${source.path}`);
+      } catch (error) {
+        logger.warn(`Could not import legacy violations from ${source.path}:`, error.message);
+        files[source.name] = { path: source.path, error: error.message };
+      }
+    }
+
+    this.database.setMeta(LEGACY_IMPORT_KEY, { imported_at: new Date().toISOString(), imported, files });
+    return { imported, files };
+  }
+
+  toRow(violation) {
+    const row = { details: {} };
+    for (const [key, value] of Object.entries(violation)) {
+      if (COLUMNS.includes(key)) {
+        row[key] = value;
+      } else if (key !== 'sessionId' && value !== undefined) {
+        row.details[key] = value;
+      }
+    }
+
+    const parsed = new Date(violation.timestamp || violation.detected_at || Date.now());
+    const timestamp = Number.isNaN(parsed.getTime()) ? new Date() : parsed;
+
+    return {
+      ...Object.fromEntries(COLUMNS.map(column => [column, row[column] ?? null])),
+      id: violation.id ? String(violation.id) : `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+      timestamp: timestamp.toISOString(),
+      severity: violation.severity || 'warning',
+      // Hook records used camelCase sessionId
+      session_id: violation.session_id || violation.sessionId || null,
+      matches: Number.isInteger(violation.matches) ? violation.matches : 1,
+      status: violation.status || 'active',
+      shadow: violation.shadow ? 1 : 0,
+      details: JSON.stringify(row.details)
+    };
+  }
+
+  fromRow(row) {
+    const { details, shadow, ...columns } = row;
+    return { ...JSON.parse(details || '{}'), ...columns, ...(shadow && { shadow: true }) };
+  }
+
+  async close() {
+    this.database.close();
+    this.initialized = false;
+  }
+}
@@ -0,0 +1,149 @@
+import { parse } from '@babel/parser';
+import esquery from 'esquery';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+const JS_EXTENSIONS = new Set(['.js', '.jsx', '.mjs', '.cjs']);
+const TS_EXTENSIONS = new Set(['.ts', '.mts', '.cts']);
+const TSX_EXTENSIONS = new Set(['.tsx']);
+
+// Keys that hold metadata rather than child nodes
+const NON_CHILD_KEYS = new Set(['loc', 'range', 'start', 'end', 'extra', 'comments', 'leadingComments', 'trailingComments', 'innerComments', 'tokens', 'errors']);
+
+/**
+ * AST-based constraint matching for JavaScript/TypeScript content
+ *
+ * Constraints with `type: ast` use an esquery `selector` (the selector syntax
+ * ESLint uses) instead of a regex `pattern`, so matches inside comments and
+ * string literals are ignored:
+ *
+ *   CallExpression[callee.object.name="console"][callee.property.name="log"]
+ *   CatchClause[body.body.length=0]
+ *   VariableDeclaration[kind="var"]
+ */
+export class AstMatcher {
+  constructor() {
+    this.selectorCache = new Map();
+  }
+
+  /**
+   * Check whether a file can be parsed as JavaScript/TypeScript
+   * Content without a file extension (prompts, manual checks) is attempted as JS.
+   * @param {string} filePath - Path of the file being checked
+   * @returns {boolean}
+   */
+  supportsFile(filePath) {
+    const ext = path.extname(filePath || '').toLowerCase();
+    return !ext || JS_EXTENSIONS.has(ext) || TS_EXTENSIONS.has(ext) || TSX_EXTENSIONS.has(ext);
+  }
+
+  getParserPlugins(filePath) {
+    const ext = path.extname(filePath || '').toLowerCase();
+    if (TS_EXTENSIONS.has(ext)) return ['estree', 'typescript'];
+    if (TSX_EXTENSIONS.has(ext)) return ['estree', 'typescript', 'jsx'];
+    if (JS_EXTENSIONS.has(ext)) return ['estree', 'jsx'];
+    // Unknown extension - try JSX first, then TypeScript
+    return null;
+  }
+
+  /**
+   * Parse content into an ESTree-compatible AST
+   * @param {string} content - Source code
+   * @param {string} filePath - Used to pick parser plugins
+   * @returns {object|null} - AST, or null if the content is not parseable
+   */
+  parse(content, filePath) {
+    if (!content || !this.supportsFile(filePath)) {
+      return null;
+    }
+
+    const plugins = this.getParserPlugins(filePath);
+    const pluginSets = plugins ? [plugins] : [['estree', 'jsx'], ['estree', 'typescript']];
+
+    for (const pluginSet of pluginSets) {
+      try {
+        return parse(content, {
+          sourceType: 'unambiguous',
+          errorRecovery: true,
+          allowReturnOutsideFunction: true,
+          allowAwaitOutsideFunction: true,
+          allowImportExportEverywhere: true,
+          allowSuperOutsideMethod: true,
+          allowUndeclaredExports: true,
+          plugins: pluginSet
+        });
+      } catch (error) {
+        logger.debug(`AST parse failed for ${filePath || 'content'}: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  getSelector(selector) {
+    if (!this.selectorCache.has(selector)) {
+      this.selectorCache.set(selector, esquery.parse(selector));
+    }
+    return this.selectorCache.get(selector);
+  }
+
+  /**
+   * Collect child keys for every node type in the tree so esquery also
+   * descends into TypeScript/JSX nodes that estraverse does not know about
+   */
+  collectVisitorKeys(ast) {
+    const keys = {};
+    const stack = [ast];
+
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (!node || typeof node.type !== 'string') continue;
+
+      const nodeKeys = keys[node.type] || (keys[node.type] = new Set());
+      for (const key of Object.keys(node)) {
+        if (NON_CHILD_KEYS.has(key)) continue;
+        const value = node[key];
+        if (Array.isArray(value)) {
+          const children = value.filter(child => child && typeof child.type === 'string');
+          if (children.length > 0) {
+            nodeKeys.add(key);
+            stack.push(...children);
+          }
+        } else if (value && typeof value.type === 'string') {
+          nodeKeys.add(key);
+          stack.push(value);
+        }
+      }
+    }
+
+    return Object.fromEntries(
+      Object.entries(keys).map(([type, set]) => [type, Array.from(set)])
+    );
+  }
+
+  /**
+   * Find all nodes matching a selector
+   * @param {object} ast - AST returned by parse()
+   * @param {string} content - The source the AST was parsed from
+   * @param {string} selector - esquery selector
+   * @returns {Array<{snippet: string, line: number, column: number, start: number, end: number}>}
+   */
+  match(ast, content, selector) {
+    if (!ast) return [];
+
+    if (!ast.visitorKeys) {
+      // Cache on the AST so multiple constraints share one pre-walk
+      Object.defineProperty(ast, 'visitorKeys', { value: this.collectVisitorKeys(ast) });
+    }
+
+    const nodes = esquery.match(ast, this.getSelector(selector), { visitorKeys: ast.visitorKeys });
+
+    return nodes.map(node => ({
+      snippet: content.slice(node.start, node.end),
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1, // 1-based like editors
+      start: node.start,
+      end: node.end
+    }));
+  }
+}
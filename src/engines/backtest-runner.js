@@ -0,0 +1,321 @@
+import { readFileSync, readdirSync, statSync } from 'fs';
+import { join, extname } from 'path';
+import { parse } from 'yaml';
+import { ConstraintEngine } from './constraint-engine.js';
+import { TranscriptParser } from '../utils/transcript-parser.js';
+import { buildToolContent, constraintAppliesToCall } from '../hooks/tool-content.js';
+
+// Longest prompt or tool call text shown in a report line
+const MAX_EXCERPT_LENGTH = 80;
+// Events listed per section of the text report; the JSON report has all of them
+const MAX_LISTED_EVENTS = 20;
+
+const DEFAULT_BLOCKING_LEVELS = ['critical', 'error'];
+
+/**
+ * Transcript backtests
+ *
+ * Replays the prompts and tool calls of recorded sessions (see TranscriptParser)
+ * through two constraint sets, the current one and a candidate, and reports the
+ * differences: calls the candidate would block or warn on that the current set
+ * lets through, and the other way round, with counts per constraint.
+ *
+ * Events are checked the way the pre-tool and prompt hooks check them: the same
+ * content, `tool_filter` and `file_pattern`, and each side's own
+ * `enforcement.blocking_levels` and constraint `mode`. A violation that doesn't
+ * block is a warning; shadow constraints do neither.
+ * What depends on the live session is left out: edits are checked as their new
+ * content rather than the edited file, overrides and active skills don't apply,
+ * and workflow, post-edit and tool result constraints aren't replayed.
+ */
+export class BacktestRunner {
+  /**
+   * @param {object} baseline - `{file, engine, blockingLevels}` of the current constraint set
+   * @param {object} candidate - Same for the constraint set to evaluate
+   * @param {TranscriptParser} [parser]
+   */
+  constructor(baseline, candidate, parser = TranscriptParser.load()) {
+    this.baseline = baseline;
+    this.candidate = candidate;
+    this.parser = parser;
+  }
+
+  /**
+   * Runner for a candidate constraint file against the current one
+   * @param {object} options
+   * @param {string} options.candidate - Constraint YAML file to evaluate
+   * @param {string} [options.baseline] - Defaults to the project config, or constraints.yaml
+   * @param {object} [options.configManager] - Used to find the baseline and validate both files
+   * @returns {Promise<BacktestRunner>}
+   */
+  static async load({ baseline, candidate, configManager } = {}) {
+    if (!candidate) {
+      throw new Error('A candidate constraint file is required');
+    }
+    if (!configManager) {
+      const { ConfigManager } = await import('../utils/config-manager.js');
+      configManager = new ConfigManager();
+    }
+    if (!baseline) {
+      const { fileURLToPath } = await import('url');
+      baseline = configManager.findProjectConfig() || fileURLToPath(new URL('../../constraints.yaml', import.meta.url));
+    }
+
+    return new BacktestRunner(
+      await loadSide(baseline, configManager),
+      await loadSide(candidate, configManager)
+    );
+  }
+
+  /**
+   * Transcript files in the given files and directories, directories searched recursively
+   * @param {string[]} paths
+   * @returns {string[]}
+   */
+  static findTranscripts(paths) {
+    const files = [];
+    for (const path of paths) {
+      if (statSync(path).isDirectory()) {
+        const entries = readdirSync(path).sort().map(entry => join(path, entry));
+        files.push(...BacktestRunner.findTranscripts(entries.filter(entry => statSync(entry).isDirectory() || extname(entry) === '.jsonl')));
+      } else {
+        files.push(path);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Replay transcripts through both constraint sets
+   * @param {string[]} files - Transcript files (.jsonl)
+   * @returns {Promise<object>} - Report, see formatReport()
+   */
+  async replay(files) {
+    const report = {
+      baseline: this.baseline.file,
+      candidate: this.candidate.file,
+      transcripts: 0,
+      unrecognized: [],
+      events: { prompts: 0, tool_calls: 0 },
+      totals: {
+        baseline: { blocked: 0, warned: 0, passed: 0 },
+        candidate: { blocked: 0, warned: 0, passed: 0 }
+      },
+      new_blocks: [],
+      removed_blocks: [],
+      new_warnings: [],
+      removed_warnings: [],
+      constraints: {},
+      constraints_added: idsOnlyIn(this.candidate.engine, this.baseline.engine),
+      constraints_removed: idsOnlyIn(this.baseline.engine, this.candidate.engine),
+      not_replayed: [...new Set([...notReplayed(this.baseline.engine), ...notReplayed(this.candidate.engine)])]
+    };
+
+    for (const file of files) {
+      const transcript = this.parser.parseFile(file);
+      if (!transcript.format) {
+        report.unrecognized.push(file);
+        continue;
+      }
+      report.transcripts++;
+
+      for (const event of transcript.events) {
+        report.events[event.kind === 'prompt' ? 'prompts' : 'tool_calls']++;
+        const before = await this.checkEvent(this.baseline, event);
+        const after = await this.checkEvent(this.candidate, event);
+        this.record(report, transcript, event, before, after);
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Outcome of an event under one constraint set
+   * @returns {Promise<{decision: 'block'|'warn'|'pass', blocked: string[], warned: string[]}>}
+   */
+  async checkEvent(side, event) {
+    let options;
+    let call = {};
+
+    if (event.kind === 'prompt') {
+      options = { content: event.text, type: 'prompt' };
+    } else {
+      const { content, sourceContent } = buildToolContent(event.tool, event.input);
+      call = { toolName: event.tool, filePath: event.input.file_path };
+      options = {
+        content,
+        type: 'tool_call',
+        filePath: call.filePath,
+        sourceContent,
+        command: event.tool === 'Bash' ? event.input.command : undefined
+      };
+    }
+
+    const result = await side.engine.checkConstraints({ ...options, semanticValidation: false });
+    // Shadow constraints are never shown to the agent, so they neither block nor warn
+    const violations = result.violations.filter(violation => {
+      const constraint = side.engine.constraints.get(violation.constraint_id);
+      return !constraint || (constraint.mode !== 'shadow' && constraintAppliesToCall(constraint, call));
+    });
+    const blocks = violation => side.blockingLevels.includes(violation.severity) &&
+      side.engine.constraints.get(violation.constraint_id)?.mode !== 'warn';
+
+    const blocked = violations.filter(v => blocks(v)).map(v => v.constraint_id);
+    const warned = violations.filter(v => !blocks(v)).map(v => v.constraint_id);
+    return {
+      decision: blocked.length > 0 ? 'block' : warned.length > 0 ? 'warn' : 'pass',
+      blocked,
+      warned
+    };
+  }
+
+  record(report, transcript, event, before, after) {
+    for (const [name, outcome] of [['baseline', before], ['candidate', after]]) {
+      report.totals[name][outcome.decision === 'block' ? 'blocked' : outcome.decision === 'warn' ? 'warned' : 'passed']++;
+
+      for (const [kind, ids] of [['blocked', outcome.blocked], ['warned', outcome.warned]]) {
+        for (const id of ids) {
+          report.constraints[id] ??= {
+            baseline: { blocked: 0, warned: 0 },
+            candidate: { blocked: 0, warned: 0 }
+          };
+          report.constraints[id][name][kind]++;
+        }
+      }
+    }
+
+    const entry = {
+      transcript: transcript.source,
+      session_id: transcript.session_id,
+      line: event.line,
+      timestamp: event.timestamp,
+      kind: event.kind,
+      tool: event.tool ?? null,
+      excerpt: excerpt(event)
+    };
+
+    if (after.decision === 'block' && before.decision !== 'block') {
+      report.new_blocks.push({ ...entry, constraints: after.blocked, baseline: before.decision });
+    } else if (before.decision === 'block' && after.decision !== 'block') {
+      report.removed_blocks.push({ ...entry, constraints: before.blocked, candidate: after.decision });
+    } else if (after.decision === 'warn' && before.decision === 'pass') {
+      report.new_warnings.push({ ...entry, constraints: after.warned });
+    } else if (before.decision === 'warn' && after.decision === 'pass') {
+      report.removed_warnings.push({ ...entry, constraints: before.warned });
+    }
+  }
+
+  async close() {
+    await this.baseline.engine.close();
+    await this.candidate.engine.close();
+  }
+
+  /**
+   * Human-readable diff of a replay
+   * @param {object} report - Result of replay()
+   * @returns {string}
+   */
+  static formatReport(report) {
+    const lines = [
+      `Backtest of ${report.candidate} against ${report.baseline}`,
+      `${plural(report.transcripts, 'transcript')}: ${plural(report.events.prompts, 'prompt')}, ${plural(report.events.tool_calls, 'tool call')}`
+    ];
+    if (report.unrecognized.length > 0) {
+      lines.push(`ℹ️ ${report.unrecognized.length} file${report.unrecognized.length === 1 ? ' is' : 's are'} not in a known transcript format: ${report.unrecognized.join(', ')}`);
+    }
+
+    const { baseline, candidate } = report.totals;
+    lines.push('');
+    lines.push(`            blocked  warned  passed`);
+    lines.push(`baseline    ${pad(baseline.blocked)}  ${pad(baseline.warned)}  ${pad(baseline.passed)}`);
+    lines.push(`candidate   ${pad(candidate.blocked)}  ${pad(candidate.warned)}  ${pad(candidate.passed)}`);
+
+    const sections = [
+      ['🛑 New blocks', report.new_blocks],
+      ['✅ Removed blocks', report.removed_blocks],
+      ['⚠️ New warnings', report.new_warnings],
+      ['➖ Removed warnings', report.removed_warnings]
+    ];
+    for (const [title, entries] of sections) {
+      if (entries.length === 0) continue;
+      lines.push('', `${title} (${entries.length}):`);
+      for (const entry of entries.slice(0, MAX_LISTED_EVENTS)) {
+        lines.push(`  ${entry.transcript}:${entry.line} [${entry.constraints.join(', ')}] ${entry.excerpt}`);
+      }
+      if (entries.length > MAX_LISTED_EVENTS) {
+        lines.push(`  … ${entries.length - MAX_LISTED_EVENTS} more (see --json)`);
+      }
+    }
+
+    const changed = Object.entries(report.constraints)
+      .filter(([, counts]) => counts.baseline.blocked !== counts.candidate.blocked || counts.baseline.warned !== counts.candidate.warned)
+      .sort(([a], [b]) => a.localeCompare(b));
+    if (changed.length > 0) {
+      lines.push('', 'Per constraint (blocked/warned, baseline → candidate):');
+      for (const [id, counts] of changed) {
+        lines.push(`  ${id}: ${counts.baseline.blocked}/${counts.baseline.warned} → ${counts.candidate.blocked}/${counts.candidate.warned}`);
+      }
+    }
+
+    if (report.constraints_added.length > 0) {
+      lines.push('', `Added constraints: ${report.constraints_added.join(', ')}`);
+    }
+    if (report.constraints_removed.length > 0) {
+      lines.push('', `Removed constraints: ${report.constraints_removed.join(', ')}`);
+    }
+    if (report.not_replayed.length > 0) {
+      lines.push('', `ℹ️ Not replayed (workflow, post-edit and tool result checks): ${report.not_replayed.join(', ')}`);
+    }
+
+    const unchanged = report.new_blocks.length + report.removed_blocks.length + report.new_warnings.length + report.removed_warnings.length === 0;
+    lines.push('', unchanged ? '✅ No differences in what is blocked or warned on' : `${plural(report.new_blocks.length, 'new block')}, ${plural(report.removed_blocks.length, 'removed block')}`);
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Engine and blocking levels of a constraint file; only the constraints are loaded, no databases
+ */
+async function loadSide(file, configManager) {
+  const data = parse(readFileSync(file, 'utf8')) || {};
+  const constraints = configManager.loadValidatedConstraints(file);
+  const engine = new ConstraintEngine({ getConstraints: () => constraints });
+  await engine.loadConstraintsFromConfig();
+  return {
+    file,
+    engine,
+    blockingLevels: data.enforcement?.blocking_levels || DEFAULT_BLOCKING_LEVELS
+  };
+}
+
+function idsOnlyIn(engine, other) {
+  return [...engine.constraints.keys()].filter(id => !other.constraints.has(id));
+}
+
+function notReplayed(engine) {
+  return [...engine.constraints.entries()]
+    .filter(([, constraint]) => constraint.enabled && (constraint.type === 'workflow' || constraint.validation_type))
+    .map(([id]) => id);
+}
+
+function excerpt(event) {
+  let text;
+  if (event.kind === 'prompt') {
+    text = event.text;
+  } else if (event.tool === 'Bash') {
+    text = `Bash: ${event.input.command ?? ''}`;
+  } else {
+    text = event.input.file_path ? `${event.tool} ${event.input.file_path}` : `${event.tool} ${JSON.stringify(event.input)}`;
+  }
+  const line = text.replace(/\s+/g, ' ').trim();
+  return line.length > MAX_EXCERPT_LENGTH ? `${line.slice(0, MAX_EXCERPT_LENGTH - 1)}…` : line;
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function pad(count) {
+  return String(count).padStart(7);
+}
@@ -0,0 +1,194 @@
+import { TextLocator } from '../utils/text-locator.js';
+
+const NODE_KINDS = ['pattern', 'all', 'any', 'not'];
+
+/**
+ * Condition tree of a `type: composite` constraint
+ *
+ * Leaves are regexes; `all`, `any` and `not` combine them, and a child of `all`
+ * with `within_lines` only counts near the matches of its siblings:
+ *
+ *   all:
+ *     - pattern: \bpassword\b            # reported matches
+ *     - pattern: "['\"][^'\"]{8,}['\"]"  # ...with a string literal within 3 lines
+ *       within_lines: 3
+ *     - not: { pattern: "@generated" }   # ...in text without @generated
+ *
+ * The children of `all` without `not` or `within_lines` are its anchors: every
+ * one must match, and their matches are the matches of the `all`. `not` without
+ * `within_lines` rules out the whole text; with it, it drops the anchor matches
+ * that have a match of its condition nearby. `any` matches where any child does.
+ *
+ * Leaves are matched by the regex worker like any other pattern (see
+ * PatternIndex); evaluate() only combines their match spans.
+ */
+export class CompositeCondition {
+  /**
+   * @param {object} condition - The constraint's `condition`
+   * @throws {Error} if the condition is malformed (see validate())
+   */
+  constructor(condition) {
+    const problem = CompositeCondition.validate(condition);
+    if (problem) {
+      throw new Error(`${formatPath(['condition', ...problem.path])}: ${problem.message}`);
+    }
+
+    // Regex leaves in document order; evaluate() takes their spans in this order
+    this.leaves = [];
+    this.root = this.compile(condition, []);
+  }
+
+  compile(node, path) {
+    if (node.pattern !== undefined) {
+      this.leaves.push({ pattern: node.pattern, flags: node.flags, path });
+      return { leaf: this.leaves.length - 1 };
+    }
+    if (node.any) {
+      return { any: node.any.map((child, index) => this.compile(child, [...path, 'any', index])) };
+    }
+
+    const anchors = [];
+    const filters = [];
+    node.all.forEach((child, index) => {
+      const childPath = [...path, 'all', index];
+      const negated = child.not !== undefined;
+      const compiled = negated ? this.compile(child.not, [...childPath, 'not']) : this.compile(child, childPath);
+
+      if (!negated && child.within_lines === undefined) {
+        anchors.push(compiled);
+      } else {
+        filters.push({ node: compiled, negated, lines: child.within_lines ?? null });
+      }
+    });
+    return { anchors, filters };
+  }
+
+  /**
+   * Combine the leaf matches into the condition's matches
+   * @param {Array<Array<{start: number, end: number}>>} leafSpans - Matches per leaf, in `leaves` order
+   * @param {string} text - The text the spans refer to, for line distances
+   * @returns {Array<object>} - Anchor spans, sorted; empty if the condition doesn't hold
+   */
+  evaluate(leafSpans, text) {
+    let locator = null;
+    const lineRange = (span) => {
+      locator ||= new TextLocator(text);
+      return [locator.position(span.start).line, locator.position(Math.max(span.start, span.end - 1)).line];
+    };
+
+    const visit = (node) => {
+      if (node.leaf !== undefined) {
+        return leafSpans[node.leaf] || [];
+      }
+      if (node.any) {
+        return mergeSpans(node.any.map(visit));
+      }
+
+      const anchorSpans = node.anchors.map(visit);
+      if (anchorSpans.some(spans => spans.length === 0)) {
+        return [];
+      }
+
+      let spans = mergeSpans(anchorSpans);
+      for (const filter of node.filters) {
+        if (spans.length === 0) break;
+        const others = visit(filter.node);
+
+        if (filter.lines === null) {
+          // A `not` anywhere in the text
+          if (others.length > 0) return [];
+          continue;
+        }
+
+        const otherRanges = others.map(lineRange);
+        spans = spans.filter(span => {
+          const [first, last] = lineRange(span);
+          const near = otherRanges.some(([otherFirst, otherLast]) => otherFirst - last <= filter.lines && first - otherLast <= filter.lines);
+          return near !== filter.negated;
+        });
+      }
+      return spans;
+    };
+
+    return visit(this.root);
+  }
+
+  /**
+   * First structural problem of a condition, or null
+   * The schema checks types; this checks how nodes combine.
+   * @param {*} condition
+   * @returns {{path: Array<string|number>, message: string}|null} - path relative to `condition`
+   */
+  static validate(condition) {
+    return validateNode(condition, [], null);
+  }
+}
+
+function validateNode(node, path, parent) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    return { path, message: 'must be an object with one of: pattern, all, any, not' };
+  }
+
+  const kinds = NODE_KINDS.filter(kind => node[kind] !== undefined);
+  if (kinds.length !== 1) {
+    return {
+      path,
+      message: kinds.length === 0
+        ? 'needs one of: pattern, all, any, not'
+        : `has ${kinds.map(kind => `"${kind}"`).join(' and ')}; use one per condition and combine them with "all" or "any"`
+    };
+  }
+
+  const [kind] = kinds;
+  if (parent !== 'all') {
+    if (kind === 'not') {
+      return { path, message: '"not" is only allowed directly inside "all", next to a condition it narrows' };
+    }
+    if (node.within_lines !== undefined) {
+      return { path, message: '"within_lines" is only allowed directly inside "all"' };
+    }
+  }
+  if (node.within_lines !== undefined && !(Number.isInteger(node.within_lines) && node.within_lines >= 0)) {
+    return { path: [...path, 'within_lines'], message: 'must be a whole number of lines, 0 for the same line' };
+  }
+  if (node.flags !== undefined && kind !== 'pattern') {
+    return { path: [...path, 'flags'], message: '"flags" belongs next to a "pattern"' };
+  }
+
+  switch (kind) {
+    case 'pattern':
+      return typeof node.pattern === 'string' && node.pattern.length > 0
+        ? null
+        : { path: [...path, 'pattern'], message: 'must be a non-empty string' };
+
+    case 'not':
+      return validateNode(node.not, [...path, 'not'], 'not');
+
+    default: {
+      const children = node[kind];
+      if (!Array.isArray(children) || children.length === 0) {
+        return { path: [...path, kind], message: 'must be a non-empty list of conditions' };
+      }
+      for (let index = 0; index < children.length; index++) {
+        const problem = validateNode(children[index], [...path, kind, index], kind);
+        if (problem) return problem;
+      }
+      if (kind === 'all' && !children.some(child => child.not === undefined && child.within_lines === undefined)) {
+        return { path: [...path, kind], message: 'needs a condition without "not" or "within_lines" whose matches are reported' };
+      }
+      return null;
+    }
+  }
+}
+
+/**
+ * Union of span lists, sorted by position without duplicates
+ */
+function mergeSpans(spanLists) {
+  const merged = spanLists.flat().sort((a, b) => a.start - b.start || a.end - b.end);
+  return merged.filter((span, index) => index === 0 || span.start !== merged[index - 1].start || span.end !== merged[index - 1].end);
+}
+
+function formatPath(segments) {
+  return segments.reduce((path, segment) => typeof segment === 'number' ? `${path}[${segment}]` : `${path}.${segment}`);
+}
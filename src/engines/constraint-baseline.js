@@ -0,0 +1,208 @@
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname, relative, isAbsolute, normalize } from 'path';
+import { createHash } from 'crypto';
+import { logger } from '../utils/logger.js';
+
+const BASELINE_VERSION = 1;
+const FINGERPRINT_LENGTH = 16;
+
+/**
+ * Violations that existed when a project adopted its constraints, and are not reported
+ *
+ * The baseline file (.constraint-baseline.json, in the project root) lists
+ * fingerprints: a hash of the constraint id, the file path relative to the root
+ * and the matched text with its whitespace collapsed. Line numbers are left out,
+ * so code moving around doesn't bring a grandfathered violation back; changing the
+ * matched text does. Each entry has a `count`: a file can keep that many matches
+ * with the fingerprint, and the ones beyond it are reported.
+ *
+ *   { "version": 1, "entries": [
+ *     { "fingerprint": "3f2a…", "constraint_id": "no-console-log", "file_path": "src/app.js", "count": 2 } ] }
+ *
+ * A baseline only ever shrinks on its own: prune() drops what has been fixed.
+ * Adding violations takes regenerating it with update().
+ */
+export class ConstraintBaseline {
+  /**
+   * @param {object} options
+   * @param {string} options.root - Directory file paths are relative to
+   * @param {string} [options.file] - Where the baseline is saved
+   * @param {Array<object>} [options.entries]
+   */
+  constructor({ root, file = null, entries = [] }) {
+    this.root = root;
+    this.file = file;
+    this.entries = new Map(entries.map(entry => [entry.fingerprint, { ...entry }]));
+    this.seen = null;
+  }
+
+  /**
+   * The baseline in a file, rooted in the file's directory
+   * @param {string} [file]
+   * @returns {ConstraintBaseline|null} - null when there is no file, or it can't be read
+   */
+  static load(file) {
+    if (!file || !existsSync(file)) {
+      return null;
+    }
+    try {
+      const data = JSON.parse(readFileSync(file, 'utf8'));
+      if (!Array.isArray(data.entries)) {
+        throw new Error('no entries');
+      }
+      const baseline = new ConstraintBaseline({ root: dirname(file), file, entries: data.entries });
+      logger.info(`Loaded violation baseline ${file} (${baseline.entries.size} fingerprints)`);
+      return baseline;
+    } catch (error) {
+      logger.warn(`Ignoring violation baseline ${file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} constraintId
+   * @param {string} filePath - Relative to the baseline root, with forward slashes
+   * @param {string} snippet - Matched text
+   * @returns {string}
+   */
+  static fingerprint(constraintId, filePath, snippet) {
+    const text = String(snippet ?? '').replace(/\s+/g, ' ').trim();
+    return createHash('sha256')
+      .update([constraintId, filePath, text].join('\0'))
+      .digest('hex')
+      .slice(0, FINGERPRINT_LENGTH);
+  }
+
+  /**
+   * A file's path relative to the root, or null when it is outside of it
+   * Relative paths are taken as relative to the root already.
+   */
+  relativePath(filePath) {
+    if (!filePath) {
+      return null;
+    }
+    const path = isAbsolute(filePath) ? relative(this.root, filePath) : normalize(filePath);
+    if (path === '' || path.startsWith('..') || isAbsolute(path)) {
+      return null;
+    }
+    return path.replace(/\\/g, '/');
+  }
+
+  /**
+   * Record the matches filter() sees from now on, for update() and prune()
+   */
+  track() {
+    this.seen = new Map();
+    return this;
+  }
+
+  /**
+   * Split a constraint's matches in a file into baselined ones and the rest
+   * Of the matches with a fingerprint, the first `count` are baselined.
+   * @param {string} constraintId
+   * @param {string} filePath
+   * @param {Array<{snippet: string}>} matchSpans
+   * @returns {{remaining: Array<object>, baselined: Array<object>}}
+   */
+  filter(constraintId, filePath, matchSpans) {
+    const path = this.relativePath(filePath);
+    if (!path) {
+      return { remaining: matchSpans, baselined: [] };
+    }
+
+    const remaining = [];
+    const baselined = [];
+    const used = new Map();
+
+    for (const match of matchSpans) {
+      const fingerprint = ConstraintBaseline.fingerprint(constraintId, path, match.snippet);
+      const count = (used.get(fingerprint) || 0) + 1;
+      used.set(fingerprint, count);
+
+      if (count <= (this.entries.get(fingerprint)?.count || 0)) {
+        baselined.push(match);
+      } else {
+        remaining.push(match);
+      }
+
+      if (this.seen) {
+        const seen = this.seen.get(fingerprint) || { fingerprint, constraint_id: constraintId, file_path: path, count: 0 };
+        seen.count++;
+        this.seen.set(fingerprint, seen);
+      }
+    }
+
+    return { remaining, baselined };
+  }
+
+  /**
+   * Replace the entries of the scanned files with the matches seen in them
+   * Entries of files that weren't scanned are kept while the files exist.
+   * @param {string[]} scannedFiles - Paths relative to the root
+   * @returns {{added: number, removed: number}} - Matches added to and removed from the baseline
+   */
+  update(scannedFiles) {
+    return this.replaceScanned(scannedFiles, () => Array.from(this.seen?.values() || []));
+  }
+
+  /**
+   * Drop what has been fixed in the scanned files, never adding anything
+   * An entry's count goes down to the matches still seen, and entries without
+   * matches are removed, as are entries of files that no longer exist.
+   * @param {string[]} scannedFiles - Paths relative to the root
+   * @returns {{added: number, removed: number}}
+   */
+  prune(scannedFiles) {
+    return this.replaceScanned(scannedFiles, scanned => scanned
+      .map(entry => ({ ...entry, count: Math.min(entry.count, this.seen?.get(entry.fingerprint)?.count || 0) }))
+      .filter(entry => entry.count > 0));
+  }
+
+  replaceScanned(scannedFiles, replacementFor) {
+    const scannedSet = new Set(scannedFiles);
+    const before = this.totalCount();
+    const scanned = [];
+    const kept = [];
+
+    for (const entry of this.entries.values()) {
+      if (scannedSet.has(entry.file_path)) {
+        scanned.push(entry);
+      } else if (existsSync(join(this.root, entry.file_path))) {
+        kept.push(entry);
+      }
+    }
+
+    const replacement = replacementFor(scanned);
+    this.entries = new Map([...kept, ...replacement].map(entry => [entry.fingerprint, { ...entry }]));
+
+    const previous = new Map(scanned.map(entry => [entry.fingerprint, entry.count]));
+    const added = replacement.reduce((sum, entry) => sum + Math.max(0, entry.count - (previous.get(entry.fingerprint) || 0)), 0);
+    return { added, removed: before - (this.totalCount() - added) };
+  }
+
+  totalCount() {
+    let total = 0;
+    for (const entry of this.entries.values()) {
+      total += entry.count;
+    }
+    return total;
+  }
+
+  toJSON() {
+    const entries = Array.from(this.entries.values())
+      .map(({ fingerprint, constraint_id, file_path, count }) => ({ fingerprint, constraint_id, file_path, count }))
+      .sort((a, b) => a.file_path.localeCompare(b.file_path)
+        || a.constraint_id.localeCompare(b.constraint_id)
+        || a.fingerprint.localeCompare(b.fingerprint));
+    return { version: BASELINE_VERSION, entries };
+  }
+
+  /**
+   * Write the baseline, sorted so that regenerating it gives small diffs
+   * @param {string} [file] - Defaults to the file it was loaded from
+   */
+  save(file = this.file) {
+    writeFileSync(file, `${JSON.stringify(this, null, 2)}\n`);
+    this.file = file;
+  }
+}
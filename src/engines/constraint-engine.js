@@ -1,19 +1,59 @@
 import { logger } from '../utils/logger.js';
 import { QdrantDatabase } from '../databases/qdrant-client.js';
 import { DuckDBAnalytics } from '../databases/duckdb-client.js';
+import { ViolationRepository } from '../databases/violation-repository.js';
+import { OverrideRepository } from '../databases/override-repository.js';
+import { SessionHistoryRepository } from '../databases/session-history-repository.js';
+import { FeedbackRepository } from '../databases/feedback-repository.js';
+import { ShadowCheckRepository } from '../databases/shadow-check-repository.js';
 import { SemanticValidator } from './semantic-validator.js';
-import fs from 'fs';
-import path from 'path';
+import { AstMatcher } from './ast-matcher.js';
+import { FixGenerator } from './fix-generator.js';
+import { SuppressionParser } from './suppression-parser.js';
+import { OverrideManager } from './override-manager.js';
+import { WorkflowMonitor } from './workflow-monitor.js';
+import { PostEditValidator } from './post-edit-validator.js';
+import { ToolResultChecker } from './tool-result-checker.js';
+import { FeedbackTracker } from './feedback-tracker.js';
+import { RegexRunner, DEFAULT_REGEX_TIMEOUT_MS } from './regex-runner.js';
+import { PatternIndex } from './pattern-index.js';
+import { CompositeCondition } from './composite-condition.js';
+import { ShellMatcher } from './shell-matcher.js';
+import { ConstraintBaseline } from './constraint-baseline.js';
+import { analyzeRegex } from '../utils/regex-safety.js';
+import { TextLocator } from '../utils/text-locator.js';
+import { calculateComplianceScore } from '../utils/compliance.js';
+
+// Per-violation cap on reported match locations (the match count is not capped)
+const MAX_REPORTED_LOCATIONS = 20;
+
+// Default window for the violation history improvement trend
+const DEFAULT_TREND_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Relative change in violation count below which the trend counts as stable
+const TREND_THRESHOLD = 0.1;
 
 export class ConstraintEngine {
   constructor(configManager) {
     this.configManager = configManager; // Use the provided ConfigManager
     this.constraints = new Map();
-    this.violations = [];
     this.qdrant = null;
     this.analytics = null;
+    this.violationRepository = null;
+    this.overrideManager = null;
+    this.workflowMonitor = null;
+    this.feedbackTracker = null;
+    this.shadowCheckRepository = null;
     this.fileWatcher = null;
     this.semanticValidator = null; // Initialized lazily to avoid startup overhead
+    this.astMatcher = new AstMatcher();
+    this.shellMatcher = new ShellMatcher();
+    this.fixGenerator = new FixGenerator();
+    this.suppressionParser = new SuppressionParser();
+    this.postEditValidator = new PostEditValidator();
+    this.regexRunner = null; // Worker thread, started on the first regex check
+    this.patternIndex = null; // Compiled patterns, built on the first regex check
+    this.baseline = null; // Grandfathered violations, see ConstraintBaseline
   }
 
   async initialize() {
@@ -45,6 +85,50 @@ export class ConstraintEngine {
         logger.warn('Analytics database not available:', error.message);
       }
 
+      try {
+        this.violationRepository = new ViolationRepository({
+          path: this.configManager.get?.('databases.violations.path')
+        });
+        await this.violationRepository.initialize();
+
+        // Overrides share the violation database
+        const overrideRepository = new OverrideRepository({ database: this.violationRepository.database });
+        await overrideRepository.initialize();
+        this.overrideManager = new OverrideManager({
+          repository: overrideRepository,
+          settings: this.configManager.getOverrideSettings?.(),
+          getConstraint: id => this.constraints.get(id)
+        });
+
+        // So does the tool-call history workflow constraints are checked against
+        const sessionHistoryRepository = new SessionHistoryRepository({ database: this.violationRepository.database });
+        await sessionHistoryRepository.initialize();
+        this.workflowMonitor = new WorkflowMonitor({
+          repository: sessionHistoryRepository,
+          settings: this.configManager.getWorkflowSettings?.(),
+          getConstraints: call => this.getWorkflowConstraints(call)
+        });
+
+        // And what came of the violations the post-tool hook fed back
+        const feedbackRepository = new FeedbackRepository({ database: this.violationRepository.database });
+        await feedbackRepository.initialize();
+        this.feedbackTracker = new FeedbackTracker({
+          repository: feedbackRepository,
+          settings: this.configManager.getFeedbackSettings?.()
+        });
+
+        // And how often shadow constraints would have blocked
+        this.shadowCheckRepository = new ShadowCheckRepository({ database: this.violationRepository.database });
+        await this.shadowCheckRepository.initialize();
+      } catch (error) {
+        logger.warn('Violation history database not available:', error.message);
+        this.violationRepository = null;
+        this.overrideManager = null;
+        this.workflowMonitor = null;
+        this.feedbackTracker = null;
+        this.shadowCheckRepository = null;
+      }
+
       logger.info('Constraint Engine initialized with', this.constraints.size, 'constraints');
     } catch (error) {
       logger.error('Failed to initialize Constraint Engine:', error);
@@ -55,12 +139,15 @@ export class ConstraintEngine {
   async loadConstraintsFromConfig() {
     // Load constraints from YAML configuration via ConfigManager
     const constraints = this.configManager.getConstraints();
+    this.patternIndex = null;
+    this.postEditValidator.configurePlugins(this.configManager.getPostEditSettings?.().plugins);
+    this.baseline = ConstraintBaseline.load(this.configManager.getBaselinePath?.());
     
     logger.info(`Loading ${constraints.length} constraints from configuration`);
     
     for (const constraint of constraints) {
       // Validate constraint structure
-      if (!constraint.id || !constraint.pattern || !constraint.message) {
+      if (!this.isValidConstraint(constraint)) {
         logger.warn('Invalid constraint definition:', constraint);
         continue;
       }
@@ -68,7 +155,10 @@ export class ConstraintEngine {
       // Set defaults for missing properties
       constraint.severity = constraint.severity || 'warning';
       constraint.enabled = constraint.enabled !== false; // Default to true
+      constraint.mode = constraint.mode || 'enforce';
       constraint.suggestion = constraint.suggestion || '';
+      this.validateConstraintFix(constraint);
+      this.warnIfUnsafePattern(constraint);
       
       // Store in constraints map
       this.constraints.set(constraint.id, constraint);
@@ -80,6 +170,75 @@ export class ConstraintEngine {
     logger.info(`Constraint loading complete: ${this.constraints.size} total, ${enabledCount} enabled`);
   }
 
+  /**
+   * Check that a constraint has an id, a message and something to match with:
+   * a regex `pattern`, a `selector` for `type: ast`, a `condition` for `type: composite`,
+   * a `workflow` rule for `type: workflow`, a `shell` rule for `type: shell`, a usable
+   * `check_type` for post-edit checks
+   * or the conditions of a tool result check
+   */
+  isValidConstraint(constraint) {
+    if (!constraint.id || !constraint.message) {
+      return false;
+    }
+    if (constraint.validation_type === 'post_file_edit') {
+      return this.postEditValidator.validateConstraint(constraint) === null;
+    }
+    if (constraint.validation_type === 'post_tool_result') {
+      return ToolResultChecker.validateConstraint(constraint) === null;
+    }
+    if (constraint.type === 'ast') {
+      return typeof constraint.selector === 'string' && constraint.selector.length > 0;
+    }
+    if (constraint.type === 'composite') {
+      return CompositeCondition.validate(constraint.condition) === null;
+    }
+    if (constraint.type === 'workflow') {
+      return WorkflowMonitor.validateRule(constraint.workflow) === null;
+    }
+    if (constraint.type === 'shell') {
+      return ShellMatcher.validateRule(constraint.shell) === null;
+    }
+    return !!constraint.pattern;
+  }
+
+  /**
+   * Drop an unusable `fix` block so the constraint still checks, just without a fix
+   */
+  validateConstraintFix(constraint) {
+    if (constraint.fix === undefined) return;
+
+    const fixError = this.fixGenerator.validateFix(constraint.fix);
+    if (fixError) {
+      logger.warn(`Ignoring fix for constraint ${constraint.id}: ${fixError}`);
+      delete constraint.fix;
+    }
+  }
+
+  /**
+   * Static check for patterns that can backtrack catastrophically
+   * They still run, under the regex time budget.
+   */
+  warnIfUnsafePattern(constraint) {
+    if (constraint.type === 'ast' || constraint.type === 'workflow' || constraint.type === 'shell') return;
+
+    if (constraint.validation_type) {
+      if (constraint.output_pattern) {
+        for (const finding of analyzeRegex(constraint.output_pattern, constraint.flags)) {
+          logger.warn(`Constraint ${constraint.id} has an output pattern prone to catastrophic backtracking: ${finding.message}`);
+        }
+      }
+      return;
+    }
+
+    const patterns = constraint.type === 'composite' ? new CompositeCondition(constraint.condition).leaves : [constraint];
+    for (const { pattern, flags } of patterns) {
+      for (const finding of analyzeRegex(pattern, flags)) {
+        logger.warn(`Constraint ${constraint.id} has a pattern prone to catastrophic backtracking: ${finding.message}`);
+      }
+    }
+  }
+
   async reloadConfiguration() {
     try {
       logger.info('Reloading constraint configuration');
@@ -92,6 +251,82 @@ export class ConstraintEngine {
     }
   }
 
+  /**
+   * Release database connections; used by long-lived hosts such as the hook daemon
+   */
+  async close() {
+    await this.regexRunner?.close();
+    this.regexRunner = null;
+    await this.violationRepository?.close();
+    await this.analytics?.close();
+    await this.qdrant?.close();
+    this.violationRepository = null;
+    this.overrideManager = null;
+    this.workflowMonitor = null;
+    this.feedbackTracker = null;
+    this.shadowCheckRepository = null;
+  }
+
+  /**
+   * Whether a constraint's exceptions or whitelist exclude the file
+   */
+  isExcluded(id, constraint, filePath) {
+    // Check if file matches any exception patterns
+    if (constraint.exceptions && Array.isArray(constraint.exceptions)) {
+      for (const exception of constraint.exceptions) {
+        if (this.matchesPath(filePath, exception.path)) {
+          logger.debug(`Skipping constraint ${id} for ${filePath} (matches exception: ${exception.path})`);
+          return true;
+        }
+      }
+    }
+
+    // Check if file matches any whitelist patterns
+    if (constraint.whitelist && Array.isArray(constraint.whitelist)) {
+      for (const whitelistPattern of constraint.whitelist) {
+        if (this.matchesPath(filePath, whitelistPattern)) {
+          logger.debug(`Skipping constraint ${id} for ${filePath} (matches whitelist: ${whitelistPattern})`);
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Enabled workflow constraints whose exceptions and whitelist don't exclude the call's file
+   * @param {{file_path: string|null}} call
+   * @returns {Array<object>}
+   */
+  getWorkflowConstraints(call) {
+    return Array.from(this.constraints.entries())
+      .filter(([id, constraint]) => constraint.type === 'workflow' && constraint.enabled && !this.isExcluded(id, constraint, call.file_path))
+      .map(([, constraint]) => constraint);
+  }
+
+  /**
+   * Check a tool call against the workflow constraints, given the session's earlier calls
+   * @param {string} toolName
+   * @param {object} params - Tool input
+   * @param {object} [context]
+   * @param {string} [context.sessionId]
+   * @returns {Promise<Array<object>>} - Violations; none without the session history database
+   */
+  async checkWorkflow(toolName, params, context = {}) {
+    if (!this.workflowMonitor) {
+      return [];
+    }
+    return this.workflowMonitor.check(WorkflowMonitor.describeCall(toolName, params), context);
+  }
+
+  /**
+   * Add a tool call the hook allowed to the session history
+   */
+  async recordToolCall(toolName, params, context = {}) {
+    await this.workflowMonitor?.record(WorkflowMonitor.describeCall(toolName, params), context);
+  }
+
   /**
    * Lazy initialization of semantic validator
    * Only creates instance when semantic validation is actually needed
@@ -113,65 +348,242 @@ export class ConstraintEngine {
     return this.semanticValidator;
   }
 
+  getRegexRunner() {
+    if (!this.regexRunner) {
+      this.regexRunner = new RegexRunner({
+        timeoutMs: this.configManager?.get?.('constraints.regexTimeoutMs') || DEFAULT_REGEX_TIMEOUT_MS
+      });
+    }
+    return this.regexRunner;
+  }
+
+  /**
+   * Compiled regex constraints, rebuilt after the constraints change
+   * @returns {PatternIndex}
+   */
+  getPatternIndex() {
+    if (!this.patternIndex) {
+      this.patternIndex = new PatternIndex(this.constraints);
+    }
+    return this.patternIndex;
+  }
+
+  /**
+   * Run the regex constraints against their target text in the regex worker
+   * A single literal scan per target first rules out constraints that can't match.
+   * Composite constraints run their regex leaves the same way, then combine them.
+   * @param {Array<[string, object]>} constraints - [id, constraint] pairs to match
+   * @returns {Promise<{matches: Map<string, {regex: RegExp|null, spans: Array<object>}|{error: Error}>,
+   *   diagnostics: Array<object>}>} - timed-out constraints have a diagnostic and no entry
+   */
+  async matchPatterns(constraints, { content, filePath }) {
+    const index = this.getPatternIndex();
+    const matches = new Map();
+    const diagnostics = [];
+    const compiled = [];
+    const entriesByTarget = { content: [], file_path: [] };
+
+    for (const [id] of constraints) {
+      const entry = index.get(id);
+      if (!entry) continue;
+      if (entry.error) {
+        matches.set(id, { error: entry.error });
+      } else {
+        compiled.push(entry);
+        entriesByTarget[entry.appliesTo].push(...(entry.leaves || [entry]));
+      }
+    }
+
+    // Check if constraint should apply to file path only (not content)
+    const targets = { content, file_path: filePath || '' };
+    const runner = this.getRegexRunner();
+    const results = new Map();
+    for (const [appliesTo, entries] of Object.entries(entriesByTarget)) {
+      if (entries.length === 0) continue;
+
+      const candidates = index.screen(targets[appliesTo], appliesTo, entries);
+      for (const entry of entries) {
+        results.set(entry, { spans: [] });
+      }
+      if (candidates.length === 0) continue;
+
+      const outcomes = await runner.matchAll(targets[appliesTo], candidates.map(({ regex }) => ({ source: regex.source, flags: regex.flags })));
+      outcomes.forEach((outcome, i) => results.set(candidates[i], outcome));
+    }
+
+    for (const entry of compiled) {
+      const { id } = entry;
+      const target = targets[entry.appliesTo];
+      const outcomes = (entry.leaves || [entry]).map(matchable => results.get(matchable));
+      const failed = outcomes.find(outcome => outcome.error);
+
+      if (outcomes.some(outcome => outcome.timedOut)) {
+        logger.warn(`Constraint ${id} timed out after ${runner.timeoutMs}ms on ${target.length} characters and was skipped`);
+        diagnostics.push({
+          type: 'constraint_timeout',
+          constraint_id: id,
+          timeout_ms: runner.timeoutMs,
+          target_length: target.length,
+          message: `Pattern of ${id} did not finish within ${runner.timeoutMs}ms; the constraint was not checked`
+        });
+      } else if (failed) {
+        matches.set(id, { error: new Error(failed.error) });
+      } else if (entry.condition) {
+        matches.set(id, { regex: null, spans: entry.condition.evaluate(outcomes.map(outcome => outcome.spans), target) });
+      } else {
+        matches.set(id, { regex: entry.regex, spans: outcomes[0].spans });
+      }
+    }
+
+    return { matches, diagnostics };
+  }
+
+  /**
+   * Check content against all enabled constraints
+   * @param {object} options
+   * @param {string} options.content - Content to check (regex constraints)
+   * @param {string} options.type - Kind of content (code, prompt, tool_call, ...)
+   * @param {string} [options.filePath] - File the content belongs to
+   * @param {string} [options.sourceContent] - Source code only, without the file path or
+   *   description the hook appends for regex constraints. Used for AST constraints;
+   *   defaults to content.
+   * @param {string} [options.command] - Command line of a Bash tool call, for shell constraints;
+   *   they match nothing without it
+   * @param {string[]} [options.constraintIds] - Only check these constraints, disabled ones included
+   * @param {boolean} [options.semanticValidation=true] - false to trust regex matches without the LLM
+   * @param {ConstraintBaseline|null} [options.baseline] - Baseline to leave out grandfathered matches
+   *   with; defaults to the project's, null reports everything
+   * @returns {Promise<object>} - violations, suppressed, invalid_suppressions, baselined, suggestions,
+   *   compliance, risk and diagnostics (constraint_timeout for patterns that exceeded the regex time budget)
+   */
   async checkConstraints(options) {
     const { content, type, filePath } = options;
+    const sourceContent = options.sourceContent ?? content;
+    const baseline = options.baseline === undefined ? this.baseline : options.baseline;
     const suggestions = [];
+    const suppressed = [];
+    const rejectedSuppressions = [];
+    const baselined = [];
+
+    // Inline suppression comments, parsed once per checked text
+    const suppressionsByText = new Map();
+    const getSuppressions = (text) => {
+      if (!suppressionsByText.has(text)) {
+        suppressionsByText.set(text, this.suppressionParser.parse(text));
+      }
+      return suppressionsByText.get(text);
+    };
+
+    // Parsed lazily, once per check, and shared by all AST constraints
+    let ast;
+    const getAst = () => {
+      if (ast === undefined) {
+        ast = this.astMatcher.parse(sourceContent, filePath);
+      }
+      return ast;
+    };
+
+    // The commands of a Bash call, likewise parsed once for all shell constraints
+    let shellCommands;
+    const getShellCommands = () => {
+      shellCommands ??= this.shellMatcher.describe(options.command);
+      return shellCommands;
+    };
+
+    // Shadow constraints are on trial and don't count towards compliance yet
+    const scoredConstraints = Array.from(this.constraints.values())
+      .filter(constraint => constraint.enabled && constraint.mode !== 'shadow').length;
 
     // Debug logging
     logger.info(`Checking constraints for ${filePath}`, {
       contentLength: content?.length,
-      totalConstraints: this.constraints.size,
+      totalConstraints: scoredConstraints,
       constraintIds: Array.from(this.constraints.keys())
     });
 
-    // Check all constraints in parallel for maximum performance
-    const constraintChecks = Array.from(this.constraints.entries()).map(async ([id, constraint]) => {
-      if (!constraint.enabled) {
+    const selected = options.constraintIds
+      ? Array.from(this.constraints.entries()).filter(([id]) => options.constraintIds.includes(id))
+      : Array.from(this.constraints.entries());
+    const applicable = selected.filter(([id, constraint]) => {
+      // Checked against the session's tool calls, the written file or the tool result
+      // instead, see checkWorkflow(), validatePostFileEdit() and checkToolResult()
+      if (constraint.type === 'workflow' || constraint.validation_type) {
+        return false;
+      }
+      if (!constraint.enabled && !options.constraintIds) {
         logger.debug(`Skipping disabled constraint: ${id}`);
-        return null;
+        return false;
       }
+      return !this.isExcluded(id, constraint, filePath);
+    });
 
-      // Check if file matches any exception patterns
-      if (constraint.exceptions && Array.isArray(constraint.exceptions)) {
-        for (const exception of constraint.exceptions) {
-          if (this.matchesPath(filePath, exception.path)) {
-            logger.debug(`Skipping constraint ${id} for ${filePath} (matches exception: ${exception.path})`);
-            return null;
-          }
-        }
-      }
+    // Regexes run in a worker under a time budget; a runaway pattern can't hang the hook
+    const { matches: patternMatches, diagnostics } = await this.matchPatterns(applicable, { content, filePath });
+
+    // Check all constraints in parallel for maximum performance
+    const constraintChecks = applicable.map(async ([id, constraint]) => {
+      try {
+        // Check if constraint should apply to file path only (not content)
+        const targetText = constraint.applies_to === 'file_path' ? (filePath || '') : content;
+        let matches = null;
+        let matchSpans = [];
+        let locationText = targetText;
+        let regex = null;
 
-      // Check if file matches any whitelist patterns
-      if (constraint.whitelist && Array.isArray(constraint.whitelist)) {
-        for (const whitelistPattern of constraint.whitelist) {
-          if (this.matchesPath(filePath, whitelistPattern)) {
-            logger.debug(`Skipping constraint ${id} for ${filePath} (matches whitelist: ${whitelistPattern})`);
+        if (constraint.type === 'ast') {
+          // Structural match on the parsed JS/TS source - ignores comments and strings
+          matchSpans = this.astMatcher.match(getAst(), sourceContent, constraint.selector);
+          locationText = sourceContent;
+        } else if (constraint.type === 'shell') {
+          // Commands the line actually runs - not text that only mentions them
+          matchSpans = options.command ? this.shellMatcher.match(getShellCommands(), constraint.shell, options.command) : [];
+          locationText = options.command || content;
+          if (matchSpans.some(span => span.unresolved)) {
+            diagnostics.push({
+              type: 'shell_unresolved_command',
+              constraint_id: id,
+              message: `${id} matched a command whose executable could not be resolved, on its flags and arguments alone`
+            });
+          }
+        } else {
+          const patternMatch = patternMatches.get(id);
+          if (!patternMatch) {
+            // Timed out, reported in diagnostics
             return null;
           }
+          if (patternMatch.error) {
+            throw patternMatch.error;
+          }
+          ({ regex, spans: matchSpans } = patternMatch);
         }
-      }
 
-      try {
-        // Extract inline flags from pattern (e.g., (?i) for case-insensitive)
-        let pattern = constraint.pattern;
-        let extractedFlags = '';
-
-        // Check for (?i) inline flag and extract it
-        if (pattern.startsWith('(?i)')) {
-          pattern = pattern.substring(4);
-          extractedFlags += 'i';
+        // Matches covered by an inline suppression become suppressed violations
+        if (matchSpans.length > 0) {
+          const suppression = this.applySuppressions(id, constraint, matchSpans, {
+            locationText,
+            suppressions: getSuppressions(constraint.applies_to === 'file_path' ? content : locationText),
+            filePath
+          });
+          matchSpans = suppression.remaining;
+          suppressed.push(...suppression.suppressed);
+          rejectedSuppressions.push(...suppression.rejected);
         }
 
-        // Build regex flags - always include 'g' for global matching, plus any constraint-specific or extracted flags
-        const flags = 'g' + (constraint.flags || '') + extractedFlags;
-        const regex = new RegExp(pattern, flags);
+        // Matches in the baseline existed before the constraint was adopted
+        if (matchSpans.length > 0 && baseline && filePath) {
+          const grandfathered = baseline.filter(id, filePath, matchSpans);
+          matchSpans = grandfathered.remaining;
+          if (grandfathered.baselined.length > 0) {
+            baselined.push({ constraint_id: id, severity: constraint.severity, file_path: filePath, matches: grandfathered.baselined.length });
+          }
+        }
 
-        // Check if constraint should apply to file path only (not content)
-        const targetText = constraint.applies_to === 'file_path' ? (filePath || '') : content;
-        const matches = targetText.match(regex);
+        if (matchSpans.length > 0) {
+          matches = matchSpans.map(match => match.snippet);
+        }
 
         logger.debug(`Testing constraint ${id}`, {
-          pattern: constraint.pattern,
+          pattern: constraint.pattern || constraint.selector,
           appliesTo: constraint.applies_to || 'content',
           targetLength: targetText?.length,
           matches: matches ? matches.length : 0,
@@ -184,7 +596,7 @@ export class ConstraintEngine {
           let semanticAnalysis = null;
 
           // Level 2: Semantic validation (if enabled for this constraint)
-          if (constraint.semantic_validation) {
+          if (constraint.semantic_validation && options.semanticValidation !== false) {
             const validator = this.ensureSemanticValidator();
 
             if (validator) {
@@ -219,6 +631,10 @@ export class ConstraintEngine {
 
           // Only return violation if confirmed (either by regex-only or semantic validation)
           if (isConfirmedViolation) {
+            const locations = this.locateMatches(locationText, matchSpans);
+            const fix = constraint.fix && constraint.applies_to !== 'file_path'
+              ? this.buildFix(constraint, { content, sourceContent, filePath, matchSpans, regex })
+              : null;
             const violation = {
               constraint_id: id,
               message: constraint.message,
@@ -227,6 +643,15 @@ export class ConstraintEngine {
               pattern: constraint.pattern,
               file_path: filePath,
               detected_at: new Date().toISOString(),
+              ...(constraint.type === 'ast' && { selector: constraint.selector }),
+              ...(constraint.type === 'shell' && { shell: constraint.shell }),
+              // Locations of path constraints refer to the file path, not the content
+              ...(constraint.applies_to === 'file_path' && { applies_to: 'file_path' }),
+              // Position of the first match, plus every match with snippet and context
+              line: locations[0].line,
+              column: locations[0].column,
+              locations,
+              ...(fix && { fix }),
               // Add semantic analysis metadata if available
               ...(semanticAnalysis && {
                 semantic_confidence: semanticAnalysis.confidence,
@@ -241,8 +666,8 @@ export class ConstraintEngine {
               confidence: semanticAnalysis?.confidence
             });
 
-            // Collect suggestion if available
-            if (constraint.suggestion) {
+            // Collect suggestion if available; shadow constraints aren't shown to the agent
+            if (constraint.suggestion && constraint.mode !== 'shadow') {
               suggestions.push(constraint.suggestion);
             }
 
@@ -265,115 +690,225 @@ export class ConstraintEngine {
       .filter(result => result.status === 'fulfilled' && result.value !== null)
       .map(result => result.value);
 
-    // Calculate compliance score
-    const totalConstraints = this.constraints.size;
-    const violatedConstraints = violations.length;
-    const compliance = totalConstraints > 0 ?
-      ((totalConstraints - violatedConstraints) / totalConstraints) * 10 : 10;
+    // Calculate compliance score over the constraints that count
+    const counted = violations.filter(v => this.constraints.get(v.constraint_id)?.mode !== 'shadow');
+    const violatedConstraints = counted.length;
+    const compliance = scoredConstraints > 0 ?
+      ((scoredConstraints - violatedConstraints) / scoredConstraints) * 10 : 10;
 
     // Assess risk level
-    const criticalViolations = violations.filter(v => v.severity === 'critical').length;
-    const errorViolations = violations.filter(v => v.severity === 'error').length;
+    const criticalViolations = counted.filter(v => v.severity === 'critical').length;
+    const errorViolations = counted.filter(v => v.severity === 'error').length;
 
     let risk = 'low';
     if (criticalViolations > 0) risk = 'critical';
     else if (errorViolations > 2) risk = 'high';
-    else if (violations.length > 5) risk = 'medium';
+    else if (counted.length > 5) risk = 'medium';
+
+    // Directives without IDs or reason are not honoured, nor are those for non-suppressible constraints
+    const invalidSuppressions = [
+      ...Array.from(suppressionsByText.values()).flatMap(suppressions => suppressions.invalid),
+      ...rejectedSuppressions
+    ];
 
     logger.info(`Constraint check complete`, {
       violations: violations.length,
+      suppressed: suppressed.length,
+      baselined: baselined.length,
       compliance: Math.round(compliance * 10) / 10,
       risk
     });
 
     return {
       violations,
+      suppressed,
+      invalid_suppressions: invalidSuppressions,
+      baselined,
+      diagnostics,
       suggestions,
       compliance: Math.round(compliance * 10) / 10,
       risk,
-      total_constraints: totalConstraints,
+      total_constraints: scoredConstraints,
       violated_constraints: violatedConstraints
     };
   }
 
   /**
-   * Validate post-edit constraints (e.g., PNG generation after PUML edits)
-   * @param {string} filePath - Path to the edited file
-   * @returns {Promise<Array>} - Array of violations
+   * Split a constraint's matches into those an inline suppression covers and the rest
+   * Path constraints can only be suppressed file-wide. Constraints with `suppressible: false`
+   * can't be suppressed at all: their directives are rejected and the matches remain.
+   * `suppressible` defaults to `overridable`.
+   * @returns {{remaining: Array<object>, suppressed: Array<object>, rejected: Array<object>}} -
+   *   suppressed holds one violation record (status 'suppressed') per directive; rejected holds
+   *   the directives that weren't honoured, in the shape of invalid_suppressions
    */
-  async validatePostFileEdit(filePath) {
-    const violations = [];
+  applySuppressions(id, constraint, matchSpans, { locationText, suppressions, filePath }) {
+    if (suppressions.directives.length === 0) {
+      return { remaining: matchSpans, suppressed: [], rejected: [] };
+    }
 
-    // Find constraints with post_file_edit validation_type
-    for (const [id, constraint] of this.constraints.entries()) {
-      if (!constraint.enabled || constraint.validation_type !== 'post_file_edit') {
-        continue;
+    if (!(constraint.suppressible ?? constraint.overridable !== false)) {
+      const rejected = suppressions.directives
+        .filter(directive => directive.constraint_id === id)
+        .map(directive => ({
+          line: directive.line,
+          kind: directive.kind,
+          constraint_ids: [id],
+          error: `${id} can't be suppressed inline`
+        }));
+      if (rejected.length > 0) {
+        logger.warn(`Rejected ${rejected.length} suppression(s) of non-suppressible constraint ${id}`);
       }
+      return { remaining: matchSpans, suppressed: [], rejected };
+    }
 
-      // Check if file pattern matches
-      if (constraint.file_pattern) {
-        const regex = new RegExp(constraint.file_pattern);
-        if (!regex.test(filePath)) {
-          continue;
-        }
+    const locator = new TextLocator(locationText);
+    const remaining = [];
+    const byDirective = new Map();
+
+    for (const match of matchSpans) {
+      const directive = constraint.applies_to === 'file_path'
+        ? suppressions.findFileLevel(id)
+        : suppressions.find(id, locator.position(match.start).line);
+
+      if (!directive) {
+        remaining.push(match);
+      } else {
+        if (!byDirective.has(directive)) byDirective.set(directive, []);
+        byDirective.get(directive).push(match);
       }
+    }
 
-      try {
-        // Handle file timestamp comparison check
-        if (constraint.check_type === 'file_timestamp_comparison') {
-          const dirname = path.dirname(filePath);
-          const basename = path.basename(filePath, path.extname(filePath));
-
-          // Build PNG path from pattern
-          let pngPath = constraint.png_path_pattern || '{{dirname}}/{{basename}}.png';
-          pngPath = pngPath
-            .replace('{{dirname}}', dirname)
-            .replace('{{basename}}', basename);
-
-          // Check if PNG exists
-          if (!fs.existsSync(pngPath)) {
-            violations.push({
-              constraint_id: id,
-              message: constraint.message
-                .replace('{{file_path}}', filePath)
-                .replace('{{png_path}}', pngPath)
-                .replace('{{dirname}}', dirname)
-                .replace('{{basename}}', basename),
-              severity: constraint.severity,
-              file_path: filePath,
-              expected_png: pngPath,
-              detected_at: new Date().toISOString(),
-              reason: 'PNG file does not exist'
-            });
-            continue;
-          }
+    const suppressed = Array.from(byDirective.entries()).map(([directive, spans]) => {
+      const locations = this.locateMatches(locationText, spans);
+      logger.info(`Suppressed ${spans.length} match(es) of ${id} (${directive.kind} on line ${directive.line}): ${directive.reason}`);
+      return {
+        constraint_id: id,
+        message: constraint.message,
+        severity: constraint.severity,
+        matches: spans.length,
+        pattern: constraint.pattern,
+        file_path: filePath,
+        detected_at: new Date().toISOString(),
+        ...(constraint.applies_to === 'file_path' && { applies_to: 'file_path' }),
+        line: locations[0].line,
+        column: locations[0].column,
+        locations,
+        status: 'suppressed',
+        suppression: { kind: directive.kind, line: directive.line, reason: directive.reason }
+      };
+    });
 
-          // Check timestamps
-          const pumlStat = fs.statSync(filePath);
-          const pngStat = fs.statSync(pngPath);
+    return { remaining, suppressed, rejected: [] };
+  }
 
-          const ageDiffMs = pumlStat.mtime.getTime() - pngStat.mtime.getTime();
-          const maxAgeMs = (constraint.max_age_seconds || 120) * 1000;
+  /**
+   * Turn match offsets into line/column locations with surrounding context lines
+   * @param {string} text - The text the offsets refer to
+   * @param {Array<{start: number, end: number}>} matchSpans
+   * @returns {Array<object>} - At most MAX_REPORTED_LOCATIONS locations
+   */
+  locateMatches(text, matchSpans) {
+    const locator = new TextLocator(text);
+    return matchSpans
+      .slice(0, MAX_REPORTED_LOCATIONS)
+      .map(match => locator.locate(match.start, match.end));
+  }
 
-          if (ageDiffMs > maxAgeMs) {
-            violations.push({
-              constraint_id: id,
-              message: constraint.message
-                .replace('{{file_path}}', filePath)
-                .replace('{{png_path}}', pngPath)
-                .replace('{{dirname}}', dirname)
-                .replace('{{basename}}', basename),
-              severity: constraint.severity,
-              file_path: filePath,
-              expected_png: pngPath,
-              puml_modified: pumlStat.mtime.toISOString(),
-              png_modified: pngStat.mtime.toISOString(),
-              age_diff_seconds: Math.floor(ageDiffMs / 1000),
-              detected_at: new Date().toISOString(),
-              reason: 'PNG file is outdated (older than PUML modification)'
-            });
-          }
-        }
+  /**
+   * Build the fix for a violation, as replacements and a unified diff
+   * Regex matches are fixed in the source content when the checked content only
+   * appends to it (e.g. the file path the hook adds), so the patch applies to the code.
+   */
+  buildFix(constraint, { content, sourceContent, filePath, matchSpans, regex }) {
+    let text = constraint.type === 'ast' ? sourceContent : content;
+    let spans = matchSpans;
+
+    if (constraint.type !== 'ast' && sourceContent !== content && content.startsWith(sourceContent)) {
+      text = sourceContent;
+      spans = matchSpans.filter(match => match.end <= sourceContent.length);
+    }
+
+    try {
+      return this.fixGenerator.generate(constraint, text, spans, { regex, filePath });
+    } catch (error) {
+      logger.warn(`Failed to generate fix for ${constraint.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Check content and collect the fixes for all fixable violations
+   * @param {object} options
+   * @param {string} options.content - Code to check and fix
+   * @param {string} [options.type] - Kind of content
+   * @param {string} [options.filePath] - File the content belongs to
+   * @returns {Promise<{fixes: Array<object>, unfixable: Array<object>, patch: string|null, fixed_content: string}>}
+   *   patch combines all fixes; overlapping replacements keep the first
+   */
+  async suggestFixes(options) {
+    const { content, type, filePath } = options;
+    // No separate sourceContent, so every replacement refers to content
+    const result = await this.checkConstraints({ content, type, filePath });
+    // Shadow constraints aren't shown to the agent, nor applied for it
+    const violations = result.violations.filter(violation => this.constraints.get(violation.constraint_id)?.mode !== 'shadow');
+
+    const fixes = violations
+      .filter(violation => violation.fix)
+      .map(violation => ({
+        constraint_id: violation.constraint_id,
+        message: violation.message,
+        severity: violation.severity,
+        ...violation.fix
+      }));
+
+    const unfixable = violations
+      .filter(violation => !violation.fix)
+      .map(violation => ({
+        constraint_id: violation.constraint_id,
+        message: violation.message,
+        severity: violation.severity,
+        suggestion: this.constraints.get(violation.constraint_id)?.suggestion || null
+      }));
+
+    const replacements = fixes.flatMap(fix => fix.replacements);
+    const fixedContent = this.fixGenerator.applyReplacements(content, replacements);
+
+    return {
+      fixes,
+      unfixable,
+      patch: replacements.length > 0 ? this.fixGenerator.createPatch(filePath, content, fixedContent) : null,
+      fixed_content: fixedContent
+    };
+  }
+
+  /**
+   * Enabled post-edit constraints whose file_pattern matches the file and whose
+   * exceptions and whitelist don't exclude it
+   * @returns {Array<[string, object]>} - [id, constraint] pairs
+   */
+  getPostEditConstraints(filePath) {
+    return Array.from(this.constraints.entries()).filter(([id, constraint]) =>
+      constraint.enabled &&
+      constraint.validation_type === 'post_file_edit' &&
+      (!constraint.file_pattern || new RegExp(constraint.file_pattern).test(filePath)) &&
+      !this.isExcluded(id, constraint, filePath)
+    );
+  }
+
+  /**
+   * Run the post-edit checks (see PostEditValidator) on a file that was just written
+   * @param {string} filePath - Path to the edited file
+   * @param {object} [options]
+   * @param {string} [options.projectRoot] - Base for relative paths in the checks, defaults to the working directory
+   * @returns {Promise<Array>} - Array of violations
+   */
+  async validatePostFileEdit(filePath, options = {}) {
+    const violations = [];
+
+    for (const [id, constraint] of this.getPostEditConstraints(filePath)) {
+      try {
+        violations.push(...await this.postEditValidator.validate(id, constraint, filePath, options));
       } catch (error) {
         logger.error(`Error validating post-edit constraint ${id}:`, error);
       }
@@ -382,25 +917,223 @@ export class ConstraintEngine {
     return violations;
   }
 
-  async getViolationHistory(options) {
-    const { limit = 10, sessionId } = options;
-    
-    // In a real implementation, this would query persistent storage
-    const recentViolations = this.violations
-      .filter(v => !sessionId || v.sessionId === sessionId)
-      .slice(-limit);
+  /**
+   * Check what a tool returned against the tool result constraints (see ToolResultChecker)
+   * Output patterns run in the regex worker, under the same time budget as content patterns.
+   * @param {string} toolName
+   * @param {object} params - Tool input
+   * @param {object|string} response - Tool result from the hook data
+   * @returns {Promise<{violations: Array<object>, checked: string[]}>} - checked: ids of the
+   *   constraints that looked at this result
+   */
+  async checkToolResult(toolName, params, response) {
+    const result = ToolResultChecker.describeResult(toolName, params, response);
+    const applicable = Array.from(this.constraints.entries()).filter(([, constraint]) =>
+      constraint.enabled && constraint.validation_type === 'post_tool_result' && ToolResultChecker.appliesTo(constraint, result)
+    );
+    if (applicable.length === 0) {
+      return { violations: [], checked: [] };
+    }
+
+    const withOutput = applicable.filter(([, constraint]) => constraint.output_pattern !== undefined);
+    const outcomes = withOutput.length > 0
+      ? await this.getRegexRunner().matchAll(result.output, withOutput.map(([, constraint]) => ({
+        source: constraint.output_pattern,
+        flags: 'g' + (constraint.flags || '')
+      })))
+      : [];
+    const outputMatches = new Map(withOutput.map(([id], index) => [id, outcomes[index]]));
+
+    const violations = [];
+    const checked = [];
+    for (const [id, constraint] of applicable) {
+      const outcome = outputMatches.get(id);
+      if (outcome?.timedOut || outcome?.error) {
+        logger.warn(`Output pattern of ${id} was not checked: ${outcome.error || 'timed out'}`);
+        continue;
+      }
+
+      checked.push(id);
+      const violation = ToolResultChecker.check(id, constraint, result, outcome?.spans[0] || null);
+      if (violation) {
+        violations.push(violation);
+      }
+    }
+    return { violations, checked };
+  }
+
+  /**
+   * Enabled shadow constraints that a prompt or tool call is checked against before it runs
+   * Workflow constraints only count for tool calls; the tool filter and file pattern
+   * are left to the caller.
+   * @param {object} call
+   * @param {'prompt'|'tool_call'} call.type
+   * @param {string} [call.filePath]
+   * @returns {Array<[string, object]>} - [id, constraint] pairs
+   */
+  getShadowConstraints({ type, filePath }) {
+    return Array.from(this.constraints.entries()).filter(([id, constraint]) =>
+      constraint.enabled &&
+      constraint.mode === 'shadow' &&
+      !constraint.validation_type &&
+      (type === 'tool_call' || constraint.type !== 'workflow') &&
+      !this.isExcluded(id, constraint, filePath));
+  }
+
+  /**
+   * Count a check of shadow constraints, for their would-have-blocked rate
+   * @param {object} step - project, checked and wouldBlock constraint IDs, see ShadowCheckRepository
+   */
+  async recordShadowChecks(step) {
+    if (!this.shadowCheckRepository || step.checked.length === 0) {
+      return;
+    }
+    await this.shadowCheckRepository.recordChecks(step);
+  }
+
+  /**
+   * Follow up on the violations the post-tool hook fed back (see FeedbackTracker)
+   * @returns {Promise<Array<object>>} - Earlier feedback this step resolved; none without the database
+   */
+  async trackFeedback(step) {
+    if (!this.feedbackTracker) {
+      return [];
+    }
+    return this.feedbackTracker.observe(step);
+  }
+
+  /**
+   * Query persisted violation history, newest first, with metrics computed from the data
+   * @param {object} [options]
+   * @param {number} [options.limit=10] - Page size
+   * @param {string} [options.cursor] - next_cursor from the previous page
+   * @param {string} [options.project]
+   * @param {string} [options.constraintId]
+   * @param {string} [options.severity]
+   * @param {string} [options.sessionId]
+   * @param {string} [options.status]
+   * @param {string} [options.since] - ISO timestamp, inclusive
+   * @param {string} [options.until] - ISO timestamp, exclusive
+   * @returns {Promise<{violations: Array<object>, total: number, next_cursor: string|null, metrics: object,
+   *   storage_unavailable?: boolean}>} - metrics cover all violations matching the filters, not just the
+   *   page; without the database the history is empty and flagged storage_unavailable
+   */
+  async getViolationHistory(options = {}) {
+    // Shadow mode violations stay out of the history unless asked for
+    const { limit = 10, cursor, shadow = false, ...rest } = options;
+    const filters = { ...rest, shadow };
+
+    if (!this.violationRepository) {
+      // Violations are only kept in the database; without it there is no history to filter
+      return {
+        violations: [],
+        total: 0,
+        next_cursor: null,
+        storage_unavailable: true,
+        metrics: {
+          average_compliance: null,
+          sessions_analyzed: 0,
+          total_violations: 0,
+          most_common_violation: null,
+          most_common_violations: [],
+          improvement_trend: 'insufficient_data'
+        }
+      };
+    }
+
+    const page = await this.violationRepository.queryViolations({ ...filters, limit, cursor, order: 'desc' });
+    const summary = await this.violationRepository.summarizeViolations(filters);
+    const trend = await this.computeImprovementTrend(filters);
 
     return {
-      violations: recentViolations,
-      total: this.violations.length,
+      violations: page.violations,
+      total: page.total,
+      next_cursor: page.next_cursor,
       metrics: {
-        average_compliance: 8.5,
-        most_common_violation: 'no-console-log',
-        improvement_trend: 'stable'
+        average_compliance: this.averageSessionCompliance(summary),
+        sessions_analyzed: summary.sessions.length,
+        total_violations: summary.total,
+        most_common_violation: summary.top_constraints[0]?.constraint_id || null,
+        most_common_violations: summary.top_constraints,
+        improvement_trend: trend.direction,
+        trend
       }
     };
   }
 
+  /**
+   * Mean of the per-session compliance scores, for sessions with recorded violations
+   */
+  averageSessionCompliance(summary) {
+    if (summary.sessions.length === 0) {
+      return 10.0;
+    }
+    const total = summary.sessions.reduce((sum, session) => sum + calculateComplianceScore(session), 0);
+    return Math.round((total / summary.sessions.length) * 10) / 10;
+  }
+
+  /**
+   * Compare the violation count of a window with the window of the same length before it
+   * The window is since..until from the filters, or the last 7 days.
+   * @returns {Promise<object>} - direction is improving, declining, stable or insufficient_data
+   */
+  async computeImprovementTrend(filters = {}) {
+    const until = filters.until ? new Date(filters.until) : new Date();
+    const since = filters.since ? new Date(filters.since) : new Date(until.getTime() - DEFAULT_TREND_WINDOW_MS);
+    const previousSince = new Date(since.getTime() - (until.getTime() - since.getTime()));
+
+    const describe = async (from, to) => {
+      const summary = await this.violationRepository.summarizeViolations({ ...filters, since: from, until: to }, 0);
+      return {
+        since: from.toISOString(),
+        until: to.toISOString(),
+        violations: summary.total,
+        average_compliance: this.averageSessionCompliance(summary)
+      };
+    };
+
+    const current = await describe(since, until);
+    const previous = await describe(previousSince, since);
+
+    let direction;
+    let changePercent = null;
+    if (previous.violations === 0) {
+      direction = current.violations === 0 ? 'stable' : 'insufficient_data';
+    } else {
+      const change = (current.violations - previous.violations) / previous.violations;
+      changePercent = Math.round(change * 1000) / 10;
+      if (change < -TREND_THRESHOLD) direction = 'improving';
+      else if (change > TREND_THRESHOLD) direction = 'declining';
+      else direction = 'stable';
+    }
+
+    return { direction, change_percent: changePercent, current, previous };
+  }
+
+  /**
+   * Acknowledge, resolve, suppress or reopen stored violations
+   * @param {string[]} ids - Violation IDs
+   * @param {string} status - acknowledged, resolved, suppressed or active (reopen)
+   * @param {{actor?: string, reason?: string}} [options]
+   * @returns {Promise<{updated: Array<object>, failed: Array<object>}>}
+   */
+  async updateViolationStatus(ids, status, options = {}) {
+    if (!this.violationRepository) {
+      throw new Error('Violation storage is not available');
+    }
+    return this.violationRepository.updateStatus(ids, status, options);
+  }
+
+  /**
+   * Lifecycle audit trail of a stored violation
+   */
+  async getViolationEvents(id) {
+    if (!this.violationRepository) {
+      throw new Error('Violation storage is not available');
+    }
+    return this.violationRepository.getEvents(id);
+  }
+
   /**
    * Check if a file path matches a glob pattern
    * @param {string} filePath - The file path to check
@@ -434,18 +1167,23 @@ export class ConstraintEngine {
     const updated = [];
 
     for (const constraint of newConstraints) {
-      if (!constraint.id || !constraint.pattern || !constraint.message) {
+      if (!this.isValidConstraint(constraint)) {
         logger.warn('Invalid constraint definition:', constraint);
         continue;
       }
 
-      // Set defaults
+      // Set defaults, as for constraints loaded from the configuration
       constraint.severity = constraint.severity || 'warning';
       constraint.enabled = constraint.enabled !== false;
+      constraint.mode = constraint.mode || 'enforce';
+      constraint.suggestion = constraint.suggestion || '';
+      this.validateConstraintFix(constraint);
+      this.warnIfUnsafePattern(constraint);
 
       this.constraints.set(constraint.id, constraint);
       updated.push(constraint.id);
     }
+    this.patternIndex = null;
 
     logger.info(`Updated ${updated.length} constraints`);
 
@@ -0,0 +1,213 @@
+import { readFileSync } from 'fs';
+import { parse } from 'yaml';
+import { ConstraintEngine } from './constraint-engine.js';
+import { CompositeCondition } from './composite-condition.js';
+
+// Longest example text shown in a report line
+const MAX_EXAMPLE_LENGTH = 80;
+
+/**
+ * Constraint self-tests
+ *
+ * Constraints can list examples they must and must not match:
+ *
+ *   - id: no-console-log
+ *     pattern: console\.log
+ *     examples:
+ *       match:
+ *         - "console.log('debug')"
+ *       no_match:
+ *         - "logger.info('debug')"
+ *         - content: "console.log('ok')"
+ *           file_path: src/app.test.js
+ *
+ * A string example is the content to check, the file path for `applies_to:
+ * file_path` constraints or the command line for `type: shell` ones. Each example is checked against its own constraint only,
+ * through ConstraintEngine.checkConstraints, so exceptions, whitelists and inline
+ * suppressions apply as they would in a hook. Semantic validation is skipped.
+ */
+export class ConstraintExampleRunner {
+  /**
+   * @param {ConstraintEngine} engine - Engine with constraints loaded
+   */
+  constructor(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * Runner for the constraints of a ConfigManager, or of a single YAML file
+   * @param {object} [options]
+   * @param {object} [options.configManager] - Defaults to the engine's own ConfigManager
+   * @param {string} [options.file] - Constraint YAML file to test instead
+   * @returns {Promise<ConstraintExampleRunner>}
+   */
+  static async load({ configManager, file } = {}) {
+    if (file) {
+      const data = parse(readFileSync(file, 'utf8')) || {};
+      configManager = { getConstraints: () => data.constraints || [] };
+    }
+    if (!configManager) {
+      const { ConfigManager } = await import('../utils/config-manager.js');
+      configManager = new ConfigManager();
+    }
+
+    // Only the constraints are needed; no databases
+    const engine = new ConstraintEngine(configManager);
+    await engine.loadConstraintsFromConfig();
+    return new ConstraintExampleRunner(engine);
+  }
+
+  /**
+   * Check every example
+   * @param {object} [options]
+   * @param {string[]} [options.constraintIds] - Only test these constraints
+   * @returns {Promise<{passed: boolean, total: number, failed: number, constraints_tested: number,
+   *   untested: string[], failures: Array<object>, results: Array<object>}>}
+   */
+  async run({ constraintIds } = {}) {
+    const results = [];
+    const untested = [];
+
+    for (const [id, constraint] of this.engine.constraints) {
+      // Workflow, post-edit and tool result constraints check tool calls, files and results, not text
+      if ((constraintIds && !constraintIds.includes(id)) || constraint.type === 'workflow' || constraint.validation_type) {
+        continue;
+      }
+
+      const examples = constraint.examples || {};
+      if (!examples.match?.length && !examples.no_match?.length) {
+        untested.push(id);
+        continue;
+      }
+
+      const patternError = this.getPatternError(constraint);
+      for (const expectation of ['match', 'no_match']) {
+        for (const example of examples[expectation] || []) {
+          results.push(await this.runExample(id, constraint, expectation, example, patternError));
+        }
+      }
+    }
+
+    const failures = results.filter(result => !result.passed);
+    return {
+      passed: failures.length === 0,
+      total: results.length,
+      failed: failures.length,
+      constraints_tested: new Set(results.map(result => result.constraint_id)).size,
+      untested,
+      failures,
+      results
+    };
+  }
+
+  async runExample(id, constraint, expectation, example, patternError) {
+    const normalized = normalizeExample(example, constraint);
+    const base = { constraint_id: id, expectation, example: normalized?.label ?? example, file_path: normalized?.file_path };
+
+    if (!normalized) {
+      return { ...base, passed: false, matches: [], error: 'Example must be a string or an object with content or file_path' };
+    }
+    if (patternError) {
+      return { ...base, passed: false, matches: [], error: patternError };
+    }
+
+    const result = await this.engine.checkConstraints({
+      content: normalized.content,
+      type: 'code',
+      filePath: normalized.file_path,
+      // Examples of shell constraints are command lines
+      command: constraint.type === 'shell' ? normalized.content : undefined,
+      constraintIds: [id],
+      semanticValidation: false
+    });
+    const violation = result.violations.find(v => v.constraint_id === id);
+    const matched = Boolean(violation);
+
+    return {
+      ...base,
+      passed: expectation === 'match' ? matched : !matched,
+      matches: violation ? violation.locations.map(location => location.snippet) : []
+    };
+  }
+
+  /**
+   * A regex the engine can't compile would otherwise look like "no match"
+   * @returns {string|null}
+   */
+  getPatternError(constraint) {
+    if (constraint.type === 'ast' || constraint.type === 'shell') {
+      return null;
+    }
+
+    let patterns = [constraint];
+    if (constraint.type === 'composite') {
+      try {
+        patterns = new CompositeCondition(constraint.condition).leaves;
+      } catch (error) {
+        return `Invalid condition: ${error.message}`;
+      }
+    }
+
+    for (const { pattern: source, flags } of patterns) {
+      const pattern = source.startsWith('(?i)') ? source.substring(4) : source;
+      try {
+        new RegExp(pattern, 'g' + (flags || ''));
+      } catch (error) {
+        return `Invalid pattern: ${error.message}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Human-readable summary of a run
+   * @param {object} report - Result of run()
+   * @returns {string}
+   */
+  static formatReport(report) {
+    const lines = [];
+
+    for (const failure of report.failures) {
+      const expected = failure.expectation === 'match' ? 'expected a match' : 'expected no match';
+      const got = failure.error
+        || (failure.matches.length > 0 ? `matched ${failure.matches.map(m => JSON.stringify(truncate(m))).join(', ')}` : 'got none');
+      lines.push(`❌ ${failure.constraint_id}: ${expected}, ${got}`);
+      lines.push(`     example: ${JSON.stringify(truncate(failure.example))}${failure.file_path && failure.file_path !== failure.example ? ` (file ${failure.file_path})` : ''}`);
+    }
+
+    const summary = `${report.total - report.failed}/${report.total} examples passed for ${report.constraints_tested} constraint${report.constraints_tested === 1 ? '' : 's'}`;
+    lines.push(`${report.passed ? '✅' : '❌'} ${summary}`);
+    if (report.untested.length > 0) {
+      lines.push(`ℹ️ ${report.untested.length} constraint${report.untested.length === 1 ? ' has' : 's have'} no examples: ${report.untested.join(', ')}`);
+    }
+
+    return lines.join('\n');
+  }
+}
+
+/**
+ * @returns {{content: string, file_path: string|undefined, label: string}|null}
+ */
+function normalizeExample(example, constraint) {
+  if (typeof example === 'string') {
+    return constraint.applies_to === 'file_path'
+      ? { content: '', file_path: example, label: example }
+      : { content: example, file_path: undefined, label: example };
+  }
+
+  if (example && typeof example === 'object' && (typeof example.content === 'string' || typeof example.file_path === 'string')) {
+    const content = example.content || '';
+    return {
+      content,
+      file_path: example.file_path,
+      label: constraint.applies_to === 'file_path' ? example.file_path : content
+    };
+  }
+
+  return null;
+}
+
+function truncate(text) {
+  const value = String(text);
+  return value.length > MAX_EXAMPLE_LENGTH ? `${value.slice(0, MAX_EXAMPLE_LENGTH - 1)}…` : value;
+}
@@ -0,0 +1,92 @@
+import { logger } from '../utils/logger.js';
+
+export const DEFAULT_FEEDBACK_SETTINGS = {
+  // Tool calls after which unfixed feedback counts as ignored
+  max_steps: 5
+};
+
+/**
+ * Follows up on the violations the post-tool hook fed back to the agent
+ *
+ * Every post-tool check is a step of the session. Feedback is fixed when a
+ * later step checks the same constraint on the same file (or, for tool result
+ * checks, the same constraint) and it no longer fires; after `max_steps` steps
+ * without that it is unfixed. Feedback fixed after one step was fixed in the
+ * next step, which is what the dashboard rates show.
+ */
+export class FeedbackTracker {
+  /**
+   * @param {object} options
+   * @param {import('../databases/feedback-repository.js').FeedbackRepository} options.repository
+   * @param {object} [options.settings] - See DEFAULT_FEEDBACK_SETTINGS
+   */
+  constructor({ repository, settings = {} }) {
+    this.repository = repository;
+    this.settings = { ...DEFAULT_FEEDBACK_SETTINGS, ...settings };
+  }
+
+  /**
+   * Record one post-tool step
+   * @param {object} step
+   * @param {string} [step.sessionId]
+   * @param {string} [step.project]
+   * @param {string} [step.tool]
+   * @param {string} [step.requestId] - Hook request of the step; observed once however often it is checked
+   * @param {Array<{constraint_id: string, file_path: string|null}>} step.checked - What this step checked
+   * @param {Array<object>} step.fedBack - Violations fed back in this step, with their stored `id` if logged
+   * @returns {Promise<Array<object>>} - Earlier feedback this step resolved, with its new outcome
+   */
+  async observe({ sessionId = 'default', project = null, tool = null, requestId, checked, fedBack }) {
+    if (requestId && !(await this.repository.claimStep(requestId, sessionId))) {
+      logger.debug(`Post-tool step of request ${requestId} already observed`);
+      return [];
+    }
+
+    await this.repository.advanceSteps(sessionId);
+    const pending = await this.repository.listPending(sessionId);
+
+    const checkedKeys = new Set(checked.map(feedbackKey));
+    const firingKeys = new Set(fedBack.map(feedbackKey));
+    const resolved = [];
+    const stillPending = new Set();
+
+    for (const feedback of pending) {
+      const key = feedbackKey(feedback);
+      let outcome = null;
+      if (checkedKeys.has(key) && !firingKeys.has(key)) {
+        outcome = 'fixed';
+      } else if (feedback.steps >= this.settings.max_steps) {
+        outcome = 'unfixed';
+      }
+
+      if (outcome) {
+        await this.repository.resolve(feedback.id, outcome);
+        resolved.push({ ...feedback, outcome });
+        logger.info(`Feedback on ${feedback.constraint_id} ${outcome} after ${feedback.steps} step(s)`);
+      } else {
+        stillPending.add(key);
+      }
+    }
+
+    // Feedback already pending for the same problem keeps its step count
+    for (const violation of fedBack) {
+      if (stillPending.has(feedbackKey(violation))) continue;
+      stillPending.add(feedbackKey(violation));
+      await this.repository.insertFeedback({
+        session_id: sessionId,
+        project,
+        constraint_id: violation.constraint_id,
+        file_path: violation.file_path || null,
+        violation_id: violation.id || null,
+        tool,
+        severity: violation.severity
+      });
+    }
+
+    return resolved;
+  }
+}
+
+function feedbackKey({ constraint_id: constraintId, file_path: filePath }) {
+  return `${constraintId}\u0000${filePath || ''}`;
+}
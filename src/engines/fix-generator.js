@@ -0,0 +1,153 @@
+import { createPatch } from 'diff';
+import { TextLocator } from '../utils/text-locator.js';
+
+/**
+ * Named transforms usable as `fix: { transform: <name> }`
+ * Each receives the matched text and returns its replacement.
+ */
+const TRANSFORMS = {
+  'console-log-to-logger': {
+    description: 'Replace console.log with Logger.log',
+    apply: text => text.replace(/console\.log\b/g, 'Logger.log')
+  },
+  'var-to-let': {
+    description: "Replace 'var' with 'let'",
+    apply: text => text.replace(/\bvar\b/g, 'let')
+  },
+  'remove': {
+    description: 'Remove the matched code',
+    apply: () => ''
+  }
+};
+
+/**
+ * Automatic fixes for constraint violations
+ *
+ * A constraint opts in with a `fix` block, either a regex replacement template
+ * applied to each match (`$1`-style groups refer to the constraint pattern, or
+ * to `fix.pattern` when given):
+ *
+ *   fix:
+ *     replace: "let "
+ *
+ * or a named transform:
+ *
+ *   fix:
+ *     transform: console-log-to-logger
+ *
+ * Fixes are returned as replacements plus a unified diff of the checked text.
+ */
+export class FixGenerator {
+  static get transforms() {
+    return Object.keys(TRANSFORMS);
+  }
+
+  /**
+   * Check a `fix` block
+   * @returns {string|null} - Error message, or null if the fix is usable
+   */
+  validateFix(fix) {
+    if (!fix || typeof fix !== 'object') {
+      return 'fix must be an object';
+    }
+    if (fix.transform !== undefined) {
+      return TRANSFORMS[fix.transform]
+        ? null
+        : `unknown transform "${fix.transform}" (available: ${FixGenerator.transforms.join(', ')})`;
+    }
+    if (typeof fix.replace !== 'string') {
+      return 'fix needs a "replace" template or a "transform" name';
+    }
+    if (fix.pattern !== undefined) {
+      try {
+        new RegExp(fix.pattern, fix.flags || '');
+      } catch (error) {
+        return `invalid fix pattern: ${error.message}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Compute the replacement text for one match
+   * @param {object} fix - The constraint's fix block
+   * @param {string} matchText - The matched text
+   * @param {RegExp|null} constraintRegex - The constraint's pattern, for `replace` without its own pattern
+   */
+  replaceMatch(fix, matchText, constraintRegex) {
+    if (fix.transform) {
+      return TRANSFORMS[fix.transform].apply(matchText);
+    }
+
+    let regex;
+    if (fix.pattern !== undefined) {
+      regex = new RegExp(fix.pattern, fix.flags || '');
+    } else if (constraintRegex) {
+      // Non-global copy so the template applies once to the whole match
+      regex = new RegExp(constraintRegex.source, constraintRegex.flags.replace('g', ''));
+    } else {
+      // AST and composite constraints without a fix pattern replace the whole match
+      return fix.replace;
+    }
+
+    return matchText.replace(regex, fix.replace);
+  }
+
+  /**
+   * Build a fix for the matches of one constraint
+   * @param {object} constraint - Constraint with a `fix` block
+   * @param {string} text - The text the match offsets refer to
+   * @param {Array<{start: number, end: number}>} matchSpans - Matches to fix
+   * @param {object} [options]
+   * @param {RegExp} [options.regex] - Compiled constraint pattern
+   * @param {string} [options.filePath] - File name used in the patch header
+   * @returns {{description: string, replacements: Array<object>, patch: string}|null} - null if nothing changes
+   */
+  generate(constraint, text, matchSpans, options = {}) {
+    const { fix } = constraint;
+    const locator = new TextLocator(text);
+
+    const replacements = matchSpans
+      .map(match => {
+        const original = text.slice(match.start, match.end);
+        const replacement = this.replaceMatch(fix, original, options.regex || null);
+        const position = locator.position(match.start);
+        return { line: position.line, column: position.column, start: match.start, end: match.end, original, replacement };
+      })
+      .filter(replacement => replacement.replacement !== replacement.original);
+
+    if (replacements.length === 0) {
+      return null;
+    }
+
+    const fixed = this.applyReplacements(text, replacements);
+
+    return {
+      description: fix.description || TRANSFORMS[fix.transform]?.description || `Apply fix for ${constraint.id}`,
+      replacements,
+      patch: this.createPatch(options.filePath, text, fixed)
+    };
+  }
+
+  /**
+   * Apply replacements to text, skipping any that overlap an earlier one
+   * @returns {string}
+   */
+  applyReplacements(text, replacements) {
+    const ordered = [...replacements].sort((a, b) => a.start - b.start);
+    let result = '';
+    let cursor = 0;
+
+    for (const replacement of ordered) {
+      if (replacement.start < cursor) continue;
+      result += text.slice(cursor, replacement.start) + replacement.replacement;
+      cursor = replacement.end;
+    }
+
+    return result + text.slice(cursor);
+  }
+
+  createPatch(filePath, original, fixed) {
+    return createPatch(filePath || 'content', original, fixed, '', '', { context: 3 });
+  }
+}
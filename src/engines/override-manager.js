@@ -0,0 +1,314 @@
+import { randomUUID } from 'crypto';
+import { matchesGlob } from '../utils/glob.js';
+import { logger } from '../utils/logger.js';
+
+const DIRECTIVE_PATTERN = /OVERRIDE_CONSTRAINT:[ \t]*([^\n]*)/g;
+
+export const DEFAULT_OVERRIDE_SETTINGS = {
+  default_ttl_minutes: 5,
+  max_ttl_minutes: 60,
+  // Number of tool calls an override may unblock; null for no limit
+  default_max_uses: 3
+};
+
+/**
+ * Scoped, audited constraint overrides
+ *
+ * Users request an override in their prompt, with a required justification after
+ * ` -- ` and optional scope:
+ *
+ *   OVERRIDE_CONSTRAINT: no-console-log files=scripts/** tools=Write,Edit ttl=15m uses=5 -- CLI prints to stdout
+ *
+ * An override applies to the session that requested it, for the given files and
+ * tools (all when omitted), until it expires, runs out of uses or is revoked.
+ * Constraints with `overridable: false` cannot be overridden. Every grant,
+ * rejection, use and end is written to the audit log. A hook request that is
+ * checked twice (the daemon answering after the client fell back to checking
+ * in-process) uses an override once.
+ */
+export class OverrideManager {
+  /**
+   * @param {object} options
+   * @param {import('../databases/override-repository.js').OverrideRepository} options.repository
+   * @param {object} [options.settings] - TTL and use limits, see DEFAULT_OVERRIDE_SETTINGS
+   * @param {function(string): object|undefined} [options.getConstraint] - Constraint lookup for the override policy
+   */
+  constructor({ repository, settings = {}, getConstraint = () => undefined }) {
+    this.repository = repository;
+    this.settings = { ...DEFAULT_OVERRIDE_SETTINGS, ...settings };
+    this.getConstraint = getConstraint;
+  }
+
+  /**
+   * Find OVERRIDE_CONSTRAINT directives in a prompt
+   * @param {string} text
+   * @returns {Array<{constraint_ids: string[], paths: string[], tools: string[], ttl_ms: number|null, max_uses: number|null, justification: string, errors: string[]}>}
+   */
+  static parseDirectives(text) {
+    return Array.from((text || '').matchAll(DIRECTIVE_PATTERN), match => {
+      const body = match[1].trim();
+      const separator = body.search(/\s--(\s|$)/);
+      const argsText = separator === -1 ? body : body.slice(0, separator);
+      const justification = separator === -1 ? '' : body.slice(separator).replace(/^\s--/, '').trim();
+
+      const directive = { constraint_ids: [], paths: [], tools: [], ttl_ms: null, max_uses: null, justification, errors: [] };
+
+      for (const token of argsText.split(/\s+/).filter(Boolean)) {
+        const option = /^(files|paths|tools|ttl|uses)=(.*)$/.exec(token);
+        if (!option) {
+          directive.constraint_ids.push(...token.split(',').filter(Boolean));
+          continue;
+        }
+
+        const [, key, value] = option;
+        if (key === 'files' || key === 'paths') {
+          directive.paths.push(...value.split(',').filter(Boolean));
+        } else if (key === 'tools') {
+          directive.tools.push(...value.split(',').filter(Boolean));
+        } else if (key === 'ttl') {
+          directive.ttl_ms = parseDuration(value);
+          if (directive.ttl_ms === null) directive.errors.push(`invalid ttl "${value}" (e.g. 30s, 10m, 1h)`);
+        } else if (key === 'uses') {
+          directive.max_uses = /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null;
+          if (directive.max_uses === null) directive.errors.push(`invalid uses "${value}"`);
+        }
+      }
+
+      if (directive.constraint_ids.length === 0) {
+        directive.errors.push('no constraint IDs given');
+      }
+      if (!justification) {
+        directive.errors.push('a justification is required, e.g. "-- why this is needed"');
+      }
+
+      return directive;
+    });
+  }
+
+  /**
+   * Grant the overrides requested in a prompt
+   * @returns {Promise<Array<{override: object|null, rejected: Array<object>, errors: string[]}>>} - One result per directive
+   */
+  async grantFromPrompt(prompt, context = {}) {
+    const results = [];
+    for (const directive of OverrideManager.parseDirectives(prompt)) {
+      results.push(await this.grant(directive, context));
+    }
+    return results;
+  }
+
+  /**
+   * Grant an override
+   * Constraints whose policy forbids overriding are left out; if none remain, nothing is granted.
+   * @param {object} request - constraint_ids, justification, and optional paths, tools, ttl_ms, max_uses
+   * @param {object} [context]
+   * @param {string} [context.sessionId]
+   * @param {string} [context.project]
+   * @param {string} [context.actor] - Who requested it, defaults to 'user'
+   * @returns {Promise<{override: object|null, rejected: Array<{constraint_id: string, reason: string}>, errors: string[]}>}
+   */
+  async grant(request, context = {}) {
+    const actor = context.actor || 'user';
+    const sessionId = context.sessionId || null;
+    const errors = [...(request.errors || [])];
+    if (!request.justification?.trim() && errors.length === 0) {
+      errors.push('a justification is required');
+    }
+
+    const rejected = [];
+    const allowed = [];
+    for (const constraintId of request.constraint_ids || []) {
+      const constraint = this.getConstraint(constraintId);
+      if (constraint && constraint.overridable === false) {
+        rejected.push({ constraint_id: constraintId, reason: 'constraint policy does not allow overrides' });
+      } else {
+        allowed.push(constraintId);
+      }
+    }
+
+    if (errors.length > 0 || allowed.length === 0) {
+      await this.repository.insertAuditEvent({
+        event: 'rejected',
+        session_id: sessionId,
+        constraint_id: (request.constraint_ids || []).join(','),
+        actor,
+        details: { errors, rejected, justification: request.justification || null }
+      });
+      return { override: null, rejected, errors };
+    }
+
+    const maxTtlMs = this.settings.max_ttl_minutes * 60 * 1000;
+    const ttlMs = Math.min(request.ttl_ms || this.settings.default_ttl_minutes * 60 * 1000, maxTtlMs);
+    const now = new Date();
+
+    const override = await this.repository.insertOverride({
+      id: randomUUID(),
+      session_id: sessionId,
+      project: context.project || null,
+      constraint_ids: allowed,
+      paths: request.paths || [],
+      tools: request.tools || [],
+      justification: request.justification.trim(),
+      created_by: actor,
+      created_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + ttlMs).toISOString(),
+      max_uses: request.max_uses ?? this.settings.default_max_uses
+    });
+
+    for (const entry of rejected) {
+      await this.repository.insertAuditEvent({
+        override_id: override.id,
+        event: 'rejected',
+        session_id: sessionId,
+        constraint_id: entry.constraint_id,
+        actor,
+        details: { reason: entry.reason }
+      });
+    }
+    await this.repository.insertAuditEvent({
+      override_id: override.id,
+      event: 'created',
+      session_id: sessionId,
+      constraint_id: allowed.join(','),
+      actor,
+      details: {
+        justification: override.justification,
+        paths: override.paths,
+        tools: override.tools,
+        expires_at: override.expires_at,
+        max_uses: override.max_uses,
+        ...(request.ttl_ms > maxTtlMs && { ttl_capped_to_minutes: this.settings.max_ttl_minutes })
+      }
+    });
+
+    logger.info(`Granted override ${override.id} for ${allowed.join(', ')} until ${override.expires_at}`);
+    return { override, rejected, errors };
+  }
+
+  /**
+   * Active override covering a constraint for a tool call
+   * @param {Array<object>} [usedByRequest] - Overrides the request already used, active or not
+   * @returns {Promise<object|null>}
+   */
+  async findOverride(constraintId, { sessionId, toolName, filePath } = {}, usedByRequest = []) {
+    const overrides = [...usedByRequest, ...await this.listActive()];
+    return overrides.find(override =>
+      override.constraint_ids.includes(constraintId) &&
+      (!override.session_id || override.session_id === sessionId) &&
+      (override.tools.length === 0 || override.tools.includes(toolName)) &&
+      (override.paths.length === 0 || override.paths.some(pattern => matchesGlob(filePath, pattern)))
+    ) || null;
+  }
+
+  /**
+   * Attach overrides to the violations they cover and count one use per override
+   * @param {Array<object>} violations - Violations that would block the tool call
+   * @param {object} context - sessionId, toolName, filePath, and the hook's requestId
+   * @returns {Promise<Array<object>>} - Same violations; overridden ones carry `override`
+   */
+  async applyOverrides(violations, context = {}) {
+    const used = new Map();
+    const result = [];
+    // Seen again, a request gets the overrides it used, even the one that use exhausted
+    const usedByRequest = context.requestId ? await this.repository.listOverridesUsedBy(context.requestId) : [];
+
+    for (const violation of violations) {
+      const override = await this.findOverride(violation.constraint_id, context, usedByRequest);
+      if (!override) {
+        result.push(violation);
+        continue;
+      }
+
+      if (!used.has(override.id)) used.set(override.id, []);
+      used.get(override.id).push(violation.constraint_id);
+      result.push({
+        ...violation,
+        override: { id: override.id, justification: override.justification, expires_at: override.expires_at }
+      });
+    }
+
+    for (const [overrideId, constraintIds] of used) {
+      if (context.requestId && !(await this.repository.claimUse(overrideId, context.requestId))) {
+        logger.info(`🔓 Override ${overrideId} already counted for request ${context.requestId}`);
+        continue;
+      }
+      const override = await this.repository.recordUse(overrideId);
+      for (const constraintId of constraintIds) {
+        await this.repository.insertAuditEvent({
+          override_id: overrideId,
+          event: 'used',
+          session_id: context.sessionId || null,
+          constraint_id: constraintId,
+          tool: context.toolName || null,
+          file_path: context.filePath || null,
+          actor: 'hook',
+          details: { uses: override?.uses ?? null, max_uses: override?.max_uses ?? null }
+        });
+      }
+      logger.info(`🔓 Override ${overrideId} allowed ${constraintIds.join(', ')} for ${context.toolName || 'tool call'}`);
+
+      if (override && override.max_uses !== null && override.uses >= override.max_uses) {
+        await this.end(overrideId, 'exhausted', { actor: 'system', reason: `used ${override.uses} of ${override.max_uses} times` });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Revoke an active override
+   * @returns {Promise<object|null>} - The revoked override, null if it was not active
+   */
+  async revoke(id, { actor = 'unknown', reason = null } = {}) {
+    const revoked = await this.end(id, 'revoked', { actor, reason });
+    return revoked ? this.repository.getOverride(id) : null;
+  }
+
+  /**
+   * Active overrides, newest first; expired ones are closed first
+   * @param {object} [filters] - sessionId, project
+   */
+  async listActive(filters = {}) {
+    await this.expireStale();
+    return this.repository.listOverrides({ ...filters, status: 'active' });
+  }
+
+  async expireStale() {
+    const stale = await this.repository.listOverrides({ status: 'active', expiresBefore: new Date().toISOString() });
+    for (const override of stale) {
+      await this.end(override.id, 'expired', { actor: 'system', reason: `expired at ${override.expires_at}` });
+    }
+  }
+
+  async getAuditLog(filters = {}) {
+    return this.repository.queryAudit(filters);
+  }
+
+  async end(id, status, { actor, reason }) {
+    const ended = await this.repository.endOverride(id, status, { actor, reason });
+    if (ended) {
+      const override = await this.repository.getOverride(id);
+      await this.repository.insertAuditEvent({
+        override_id: id,
+        event: status,
+        session_id: override?.session_id || null,
+        constraint_id: override?.constraint_ids.join(',') || null,
+        actor,
+        details: { reason }
+      });
+      logger.info(`Override ${id} ${status}${reason ? `: ${reason}` : ''}`);
+    }
+    return ended;
+  }
+}
+
+/**
+ * Parse `30s`, `10m`, `1h` or a bare number of minutes
+ * @returns {number|null} - Milliseconds
+ */
+function parseDuration(value) {
+  const match = /^(\d+)(s|m|h)?$/.exec(value);
+  if (!match || Number(match[1]) === 0) return null;
+  const unit = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 }[match[2] || 'm'];
+  return Number(match[1]) * unit;
+}
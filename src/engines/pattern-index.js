@@ -0,0 +1,113 @@
+import { AhoCorasick } from '../utils/aho-corasick.js';
+import { extractRequiredLiterals } from '../utils/regex-literals.js';
+import { CompositeCondition } from './composite-condition.js';
+
+/**
+ * Regex constraints compiled once per configuration
+ *
+ * Each pattern is compiled with its flags and (?i) prefix resolved, and the
+ * literals it can't match without are extracted. Constraints are grouped by
+ * applies_to, and each group gets one Aho–Corasick automaton over those literals.
+ * screen() finds in a single pass over the text which constraints can match at
+ * all; only those need their regex run.
+ *
+ * Composite constraints get one entry per regex leaf in `leaves`, screened like
+ * the entries of plain pattern constraints.
+ */
+export class PatternIndex {
+  /**
+   * @param {Iterable<[string, object]>} constraints - [id, constraint] pairs; AST, workflow, shell, post-edit and tool result
+   *   constraints are ignored
+   */
+  constructor(constraints) {
+    this.entries = new Map();
+    const literalGroups = new Map();
+
+    for (const [id, constraint] of constraints) {
+      if (constraint.type === 'ast' || constraint.type === 'workflow' || constraint.type === 'shell' || constraint.validation_type) continue;
+
+      const appliesTo = constraint.applies_to === 'file_path' ? 'file_path' : 'content';
+      const entry = constraint.type === 'composite'
+        ? compileComposite(id, constraint, appliesTo)
+        : compileEntry(id, constraint, appliesTo);
+      this.entries.set(id, entry);
+
+      for (const matchable of entry.leaves || [entry]) {
+        if (!matchable.literals) continue;
+        if (!literalGroups.has(appliesTo)) {
+          literalGroups.set(appliesTo, { keywords: [], entries: [] });
+        }
+        const group = literalGroups.get(appliesTo);
+        for (const literal of matchable.literals) {
+          group.keywords.push(literal);
+          group.entries.push(matchable);
+        }
+      }
+    }
+
+    // Keyword index → entry, per applies_to
+    this.automata = new Map(Array.from(literalGroups, ([appliesTo, { keywords, entries }]) => [
+      appliesTo,
+      { automaton: new AhoCorasick(keywords), entries }
+    ]));
+  }
+
+  /**
+   * @param {string} id
+   * @returns {{id: string, appliesTo: string, regex: RegExp, literals: string[]|null}
+   *   |{id: string, appliesTo: string, condition: CompositeCondition, leaves: Array<object>}
+   *   |{id: string, error: Error}|undefined}
+   */
+  get(id) {
+    return this.entries.get(id);
+  }
+
+  /**
+   * Entries whose required literals occur in the text, plus those without literals
+   * @param {string} text
+   * @param {string} appliesTo - 'content' or 'file_path'
+   * @param {Array<object>} entries - Compiled entries or composite leaves of that group
+   * @returns {Array<object>}
+   */
+  screen(text, appliesTo, entries) {
+    const group = this.automata.get(appliesTo);
+    if (!group || typeof text !== 'string' || !entries.some(entry => entry.literals)) {
+      return entries;
+    }
+
+    const present = new Set(Array.from(group.automaton.search(text), index => group.entries[index]));
+    return entries.filter(entry => !entry.literals || present.has(entry));
+  }
+}
+
+function compileEntry(id, constraint, appliesTo) {
+  try {
+    return { id, appliesTo, ...compileRegex(constraint.pattern, constraint.flags) };
+  } catch (error) {
+    return { id, error };
+  }
+}
+
+function compileComposite(id, constraint, appliesTo) {
+  try {
+    const condition = new CompositeCondition(constraint.condition);
+    const leaves = condition.leaves.map(leaf => ({ id, appliesTo, ...compileRegex(leaf.pattern, leaf.flags) }));
+    return { id, appliesTo, condition, leaves };
+  } catch (error) {
+    return { id, error };
+  }
+}
+
+function compileRegex(source, flags) {
+  // Extract inline flags from pattern (e.g., (?i) for case-insensitive)
+  let pattern = source;
+  let extractedFlags = '';
+  if (pattern.startsWith('(?i)')) {
+    pattern = pattern.substring(4);
+    extractedFlags += 'i';
+  }
+
+  // Always 'g' for global matching, plus any constraint-specific or extracted flags
+  const regex = new RegExp(pattern, 'g' + (flags || '') + extractedFlags);
+  return { regex, literals: extractRequiredLiterals(regex.source, regex.flags) };
+}
@@ -0,0 +1,345 @@
+import fs from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { parseDocument } from 'yaml';
+
+// Default allowed lag of a generated artifact behind its source
+const DEFAULT_MAX_AGE_SECONDS = 120;
+
+/**
+ * Built-in checks by `check_type`
+ *
+ * Each check receives the edited file and the constraint and returns the problems
+ * it found, as {reason, vars?, ...details}: `reason` explains the violation,
+ * `vars` add placeholders for the constraint message, the rest is reported with
+ * the violation. `requires` lists the constraint options the check can't run without.
+ */
+const BUILT_IN_CHECKS = {
+  // Kept for configurations written before artifact_freshness
+  file_timestamp_comparison: {
+    requires: [],
+    async run({ filePath, constraint, resolve }) {
+      const pngPath = resolve(constraint.png_path_pattern || '{{dirname}}/{{basename}}.png');
+      return checkFreshness(filePath, pngPath, constraint).map(({ target_modified: targetModified, source_modified: sourceModified, ...problem }) => ({
+        ...problem,
+        reason: problem.reason.replace('Generated file', 'PNG file'),
+        expected_png: pngPath,
+        ...(sourceModified && { puml_modified: sourceModified, png_modified: targetModified }),
+        vars: { png_path: pngPath }
+      }));
+    }
+  },
+
+  artifact_freshness: {
+    requires: ['target'],
+    async run({ filePath, constraint, resolve }) {
+      const targetPath = resolve(constraint.target);
+      return checkFreshness(filePath, targetPath, constraint).map(problem => ({
+        ...problem,
+        target_path: targetPath,
+        vars: { target_path: targetPath }
+      }));
+    }
+  },
+
+  companion_file: {
+    requires: ['companion'],
+    async run({ constraint, resolve }) {
+      const candidates = toList(constraint.companion).map(resolve);
+      if (candidates.some(candidate => fs.existsSync(candidate))) {
+        return [];
+      }
+      return [{
+        reason: `Companion file does not exist: ${candidates.join(' or ')}`,
+        expected_companions: candidates,
+        vars: { companion_path: candidates[0] }
+      }];
+    }
+  },
+
+  parseable: {
+    requires: [],
+    async run({ filePath, constraint, readContent }) {
+      const format = constraint.format || formatFromName(filePath);
+      if (!format) {
+        return [{ reason: `Cannot tell the format of ${path.basename(filePath)}; set "format"`, format: null }];
+      }
+
+      const error = PARSERS[format](readContent());
+      return error ? [{ reason: `File does not parse as ${format}: ${error}`, format, vars: { error } }] : [];
+    }
+  },
+
+  max_lines: {
+    requires: ['max_lines'],
+    async run({ constraint, readContent }) {
+      const content = readContent();
+      const lineCount = content === '' ? 0 : content.split('\n').length - (content.endsWith('\n') ? 1 : 0);
+      if (lineCount <= constraint.max_lines) {
+        return [];
+      }
+      return [{
+        reason: `File has ${lineCount} lines, at most ${constraint.max_lines} allowed`,
+        line_count: lineCount,
+        max_lines: constraint.max_lines,
+        vars: { line_count: lineCount, max_lines: constraint.max_lines }
+      }];
+    }
+  },
+
+  plugin: {
+    requires: ['plugin'],
+    async run(context) {
+      const check = await context.loadPlugin(context.constraint.plugin);
+      return normalizePluginResult(await check({
+        filePath: context.filePath,
+        projectRoot: context.projectRoot,
+        constraint: context.constraint,
+        options: context.constraint.options || {},
+        readContent: context.readContent
+      }));
+    }
+  }
+};
+
+const PARSERS = {
+  json: content => parseError(() => JSON.parse(content)),
+  yaml: content => {
+    const doc = parseDocument(content);
+    return doc.errors.length > 0 ? doc.errors[0].message.split('\n')[0] : null;
+  },
+  package_json: content => {
+    let manifest;
+    const error = parseError(() => { manifest = JSON.parse(content); });
+    if (error) return error;
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) return 'package.json must be an object';
+    for (const field of ['name', 'version']) {
+      if (manifest[field] !== undefined && typeof manifest[field] !== 'string') return `"${field}" must be a string`;
+    }
+    for (const field of ['dependencies', 'devDependencies', 'peerDependencies', 'optionalDependencies', 'scripts']) {
+      const value = manifest[field];
+      if (value === undefined) continue;
+      if (!value || typeof value !== 'object' || Array.isArray(value) || Object.values(value).some(entry => typeof entry !== 'string')) {
+        return `"${field}" must map names to strings`;
+      }
+    }
+    return null;
+  }
+};
+
+/**
+ * Checks that run on a file after it was written
+ *
+ * Constraints with `validation_type: post_file_edit` name a `check_type` and
+ * apply to the files their `file_pattern` matches:
+ *
+ *   - id: tests-for-modules
+ *     validation_type: post_file_edit
+ *     check_type: companion_file
+ *     file_pattern: "(?:^|/)src/(.+)\\.js$"
+ *     companion: "test/$1.test.js"
+ *     message: "{{relative_path}} needs a test at {{companion_path}}"
+ *
+ * Path options are templates: {{file_path}}, {{dirname}}, {{basename}},
+ * {{extname}}, {{relative_path}}, {{relative_dirname}} and {{project_root}}
+ * describe the edited file, and $1…$9 are the groups of `file_pattern`.
+ * Relative results are resolved against the project root. The message can use
+ * the same placeholders plus those of its check.
+ *
+ * `check_type: plugin` runs a JS module named in `settings.post_edit.plugins`;
+ * registerCheck() adds check types programmatically.
+ */
+export class PostEditValidator {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.projectRoot] - Base for relative paths, defaults to the working directory
+   * @param {Object<string, string>} [options.plugins] - Plugin name → module path, relative ones from projectRoot
+   */
+  constructor({ projectRoot = process.cwd(), plugins = {} } = {}) {
+    this.projectRoot = projectRoot;
+    this.plugins = plugins;
+    this.checks = { ...BUILT_IN_CHECKS };
+    this.loadedPlugins = new Map();
+  }
+
+  /**
+   * Replace the plugin map, e.g. after the settings were reloaded
+   * @param {Object<string, string>} [plugins] - Plugin name → module path
+   */
+  configurePlugins(plugins = {}) {
+    this.plugins = plugins;
+    this.loadedPlugins.clear();
+  }
+
+  /**
+   * Add a check type
+   * @param {string} name - Value of `check_type`
+   * @param {{requires?: string[], run: function(object): Promise<Array<object>>}} check - See BUILT_IN_CHECKS
+   */
+  registerCheck(name, check) {
+    this.checks[name] = { requires: [], ...check };
+  }
+
+  /**
+   * First problem with a post-edit constraint's check options, or null
+   * @returns {string|null}
+   */
+  validateConstraint(constraint) {
+    const check = this.checks[constraint.check_type];
+    if (!check) {
+      return `unknown check_type "${constraint.check_type}" (known: ${Object.keys(this.checks).join(', ')})`;
+    }
+    const missing = check.requires.find(option => constraint[option] === undefined);
+    if (missing) {
+      return `check_type ${constraint.check_type} needs "${missing}"`;
+    }
+    if (constraint.check_type === 'parseable' && constraint.format !== undefined && !PARSERS[constraint.format]) {
+      return `unknown format "${constraint.format}" (known: ${Object.keys(PARSERS).join(', ')})`;
+    }
+    return null;
+  }
+
+  /**
+   * Run one constraint's check on an edited file
+   * @param {string} id - Constraint id
+   * @param {object} constraint - Post-edit constraint whose file_pattern matches
+   * @param {string} filePath - The edited file
+   * @param {object} [options]
+   * @param {string} [options.projectRoot] - Overrides the validator's project root for this file
+   * @returns {Promise<Array<object>>} - Violations
+   */
+  async validate(id, constraint, filePath, options = {}) {
+    const projectRoot = options.projectRoot || this.projectRoot;
+    const absolutePath = path.resolve(projectRoot, filePath);
+    const captures = constraint.file_pattern ? (new RegExp(constraint.file_pattern).exec(filePath) || []) : [];
+    const vars = templateVars(absolutePath, projectRoot);
+
+    let content;
+    const problems = await this.checks[constraint.check_type].run({
+      filePath: absolutePath,
+      constraint,
+      projectRoot,
+      resolve: template => path.resolve(projectRoot, expandTemplate(template, vars, captures)),
+      readContent: () => (content ??= fs.readFileSync(absolutePath, 'utf8')),
+      loadPlugin: name => this.loadPlugin(name)
+    });
+
+    return problems.map(({ reason, vars: checkVars = {}, ...details }) => ({
+      constraint_id: id,
+      message: expandTemplate(constraint.message, { ...vars, ...checkVars }, captures),
+      severity: constraint.severity,
+      file_path: filePath,
+      check_type: constraint.check_type,
+      detected_at: new Date().toISOString(),
+      reason,
+      ...details
+    }));
+  }
+
+  /**
+   * Import a plugin named in the settings once
+   * @returns {Promise<function(object): *>}
+   */
+  async loadPlugin(name) {
+    if (!this.loadedPlugins.has(name)) {
+      const modulePath = this.plugins[name];
+      if (!modulePath) {
+        throw new Error(`Post-edit plugin "${name}" is not listed in settings.post_edit.plugins`);
+      }
+
+      const loading = import(pathToFileURL(path.resolve(this.projectRoot, modulePath)).href).then(module => {
+        const check = module.default || module.check;
+        if (typeof check !== 'function') {
+          throw new Error(`Post-edit plugin "${name}" (${modulePath}) does not export a check function`);
+        }
+        return check;
+      });
+      this.loadedPlugins.set(name, loading);
+      loading.catch(() => this.loadedPlugins.delete(name));
+    }
+    return this.loadedPlugins.get(name);
+  }
+}
+
+/**
+ * Source newer than its generated target, or target missing
+ */
+function checkFreshness(sourcePath, targetPath, constraint) {
+  if (!fs.existsSync(targetPath)) {
+    return [{ reason: 'Generated file does not exist' }];
+  }
+
+  const sourceModified = fs.statSync(sourcePath).mtime;
+  const targetModified = fs.statSync(targetPath).mtime;
+  const ageDiffMs = sourceModified.getTime() - targetModified.getTime();
+  const maxAgeMs = (constraint.max_age_seconds ?? DEFAULT_MAX_AGE_SECONDS) * 1000;
+
+  if (ageDiffMs <= maxAgeMs) {
+    return [];
+  }
+  return [{
+    reason: `Generated file is outdated (older than the ${path.basename(sourcePath)} modification)`,
+    source_modified: sourceModified.toISOString(),
+    target_modified: targetModified.toISOString(),
+    age_diff_seconds: Math.floor(ageDiffMs / 1000)
+  }];
+}
+
+/**
+ * Placeholders describing the edited file
+ */
+function templateVars(filePath, projectRoot) {
+  const relativePath = path.relative(projectRoot, filePath);
+  return {
+    file_path: filePath,
+    dirname: path.dirname(filePath),
+    basename: path.basename(filePath, path.extname(filePath)),
+    extname: path.extname(filePath),
+    relative_path: relativePath,
+    relative_dirname: path.dirname(relativePath),
+    project_root: projectRoot
+  };
+}
+
+/**
+ * Replace {{name}} placeholders and $1…$9 file_pattern groups
+ */
+function expandTemplate(template, vars, captures) {
+  return template
+    .replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (vars[name] !== undefined ? String(vars[name]) : placeholder))
+    .replace(/\$([1-9])/g, (reference, index) => captures[index] ?? '');
+}
+
+function formatFromName(filePath) {
+  const name = path.basename(filePath);
+  if (name === 'package.json') return 'package_json';
+  if (/\.json$/i.test(name)) return 'json';
+  if (/\.ya?ml$/i.test(name)) return 'yaml';
+  return null;
+}
+
+function parseError(parse) {
+  try {
+    parse();
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Plugins may return nothing or true (pass), a string, a problem object or a list of them
+ */
+function normalizePluginResult(result) {
+  if (result === undefined || result === null || result === true) {
+    return [];
+  }
+  if (result === false) {
+    return [{ reason: 'Plugin check failed' }];
+  }
+  return toList(result).map(problem => (typeof problem === 'string' ? { reason: problem } : { reason: 'Plugin check failed', ...problem }));
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
@@ -0,0 +1,446 @@
+import { readFileSync, readdirSync, statSync, openSync, readSync, closeSync } from 'fs';
+import { join, dirname, relative, resolve } from 'path';
+import { execFileSync } from 'child_process';
+import { pathToFileURL, fileURLToPath } from 'url';
+import { Worker } from 'worker_threads';
+import { parse } from 'yaml';
+import { ConstraintEngine } from './constraint-engine.js';
+import { ConstraintBaseline } from './constraint-baseline.js';
+import { buildFileContent, mapViolationLocations, constraintAppliesToCall } from '../hooks/tool-content.js';
+import { logger } from '../utils/logger.js';
+
+// Larger files are generated or data, not code someone writes
+const MAX_FILE_SIZE = 1024 * 1024;
+// A NUL byte in the first block marks a binary file, as git decides it
+const BINARY_CHECK_BYTES = 8000;
+// Never scanned, even when git doesn't ignore them
+const IGNORED_DIRECTORIES = new Set(['.git', 'node_modules']);
+// Files a worker checks per message; smaller scans aren't worth starting workers for
+const WORKER_BATCH_SIZE = 25;
+
+const DEFAULT_BLOCKING_LEVELS = ['critical', 'error'];
+const SARIF_LEVELS = { critical: 'error', error: 'error', warning: 'warning', info: 'note' };
+const PACKAGE_VERSION = JSON.parse(readFileSync(new URL('../../package.json', import.meta.url), 'utf8')).version;
+const PACKAGE_CONSTRAINTS = fileURLToPath(new URL('../../constraints.yaml', import.meta.url));
+
+/**
+ * Constraint checks over the files of a project on disk
+ *
+ * Files are listed with git, so .gitignore applies, or by walking the directories
+ * outside a git repository; node_modules and .git are always left out, and so are
+ * the constraint configuration and the baseline, whose examples match. Each file
+ * is checked like the content of a Write call: constraints whose `tool_filter`
+ * leaves out Write, whose `file_pattern` doesn't match or whose exceptions and
+ * whitelist exclude the file are skipped, and so are shadow constraints unless
+ * asked for. File paths are relative to the project root, with forward slashes.
+ *
+ * Large scans are split over worker threads (see scan-worker.js), each with an
+ * engine of its own loaded from the same configuration.
+ */
+export class ProjectScanner {
+  /**
+   * @param {ConstraintEngine} engine - Engine with constraints loaded
+   * @param {object} [options]
+   * @param {string} [options.root] - Project root, defaults to the working directory
+   * @param {string} [options.file] - Constraint YAML file the engine was loaded from, for workers;
+   *   null for the project configuration
+   * @param {string[]} [options.blockingLevels] - Severities the configuration blocks
+   * @param {string[]} [options.excludedFiles] - Files never scanned: the configuration and the baseline
+   */
+  constructor(engine, { root = process.cwd(), file = null, blockingLevels = DEFAULT_BLOCKING_LEVELS, excludedFiles = [] } = {}) {
+    this.engine = engine;
+    this.root = resolve(root);
+    this.file = file;
+    this.blockingLevels = blockingLevels;
+    this.excludedFiles = new Set(excludedFiles.filter(Boolean).map(excluded => resolve(excluded)));
+  }
+
+  /**
+   * Scanner for the project's constraints, rooted where its baseline belongs
+   * @param {object} [options]
+   * @param {object} [options.configManager]
+   * @param {string} [options.file] - Constraint YAML file to scan with instead
+   * @param {string} [options.root] - Defaults to the directory of the project's baseline
+   * @returns {Promise<ProjectScanner>}
+   */
+  static async load({ configManager, file, root } = {}) {
+    if (!configManager) {
+      const { ConfigManager } = await import('../utils/config-manager.js');
+      configManager = new ConfigManager();
+    }
+    const baselinePath = configManager.getBaselinePath();
+    const configPath = file || configManager.findProjectConfig?.() || PACKAGE_CONSTRAINTS;
+    let blockingLevels = configManager.getEnforcementSettings?.().blocking_levels;
+    if (file) {
+      const constraints = configManager.loadValidatedConstraints(file);
+      blockingLevels = (parse(readFileSync(file, 'utf8')) || {}).enforcement?.blocking_levels;
+      configManager = { getConstraints: () => constraints, getBaselinePath: () => baselinePath };
+    }
+
+    // Only the constraints are needed; no databases
+    const engine = new ConstraintEngine(configManager);
+    await engine.loadConstraintsFromConfig();
+    return new ProjectScanner(engine, {
+      root: root || dirname(baselinePath),
+      file: file ? resolve(file) : null,
+      blockingLevels: blockingLevels || DEFAULT_BLOCKING_LEVELS,
+      excludedFiles: [configPath, baselinePath]
+    });
+  }
+
+  /**
+   * Files to scan
+   * @param {string[]} [paths] - Files and directories, relative to the working directory;
+   *   defaults to the whole project
+   * @returns {string[]} - Sorted paths relative to the root
+   */
+  listFiles(paths = []) {
+    const pathspecs = [];
+    for (const path of paths) {
+      const inRoot = relative(this.root, resolve(path));
+      if (inRoot.startsWith('..')) {
+        logger.warn(`Not scanning ${path}: outside of ${this.root}`);
+        continue;
+      }
+      pathspecs.push(inRoot || '.');
+    }
+    if (paths.length > 0 && pathspecs.length === 0) {
+      return [];
+    }
+
+    let files;
+    try {
+      const output = execFileSync('git', ['--literal-pathspecs', 'ls-files', '-z', '--cached', '--others', '--exclude-standard', '--', ...pathspecs], {
+        cwd: this.root,
+        encoding: 'utf8',
+        maxBuffer: 64 * 1024 * 1024,
+        stdio: ['ignore', 'pipe', 'ignore']
+      });
+      files = output.split('\0').filter(Boolean);
+    } catch {
+      logger.debug(`${this.root} is not a git repository, walking its directories`);
+      files = (pathspecs.length > 0 ? pathspecs : ['.']).flatMap(path => this.walk(path));
+    }
+
+    return [...new Set(files)]
+      .filter(file => !file.split('/').some(segment => IGNORED_DIRECTORIES.has(segment)))
+      .filter(file => !this.excludedFiles.has(join(this.root, file)))
+      .sort();
+  }
+
+  walk(path) {
+    let stats;
+    try {
+      stats = statSync(join(this.root, path));
+    } catch {
+      return [];
+    }
+    if (!stats.isDirectory()) {
+      return [path];
+    }
+    return readdirSync(join(this.root, path))
+      .filter(name => !IGNORED_DIRECTORIES.has(name))
+      .flatMap(name => this.walk(path === '.' ? name : `${path}/${name}`));
+  }
+
+  /**
+   * Constraints that apply to a file
+   * @param {string} filePath - Relative to the root
+   * @param {object} [options]
+   * @param {boolean} [options.shadow=false] - Include shadow constraints
+   * @returns {string[]}
+   */
+  constraintsFor(filePath, { shadow = false } = {}) {
+    return Array.from(this.engine.constraints.entries())
+      .filter(([id, constraint]) => constraint.enabled
+        && (shadow || constraint.mode !== 'shadow')
+        // Shell constraints need a command line, the others check calls, written files or results
+        && constraint.type !== 'shell'
+        && constraint.type !== 'workflow'
+        && !constraint.validation_type
+        && constraintAppliesToCall(constraint, { toolName: 'Write', filePath })
+        && !this.engine.isExcluded(id, constraint, filePath))
+      .map(([id]) => id);
+  }
+
+  /**
+   * Check one file
+   * @param {string} filePath - Relative to the root
+   * @param {object} [options]
+   * @param {ConstraintBaseline|null} [options.baseline] - Defaults to the project's
+   * @param {boolean} [options.shadow=false] - Include shadow constraints
+   * @returns {Promise<{violations: Array<object>, baselined: Array<object>, skipped: string|null}>}
+   *   skipped gives the reason a file wasn't checked: binary, too large or unreadable
+   */
+  async scanFile(filePath, { baseline, shadow = false } = {}) {
+    const skipped = this.skipReason(filePath);
+    if (skipped) {
+      return { violations: [], baselined: [], skipped };
+    }
+
+    const constraintIds = this.constraintsFor(filePath, { shadow });
+    if (constraintIds.length === 0) {
+      return { violations: [], baselined: [], skipped: null };
+    }
+
+    const { content, sourceContent, segments } = buildFileContent(readFileSync(join(this.root, filePath), 'utf8'), filePath);
+    const result = await this.engine.checkConstraints({
+      content,
+      sourceContent,
+      type: 'file',
+      filePath,
+      constraintIds,
+      semanticValidation: false,
+      baseline
+    });
+
+    return {
+      violations: mapViolationLocations(result.violations, segments),
+      baselined: result.baselined,
+      skipped: null
+    };
+  }
+
+  skipReason(filePath) {
+    try {
+      const stats = statSync(join(this.root, filePath));
+      if (!stats.isFile()) {
+        // Deleted but still tracked, or a submodule
+        return 'not a file';
+      }
+      if (stats.size > MAX_FILE_SIZE) {
+        return 'too large';
+      }
+
+      const buffer = Buffer.alloc(Math.min(stats.size, BINARY_CHECK_BYTES));
+      const fd = openSync(join(this.root, filePath), 'r');
+      try {
+        readSync(fd, buffer, 0, buffer.length, 0);
+      } finally {
+        closeSync(fd);
+      }
+      return buffer.includes(0) ? 'binary' : null;
+    } catch (error) {
+      return `unreadable: ${error.message}`;
+    }
+  }
+
+  /**
+   * Check the files of the project, or of some of its paths
+   * @param {string[]} [paths] - See listFiles()
+   * @param {object} [options]
+   * @param {ConstraintBaseline|null} [options.baseline] - Defaults to the project's. A baseline
+   *   object, e.g. one tracking the matches, is only used on this thread, so no workers start.
+   * @param {boolean} [options.shadow=false] - Include shadow constraints
+   * @param {number} [options.workers=1] - Worker threads to split the files over
+   * @returns {Promise<{root: string, files: string[], violations: Array<object>, baselined: number,
+   *   skipped: Array<{file_path: string, reason: string}>}>} - files are the files checked;
+   *   baselined counts the matches the baseline left out
+   */
+  async scan(paths = [], { baseline, shadow = false, workers = 1 } = {}) {
+    const files = this.listFiles(paths);
+    const inWorkers = workers > 1 && !baseline && files.length > WORKER_BATCH_SIZE;
+    const results = inWorkers
+      ? await this.scanInWorkers(files, { workers, baseline: baseline !== null, shadow })
+      : await this.scanFiles(files, { baseline, shadow });
+
+    const report = { root: this.root, files: [], violations: [], baselined: 0, skipped: [] };
+    for (const result of results) {
+      if (result.skipped) {
+        report.skipped.push({ file_path: result.file_path, reason: result.skipped });
+        continue;
+      }
+      report.files.push(result.file_path);
+      report.violations.push(...result.violations);
+      report.baselined += result.baselined.reduce((sum, entry) => sum + entry.matches, 0);
+    }
+
+    return report;
+  }
+
+  /**
+   * Check files one after the other
+   * @returns {Promise<Array<object>>} - scanFile() results with their file_path, in order
+   */
+  async scanFiles(files, options) {
+    const results = [];
+    for (const filePath of files) {
+      results.push({ file_path: filePath, ...await this.scanFile(filePath, options) });
+    }
+    return results;
+  }
+
+  /**
+   * Check files in worker threads, each taking the next batch when it is done
+   * @param {string[]} files
+   * @param {object} options
+   * @param {number} options.workers - At most this many workers, fewer for few batches
+   * @param {boolean} options.baseline - Whether to leave out the project's baselined matches
+   * @param {boolean} options.shadow
+   * @returns {Promise<Array<object>>} - As scanFiles()
+   */
+  async scanInWorkers(files, { workers, baseline, shadow }) {
+    const batches = [];
+    for (let i = 0; i < files.length; i += WORKER_BATCH_SIZE) {
+      batches.push(files.slice(i, i + WORKER_BATCH_SIZE));
+    }
+    const results = new Array(batches.length);
+    let next = 0;
+
+    const runWorker = () => new Promise((resolvePromise, reject) => {
+      const worker = new Worker(new URL('./scan-worker.js', import.meta.url), {
+        workerData: { root: this.root, file: this.file, baseline, shadow }
+      });
+      let current = null;
+      const dispatch = () => {
+        if (next >= batches.length) {
+          worker.terminate().then(() => resolvePromise(), reject);
+          return;
+        }
+        current = next++;
+        worker.postMessage({ files: batches[current] });
+      };
+
+      worker.on('message', message => {
+        if (message.type === 'result') {
+          results[current] = message.results;
+        }
+        dispatch();
+      });
+      worker.on('error', error => {
+        next = batches.length;
+        reject(error);
+      });
+    });
+
+    const count = Math.min(workers, batches.length);
+    logger.debug(`Scanning ${files.length} files in ${count} workers`);
+    await Promise.all(Array.from({ length: count }, runWorker));
+    return results.flat();
+  }
+
+  /**
+   * Violations that fail a scan: of the given severities, from constraints in enforce mode
+   * @param {Array<object>} violations
+   * @param {string[]} severities
+   * @returns {Array<object>}
+   */
+  failures(violations, severities) {
+    return violations.filter(violation => severities.includes(violation.severity)
+      && (this.engine.constraints.get(violation.constraint_id)?.mode || 'enforce') === 'enforce');
+  }
+
+  /**
+   * The report as a SARIF 2.1.0 log, one result per reported match
+   * Results carry the baseline fingerprint of their match, so code scanning tools
+   * can follow them as the code moves.
+   * @param {object} report - From scan()
+   * @returns {object}
+   */
+  toSarif(report) {
+    const ruleIds = [...new Set(report.violations.map(violation => violation.constraint_id))].sort();
+    const rules = ruleIds.map(id => {
+      const constraint = this.engine.constraints.get(id) || {};
+      return {
+        id,
+        shortDescription: { text: constraint.message || id },
+        ...(constraint.suggestion && { help: { text: constraint.suggestion } }),
+        defaultConfiguration: { level: SARIF_LEVELS[constraint.severity] || 'warning' }
+      };
+    });
+
+    const results = report.violations.flatMap(violation => {
+      const locations = violation.locations?.length > 0 ? violation.locations : [null];
+      return locations.map(location => ({
+        ruleId: violation.constraint_id,
+        ruleIndex: ruleIds.indexOf(violation.constraint_id),
+        level: SARIF_LEVELS[violation.severity] || 'warning',
+        message: { text: violation.message },
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: encodeURI(violation.file_path), uriBaseId: 'SRCROOT' },
+            // Locations of path constraints are in the path, not the file
+            ...(location && violation.applies_to !== 'file_path' && {
+              region: {
+                startLine: location.line,
+                startColumn: location.column,
+                endLine: location.end_line,
+                endColumn: location.end_column,
+                snippet: { text: location.snippet }
+              }
+            })
+          }
+        }],
+        ...(location && {
+          partialFingerprints: {
+            'constraintBaseline/v1': ConstraintBaseline.fingerprint(violation.constraint_id, violation.file_path, location.snippet)
+          }
+        })
+      }));
+    });
+
+    return {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [{
+        tool: { driver: { name: 'mcp-constraint-monitor', version: PACKAGE_VERSION, rules } },
+        originalUriBaseIds: { SRCROOT: { uri: pathToFileURL(`${this.root}/`).href } },
+        results
+      }]
+    };
+  }
+
+  /**
+   * @param {object} report - From scan()
+   * @param {object} [options]
+   * @param {Array<object>} [options.failures] - From failures(), for the summary
+   * @param {string[]} [options.failOn] - The severities they were selected by
+   * @returns {string}
+   */
+  static formatReport(report, { failures = [], failOn = [] } = {}) {
+    const lines = [];
+    const byFile = new Map();
+    for (const violation of report.violations) {
+      if (!byFile.has(violation.file_path)) byFile.set(violation.file_path, []);
+      byFile.get(violation.file_path).push(violation);
+    }
+
+    for (const [filePath, violations] of byFile) {
+      lines.push(filePath);
+      // Path constraints first, then by position in the file
+      const rows = violations
+        .flatMap(violation => (violation.locations?.length > 0 ? violation.locations : [violation])
+          .map(location => ({ violation, line: violation.applies_to === 'file_path' ? 0 : location.line, column: location.column })))
+        .sort((a, b) => a.line - b.line || a.column - b.column);
+      for (const { violation, line, column } of rows) {
+        const position = line === 0 ? '(path)' : `${line}:${column}`;
+        lines.push(`  ${position.padEnd(8)} ${violation.severity.padEnd(8)} ${violation.constraint_id}  ${violation.message}`);
+      }
+      lines.push('');
+    }
+
+    const bySeverity = {};
+    for (const violation of report.violations) {
+      bySeverity[violation.severity] = (bySeverity[violation.severity] || 0) + 1;
+    }
+    const counts = Object.entries(bySeverity).map(([severity, count]) => `${count} ${severity}`).join(', ');
+    const icon = failures.length > 0 ? '❌' : report.violations.length > 0 ? '⚠️' : '✅';
+    lines.push(`${icon} ${plural(report.violations.length, 'violation')}${counts ? ` (${counts})` : ''} in ${plural(byFile.size, 'file')}`
+      + (failures.length > 0 ? `, ${failures.length} failing the scan (${failOn.join(', ')})` : ''));
+
+    const details = [plural(report.files.length, 'file') + ' scanned'];
+    if (report.baselined > 0) details.push(`${report.baselined} baselined`);
+    if (report.skipped.length > 0) details.push(`${report.skipped.length} skipped`);
+    lines.push(`   ${details.join(', ')}`);
+
+    return lines.join('\n');
+  }
+
+  async close() {
+    await this.engine.close();
+  }
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,123 @@
+import { Worker } from 'worker_threads';
+import { logger } from '../utils/logger.js';
+
+// Time one pattern may take on one text before it is abandoned
+export const DEFAULT_REGEX_TIMEOUT_MS = 500;
+
+/**
+ * Runs constraint regexes in a worker thread under a per-pattern time budget
+ *
+ * A catastrophically backtracking pattern can't be interrupted on the main
+ * thread, so matching runs in a worker. When a pattern exceeds its budget the
+ * worker is terminated, the pattern is reported as timed out and the remaining
+ * patterns continue in a fresh worker. The worker starts on first use and is
+ * unref'd while idle, so it never keeps the process alive.
+ */
+export class RegexRunner {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs] - Budget per pattern, excluding worker startup
+   */
+  constructor({ timeoutMs = DEFAULT_REGEX_TIMEOUT_MS } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.worker = null;
+    // Batches run one at a time so a budget never includes queueing
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Match each regex against the text
+   * @param {string} text
+   * @param {Array<{source: string, flags: string}>} jobs
+   * @returns {Promise<Array<{spans?: Array<{snippet: string, start: number, end: number}>,
+   *   timedOut?: boolean, error?: string}>>} - One result per job, in order
+   */
+  matchAll(text, jobs) {
+    const run = this.queue.then(() => this.runJobs(text, jobs));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async runJobs(text, jobs) {
+    const results = [];
+    while (results.length < jobs.length) {
+      const { completed, timedOut } = await this.runBatch(text, jobs.slice(results.length));
+      results.push(...completed);
+      if (timedOut) {
+        results.push({ timedOut: true });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Run jobs in the worker until they finish or one exceeds the budget
+   * @returns {Promise<{completed: Array<object>, timedOut: boolean}>}
+   */
+  runBatch(text, jobs) {
+    const worker = this.getWorker();
+    const completed = [];
+
+    return new Promise(resolve => {
+      let timer = null;
+      const arm = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          this.discardWorker(worker);
+          finish(true);
+        }, this.timeoutMs);
+      };
+      const finish = (timedOut) => {
+        clearTimeout(timer);
+        worker.off('message', onMessage);
+        worker.off('error', onError);
+        worker.unref();
+        resolve({ completed, timedOut });
+      };
+      const onMessage = (message) => {
+        if (message.type === 'result') {
+          completed.push(message.result);
+        }
+        if (completed.length === jobs.length) {
+          finish(false);
+        } else {
+          arm();
+        }
+      };
+      const onError = (error) => {
+        logger.warn('Regex worker failed:', error.message);
+        this.discardWorker(worker);
+        while (completed.length < jobs.length) {
+          completed.push({ error: error.message });
+        }
+        finish(false);
+      };
+
+      worker.on('message', onMessage);
+      worker.on('error', onError);
+      worker.ref();
+      worker.postMessage({ text, jobs });
+    });
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./regex-worker.js', import.meta.url));
+      this.worker.unref();
+    }
+    return this.worker;
+  }
+
+  discardWorker(worker) {
+    if (this.worker === worker) {
+      this.worker = null;
+    }
+    worker.terminate().catch(() => {});
+  }
+
+  async close() {
+    const worker = this.worker;
+    this.worker = null;
+    await worker?.terminate();
+  }
+}
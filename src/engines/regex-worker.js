@@ -0,0 +1,44 @@
+import { parentPort } from 'worker_threads';
+
+// Compiled regexes by flags and source; constraints rarely change between checks
+const regexCache = new Map();
+const MAX_CACHED_REGEXES = 1000;
+
+function getRegex(source, flags) {
+  const key = `${flags}/${source}`;
+  let regex = regexCache.get(key);
+  if (!regex) {
+    if (regexCache.size >= MAX_CACHED_REGEXES) regexCache.clear();
+    regex = new RegExp(source, flags);
+    regexCache.set(key, regex);
+  }
+  return regex;
+}
+
+/**
+ * Regex matching off the main thread, for RegexRunner
+ *
+ * Receives {text, jobs: [{source, flags}]} and answers with a 'start' message,
+ * then one 'result' message per job in order. A job that runs too long is
+ * stopped by terminating this worker.
+ */
+parentPort.on('message', ({ text, jobs }) => {
+  parentPort.postMessage({ type: 'start' });
+
+  for (const { source, flags } of jobs) {
+    let result;
+    try {
+      const regex = getRegex(source, flags);
+      result = {
+        spans: Array.from(text.matchAll(regex), match => ({
+          snippet: match[0],
+          start: match.index,
+          end: match.index + match[0].length
+        }))
+      };
+    } catch (error) {
+      result = { error: error.message };
+    }
+    parentPort.postMessage({ type: 'result', result });
+  }
+});
@@ -0,0 +1,20 @@
+import { parentPort, workerData } from 'worker_threads';
+import { ProjectScanner } from './project-scanner.js';
+
+/**
+ * File checks off the main thread, for ProjectScanner.scanInWorkers()
+ *
+ * workerData is {root, file, baseline, shadow}: the project root, the constraint
+ * file (null for the project configuration), whether to leave out baselined
+ * matches and whether to include shadow constraints. The worker loads its own
+ * scanner, answers with a 'ready' message, then with one 'result' message per
+ * {files} batch it receives.
+ */
+const { root, file, baseline, shadow } = workerData;
+const scanner = await ProjectScanner.load({ file, root });
+
+parentPort.on('message', async ({ files }) => {
+  const results = await scanner.scanFiles(files, { baseline: baseline ? undefined : null, shadow });
+  parentPort.postMessage({ type: 'result', results });
+});
+parentPort.postMessage({ type: 'ready' });
@@ -0,0 +1,353 @@
+import { parseShell } from '../utils/shell-parser.js';
+import { matchesGlob } from '../utils/glob.js';
+
+/**
+ * Commands that run another command given as their arguments. The options listed
+ * take a value; `positionals` counts arguments before the wrapped command.
+ */
+const WRAPPERS = {
+  sudo: { options: ['-u', '-g', '-C', '-D', '-h', '-p', '-r', '-t', '-T', '-U', '--user', '--group', '--chdir', '--host', '--prompt', '--role', '--type', '--command-timeout', '--other-user'] },
+  doas: { options: ['-u', '-C'] },
+  env: { options: ['-u', '-C', '-S', '--unset', '--chdir', '--split-string'] },
+  xargs: { options: ['-a', '-d', '-E', '-I', '-L', '-n', '-P', '-s', '--arg-file', '--delimiter', '--max-args', '--max-procs', '--max-chars', '--max-lines', '--replace'] },
+  nice: { options: ['-n', '--adjustment'] },
+  nohup: { options: [] },
+  time: { options: ['-f', '-o', '--format', '--output'] },
+  command: { options: [] },
+  exec: { options: ['-a'] },
+  builtin: { options: [] },
+  timeout: { options: ['-s', '-k', '--signal', '--kill-after'], positionals: 1 },
+  stdbuf: { options: ['-i', '-o', '-e', '--input', '--output', '--error'] }
+};
+
+// Shells whose `-c` argument is a script of its own
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh']);
+
+// Global options that take a value, before the subcommand
+const GLOBAL_OPTIONS = {
+  git: ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--super-prefix', '--config-env'],
+  docker: ['-H', '-c', '-l', '--host', '--context', '--config', '--log-level', '--tlscacert', '--tlscert', '--tlskey'],
+  kubectl: ['-n', '-s', '--namespace', '--context', '--cluster', '--kubeconfig', '--server', '--user', '--token']
+};
+
+// Nesting depth for `bash -c`, `eval` and `find -exec`
+const MAX_DEPTH = 3;
+
+const RULE_KEYS = ['command', 'subcommand', 'flags', 'args'];
+
+/**
+ * Shell constraints: rules on the commands a Bash tool call runs
+ *
+ * A `type: shell` constraint has a `shell` block instead of a pattern. The
+ * command line is parsed, so quoting and expansions don't hide the command
+ * (`r''m -rf`, `$(echo rm) -rf`, `X=rm; $X -rf`) and text that merely mentions
+ * it doesn't match (`echo "rm -rf"`, heredoc bodies, comments):
+ *
+ *   shell:
+ *     command: git                 # glob on the executable name, or a list
+ *     subcommand: push             # first argument that isn't an option, or a list
+ *     flags: [[--force, -f]]       # every entry must be given; a list is any of its flags
+ *     args: ["^(main|master)$"]    # every regex must match an argument after the subcommand
+ *
+ * Every key given must match one command of the line. Commands in pipelines,
+ * lists, subshells and substitutions are checked, and so are commands run
+ * through wrappers (`sudo`, `env`, `xargs`, `timeout`, ...), `sh -c`, `eval` and
+ * `find -exec`. `command` also matches the wrappers, so `command: sudo` finds
+ * every command run with sudo. Combined short flags count separately (`-rf` is
+ * `-r` and `-f`) and long flags are compared without their `=value`.
+ *
+ * An executable that can't be resolved statically (`"$CMD" -rf /`, `${X:-rm} -rf`)
+ * could be any command, so it matches a rule with `flags` or `args` when its
+ * arguments do. Such matches are flagged `unresolved`.
+ */
+export class ShellMatcher {
+  constructor() {
+    this.argRegexes = new Map();
+  }
+
+  /**
+   * First problem with a `shell` block, or null
+   * @returns {string|null}
+   */
+  static validateRule(rule) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      return 'must be an object with a "command"';
+    }
+    const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      return `has unknown key(s) ${unknown.map(key => `"${key}"`).join(', ')}`;
+    }
+    if (!isStringOrList(rule.command)) {
+      return 'needs a "command": a name or glob, or a list of them';
+    }
+    if (rule.subcommand !== undefined && !isStringOrList(rule.subcommand)) {
+      return '"subcommand" must be a string or a list of strings';
+    }
+    if (rule.flags !== undefined && !(Array.isArray(rule.flags) && rule.flags.every(flag => isStringOrList(flag)))) {
+      return '"flags" must be a list of flags, or of lists of alternative flags';
+    }
+    if (rule.args !== undefined) {
+      if (!isStringOrList(rule.args)) {
+        return '"args" must be a regex or a list of regexes';
+      }
+      for (const source of toList(rule.args)) {
+        try {
+          new RegExp(source);
+        } catch (error) {
+          return `"args" has an invalid regex: ${error.message}`;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The commands a command line runs, with wrappers removed
+   * @param {string} source - Command line
+   * @returns {Array<{name: string|null, wrappers: string[], flags: Set<string>, positionals: Array<string|null>,
+   *   start: number, end: number}>} - `name` is the executable's base name, null if it can't be
+   *   resolved statically; positionals are null likewise. Offsets index into source; commands of a
+   *   nested script get the offsets of the argument that holds it.
+   */
+  describe(source, depth = 0) {
+    if (!source) {
+      return [];
+    }
+
+    const described = [];
+    for (const command of parseShell(source)) {
+      this.describeWords(command.words, { start: command.start, end: command.end }, depth, described);
+    }
+    return described;
+  }
+
+  describeWords(words, span, depth, described) {
+    const wrappers = [];
+    let index = 0;
+
+    while (index < words.length) {
+      const name = baseName(words[index].value);
+      const wrapper = Object.hasOwn(WRAPPERS, name) ? WRAPPERS[name] : null;
+      if (!wrapper) break;
+      wrappers.push(name);
+      index = skipWrapperArguments(words, index + 1, wrapper, name);
+    }
+
+    if (index >= words.length) {
+      // A wrapper on its own, e.g. `sudo -v`
+      if (wrappers.length > 0) {
+        described.push({ name: wrappers.pop(), wrappers, flags: new Set(), positionals: [], ...span });
+      }
+      return;
+    }
+
+    const name = baseName(words[index].value);
+    const { flags, positionals } = splitArguments(words.slice(index + 1), GLOBAL_OPTIONS[name] || []);
+    described.push({ name, wrappers, flags, positionals: positionals.map(word => word.value), ...span });
+
+    if (depth + 1 >= MAX_DEPTH) {
+      return;
+    }
+    for (const { source, start, end } of nestedScripts(name, words.slice(index + 1))) {
+      for (const nested of this.describe(source, depth + 1)) {
+        described.push({ ...nested, wrappers: [...wrappers, ...nested.wrappers], start, end });
+      }
+    }
+    if (name === 'find') {
+      for (const execWords of findExecCommands(words.slice(index + 1))) {
+        const nestedSpan = { start: execWords[0].start, end: execWords[execWords.length - 1].end };
+        this.describeWords(execWords, nestedSpan, depth + 1, described);
+      }
+    }
+  }
+
+  /**
+   * Spans of the commands of a line that match a rule
+   * @param {Array<object>} commands - See describe()
+   * @param {object} rule - A `shell` block
+   * @param {string} source - The command line, for snippets
+   * @returns {Array<{start: number, end: number, snippet: string, unresolved?: boolean}>} - `unresolved`
+   *   when the command's executable is unknown and only its arguments matched
+   */
+  match(commands, rule, source) {
+    const spans = [];
+    for (const command of commands) {
+      if (!this.matchesCommand(command, rule)) continue;
+      // A nested script reports the argument it is in, once
+      if (spans.some(span => span.start === command.start && span.end === command.end)) continue;
+      spans.push({
+        start: command.start,
+        end: command.end,
+        snippet: source.slice(command.start, command.end),
+        ...(isUnresolvedMatch(command, rule) && { unresolved: true })
+      });
+    }
+    return spans;
+  }
+
+  matchesCommand(command, rule) {
+    const matchesName = name => toList(rule.command).some(pattern => matchesGlob(name, pattern));
+
+    if (command.name !== null && matchesName(command.name)) {
+      return this.matchesArguments(command, rule);
+    }
+    // Of a wrapper, only the name is known; its arguments belong to the wrapped command
+    if (!hasArgumentRules(rule) && command.wrappers.some(matchesName)) {
+      return true;
+    }
+    // Failing closed: hiding the executable in an expansion doesn't get a command through
+    return isUnresolvedMatch(command, rule) && this.matchesArguments(command, rule);
+  }
+
+  /**
+   * Whether a command's arguments match a rule's subcommand, flags and args
+   */
+  matchesArguments(command, rule) {
+    let args = command.positionals;
+    if (rule.subcommand !== undefined) {
+      if (!toList(rule.subcommand).includes(args[0])) {
+        return false;
+      }
+      args = args.slice(1);
+    }
+
+    if (rule.flags !== undefined && !rule.flags.every(flag => toList(flag).some(alternative => command.flags.has(alternative)))) {
+      return false;
+    }
+
+    if (rule.args !== undefined) {
+      const known = args.filter(arg => arg !== null);
+      return toList(rule.args).every(source => known.some(arg => this.argRegex(source).test(arg)));
+    }
+    return true;
+  }
+
+  argRegex(source) {
+    if (!this.argRegexes.has(source)) {
+      this.argRegexes.set(source, new RegExp(source));
+    }
+    return this.argRegexes.get(source);
+  }
+}
+
+function isStringOrList(value) {
+  return (typeof value === 'string' && value.length > 0) ||
+    (Array.isArray(value) && value.length > 0 && value.every(item => typeof item === 'string' && item.length > 0));
+}
+
+// Rules on more than the executable's name
+function hasArgumentRules(rule) {
+  return rule.subcommand !== undefined || rule.flags !== undefined || rule.args !== undefined;
+}
+
+// Unknown executables are matched on their flags and args, never on a subcommand alone
+function isUnresolvedMatch(command, rule) {
+  return command.name === null && (rule.flags !== undefined || rule.args !== undefined);
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function baseName(value) {
+  if (value === null || value === undefined) return null;
+  return value.slice(value.lastIndexOf('/') + 1);
+}
+
+/**
+ * Index of the wrapped command after a wrapper's own options and arguments
+ */
+function skipWrapperArguments(words, index, wrapper, name) {
+  let positionals = wrapper.positionals || 0;
+
+  while (index < words.length) {
+    const value = words[index].value;
+    if (value === '--') {
+      return index + 1;
+    }
+    if (value !== null && value.startsWith('-') && value.length > 1) {
+      // `-u root` and `--user root` take the next word, `-uroot` and `--user=root` don't
+      index += wrapper.options.includes(value) ? 2 : 1;
+    } else if (name === 'env' && value !== null && /^[A-Za-z_][A-Za-z0-9_]*=/.test(value)) {
+      index++;
+    } else if (positionals > 0) {
+      positionals--;
+      index++;
+    } else {
+      return index;
+    }
+  }
+  return index;
+}
+
+/**
+ * Options and positional arguments; `--` ends the options
+ * @param {Array<object>} words - Arguments after the command name
+ * @param {string[]} valueOptions - Options whose value is the next word
+ */
+function splitArguments(words, valueOptions) {
+  const flags = new Set();
+  const positionals = [];
+  let optionsEnded = false;
+
+  for (let index = 0; index < words.length; index++) {
+    const value = words[index].value;
+    if (optionsEnded || value === null || !value.startsWith('-') || value === '-') {
+      positionals.push(words[index]);
+      continue;
+    }
+    if (value === '--') {
+      optionsEnded = true;
+      continue;
+    }
+
+    if (value.startsWith('--')) {
+      flags.add(value.split('=')[0]);
+    } else {
+      // -rf is -r and -f; the word itself too, for single-dash long options like find's -delete
+      flags.add(value);
+      for (const letter of value.slice(1)) {
+        flags.add(`-${letter}`);
+      }
+    }
+
+    // Global options before the subcommand take their value along
+    if (positionals.length === 0 && valueOptions.includes(value)) {
+      index++;
+    }
+  }
+
+  return { flags, positionals };
+}
+
+/**
+ * Scripts run by `sh -c` and `eval`, with the span of the words that hold them
+ */
+function nestedScripts(name, args) {
+  if (SHELLS.has(name)) {
+    const commandIndex = args.findIndex(word => word.value !== null && /^-[a-z]*c[a-z]*$/.test(word.value));
+    const script = commandIndex === -1 ? null : args[commandIndex + 1];
+    return script && script.value !== null ? [{ source: script.value, start: script.start, end: script.end }] : [];
+  }
+  if (name === 'eval' && args.length > 0 && args.every(word => word.value !== null)) {
+    return [{ source: args.map(word => word.value).join(' '), start: args[0].start, end: args[args.length - 1].end }];
+  }
+  return [];
+}
+
+/**
+ * Words of the commands `find -exec` and its variants run, up to `;` or `+`
+ */
+function findExecCommands(args) {
+  const commands = [];
+  for (let index = 0; index < args.length; index++) {
+    if (!['-exec', '-execdir', '-ok', '-okdir'].includes(args[index].value)) continue;
+    const end = args.findIndex((word, position) => position > index && (word.value === ';' || word.value === '+'));
+    const execWords = args.slice(index + 1, end === -1 ? args.length : end);
+    if (execWords.length > 0) {
+      commands.push(execWords);
+    }
+    index = end === -1 ? args.length : end;
+  }
+  return commands;
+}
@@ -0,0 +1,124 @@
+/**
+ * Inline suppression comments
+ *
+ * Source-level escape hatches for individual constraints, in any comment style
+ * (`//`, `/* *\/`, `#`, `<!-- -->`, `--`). A reason after ` -- ` is required;
+ * directives without one are reported as invalid and not honoured.
+ *
+ *   // constraint-disable-next-line no-console-log -- CLI output
+ *   foo(); // constraint-disable-line no-var-declarations -- generated code
+ *   /* constraint-disable no-console-log, no-debugger -- debug helpers *\/
+ *   ...
+ *   /* constraint-enable no-console-log, no-debugger *\/
+ *   # constraint-disable-file no-hardcoded-secrets -- test fixtures
+ *
+ * `constraint-enable` without IDs closes every open block.
+ */
+
+const DIRECTIVE_PATTERN = /(?:\/\/|\/\*|#|<!--|--)\s*constraint-(disable-next-line|disable-line|disable-file|disable|enable)(?=\s|$|\*\/|-->)(.*)$/;
+
+export class SuppressionParser {
+  /**
+   * Parse the suppression directives of a text
+   * @param {string} text
+   * @returns {Suppressions}
+   */
+  parse(text) {
+    const directives = [];
+    const invalid = [];
+    const openBlocks = [];
+    const lines = (text || '').split('\n');
+
+    lines.forEach((lineText, index) => {
+      const match = DIRECTIVE_PATTERN.exec(lineText);
+      if (!match) return;
+
+      const line = index + 1;
+      const kind = match[1];
+      const { constraintIds, reason } = this.parseArguments(match[2]);
+
+      if (kind === 'enable') {
+        for (const block of openBlocks.filter(open => constraintIds.length === 0 || constraintIds.includes(open.constraint_id))) {
+          block.end_line = line;
+          openBlocks.splice(openBlocks.indexOf(block), 1);
+        }
+        return;
+      }
+
+      if (constraintIds.length === 0 || !reason) {
+        invalid.push({
+          line,
+          kind,
+          constraint_ids: constraintIds,
+          error: constraintIds.length === 0
+            ? 'no constraint IDs given'
+            : 'a reason is required, e.g. "-- why this is acceptable"'
+        });
+        return;
+      }
+
+      const range = {
+        'disable-next-line': [line + 1, line + 1],
+        'disable-line': [line, line],
+        'disable-file': [1, Infinity],
+        'disable': [line, Infinity]
+      }[kind];
+
+      for (const constraintId of constraintIds) {
+        const directive = { kind, constraint_id: constraintId, reason, line, start_line: range[0], end_line: range[1] };
+        directives.push(directive);
+        if (kind === 'disable') {
+          openBlocks.push(directive);
+        }
+      }
+    });
+
+    return new Suppressions(directives, invalid);
+  }
+
+  /**
+   * Split `id-a, id-b -- reason` (with any comment terminator) into IDs and reason
+   */
+  parseArguments(rest) {
+    const body = rest.replace(/\s*(\*\/|-->)\s*$/, '');
+    const separator = body.search(/\s--(\s|$)/);
+    const idsText = separator === -1 ? body : body.slice(0, separator);
+    const reason = separator === -1 ? '' : body.slice(separator).replace(/^\s--/, '').trim();
+
+    return {
+      constraintIds: idsText.split(/[\s,]+/).filter(Boolean),
+      reason
+    };
+  }
+}
+
+/**
+ * Parsed suppressions of one text
+ */
+export class Suppressions {
+  constructor(directives = [], invalid = []) {
+    this.directives = directives;
+    this.invalid = invalid;
+  }
+
+  /**
+   * Directive suppressing a constraint on a line, if any
+   * @param {string} constraintId
+   * @param {number} line - 1-based line of the match
+   * @returns {object|null}
+   */
+  find(constraintId, line) {
+    return this.directives.find(directive =>
+      directive.constraint_id === constraintId && line >= directive.start_line && line <= directive.end_line
+    ) || null;
+  }
+
+  /**
+   * File-level directive for a constraint, used for path constraints which have no line
+   */
+  findFileLevel(constraintId) {
+    return this.directives.find(directive =>
+      directive.constraint_id === constraintId && directive.kind === 'disable-file'
+    ) || null;
+  }
+}
@@ -0,0 +1,141 @@
+// Characters of output quoted in a violation
+const EXCERPT_LENGTH = 200;
+
+/**
+ * Checks on what a tool returned, run by the post-tool hook
+ *
+ * Constraints with `validation_type: post_tool_result` look at the result of
+ * Bash calls whose command matches `command_pattern`: the exit code and the
+ * output (stdout and stderr). Every condition given must hold for a violation:
+ *
+ *   - id: tests-must-pass
+ *     validation_type: post_tool_result
+ *     command_pattern: "\\bnpm\\s+(run\\s+)?test\\b"
+ *     exit_code: nonzero               # a code, a list of codes or "nonzero"
+ *     output_pattern: "# fail [1-9]"   # regex on stdout and stderr
+ *     message: "Tests failed after {{command}}"
+ *
+ * `tool_filter` extends the check to other tools; their result is matched as output.
+ */
+export class ToolResultChecker {
+  /**
+   * The parts of a tool call and its result the checks look at
+   * @param {string} toolName
+   * @param {object} [params] - Tool input
+   * @param {object|string} [response] - tool_response from the hook data
+   * @returns {{tool: string, command: string|null, exit_code: number|null, output: string}}
+   */
+  static describeResult(toolName, params = {}, response = {}) {
+    if (typeof response === 'string') {
+      return { tool: toolName, command: params.command ?? null, exit_code: null, output: response };
+    }
+
+    const exitCode = response?.exit_code ?? response?.exitCode ?? response?.returncode ?? null;
+    const output = [response?.stdout, response?.stderr, response?.output].filter(part => typeof part === 'string' && part.length > 0);
+    return {
+      tool: toolName,
+      command: typeof params.command === 'string' ? params.command : null,
+      exit_code: Number.isInteger(exitCode) ? exitCode : null,
+      output: output.join('\n')
+    };
+  }
+
+  /**
+   * First problem with a tool result constraint, or null
+   * @returns {string|null}
+   */
+  static validateConstraint(constraint) {
+    if (constraint.exit_code === undefined && constraint.output_pattern === undefined) {
+      return 'needs "exit_code" and/or "output_pattern"';
+    }
+    const codes = Array.isArray(constraint.exit_code) ? constraint.exit_code : [constraint.exit_code];
+    if (constraint.exit_code !== undefined && constraint.exit_code !== 'nonzero' && !codes.every(Number.isInteger)) {
+      return '"exit_code" must be a whole number, a list of them or "nonzero"';
+    }
+    for (const key of ['command_pattern', 'output_pattern']) {
+      if (constraint[key] === undefined) continue;
+      try {
+        new RegExp(constraint[key], key === 'output_pattern' ? constraint.flags : undefined);
+      } catch (error) {
+        return `"${key}" is not a valid regex: ${error.message}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether a constraint looks at this result at all
+   * @param {object} constraint
+   * @param {{tool: string, command: string|null}} result - See describeResult()
+   */
+  static appliesTo(constraint, result) {
+    const tools = constraint.tool_filter || ['Bash'];
+    if (!tools.includes(result.tool)) {
+      return false;
+    }
+    return constraint.command_pattern === undefined || (result.command !== null && new RegExp(constraint.command_pattern).test(result.command));
+  }
+
+  /**
+   * Check one applicable constraint against a result
+   * @param {string} id - Constraint id
+   * @param {object} constraint
+   * @param {object} result - See describeResult()
+   * @param {{start: number, end: number}|null} [outputMatch] - First match of `output_pattern` in the
+   *   output; the caller runs it, in the regex worker
+   * @returns {object|null} - Violation with a `tool_result` explanation
+   */
+  static check(id, constraint, result, outputMatch = null) {
+    const reasons = [];
+
+    if (constraint.exit_code !== undefined) {
+      // Without an exit code in the result there is nothing to compare
+      if (result.exit_code === null || !matchesExitCode(constraint.exit_code, result.exit_code)) {
+        return null;
+      }
+      reasons.push(`exit code ${result.exit_code}`);
+    }
+
+    let excerpt = null;
+    if (constraint.output_pattern !== undefined) {
+      if (!outputMatch) {
+        return null;
+      }
+      excerpt = outputExcerpt(result.output, outputMatch.start, outputMatch.end);
+      reasons.push(`output matches /${constraint.output_pattern}/`);
+    }
+
+    const vars = { command: result.command ?? result.tool, exit_code: result.exit_code ?? 'unknown', tool: result.tool };
+    return {
+      constraint_id: id,
+      message: constraint.message.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => (vars[name] !== undefined ? String(vars[name]) : placeholder)),
+      severity: constraint.severity,
+      matches: 1,
+      detected_at: new Date().toISOString(),
+      locations: [],
+      tool_result: {
+        reason: `${result.command ?? result.tool}: ${reasons.join(', ')}`,
+        command: result.command,
+        exit_code: result.exit_code,
+        excerpt
+      }
+    };
+  }
+}
+
+function matchesExitCode(expected, actual) {
+  if (expected === 'nonzero') {
+    return actual !== 0;
+  }
+  return (Array.isArray(expected) ? expected : [expected]).includes(actual);
+}
+
+/**
+ * The matched line(s) of the output, shortened around the match
+ */
+function outputExcerpt(output, start, end) {
+  const lineStart = output.lastIndexOf('\n', start - 1) + 1;
+  const lineEnd = output.indexOf('\n', end);
+  const lines = output.slice(lineStart, lineEnd === -1 ? output.length : lineEnd);
+  return lines.length > EXCERPT_LENGTH ? `${lines.slice(0, EXCERPT_LENGTH)}…` : lines;
+}
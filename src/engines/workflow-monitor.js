@@ -0,0 +1,279 @@
+import { matchesGlob } from '../utils/glob.js';
+import { logger } from '../utils/logger.js';
+import { ShellMatcher } from './shell-matcher.js';
+
+export const DEFAULT_WORKFLOW_SETTINGS = {
+  // Most recent tool calls of a session the rules look back over
+  history_limit: 500,
+  // Recorded calls older than this are deleted
+  retention_hours: 24
+};
+
+const MATCHER_KEYS = ['tool', 'file', 'command'];
+// Parsed command lines kept, so the history isn't parsed again on every check
+const MAX_DESCRIBED_COMMANDS = 1000;
+
+/**
+ * Workflow constraints: rules over the ordered tool calls of a session
+ *
+ * A `type: workflow` constraint has a `workflow` block instead of a pattern. It
+ * is checked when a tool call matches `when`, against the calls before it:
+ *
+ *   # after editing a .puml, render before the next commit
+ *   workflow:
+ *     when: { tool: Bash, command: { command: git, subcommand: commit } }
+ *     require: { tool: Bash, command: plantuml }
+ *     since: { tool: [Write, Edit, MultiEdit], file: "*.puml" }
+ *
+ *   # no more than 3 writes to a file without reading it
+ *   workflow:
+ *     when: { tool: Write }
+ *     max: 3
+ *     since: { tool: Read }
+ *     same_file: true
+ *
+ * `require` needs a matching call after the last `since` call, or anywhere in
+ * the session without `since`; if no `since` call happened, nothing is required.
+ * `max` limits the calls matching `when`, the current one included, after the
+ * last `since` call. `same_file` only counts calls on the current call's file.
+ * Matchers compare the tool name, a glob on the file path and the commands the
+ * Bash command line runs; every key given must match. `command` is an executable
+ * name (or glob) or a `shell` block, matched by ShellMatcher against the parsed
+ * line, so `echo plantuml` or a quoted argument doesn't count as running plantuml.
+ *
+ * Calls are recorded once the hook allows them, in a SessionHistoryRepository.
+ */
+export class WorkflowMonitor {
+  /**
+   * @param {object} options
+   * @param {import('../databases/session-history-repository.js').SessionHistoryRepository} options.repository
+   * @param {function(object): Array<object>} options.getConstraints - Enabled workflow constraints that apply to a call
+   * @param {object} [options.settings] - See DEFAULT_WORKFLOW_SETTINGS
+   */
+  constructor({ repository, getConstraints, settings = {} }) {
+    this.repository = repository;
+    this.getConstraints = getConstraints;
+    this.settings = { ...DEFAULT_WORKFLOW_SETTINGS, ...settings };
+    this.shellMatcher = new ShellMatcher();
+    this.describedCommands = new Map();
+  }
+
+  /**
+   * The parts of a tool call the rules look at
+   * @param {string} toolName
+   * @param {object} [params] - Tool input
+   * @returns {{tool: string, file_path: string|null, command: string|null}}
+   */
+  static describeCall(toolName, params = {}) {
+    return {
+      tool: toolName,
+      file_path: params.file_path || params.notebook_path || params.path || null,
+      command: typeof params.command === 'string' ? params.command : null
+    };
+  }
+
+  /**
+   * First problem with a `workflow` block, or null
+   * @returns {string|null}
+   */
+  static validateRule(workflow) {
+    if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+      return 'must be an object with "when" and "require" or "max"';
+    }
+    if (!workflow.when) {
+      return 'needs a "when" matcher for the calls it checks';
+    }
+    if ((workflow.require === undefined) === (workflow.max === undefined)) {
+      return 'needs either "require" or "max"';
+    }
+    if (workflow.max !== undefined && !(Number.isInteger(workflow.max) && workflow.max >= 0)) {
+      return '"max" must be a whole number';
+    }
+
+    for (const key of ['when', 'require', 'since']) {
+      if (workflow[key] === undefined) continue;
+      const problem = validateMatcher(workflow[key]);
+      if (problem) return `"${key}" ${problem}`;
+    }
+    return null;
+  }
+
+  /**
+   * Workflow violations a tool call would cause, given the session so far
+   * @param {{tool: string, file_path: string|null, command: string|null}} call - See describeCall()
+   * @param {object} [context]
+   * @param {string} [context.sessionId]
+   * @returns {Promise<Array<object>>}
+   */
+  async check(call, context = {}) {
+    const constraints = this.getConstraints(call).filter(constraint => this.matches(constraint.workflow.when, call));
+    if (constraints.length === 0) {
+      return [];
+    }
+
+    const history = await this.repository.listToolCalls(context.sessionId || 'default', { limit: this.settings.history_limit });
+    return constraints
+      .map(constraint => this.evaluate(constraint, call, history))
+      .filter(Boolean);
+  }
+
+  /**
+   * Add an allowed tool call to the session history and drop expired calls
+   * A hook request checked twice (see hook-client.js) is recorded once, by its context.requestId.
+   */
+  async record(call, context = {}) {
+    await this.repository.insertToolCall({
+      session_id: context.sessionId || 'default',
+      project: context.project || null,
+      request_id: context.requestId || null,
+      ...call
+    });
+
+    const cutoff = new Date(Date.now() - this.settings.retention_hours * 60 * 60 * 1000).toISOString();
+    const deleted = await this.repository.deleteToolCallsBefore(cutoff);
+    if (deleted > 0) {
+      logger.debug(`Deleted ${deleted} tool calls older than ${this.settings.retention_hours}h from session history`);
+    }
+  }
+
+  /**
+   * Check one constraint against the calls before the current one
+   * @param {object} constraint - Workflow constraint whose `when` matches the call
+   * @param {object} call - The call being checked
+   * @param {Array<object>} history - Earlier calls of the session, oldest first
+   * @returns {object|null} - Violation in the engine's shape, with a `workflow` explanation
+   */
+  evaluate(constraint, call, history) {
+    const rule = constraint.workflow;
+    const related = rule.same_file
+      ? earlier => Boolean(call.file_path) && earlier.file_path === call.file_path
+      : () => true;
+
+    let start = 0;
+    let sinceCall = null;
+    if (rule.since) {
+      for (let i = history.length - 1; i >= 0; i--) {
+        if (related(history[i]) && this.matches(rule.since, history[i])) {
+          start = i + 1;
+          sinceCall = history[i];
+          break;
+        }
+      }
+      if (!sinceCall && rule.require) {
+        return null;
+      }
+    }
+
+    const window = history.slice(start);
+    const after = sinceCall ? ` since ${formatCall(sinceCall)}` : ' in this session';
+    let details;
+
+    if (rule.require) {
+      if (window.some(earlier => related(earlier) && this.matches(rule.require, earlier))) {
+        return null;
+      }
+      details = { reason: `No ${formatMatcher(rule.require)}${after}` };
+    } else {
+      const count = window.filter(earlier => related(earlier) && this.matches(rule.when, earlier)).length + 1;
+      if (count <= rule.max) {
+        return null;
+      }
+      const target = rule.same_file ? ` on ${call.file_path}` : '';
+      details = { reason: `${count} ${formatMatcher(rule.when)} calls${target}${after}, at most ${rule.max} allowed`, count, max: rule.max };
+    }
+
+    return {
+      constraint_id: constraint.id,
+      message: constraint.message,
+      severity: constraint.severity,
+      matches: 1,
+      file_path: call.file_path || undefined,
+      detected_at: new Date().toISOString(),
+      locations: [],
+      workflow: {
+        ...details,
+        since: sinceCall && { tool: sinceCall.tool, file_path: sinceCall.file_path, command: sinceCall.command, timestamp: sinceCall.timestamp }
+      }
+    };
+  }
+
+  matches(matcher, call) {
+    if (matcher.tool !== undefined && !toList(matcher.tool).includes(call.tool)) {
+      return false;
+    }
+    if (matcher.file !== undefined && !(call.file_path && toList(matcher.file).some(pattern => matchesGlob(call.file_path, pattern)))) {
+      return false;
+    }
+    if (matcher.command !== undefined && !this.matchesCommand(matcher.command, call.command)) {
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Whether a command line runs a command matching a matcher's `command`
+   */
+  matchesCommand(rule, commandLine) {
+    if (!commandLine) {
+      return false;
+    }
+    const shellRule = typeof rule === 'string' ? { command: rule } : rule;
+    return this.describeCommand(commandLine).some(command => this.shellMatcher.matchesCommand(command, shellRule));
+  }
+
+  describeCommand(commandLine) {
+    if (!this.describedCommands.has(commandLine)) {
+      if (this.describedCommands.size >= MAX_DESCRIBED_COMMANDS) {
+        this.describedCommands.clear();
+      }
+      this.describedCommands.set(commandLine, this.shellMatcher.describe(commandLine));
+    }
+    return this.describedCommands.get(commandLine);
+  }
+}
+
+function validateMatcher(matcher) {
+  if (!matcher || typeof matcher !== 'object' || Array.isArray(matcher)) {
+    return 'must be an object with tool, file and/or command';
+  }
+  if (!MATCHER_KEYS.some(key => matcher[key] !== undefined)) {
+    return 'needs at least one of: tool, file, command';
+  }
+  if (typeof matcher.command === 'string') {
+    if (!matcher.command || /[\s\\]/.test(matcher.command)) {
+      return 'has a "command" that isn\'t an executable name; match arguments with a shell block such as { command: git, subcommand: commit }';
+    }
+  } else if (matcher.command !== undefined) {
+    const problem = ShellMatcher.validateRule(matcher.command);
+    if (problem) {
+      return `has an invalid "command": ${problem}`;
+    }
+  }
+  return null;
+}
+
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+function formatMatcher(matcher) {
+  const parts = [matcher.tool !== undefined ? toList(matcher.tool).join('/') : 'tool'];
+  if (matcher.file !== undefined) parts.push(`on ${toList(matcher.file).join(', ')}`);
+  if (matcher.command !== undefined) parts.push(`running ${formatCommand(matcher.command)}`);
+  return parts.join(' ');
+}
+
+function formatCommand(rule) {
+  if (typeof rule === 'string') {
+    return rule;
+  }
+  return [rule.command, rule.subcommand]
+    .filter(part => part !== undefined)
+    .map(part => toList(part).join('/'))
+    .join(' ');
+}
+
+function formatCall(call) {
+  const target = call.file_path || call.command;
+  return target ? `${call.tool} ${target}` : call.tool;
+}
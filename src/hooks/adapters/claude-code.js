@@ -0,0 +1,82 @@
+const EVENTS = {
+  PreToolUse: 'pre_tool',
+  PostToolUse: 'post_tool',
+  UserPromptSubmit: 'prompt',
+  SessionStart: 'session_start'
+};
+
+/**
+ * Claude Code hooks, see docs/CLAUDE-CODE-HOOK-FORMAT.md
+ *
+ * Input is `hook_event_name` with `tool_name`/`tool_input` (and `tool_response`
+ * after the call), `prompt` or the session start `source`. A blocked tool call
+ * exits 2 with the reason on stderr; the other events answer with JSON on stdout.
+ */
+export class ClaudeCodeAdapter {
+  constructor() {
+    this.id = 'claude-code';
+    this.name = 'Claude Code';
+  }
+
+  detect(payload) {
+    if (payload.hook_event_name !== undefined) {
+      return Object.hasOwn(EVENTS, payload.hook_event_name);
+    }
+    // Older payloads and manual tests leave out the event name
+    return payload.tool_input !== undefined && payload.tool_name !== undefined;
+  }
+
+  parse(payload) {
+    // Payloads without an event name are tool calls, as the pre-tool wrapper reads them
+    const nativeEvent = payload.hook_event_name || (payload.tool_response !== undefined ? 'PostToolUse' : 'PreToolUse');
+    const type = EVENTS[nativeEvent];
+    if (!type) {
+      return null;
+    }
+
+    const event = {
+      agent: this.id,
+      type,
+      nativeEvent,
+      sessionId: payload.session_id || 'default',
+      workingDirectory: payload.cwd || null
+    };
+
+    if (type === 'pre_tool' || type === 'post_tool') {
+      if (!payload.tool_name || !payload.tool_input || typeof payload.tool_input !== 'object') {
+        return null;
+      }
+      event.toolCall = { name: payload.tool_name, parameters: payload.tool_input, input: payload.tool_input, nativeName: payload.tool_name };
+      if (type === 'post_tool') {
+        event.toolResponse = payload.tool_response;
+      }
+    } else if (type === 'prompt') {
+      if (typeof payload.prompt !== 'string' || payload.prompt.trim().length === 0) {
+        return null;
+      }
+      event.prompt = payload.prompt;
+    } else {
+      event.trigger = payload.source || 'startup';
+    }
+    return event;
+  }
+
+  render(event, outcome) {
+    const blocked = outcome.decision === 'block';
+
+    if (event.type === 'pre_tool' && blocked) {
+      // Exit code 2 blocks the call and feeds stderr back to Claude
+      return { exitCode: 2, stdout: '', stderr: outcome.reason };
+    }
+
+    const response = {};
+    if (blocked) {
+      response.decision = 'block';
+      response.reason = outcome.reason;
+    }
+    if (outcome.additionalContext) {
+      response.hookSpecificOutput = { hookEventName: event.nativeEvent, additionalContext: outcome.additionalContext };
+    }
+    return { exitCode: 0, stdout: Object.keys(response).length > 0 ? JSON.stringify(response) : '', stderr: '' };
+  }
+}
@@ -0,0 +1,110 @@
+const EVENTS = {
+  beforeShellExecution: 'pre_tool',
+  beforeMCPExecution: 'pre_tool',
+  beforeReadFile: 'pre_tool',
+  afterFileEdit: 'post_tool',
+  beforeSubmitPrompt: 'prompt'
+};
+
+/**
+ * Cursor hooks (.cursor/hooks.json)
+ *
+ * Every payload has `hook_event_name`, `conversation_id`, `generation_id` and
+ * `workspace_roots`. Shell commands, MCP calls and file reads are checked before
+ * they run and answered with `{permission, user_message, agent_message}`, warnings
+ * for allowed calls going into `agent_message`; a
+ * prompt is stopped with `{continue: false}`. `afterFileEdit` runs the post-edit
+ * checks, but Cursor ignores its output, so their violations are only recorded.
+ */
+export class CursorAdapter {
+  constructor() {
+    this.id = 'cursor';
+    this.name = 'Cursor';
+  }
+
+  detect(payload) {
+    return Object.hasOwn(EVENTS, payload.hook_event_name) || (payload.conversation_id !== undefined && payload.generation_id !== undefined);
+  }
+
+  parse(payload) {
+    const type = EVENTS[payload.hook_event_name];
+    if (!type) {
+      return null;
+    }
+
+    const event = {
+      agent: this.id,
+      type,
+      nativeEvent: payload.hook_event_name,
+      sessionId: payload.conversation_id || 'default',
+      workingDirectory: payload.cwd || payload.workspace_roots?.[0] || null
+    };
+
+    if (type === 'prompt') {
+      if (typeof payload.prompt !== 'string' || payload.prompt.trim().length === 0) {
+        return null;
+      }
+      event.prompt = payload.prompt;
+      return event;
+    }
+
+    const toolCall = this.toToolCall(payload);
+    if (!toolCall) {
+      return null;
+    }
+    event.toolCall = toolCall;
+    if (type === 'post_tool') {
+      event.toolResponse = {};
+    }
+    return event;
+  }
+
+  toToolCall(payload) {
+    switch (payload.hook_event_name) {
+      case 'beforeShellExecution':
+        return typeof payload.command === 'string' ? toolCall('Bash', { command: payload.command }, 'shell') : null;
+      case 'beforeReadFile':
+        // The file content is in the payload too; only the path is the call
+        return payload.file_path ? toolCall('Read', { file_path: payload.file_path }, 'read') : null;
+      case 'afterFileEdit':
+        return payload.file_path ? toolCall('MultiEdit', { file_path: payload.file_path, edits: payload.edits || [] }, 'edit') : null;
+      case 'beforeMCPExecution': {
+        if (!payload.tool_name) return null;
+        return toolCall(payload.tool_name, parseToolInput(payload.tool_input), payload.tool_name);
+      }
+      default:
+        return null;
+    }
+  }
+
+  render(event, outcome) {
+    const blocked = outcome.decision === 'block';
+    let response = null;
+
+    if (event.type === 'pre_tool') {
+      response = blocked
+        ? { permission: 'deny', user_message: outcome.reason, agent_message: outcome.reason }
+        : { permission: 'allow', ...(outcome.additionalContext && { agent_message: outcome.additionalContext }) };
+    } else if (event.type === 'prompt') {
+      response = blocked ? { continue: false, user_message: outcome.reason } : { continue: true };
+    }
+    return { exitCode: 0, stdout: response ? JSON.stringify(response) : '', stderr: '' };
+  }
+}
+
+function toolCall(name, parameters, nativeName) {
+  return { name, parameters, input: parameters, nativeName };
+}
+
+// MCP arguments come as a JSON string
+function parseToolInput(input) {
+  if (input && typeof input === 'object') {
+    return input;
+  }
+  try {
+    const parsed = JSON.parse(input);
+    return parsed && typeof parsed === 'object' ? parsed : { input };
+  } catch {
+    return typeof input === 'string' ? { input } : {};
+  }
+}
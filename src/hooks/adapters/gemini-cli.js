@@ -0,0 +1,108 @@
+const EVENTS = {
+  BeforeTool: 'pre_tool',
+  AfterTool: 'post_tool',
+  BeforeAgent: 'prompt',
+  SessionStart: 'session_start'
+};
+
+// Gemini CLI tool → Claude Code tool, and how its arguments map
+const TOOLS = {
+  run_shell_command: input => ['Bash', { command: input.command, ...(input.description && { description: input.description }) }],
+  write_file: input => ['Write', { file_path: input.file_path, content: input.content }],
+  replace: input => ['Edit', { file_path: input.file_path, old_string: input.old_string, new_string: input.new_string }],
+  read_file: input => ['Read', { file_path: input.file_path || input.absolute_path }]
+};
+
+/**
+ * Gemini CLI hooks (hooks in .gemini/settings.json)
+ *
+ * Payloads carry `hook_event_name`, `session_id` and `cwd`; tool events add
+ * `tool_name`/`tool_input`, AfterTool `tool_response` and BeforeAgent the
+ * `prompt`. Answers are JSON on stdout: `{decision: 'deny', reason}` stops a
+ * tool call or prompt, `hookSpecificOutput.additionalContext` reaches the model.
+ *
+ * SessionStart looks the same as Claude Code's and is detected as such; the
+ * answer has the same shape, so either adapter serves it.
+ */
+export class GeminiCliAdapter {
+  constructor() {
+    this.id = 'gemini-cli';
+    this.name = 'Gemini CLI';
+  }
+
+  detect(payload) {
+    return ['BeforeTool', 'AfterTool', 'BeforeAgent'].includes(payload.hook_event_name);
+  }
+
+  parse(payload) {
+    const type = EVENTS[payload.hook_event_name];
+    if (!type) {
+      return null;
+    }
+
+    const event = {
+      agent: this.id,
+      type,
+      nativeEvent: payload.hook_event_name,
+      sessionId: payload.session_id || 'default',
+      workingDirectory: payload.cwd || null
+    };
+
+    if (type === 'prompt') {
+      if (typeof payload.prompt !== 'string' || payload.prompt.trim().length === 0) {
+        return null;
+      }
+      event.prompt = payload.prompt;
+    } else if (type === 'session_start') {
+      event.trigger = payload.source || 'startup';
+    } else {
+      if (!payload.tool_name || !payload.tool_input || typeof payload.tool_input !== 'object') {
+        return null;
+      }
+      const [name, parameters] = Object.hasOwn(TOOLS, payload.tool_name)
+        ? TOOLS[payload.tool_name](payload.tool_input)
+        : [payload.tool_name, payload.tool_input];
+      event.toolCall = { name, parameters, input: parameters, nativeName: payload.tool_name };
+      if (type === 'post_tool') {
+        event.toolResponse = toToolResponse(payload.tool_response);
+      }
+    }
+    return event;
+  }
+
+  render(event, outcome) {
+    const blocked = outcome.decision === 'block';
+    let response = {};
+
+    if ((event.type === 'pre_tool' || event.type === 'prompt') && blocked) {
+      response = { decision: 'deny', reason: outcome.reason };
+    } else {
+      // Warnings, and after the tool ran also what can't be stopped any more, go to the model as context
+      const context = [blocked ? outcome.reason : null, outcome.additionalContext].filter(Boolean).join('\n\n');
+      if (context) {
+        response = { hookSpecificOutput: { hookEventName: event.nativeEvent, additionalContext: context } };
+      }
+    }
+    return { exitCode: 0, stdout: Object.keys(response).length > 0 ? JSON.stringify(response) : '', stderr: '' };
+  }
+}
+
+/**
+ * Tool results come as {llmContent, returnDisplay, error}; shell results put the
+ * exit code into the text
+ */
+function toToolResponse(response) {
+  if (!response || typeof response !== 'object') {
+    return response ?? {};
+  }
+
+  const content = typeof response.llmContent === 'string'
+    ? response.llmContent
+    : (typeof response.returnDisplay === 'string' ? response.returnDisplay : JSON.stringify(response.llmContent ?? ''));
+  const exitCode = /^Exit Code: (-?\d+)/m.exec(content);
+  const error = response.error?.message || (typeof response.error === 'string' ? response.error : null);
+  return {
+    output: [content, error].filter(Boolean).join('\n'),
+    ...(exitCode && { exit_code: Number(exitCode[1]) })
+  };
+}
@@ -0,0 +1,60 @@
+/**
+ * Agent Hook Adapters
+ *
+ * Coding agents call their hooks with different payloads and expect different
+ * answers. An adapter turns an agent's payload into one hook event and renders
+ * the outcome of the check the way that agent reads it:
+ *
+ *   HookEvent {
+ *     agent: 'cursor',
+ *     type: 'pre_tool' | 'post_tool' | 'prompt' | 'session_start',
+ *     nativeEvent: 'beforeShellExecution',   // the agent's own event name
+ *     sessionId: string,
+ *     workingDirectory: string|null,
+ *     toolCall?: { name, parameters, input, nativeName },
+ *     toolResponse?: object|string,          // post_tool
+ *     prompt?: string,                       // prompt
+ *     trigger?: string                       // session_start: startup, resume, ...
+ *   }
+ *
+ *   HookOutcome { decision: 'allow' | 'block', reason: string|null, additionalContext: string|null }
+ *   Rendered    { exitCode: number, stdout: string, stderr: string }
+ *
+ * Tool calls are named like Claude Code's tools (Bash, Write, Edit, MultiEdit,
+ * Read) with the same parameters, so constraints, `tool_filter` and edit
+ * simulation work the same for every agent. Tools without an equivalent keep
+ * their name. parse() returns null for events an adapter doesn't check.
+ */
+
+import { ClaudeCodeAdapter } from './claude-code.js';
+import { CursorAdapter } from './cursor.js';
+import { GeminiCliAdapter } from './gemini-cli.js';
+import { WindsurfAdapter } from './windsurf.js';
+
+// Detection order: payloads that could be several agents' go to the first
+export const AGENT_ADAPTERS = [
+  new ClaudeCodeAdapter(),
+  new CursorAdapter(),
+  new GeminiCliAdapter(),
+  new WindsurfAdapter()
+];
+
+/**
+ * @param {string} id - Adapter id, e.g. 'cursor'
+ * @returns {object|null}
+ */
+export function getAgentAdapter(id) {
+  return AGENT_ADAPTERS.find(adapter => adapter.id === id) || null;
+}
+
+/**
+ * Adapter for the agent that sent a payload, recognized by its fields
+ * @param {object} payload - Parsed hook stdin
+ * @returns {object|null}
+ */
+export function detectAgentAdapter(payload) {
+  if (!payload || typeof payload !== 'object') {
+    return null;
+  }
+  return AGENT_ADAPTERS.find(adapter => adapter.detect(payload)) || null;
+}
@@ -0,0 +1,99 @@
+const EVENTS = {
+  pre_run_command: 'pre_tool',
+  pre_write_code: 'pre_tool',
+  pre_read_code: 'pre_tool',
+  pre_mcp_tool_use: 'pre_tool',
+  post_run_command: 'post_tool',
+  post_write_code: 'post_tool',
+  pre_user_prompt: 'prompt'
+};
+
+/**
+ * Windsurf Cascade hooks (.windsurf/hooks.json)
+ *
+ * Payloads name the event in `agent_action_name` and carry its details in
+ * `tool_info`, e.g. `{command_line, cwd}` or `{file_path, edits}`. A pre hook
+ * blocks by exiting 2 with the reason on stderr; post hooks can't answer, so
+ * their violations are only recorded, and neither can a pre hook that allows,
+ * so warnings for allowed calls are not shown.
+ */
+export class WindsurfAdapter {
+  constructor() {
+    this.id = 'windsurf';
+    this.name = 'Windsurf';
+  }
+
+  detect(payload) {
+    return typeof payload.agent_action_name === 'string' && payload.tool_info !== undefined;
+  }
+
+  parse(payload) {
+    const type = EVENTS[payload.agent_action_name];
+    const info = payload.tool_info || {};
+    if (!type) {
+      return null;
+    }
+
+    const event = {
+      agent: this.id,
+      type,
+      nativeEvent: payload.agent_action_name,
+      sessionId: payload.trajectory_id || 'default',
+      workingDirectory: info.cwd || null
+    };
+
+    if (type === 'prompt') {
+      if (typeof info.user_prompt !== 'string' || info.user_prompt.trim().length === 0) {
+        return null;
+      }
+      event.prompt = info.user_prompt;
+      return event;
+    }
+
+    const toolCall = this.toToolCall(payload.agent_action_name, info);
+    if (!toolCall) {
+      return null;
+    }
+    event.toolCall = toolCall;
+    if (type === 'post_tool') {
+      event.toolResponse = {};
+    }
+    return event;
+  }
+
+  toToolCall(action, info) {
+    switch (action) {
+      case 'pre_run_command':
+      case 'post_run_command':
+        return typeof info.command_line === 'string' ? toolCall('Bash', { command: info.command_line }, action) : null;
+      case 'pre_write_code':
+      case 'post_write_code': {
+        if (!info.file_path) return null;
+        const edits = info.edits || [];
+        // A single edit is an Edit, so the edit simulator can apply it like Claude Code's
+        return edits.length === 1
+          ? toolCall('Edit', { file_path: info.file_path, old_string: edits[0].old_string, new_string: edits[0].new_string }, action)
+          : toolCall('MultiEdit', { file_path: info.file_path, edits }, action);
+      }
+      case 'pre_read_code':
+        return info.file_path ? toolCall('Read', { file_path: info.file_path }, action) : null;
+      case 'pre_mcp_tool_use':
+        return info.mcp_tool_name
+          ? toolCall(`mcp__${info.mcp_server_name || 'unknown'}__${info.mcp_tool_name}`, info.mcp_tool_arguments || {}, action)
+          : null;
+      default:
+        return null;
+    }
+  }
+
+  render(event, outcome) {
+    if (outcome.decision === 'block' && event.type !== 'post_tool') {
+      return { exitCode: 2, stdout: '', stderr: outcome.reason };
+    }
+    return { exitCode: 0, stdout: '', stderr: '' };
+  }
+}
+
+function toolCall(name, parameters, nativeName) {
+  return { name, parameters, input: parameters, nativeName };
+}
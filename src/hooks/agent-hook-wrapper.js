@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Agent Hook Wrapper
+ *
+ * One hook script for every supported coding agent (Claude Code, Cursor, Gemini
+ * CLI, Windsurf) and every event they send: tool calls before and after they
+ * run, prompts and session starts. The agent is detected from the payload on
+ * stdin, or named with --agent <id>. The answer is printed and the exit code set
+ * the way that agent expects; see docs/AGENT-HOOK-ADAPTERS.md.
+ *
+ *   node agent-hook-wrapper.js --agent cursor
+ */
+
+import { existsSync } from 'fs';
+
+function parseAgentArgument(argv) {
+  const index = argv.indexOf('--agent');
+  if (index !== -1) {
+    return argv[index + 1];
+  }
+  return argv.find(arg => arg.startsWith('--agent='))?.slice('--agent='.length);
+}
+
+async function processAgentHook() {
+  // CRITICAL: Set environment variable to suppress console logging
+  // Stdout carries the agent's response, nothing else may be printed there
+  process.env.CLAUDE_CODE_HOOK = 'true';
+
+  try {
+    let hookData = '';
+    if (process.stdin.isTTY !== true) {
+      const chunks = [];
+      for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+      }
+      if (chunks.length > 0) {
+        hookData = Buffer.concat(chunks).toString('utf8').trim();
+      }
+    }
+
+    if (!hookData) {
+      process.exit(0);
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(hookData);
+    } catch (parseError) {
+      console.error('⚠️ Invalid agent hook data format');
+      process.exit(0);
+    }
+
+    const { getAgentAdapter, detectAgentAdapter } = await import('./adapters/index.js');
+    const agent = parseAgentArgument(process.argv.slice(2));
+    const adapter = agent ? getAgentAdapter(agent) : detectAgentAdapter(payload);
+    if (!adapter) {
+      console.error(agent ? `⚠️ Unknown agent "${agent}" - allowing continuation` : '⚠️ Unrecognized hook payload - allowing continuation');
+      process.exit(0);
+    }
+
+    // Constraint configs and the daemon are found from the working directory;
+    // agents don't all start hooks in the project they work on
+    const workingDirectory = adapter.parse(payload)?.workingDirectory;
+    if (workingDirectory && workingDirectory !== process.cwd() && existsSync(workingDirectory)) {
+      process.chdir(workingDirectory);
+      process.env.PWD = workingDirectory;
+    }
+
+    const { runAgentHook } = await import('./agent-hook.js');
+    const result = await runAgentHook(payload, { agent: adapter.id });
+
+    if (result.stdout) {
+      process.stdout.write(result.stdout);
+    }
+    if (result.stderr) {
+      console.error(result.stderr);
+    }
+    process.exit(result.exitCode);
+
+  } catch (error) {
+    // Log errors but allow continuation (fail open)
+    console.error('⚠️ Agent hook error:', error.message);
+    process.exit(0);
+  }
+}
+
+processAgentHook();
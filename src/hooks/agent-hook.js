@@ -0,0 +1,91 @@
+/**
+ * Agent Hook
+ *
+ * Checks a hook payload from any supported coding agent: the adapter (see
+ * ./adapters/index.js) turns it into a hook event, the event is checked like a
+ * Claude Code hook through the hook client, and the outcome is rendered in the
+ * format the agent expects. Prompts also grant their OVERRIDE_CONSTRAINT
+ * directives, like prompt-override-parser.js does for Claude Code.
+ */
+
+import { getAgentAdapter, detectAgentAdapter } from './adapters/index.js';
+
+const NO_RESPONSE = { exitCode: 0, stdout: '', stderr: '' };
+
+/**
+ * @param {object} payload - Parsed hook stdin
+ * @param {object} [options]
+ * @param {string} [options.agent] - Adapter id; detected from the payload when missing
+ * @param {object} [options.hooks] - Hook functions, defaults to ./hook-client.js
+ * @returns {Promise<{exitCode: number, stdout: string, stderr: string, event: object|null}>}
+ *   What to print and exit with; `event` is the normalized hook event
+ */
+export async function runAgentHook(payload, { agent, hooks } = {}) {
+  const adapter = agent ? getAgentAdapter(agent) : detectAgentAdapter(payload);
+  if (!adapter) {
+    throw new Error(agent ? `Unknown agent "${agent}"` : 'Hook payload of an unknown agent');
+  }
+
+  const event = adapter.parse(payload);
+  if (!event) {
+    // An event the monitor doesn't check, or one without anything to check
+    return { ...NO_RESPONSE, event: null };
+  }
+
+  hooks = hooks || await import('./hook-client.js');
+  const context = {
+    timestamp: Date.now(),
+    source: `${adapter.id}-${event.type.replace('_', '-')}-hook`,
+    agent: adapter.id,
+    workingDirectory: event.workingDirectory || process.cwd(),
+    sessionId: event.sessionId,
+    ...(event.toolCall && { toolName: event.toolCall.name }),
+    ...(event.trigger && { trigger: event.trigger })
+  };
+
+  const outcome = await checkEvent(event, context, hooks);
+  return { ...adapter.render(event, outcome), event };
+}
+
+/**
+ * @returns {Promise<{decision: 'allow'|'block', reason: string|null, additionalContext: string|null}>}
+ */
+async function checkEvent(event, context, hooks) {
+  switch (event.type) {
+    case 'pre_tool':
+      return blockOnViolation(() => hooks.preToolHook(event.toolCall, context));
+    case 'prompt': {
+      // OVERRIDE_CONSTRAINT directives are granted for the session's next tool calls
+      const granted = await hooks.grantPromptOverrides(event.prompt, {
+        sessionId: context.sessionId,
+        project: context.workingDirectory.split('/').pop()
+      });
+      const outcome = await blockOnViolation(() => hooks.prePromptHook(event.prompt, context));
+      const additionalContext = [...granted, outcome.additionalContext].filter(Boolean).join('\n');
+      return { ...outcome, additionalContext: additionalContext || null };
+    }
+    case 'post_tool': {
+      const result = await hooks.postToolHook(event.toolCall, event.toolResponse, context);
+      return { decision: result.feedback ? 'block' : 'allow', reason: result.feedback || null, additionalContext: result.additional_context || null };
+    }
+    case 'session_start': {
+      const result = await hooks.sessionStartHook(context);
+      return { decision: 'allow', reason: null, additionalContext: result.additional_context || null };
+    }
+    default:
+      throw new Error(`Unknown hook event type: ${event.type}`);
+  }
+}
+
+// The pre hooks throw the violation message when they block
+async function blockOnViolation(check) {
+  try {
+    const result = await check();
+    return { decision: 'allow', reason: null, additionalContext: result?.additional_context || null };
+  } catch (error) {
+    if (error.message.includes('CONSTRAINT VIOLATION')) {
+      return { decision: 'block', reason: error.message, additionalContext: null };
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Constraint Summary
+ *
+ * Renders the enabled constraints of a project as a compact Markdown briefing
+ * that the session-start hook hands to the agent, so it knows the rules before
+ * the first blocked call. Rules are grouped like on the dashboard and cut to a
+ * token budget, most severe first.
+ */
+
+export const DEFAULT_SESSION_CONTEXT_SETTINGS = {
+  enabled: true,
+  // Rough budget for the whole summary (about 4 characters per token)
+  max_tokens: 800,
+  severities: ['critical', 'error', 'warning'],
+  include_suggestions: true
+};
+
+// Most severe first; unknown severities go last
+const SEVERITY_ORDER = ['critical', 'error', 'warning', 'info'];
+
+// Kept free for the line about rules that did not fit
+const FOOTER_RESERVE_TOKENS = 30;
+
+/**
+ * Approximate token count of a text, about 4 characters per token
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+export class ConstraintSummary {
+  /**
+   * @param {object} [settings] - See DEFAULT_SESSION_CONTEXT_SETTINGS
+   * @param {object} [options]
+   * @param {string[]} [options.blockingLevels] - Severities that block a tool call
+   */
+  constructor(settings = {}, { blockingLevels = ['critical', 'error'] } = {}) {
+    this.settings = { ...DEFAULT_SESSION_CONTEXT_SETTINGS, ...settings };
+    this.blockingLevels = blockingLevels;
+  }
+
+  /**
+   * Render the summary
+   * @param {object} groupedData - Result of ConfigManager.getProjectConstraintsWithGroups()
+   * @param {object} [options]
+   * @param {string} [options.projectName]
+   * @returns {{text: string, tokens: number, included: string[], omitted: string[]}|null}
+   *   null when no enabled constraint has one of the configured severities
+   */
+  render(groupedData, { projectName } = {}) {
+    const candidates = this.rankConstraints(groupedData);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    const header = this.renderHeader(projectName);
+    let budget = this.settings.max_tokens - estimateTokens(header) - FOOTER_RESERVE_TOKENS;
+    const shownGroups = new Set();
+    const lines = new Map(); // candidate → rendered line
+    const omitted = [];
+
+    for (const candidate of candidates) {
+      // Once a rule doesn't fit, less severe ones don't go in ahead of it
+      if (omitted.length > 0) {
+        omitted.push(candidate);
+        continue;
+      }
+
+      const headingCost = shownGroups.has(candidate.group) ? 0 : estimateTokens(this.renderGroupHeading(candidate.group));
+      const options = this.settings.include_suggestions && candidate.constraint.suggestion
+        ? [this.renderConstraint(candidate.constraint, true), this.renderConstraint(candidate.constraint, false)]
+        : [this.renderConstraint(candidate.constraint, false)];
+      const line = options.find(option => headingCost + estimateTokens(option) <= budget);
+
+      if (line) {
+        budget -= headingCost + estimateTokens(line);
+        shownGroups.add(candidate.group);
+        lines.set(candidate, line);
+      } else {
+        omitted.push(candidate);
+      }
+    }
+
+    // Groups in the order of their most severe rule, the first shown first
+    const sections = [header];
+    for (const group of shownGroups) {
+      const groupLines = candidates.filter(candidate => candidate.group === group && lines.has(candidate)).map(candidate => lines.get(candidate));
+      sections.push([this.renderGroupHeading(group), ...groupLines].join('\n'));
+    }
+    if (omitted.length > 0) {
+      sections.push(this.renderFooter(omitted));
+    }
+
+    const text = sections.join('\n\n');
+    return {
+      text,
+      tokens: estimateTokens(text),
+      included: candidates.filter(candidate => lines.has(candidate)).map(candidate => candidate.constraint.id),
+      omitted: omitted.map(candidate => candidate.constraint.id)
+    };
+  }
+
+  /**
+   * Enabled constraints of the configured severities, most severe first, in
+   * config order within a severity. Shadow constraints are left out; the agent
+   * doesn't hear about them until they are enforced.
+   * @returns {Array<{constraint: object, group: object}>}
+   */
+  rankConstraints(groupedData) {
+    const candidates = groupedData.groups.flatMap(({ group, constraints }) => constraints
+      .filter(constraint => constraint.enabled !== false && constraint.mode !== 'shadow' && this.settings.severities.includes(constraint.severity || 'warning'))
+      .map(constraint => ({ constraint, group })));
+
+    const rank = constraint => {
+      const index = SEVERITY_ORDER.indexOf(constraint.severity || 'warning');
+      return index === -1 ? SEVERITY_ORDER.length : index;
+    };
+    // Array.prototype.sort is stable, so config order survives within a severity
+    return candidates.sort((a, b) => rank(a.constraint) - rank(b.constraint));
+  }
+
+  renderHeader(projectName) {
+    const blocking = this.blockingLevels.length > 0
+      ? ` Rules marked ${this.blockingLevels.join(' or ')} block the tool call; fix the cause rather than working around it.`
+      : '';
+    return [
+      `# Active constraints${projectName ? `: ${projectName}` : ''}`,
+      '',
+      `The constraint monitor checks prompts, tool calls and their results against these rules.${blocking}`
+    ].join('\n');
+  }
+
+  renderGroupHeading(group) {
+    return `## ${group.icon ? `${group.icon} ` : ''}${group.name || group.id}`;
+  }
+
+  renderConstraint(constraint, withSuggestion) {
+    // Message placeholders are filled per violation; show which value goes there
+    const message = singleLine(constraint.message).replace(/\{\{(\w+)\}\}/g, '<$1>');
+    // A rule in warn mode doesn't block, whatever its severity
+    const warnOnly = constraint.mode === 'warn' && this.blockingLevels.includes(constraint.severity) ? ' (warn only)' : '';
+    const line = `- **${constraint.severity || 'warning'}**${warnOnly} \`${constraint.id}\`: ${message}`;
+    return withSuggestion ? `${line} (${singleLine(constraint.suggestion)})` : line;
+  }
+
+  renderFooter(omitted) {
+    const counts = new Map();
+    for (const { constraint } of omitted) {
+      const severity = constraint.severity || 'warning';
+      counts.set(severity, (counts.get(severity) || 0) + 1);
+    }
+    const bySeverity = [...counts].map(([severity, count]) => `${count} ${severity}`).join(', ');
+    return `_${omitted.length} more rule${omitted.length === 1 ? '' : 's'} not shown (${bySeverity}); a blocked call names the rule it broke._`;
+  }
+}
+
+function singleLine(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,217 @@
+/**
+ * Edit Simulator
+ *
+ * Rebuilds the file an Edit/MultiEdit/Write call would produce, in memory, from
+ * the file on disk plus the edit operations. The hook checks the file before and
+ * after the edit and only blocks on violations the edit introduces; violations
+ * that were already in the file are reported as inherited.
+ */
+
+import { readFileSync, statSync } from 'fs';
+import { resolve } from 'path';
+import { logger } from '../utils/logger.js';
+import { TextLocator } from '../utils/text-locator.js';
+
+// Larger files fall back to checking only the new content
+const MAX_SIMULATED_FILE_SIZE = 1024 * 1024;
+
+export class EditSimulator {
+  constructor(projectPath = process.cwd()) {
+    this.projectPath = projectPath;
+  }
+
+  /**
+   * Read the current file content
+   * @returns {string|null} - File content, '' for a file that does not exist yet, null if unusable
+   */
+  readOriginal(filePath) {
+    const absolutePath = resolve(this.projectPath, filePath);
+
+    try {
+      const stats = statSync(absolutePath);
+      if (!stats.isFile() || stats.size > MAX_SIMULATED_FILE_SIZE) {
+        return null;
+      }
+      return readFileSync(absolutePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return '';
+      }
+      logger.debug(`Cannot read ${absolutePath} for edit simulation: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Apply a single old_string -> new_string replacement the way the Edit tool does
+   * @returns {string|null} - New content, or null if the edit would fail
+   */
+  applyEdit(content, edit) {
+    const oldString = edit.old_string ?? '';
+    const newString = edit.new_string ?? '';
+
+    // An empty old_string creates a new file
+    if (oldString === '') {
+      return content === '' ? newString : null;
+    }
+
+    const index = content.indexOf(oldString);
+    if (index === -1) {
+      return null;
+    }
+
+    if (edit.replace_all) {
+      return content.split(oldString).join(newString);
+    }
+
+    // Without replace_all the tool refuses ambiguous edits
+    if (content.indexOf(oldString, index + oldString.length) !== -1) {
+      return null;
+    }
+
+    return content.slice(0, index) + newString + content.slice(index + oldString.length);
+  }
+
+  /**
+   * Simulate a file-modifying tool call
+   * @param {string} toolName - Write, Edit or MultiEdit
+   * @param {object} params - Tool parameters
+   * @returns {{before: string, after: string, changedLines: {start: number, end: number}}|null}
+   *   null when the result cannot be determined (unreadable file, edit that would fail)
+   */
+  simulate(toolName, params) {
+    if (!params.file_path) {
+      return null;
+    }
+
+    const before = this.readOriginal(params.file_path);
+    if (before === null) {
+      return null;
+    }
+
+    let after = null;
+    if (toolName === 'Write') {
+      after = params.content ?? '';
+    } else if (toolName === 'Edit') {
+      after = this.applyEdit(before, params);
+    } else if (toolName === 'MultiEdit' && Array.isArray(params.edits)) {
+      after = before;
+      for (const edit of params.edits) {
+        after = this.applyEdit(after, edit);
+        if (after === null) break;
+      }
+    }
+
+    if (after === null) {
+      logger.debug(`Edit simulation not possible for ${params.file_path}, checking new content only`);
+      return null;
+    }
+
+    return { before, after, changedLines: this.getChangedLines(before, after) };
+  }
+
+  /**
+   * Line range of the after-content that differs from the before-content
+   */
+  getChangedLines(before, after) {
+    let prefix = 0;
+    const maxPrefix = Math.min(before.length, after.length);
+    while (prefix < maxPrefix && before[prefix] === after[prefix]) {
+      prefix++;
+    }
+
+    let suffix = 0;
+    const maxSuffix = maxPrefix - prefix;
+    while (suffix < maxSuffix && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+      suffix++;
+    }
+
+    const locator = new TextLocator(after);
+    return {
+      start: locator.position(prefix).line,
+      end: locator.position(Math.max(prefix, after.length - suffix)).line
+    };
+  }
+}
+
+/**
+ * Split post-edit violations into those the edit introduced and those inherited from the file
+ *
+ * Occurrences are fingerprinted by constraint and matched snippet. A violation is
+ * introduced when it has more matches, or more occurrences of some snippet, than
+ * before the edit. Path constraints match the file path, which the edit does not
+ * change, so they always count as introduced.
+ *
+ * @param {Array<object>} beforeViolations - Violations in the file before the edit
+ * @param {Array<object>} afterViolations - Violations in the file after the edit
+ * @param {{start: number, end: number}} changedLines - Changed line range in the after-content
+ * @returns {{introduced: Array<object>, inherited: Array<object>}}
+ */
+export function diffViolations(beforeViolations, afterViolations, changedLines) {
+  const beforeById = new Map(beforeViolations.map(violation => [violation.constraint_id, violation]));
+  const introduced = [];
+  const inherited = [];
+
+  for (const violation of afterViolations) {
+    const previous = beforeById.get(violation.constraint_id);
+
+    if (!previous || violation.applies_to === 'file_path') {
+      introduced.push(violation);
+      continue;
+    }
+
+    // How many more occurrences of each snippet there are after the edit
+    const excess = new Map();
+    for (const location of violation.locations || []) {
+      const key = fingerprint(location);
+      excess.set(key, (excess.get(key) || 0) + 1);
+    }
+    for (const location of previous.locations || []) {
+      const key = fingerprint(location);
+      if (excess.has(key)) excess.set(key, excess.get(key) - 1);
+    }
+
+    const hasNewOccurrences = Array.from(excess.values()).some(count => count > 0);
+    if (!hasNewOccurrences && (violation.matches || 0) <= (previous.matches || 0)) {
+      inherited.push({ ...violation, inherited: true });
+      continue;
+    }
+
+    // Attribute the new occurrences to locations in the edited lines first
+    const inEdit = location => location.line <= changedLines.end && location.end_line >= changedLines.start;
+    const ordered = [...(violation.locations || [])].sort((a, b) => Number(inEdit(b)) - Number(inEdit(a)));
+    const newLocations = new Set();
+    for (const location of ordered) {
+      const key = fingerprint(location);
+      if (excess.get(key) > 0) {
+        excess.set(key, excess.get(key) - 1);
+        newLocations.add(location);
+      }
+    }
+
+    // More matches but no distinguishable snippet (e.g. beyond the reported locations):
+    // fall back to the locations inside the edit
+    if (newLocations.size === 0) {
+      ordered.filter(inEdit).forEach(location => newLocations.add(location));
+    }
+
+    const locations = [
+      ...(violation.locations || []).filter(location => newLocations.has(location)),
+      ...(violation.locations || []).filter(location => !newLocations.has(location))
+    ].map(location => ({ ...location, introduced: newLocations.has(location) }));
+
+    introduced.push({
+      ...violation,
+      line: locations[0]?.line ?? violation.line,
+      column: locations[0]?.column ?? violation.column,
+      locations,
+      inherited_matches: previous.matches || 0
+    });
+  }
+
+  return { introduced, inherited };
+}
+
+function fingerprint(location) {
+  return location.snippet.replace(/\s+/g, ' ').trim();
+}
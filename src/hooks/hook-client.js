@@ -0,0 +1,109 @@
+/**
+ * Thin Hook Client
+ *
+ * Forwards hook checks to the constraint daemon for the working directory and falls
+ * back to checking in-process when the daemon is not running, does not answer within
+ * the timeout (CONSTRAINT_DAEMON_TIMEOUT_MS) or fails. The in-process hook module is
+ * only loaded for the fallback.
+ *
+ * Same contract as the hooks in real-time-constraint-hook.js: prePromptHook/preToolHook
+ * resolve with {continue: true, ...} or throw the violation message; postToolHook and
+ * sessionStartHook resolve with what to tell the agent. Set CONSTRAINT_DAEMON=off to always
+ * check in-process.
+ *
+ * Each check gets a request id, passed to the daemon and to the fallback alike. A
+ * request the daemon finishes after the client gave up is then only logged, uses an
+ * override, enters the session history, counts as a shadow check and as a feedback
+ * step once.
+ */
+
+import { randomUUID } from 'crypto';
+import { DaemonClient } from '../daemon/daemon-client.js';
+
+function withRequestId(context) {
+  return { requestId: randomUUID(), ...context };
+}
+
+/**
+ * @returns {Promise<object|null>} - The daemon's result, null to check in-process
+ */
+async function checkWithDaemon(method, params) {
+  if (process.env.CONSTRAINT_DAEMON === 'off') {
+    return null;
+  }
+
+  try {
+    return await new DaemonClient().request(method, params);
+  } catch {
+    // A request that timed out is skipped by the daemon if still queued; if it was
+    // running, its request id keeps the fallback from logging it a second time
+    return null;
+  }
+}
+
+export async function prePromptHook(prompt, context = {}) {
+  context = withRequestId(context);
+  const result = await checkWithDaemon('prePromptHook', { prompt, context });
+  if (!result) {
+    const hook = await import('./real-time-constraint-hook.js');
+    return hook.prePromptHook(prompt, context);
+  }
+
+  if (!result.allowed) {
+    throw new Error(result.message);
+  }
+  return { continue: true, compliance: result.compliance };
+}
+
+export async function preToolHook(toolCall, context = {}) {
+  context = withRequestId(context);
+  const result = await checkWithDaemon('preToolHook', { toolCall, context });
+  if (!result) {
+    const hook = await import('./real-time-constraint-hook.js');
+    return hook.preToolHook(toolCall, context);
+  }
+
+  if (!result.allowed) {
+    throw new Error(result.message);
+  }
+  return {
+    continue: true,
+    compliance: result.compliance,
+    inherited_violations: result.inherited_violations,
+    additional_context: result.additional_context || null
+  };
+}
+
+export async function postToolHook(toolCall, toolResponse, context = {}) {
+  context = withRequestId(context);
+  const result = await checkWithDaemon('postToolHook', { toolCall, toolResponse, context });
+  if (!result) {
+    const hook = await import('./real-time-constraint-hook.js');
+    return hook.postToolHook(toolCall, toolResponse, context);
+  }
+
+  return {
+    continue: true,
+    feedback: result.allowed ? null : result.message,
+    additional_context: result.additional_context || null
+  };
+}
+
+/**
+ * Grant the OVERRIDE_CONSTRAINT directives of a prompt, see prompt-override-parser.js
+ * Always in-process: it only writes the overrides to the database the daemon reads.
+ */
+export async function grantPromptOverrides(prompt, context = {}) {
+  const parser = await import('./prompt-override-parser.js');
+  return parser.grantPromptOverrides(prompt, context);
+}
+
+export async function sessionStartHook(context = {}) {
+  const result = await checkWithDaemon('sessionStartHook', { context });
+  if (!result) {
+    const hook = await import('./real-time-constraint-hook.js');
+    return hook.sessionStartHook(context);
+  }
+
+  return { continue: true, additional_context: result.additional_context || null };
+}
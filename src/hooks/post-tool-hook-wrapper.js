@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Post-Tool Hook Wrapper for Claude Code
+ *
+ * This script is called by Claude Code after a tool ran. It runs the post-edit
+ * constraints (validation_type: post_file_edit) on a written file and the tool
+ * result constraints (validation_type: post_tool_result) on what the tool returned.
+ * The tool already ran, so nothing is blocked: violations are fed back to Claude
+ * as JSON on stdout, "decision: block" with a reason for errors and additional
+ * context for warnings, and Claude fixes them in its next step.
+ */
+
+async function processPostToolHook() {
+  // CRITICAL: Set environment variable to suppress console logging
+  // Stdout carries the JSON response, nothing else may be printed there
+  process.env.CLAUDE_CODE_HOOK = 'true';
+
+  try {
+    // Read hook data from stdin (Claude Code format)
+    let hookData = '';
+    if (process.stdin.isTTY !== true) {
+      const chunks = [];
+      for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+      }
+      if (chunks.length > 0) {
+        hookData = Buffer.concat(chunks).toString('utf8').trim();
+      }
+    }
+
+    if (!hookData) {
+      process.exit(0);
+    }
+
+    let toolData;
+    try {
+      toolData = JSON.parse(hookData);
+    } catch (parseError) {
+      console.error('⚠️ Invalid post-tool hook data format');
+      process.exit(0);
+    }
+
+    // Same fields as PreToolUse, see docs/CLAUDE-CODE-HOOK-FORMAT.md
+    const toolName = toolData.tool_name || toolData.name || toolData.toolName;
+    const toolParams = toolData.tool_input;
+
+    if (!toolName || !toolParams || typeof toolParams !== 'object') {
+      process.exit(0);
+    }
+
+    const toolCall = {
+      name: toolName,
+      parameters: toolParams,
+      input: toolParams
+    };
+
+    // Check through the constraint daemon when it runs, in-process otherwise
+    const { postToolHook } = await import('./hook-client.js');
+
+    const context = {
+      timestamp: Date.now(),
+      source: 'claude-code-post-tool-hook',
+      workingDirectory: process.cwd(),
+      sessionId: toolData.session_id || toolData.sessionId || process.env.CLAUDE_SESSION_ID || 'default',
+      toolName
+    };
+
+    const result = await postToolHook(toolCall, toolData.tool_response, context);
+
+    const response = {};
+    if (result.feedback) {
+      response.decision = 'block';
+      response.reason = result.feedback;
+    }
+    if (result.additional_context) {
+      response.hookSpecificOutput = {
+        hookEventName: 'PostToolUse',
+        additionalContext: result.additional_context
+      };
+    }
+    if (Object.keys(response).length > 0) {
+      process.stdout.write(JSON.stringify(response));
+    }
+    process.exit(0);
+
+  } catch (error) {
+    // Log errors but continue (fail open)
+    console.error('⚠️ Post-tool hook error:', error.message);
+    process.exit(0);
+  }
+}
+
+processPostToolHook();
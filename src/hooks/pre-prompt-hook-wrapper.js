@@ -47,8 +47,8 @@ async function processPromptHook() {
       process.exit(0);
     }
 
-    // Import and use the constraint enforcer
-    const { prePromptHook } = await import('./real-time-constraint-hook.js');
+    // Check through the constraint daemon when it runs, in-process otherwise
+    const { prePromptHook } = await import('./hook-client.js');
 
     const context = {
       timestamp: Date.now(),
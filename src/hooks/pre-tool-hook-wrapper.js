@@ -7,7 +7,7 @@
  * It integrates with the Real Time Guardrails constraint enforcement system.
  */
 
-import { readFileSync, existsSync, writeFileSync, unlinkSync } from 'fs';
+import { readFileSync, existsSync, writeFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { tmpdir } from 'os';
 import { fileURLToPath } from 'url';
@@ -101,39 +101,6 @@ async function processToolHook() {
       process.exit(0);
     }
 
-    // Extract constraint overrides from prompt-override-parser state file
-    // User can request override by including in their prompt: OVERRIDE_CONSTRAINT: constraint-id
-    // The prompt-override-parser hook creates a state file that we read here
-    let constraintOverride = toolParams._constraint_override || null;
-
-    // Read override state from temporary file
-    const overrideStateFile = join(tmpdir(), `constraint-override-${sessionId}.json`);
-
-    if (existsSync(overrideStateFile)) {
-      try {
-        const stateData = readFileSync(overrideStateFile, 'utf8');
-        const state = JSON.parse(stateData);
-
-        // Check if state is still valid
-        const now = Date.now();
-        const isExpired = now > state.expiresAt || state.promptCount >= state.maxPrompts;
-
-        if (isExpired) {
-          // Clean up expired state
-          unlinkSync(overrideStateFile);
-        } else {
-          // Use overrides from state
-          constraintOverride = state.constraintIds;
-
-          // Increment prompt count
-          state.promptCount += 1;
-          writeFileSync(overrideStateFile, JSON.stringify(state, null, 2));
-        }
-      } catch (error) {
-        console.error('⚠️ Failed to read override state:', error.message);
-      }
-    }
-
     const toolCall = {
       name: toolName,
       parameters: toolParams,
@@ -190,17 +157,17 @@ async function processToolHook() {
       }
     }
 
-    // Import and use the constraint enforcer
-    const { preToolHook } = await import('./real-time-constraint-hook.js');
+    // Check through the constraint daemon when it runs, in-process otherwise
+    const { preToolHook } = await import('./hook-client.js');
 
     const context = {
       timestamp: Date.now(),
       source: 'claude-code-tool-hook',
       workingDirectory: process.cwd(),
-      sessionId: toolData.sessionId || 'unknown',
+      // Same session ID the prompt-override-parser grants overrides for
+      sessionId: toolData.session_id || toolData.sessionId || process.env.CLAUDE_SESSION_ID || 'default',
       toolName: toolCall.name,
       project: detectedProject,  // Add detected project to context
-      constraintOverride: constraintOverride,  // Pass user-initiated override
       activeSkills: activeSkills  // Pass active skills to constraint checker
     };
 
@@ -208,7 +175,15 @@ async function processToolHook() {
     const result = await preToolHook(toolCall, context);
 
     if (result.continue) {
-      // Tool allowed - exit silently with success (hooks MUST be silent on exit 0)
+      // Tool allowed - exit with success; only warn-mode violations are reported, as context
+      if (result.additional_context) {
+        process.stdout.write(JSON.stringify({
+          hookSpecificOutput: {
+            hookEventName: 'PreToolUse',
+            additionalContext: result.additional_context
+          }
+        }));
+      }
       process.exit(0);
     } else {
       // Should not reach here as preToolHook throws on violations
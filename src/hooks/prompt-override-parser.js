@@ -3,21 +3,76 @@
 /**
  * Prompt Override Parser - UserPromptSubmit Hook
  *
- * Parses user prompts for OVERRIDE_CONSTRAINT directives and stores them
- * for the PreTool hook to consume.
+ * Parses user prompts for OVERRIDE_CONSTRAINT directives and grants them as
+ * scoped, audited overrides for the PreTool hook to consume.
  *
- * Usage in prompt:
- *   OVERRIDE_CONSTRAINT: constraint-id-1
- *   OVERRIDE_CONSTRAINT: constraint-id-2
+ * Usage in prompt (justification after " -- " is required):
+ *   OVERRIDE_CONSTRAINT: constraint-id-1 -- why this is needed
+ *   OVERRIDE_CONSTRAINT: constraint-id-2 files=scripts/** tools=Write,Edit ttl=15m uses=5 -- why
  *
- * Creates temporary state file: /tmp/constraint-override-{pid}.json
+ * Overrides are stored in the violation database (see OverrideManager), keyed by
+ * the session ID from the hook input. The agent hook (agent-hook.js) grants them
+ * through grantPromptOverrides() for the other agents' prompts.
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { tmpdir } from 'os';
-import { join } from 'path';
+import { ConfigManager } from '../utils/config-manager.js';
+import { OverrideRepository } from '../databases/override-repository.js';
+import { OverrideManager } from '../engines/override-manager.js';
+
+/**
+ * Grant the OVERRIDE_CONSTRAINT directives of a prompt
+ * @param {string} prompt
+ * @param {object} [context]
+ * @param {string} [context.sessionId] - Session the overrides are for
+ * @param {string} [context.project]
+ * @returns {Promise<string[]>} - One line per override granted, rejected or ignored; none without directives
+ */
+export async function grantPromptOverrides(prompt, { sessionId = 'default', project } = {}) {
+  if (!OverrideManager.parseDirectives(prompt).length) {
+    return [];
+  }
+
+  const config = new ConfigManager();
+  const constraints = new Map(config.getConstraints().map(constraint => [constraint.id, constraint]));
+  const repository = new OverrideRepository({ path: config.get('databases.violations.path') });
+  const manager = new OverrideManager({
+    repository,
+    settings: config.getOverrideSettings(),
+    getConstraint: id => constraints.get(id)
+  });
+
+  let results;
+  try {
+    results = await manager.grantFromPrompt(prompt, { sessionId, project, actor: 'user' });
+  } finally {
+    await repository.close();
+  }
+
+  const lines = [];
+  for (const { override, rejected, errors } of results) {
+    if (override) {
+      const scope = [
+        override.paths.length > 0 && `files ${override.paths.join(', ')}`,
+        override.tools.length > 0 && `tools ${override.tools.join(', ')}`
+      ].filter(Boolean).join('; ') || 'all files and tools';
+      const uses = override.max_uses === null ? '' : ` or ${override.max_uses} uses`;
+      lines.push(`✅ Constraint override active for: ${override.constraint_ids.join(', ')} (${scope})`);
+      lines.push(`   Valid until ${override.expires_at}${uses}`);
+    }
+    for (const entry of rejected) {
+      lines.push(`🔒 Override not allowed for ${entry.constraint_id}: ${entry.reason}`);
+    }
+    for (const error of errors) {
+      lines.push(`⚠️ Override ignored: ${error}`);
+    }
+  }
+  return lines;
+}
 
 async function parsePromptForOverrides() {
+  // Hooks MUST be silent on stdout; user feedback goes to stderr
+  process.env.CLAUDE_CODE_HOOK = 'true';
+
   try {
     // Read prompt from stdin
     let promptData = '';
@@ -38,43 +93,24 @@ async function parsePromptForOverrides() {
     }
 
     let userPrompt;
+    let hookInput = {};
     try {
-      const data = JSON.parse(promptData);
-      userPrompt = data.prompt || data.message || data.content || promptData;
+      hookInput = JSON.parse(promptData);
+      userPrompt = hookInput.prompt || hookInput.message || hookInput.content || promptData;
     } catch {
       // If not JSON, treat entire input as prompt
       userPrompt = promptData;
     }
 
-    // Parse OVERRIDE_CONSTRAINT directives
-    const overridePattern = /OVERRIDE_CONSTRAINT:\s*([a-zA-Z0-9_-]+)/g;
-    const matches = [...userPrompt.matchAll(overridePattern)];
-
-    if (matches.length === 0) {
-      // No overrides requested - exit silently
-      process.exit(0);
-    }
-
-    // Extract constraint IDs
-    const constraintIds = matches.map(m => m[1]);
-
-    // Create override state file
-    const sessionId = process.env.CLAUDE_SESSION_ID || process.ppid || Date.now();
-    const stateFile = join(tmpdir(), `constraint-override-${sessionId}.json`);
-
-    const overrideState = {
-      constraintIds,
-      createdAt: Date.now(),
-      expiresAt: Date.now() + (5 * 60 * 1000), // 5 minutes TTL
-      promptCount: 0,
-      maxPrompts: 3 // Expire after 3 prompts
-    };
-
-    writeFileSync(stateFile, JSON.stringify(overrideState, null, 2));
+    const lines = await grantPromptOverrides(userPrompt, {
+      sessionId: hookInput.session_id || hookInput.sessionId || process.env.CLAUDE_SESSION_ID || 'default',
+      project: hookInput.cwd ? hookInput.cwd.split('/').pop() : undefined
+    });
 
     // Output informational message for user context (hooks CAN output to stderr on exit 0)
-    console.error(`✅ Constraint override active for: ${constraintIds.join(', ')}`);
-    console.error(`   Valid for 3 prompts or 5 minutes`);
+    for (const line of lines) {
+      console.error(line);
+    }
 
     process.exit(0);
 
@@ -85,4 +121,7 @@ async function parsePromptForOverrides() {
   }
 }
 
-parsePromptForOverrides();
+// Run as a hook script; agent-hook.js imports grantPromptOverrides()
+if (import.meta.url === `file://${process.argv[1]}`) {
+  parsePromptForOverrides();
+}
@@ -5,6 +5,8 @@
  * 
  * This hook intercepts every user prompt and tool call to check for constraint violations
  * BEFORE execution. If violations are detected, it blocks execution and requires correction.
+ * After a tool ran, it checks the written file and the tool result and feeds violations back.
+ * At session start, it briefs the agent on the rules it enforces.
  * 
  * Usage: Called by Claude Code hook system on every interaction
  */
@@ -14,16 +16,34 @@ import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { execSync } from 'child_process';
 import { logger } from '../utils/logger.js';
+import { buildToolContent, buildFileContent, mapViolationLocations, constraintAppliesToCall } from './tool-content.js';
+import { EditSimulator, diffViolations } from './edit-simulator.js';
+import { ConstraintSummary } from './constraint-summary.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-class RealTimeConstraintEnforcer {
-  constructor() {
-    this.projectPath = process.env.PWD || process.cwd();
+// Tools whose written file the post-edit checks look at
+const POST_EDIT_TOOLS = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'];
+
+// `tool` recorded with logged violations, by check type
+const LOGGED_HOOK_NAMES = {
+  prompt: 'live-prompt-hook',
+  tool_call: 'live-tool-hook',
+  post_tool: 'live-post-tool-hook'
+};
+
+export class RealTimeConstraintEnforcer {
+  /**
+   * @param {string} [projectPath] - Project the hook runs in, defaults to the working directory
+   */
+  constructor(projectPath = process.env.PWD || process.cwd()) {
+    this.projectPath = projectPath;
     this.constraintConfigPath = this.findConstraintConfig();
     this.config = this.loadConfig();
+    this.editSimulator = new EditSimulator(this.projectPath);
     // Direct constraint engine integration - no HTTP calls needed
+    this.constraintEngine = null;
   }
 
   findConstraintConfig() {
@@ -71,8 +91,11 @@ class RealTimeConstraintEnforcer {
     }
   }
 
-  async checkConstraintsDirectly(content, type, context = {}) {
-    try {
+  /**
+   * Create the constraint engine on first use; edit checks run it twice per tool call
+   */
+  async getConstraintEngine() {
+    if (!this.constraintEngine) {
       // Use the constraint engine directly instead of HTTP API calls
       const { ConstraintEngine } = await import('../engines/constraint-engine.js');
       const { ConfigManager } = await import('../utils/config-manager.js');
@@ -80,11 +103,26 @@ class RealTimeConstraintEnforcer {
       const configManager = new ConfigManager();
       const constraintEngine = new ConstraintEngine(configManager);
       await constraintEngine.initialize();
+      this.constraintEngine = constraintEngine;
+    }
+    return this.constraintEngine;
+  }
+
+  async close() {
+    await this.constraintEngine?.close();
+    this.constraintEngine = null;
+  }
+
+  async checkConstraintsDirectly(content, type, context = {}) {
+    try {
+      const constraintEngine = await this.getConstraintEngine();
 
       const result = await constraintEngine.checkConstraints({
         content,
         type,
-        filePath: context.filePath
+        filePath: context.filePath,
+        sourceContent: context.sourceContent,
+        command: context.command
       });
 
       // Filter violations based on tool_filter and file_pattern from constraint config
@@ -93,27 +131,10 @@ class RealTimeConstraintEnforcer {
           // Get the constraint config to check tool_filter and file_pattern
           const constraintConfig = constraintEngine.constraints?.get(violation.constraint_id);
 
-          if (constraintConfig) {
-            // Check tool_filter - if specified, only apply to listed tools
-            if (constraintConfig.tool_filter && Array.isArray(constraintConfig.tool_filter)) {
-              if (context.toolName && !constraintConfig.tool_filter.includes(context.toolName)) {
-                logger.debug(`✅ Skipping ${violation.constraint_id} - tool ${context.toolName} not in tool_filter`);
-                return false; // Filter out this violation
-              }
-            }
-
-            // Check file_pattern - if specified, only apply to matching files
-            if (constraintConfig.file_pattern && context.filePath) {
-              try {
-                const fileRegex = new RegExp(constraintConfig.file_pattern);
-                if (!fileRegex.test(context.filePath)) {
-                  logger.debug(`✅ Skipping ${violation.constraint_id} - file ${context.filePath} doesn't match pattern`);
-                  return false; // Filter out this violation
-                }
-              } catch (e) {
-                // Invalid regex, keep the violation
-              }
-            }
+          // Only apply to the tools in tool_filter and the files matching file_pattern
+          if (constraintConfig && !constraintAppliesToCall(constraintConfig, context)) {
+            logger.debug(`✅ Skipping ${violation.constraint_id} - not for tool ${context.toolName} / file ${context.filePath}`);
+            return false; // Filter out this violation
           }
 
           // Check if this is a skill-required constraint
@@ -147,34 +168,57 @@ class RealTimeConstraintEnforcer {
     return segments[segments.length - 1] || 'unknown';
   }
 
-  shouldBlockViolation(violation, constraintOverride = null) {
+  isBlockingSeverity(severity) {
     const blockingLevels = this.config.enforcement?.blocking_levels || ['critical', 'error'];
+    return blockingLevels.includes(severity);
+  }
 
-    // Check if this violation has a user-initiated override
-    if (constraintOverride) {
-      const overrideList = Array.isArray(constraintOverride)
-        ? constraintOverride
-        : [constraintOverride];
+  shouldBlockViolation(violation) {
+    // Covered by a user-requested override (see applyOverrides)
+    if (violation.override) {
+      return false;
+    }
+    // Constraints in warn or shadow mode never block
+    if (this.getConstraintMode(violation) !== 'enforce') {
+      return false;
+    }
 
-      if (overrideList.includes(violation.constraint_id)) {
-        // Log the override for audit trail
-        logger.info(`🔓 CONSTRAINT OVERRIDE: User-initiated override for constraint '${violation.constraint_id}'`);
-        return false; // Don't block this violation
-      }
+    return this.isBlockingSeverity(violation.severity);
+  }
+
+  /**
+   * Mode of a violation's constraint: enforce, warn or shadow
+   */
+  getConstraintMode(violation) {
+    return this.constraintEngine?.constraints.get(violation.constraint_id)?.mode || 'enforce';
+  }
+
+  /**
+   * Attach the session's active overrides to the blocking violations they cover
+   * Uses are only counted for violations that would otherwise block.
+   */
+  async applyOverrides(violations, context) {
+    const { overrideManager } = await this.getConstraintEngine();
+    const blocking = violations.filter(v => this.shouldBlockViolation(v));
+    if (!overrideManager || blocking.length === 0) {
+      return violations;
     }
 
-    return blockingLevels.includes(violation.severity);
+    try {
+      const applied = await overrideManager.applyOverrides(blocking, context);
+      const byViolation = new Map(blocking.map((violation, index) => [violation, applied[index]]));
+      return violations.map(violation => byViolation.get(violation) || violation);
+    } catch (error) {
+      logger.warn('Could not apply constraint overrides:', error.message);
+      return violations;
+    }
   }
 
-  formatViolationMessage(violations, constraintOverride = null) {
-    const blockingViolations = violations.filter(v => this.shouldBlockViolation(v, constraintOverride));
+  formatViolationMessage(violations, inheritedViolations = [], invalidSuppressions = []) {
+    const blockingViolations = violations.filter(v => this.shouldBlockViolation(v));
 
     // Check if any violations were overridden
-    const overriddenViolations = violations.filter(v => {
-      if (!constraintOverride) return false;
-      const overrideList = Array.isArray(constraintOverride) ? constraintOverride : [constraintOverride];
-      return overrideList.includes(v.constraint_id) && this.config.enforcement?.blocking_levels?.includes(v.severity);
-    });
+    const overriddenViolations = violations.filter(v => v.override);
 
     if (blockingViolations.length === 0) {
       // If we have overridden violations, log them for user awareness
@@ -202,23 +246,116 @@ class RealTimeConstraintEnforcer {
       if (violation.pattern) {
         lines.push(`   🔍 Pattern: \`${violation.pattern}\``);
       }
+      if (violation.selector) {
+        lines.push(`   🔍 Selector: \`${violation.selector}\``);
+      }
+      if (violation.workflow) {
+        lines.push(`   🔁 Workflow: ${violation.workflow.reason}`);
+      }
+      if (this.constraintEngine?.constraints.get(violation.constraint_id)?.overridable === false) {
+        lines.push('   🔒 This constraint cannot be overridden');
+      }
+      lines.push(...this.formatViolationLocations(violation));
+      lines.push(...this.formatViolationFix(violation));
       lines.push('');
     });
 
+    // Shadow constraints are never shown to the agent
+    const shownInherited = inheritedViolations.filter(v => this.getConstraintMode(v) !== 'shadow');
+    if (shownInherited.length > 0) {
+      lines.push('ℹ️ Inherited violations (already in the file before this edit, not blocking):');
+      shownInherited.forEach(violation => {
+        const where = violation.line ? ` (first at line ${violation.line})` : '';
+        lines.push(`   - ${violation.severity.toUpperCase()} [${violation.constraint_id}]: ${violation.message}${where}`);
+      });
+      lines.push('');
+    }
+
+    if (invalidSuppressions.length > 0) {
+      lines.push('⚠️ Ignored suppression comments:');
+      invalidSuppressions.forEach(suppression => {
+        lines.push(`   - line ${suppression.line} (constraint-${suppression.kind}): ${suppression.error}`);
+      });
+      lines.push('');
+    }
+
     lines.push('Please modify your request to comply with these constraints and try again.');
-    lines.push('To override a constraint, include in your prompt: OVERRIDE_CONSTRAINT: <constraint-id>');
+    lines.push('To override a constraint, include in your prompt: OVERRIDE_CONSTRAINT: <constraint-id> [files=<glob>] [tools=<Tool>] [ttl=10m] -- <justification>');
+    lines.push('To suppress an intended occurrence, add a comment: constraint-disable-next-line <constraint-id> -- <reason>');
     lines.push('');
     lines.push('📊 View detailed constraint information: http://localhost:3030');
 
     return lines.join('\n');
   }
 
+  /**
+   * Render where a violation matched, with a few lines of context per match
+   */
+  formatViolationLocations(violation, maxLocations = 3) {
+    // Workflow violations are about the call as a whole
+    if (violation.workflow) {
+      return [];
+    }
+
+    // After an edit, only point at the occurrences the edit introduced
+    const locations = (violation.locations || []).filter(location => location.introduced !== false);
+    const lines = [];
+
+    locations.slice(0, maxLocations).forEach(location => {
+      const where = location.field ? `${location.field} ` : '';
+      lines.push(`   📍 ${where}line ${location.line}, column ${location.column}: \`${location.snippet}\``);
+
+      if (location.context) {
+        const lastLine = location.context.start_line + location.context.lines.length - 1;
+        const width = String(lastLine).length;
+        location.context.lines.forEach((text, offset) => {
+          const lineNumber = location.context.start_line + offset;
+          const marker = lineNumber === location.line ? '>' : ' ';
+          lines.push(`      ${marker} ${String(lineNumber).padStart(width)} | ${text}`);
+        });
+      }
+    });
+
+    const total = Math.max(locations.length, (violation.matches || 0) - (violation.inherited_matches || 0));
+    const remaining = total - Math.min(locations.length, maxLocations);
+    if (remaining > 0) {
+      lines.push(`   … and ${remaining} more match${remaining === 1 ? '' : 'es'}`);
+    }
+
+    return lines;
+  }
+
+  /**
+   * Render the corrected code for a fixable violation as diff hunks
+   */
+  formatViolationFix(violation, maxLines = 20) {
+    if (!violation.fix?.patch) {
+      return [];
+    }
+
+    // Keep the hunks, drop the Index/---/+++ file headers
+    const hunkStart = violation.fix.patch.indexOf('\n@@');
+    const hunks = violation.fix.patch.slice(hunkStart + 1).trimEnd().split('\n');
+    const shown = hunks.slice(0, maxLines);
+    if (hunks.length > maxLines) {
+      shown.push(`... ${hunks.length - maxLines} more lines`);
+    }
+
+    return [
+      `   ✏️ Suggested fix (${violation.fix.description}):`,
+      '   ```diff',
+      ...shown.map(line => `   ${line}`),
+      '   ```'
+    ];
+  }
+
   async enforcePromptConstraints(prompt, context = {}) {
     if (!this.config.enforcement?.enabled) {
       return { allowed: true };
     }
 
     const checkResult = await this.checkConstraintsDirectly(prompt, 'prompt', context);
+    await this.recordShadowChecks({ type: 'prompt' }, checkResult.violations || [], context);
 
     // Log ALL violations to dashboard BEFORE deciding whether to block
     if (checkResult.violations && checkResult.violations.length > 0) {
@@ -232,11 +369,13 @@ class RealTimeConstraintEnforcer {
         allowed: false,
         reason: 'constraint_violation',
         message: blockingMessage,
-        violations: checkResult.violations
+        violations: checkResult.violations,
+        diagnostics: checkResult.diagnostics || []
       };
     }
 
-    return { allowed: true, compliance: checkResult.compliance };
+    // Constraints that timed out are skipped, not blocking; they are listed in diagnostics
+    return { allowed: true, compliance: checkResult.compliance, diagnostics: checkResult.diagnostics || [] };
   }
 
   async enforceToolConstraints(toolCall, context = {}) {
@@ -244,44 +383,8 @@ class RealTimeConstraintEnforcer {
       return { allowed: true };
     }
 
-    // Extract the actual content from tool calls for constraint checking
-    let contentToCheck = '';
     const params = toolCall.parameters || toolCall.arguments || {};
 
-    // For Write/Edit tool calls, check the content being written
-    if (['Write', 'Edit', 'MultiEdit'].includes(toolCall.name)) {
-      contentToCheck = params.content || params.new_string || '';
-      // IMPORTANT: DO NOT check old_string - it may contain violations we're trying to fix!
-      // Only check new_string (what's being written) to avoid deadlocks
-
-      // For MultiEdit, check all new_string values (not old_string)
-      if (params.edits && Array.isArray(params.edits)) {
-        params.edits.forEach(edit => {
-          contentToCheck += '\n' + (edit.new_string || '');
-        });
-      }
-
-      // SPECIAL CASE: For file path constraints, also check the file path
-      if (params.file_path) {
-        contentToCheck += '\n' + params.file_path;
-      }
-    } else if (toolCall.name === 'Bash') {
-      // SPECIAL CASE: For Bash tool calls, extract just the command for constraint checking
-      // This allows command-specific constraints like no-ukb-bash-command to work properly
-      contentToCheck = params.command || params.script || '';
-      // Also include description for context
-      if (params.description) {
-        contentToCheck += '\n// ' + params.description;
-      }
-    } else {
-      // For other tools, serialize the entire call
-      contentToCheck = JSON.stringify({
-        tool: toolCall.name,
-        parameters: params,
-        context: context
-      }, null, 2);
-    }
-
     // CRITICAL: Add file path and tool name to context so constraint engine can filter properly
     // Also pass activeSkills from context so skill-required constraints can be skipped if skill is active
     const contextWithFilePath = {
@@ -290,86 +393,474 @@ class RealTimeConstraintEnforcer {
       toolName: toolCall.name,
       activeSkills: context.activeSkills || {}
     };
-    const checkResult = await this.checkConstraintsDirectly(contentToCheck, 'tool_call', contextWithFilePath);
 
-    // Log ALL violations to dashboard BEFORE deciding whether to block
-    if (checkResult.violations && checkResult.violations.length > 0) {
-      await this.logViolationsToStorage(checkResult.violations, { ...context, filePath: params.file_path }, 'tool_call');
+    // For file edits, check the file as it will look after the edit and only block on
+    // violations the edit introduces. Falls back to checking the new content alone.
+    const simulation = ['Write', 'Edit', 'MultiEdit'].includes(toolCall.name)
+      ? this.editSimulator.simulate(toolCall.name, params)
+      : null;
+
+    let checkResult;
+    let inheritedViolations = [];
+
+    if (simulation) {
+      ({ checkResult, inheritedViolations } = await this.checkEditedFile(simulation, contextWithFilePath));
+    } else {
+      // Extract the actual content from tool calls for constraint checking
+      const { content: contentToCheck, sourceContent, segments } = buildToolContent(toolCall.name, params, context);
+      checkResult = await this.checkConstraintsDirectly(contentToCheck, 'tool_call', {
+        ...contextWithFilePath,
+        sourceContent,
+        // Shell constraints look at the parsed command line
+        command: toolCall.name === 'Bash' ? params.command : undefined
+      });
+
+      // Report positions relative to new_string/command rather than the combined content
+      if (checkResult.violations) {
+        checkResult.violations = mapViolationLocations(checkResult.violations, segments);
+      }
+      checkResult.suppressed = mapViolationLocations(checkResult.suppressed || [], segments);
+    }
+
+    // Rules over the session's earlier tool calls (type: workflow)
+    checkResult.violations = [
+      ...(checkResult.violations || []),
+      ...(await this.checkWorkflowConstraints(toolCall.name, params, context))
+    ];
+
+    await this.recordShadowChecks(
+      { type: 'tool_call', toolName: toolCall.name, filePath: params.file_path },
+      checkResult.violations,
+      context
+    );
+
+    // Overrides requested in the session's prompts (OVERRIDE_CONSTRAINT)
+    checkResult.violations = await this.applyOverrides(checkResult.violations, {
+      sessionId: context.sessionId,
+      requestId: context.requestId,
+      toolName: toolCall.name,
+      filePath: params.file_path
+    });
+
+    // Log ALL violations to dashboard BEFORE deciding whether to block; inline
+    // suppressions are stored as suppressed violations
+    const violationsToLog = [...(checkResult.violations || []), ...(checkResult.suppressed || [])];
+    if (violationsToLog.length > 0) {
+      await this.logViolationsToStorage(violationsToLog, { ...context, filePath: params.file_path }, 'tool_call');
     }
 
-    // Pass constraint override from context to violation formatting
-    const blockingMessage = this.formatViolationMessage(checkResult.violations || [], context.constraintOverride);
+    const blockingMessage = this.formatViolationMessage(
+      checkResult.violations,
+      inheritedViolations,
+      checkResult.invalid_suppressions || []
+    );
 
     if (blockingMessage) {
       return {
         allowed: false,
         reason: 'constraint_violation',
         message: blockingMessage,
-        violations: checkResult.violations
+        violations: checkResult.violations,
+        inherited_violations: inheritedViolations,
+        diagnostics: checkResult.diagnostics || []
       };
     }
 
-    return { allowed: true, compliance: checkResult.compliance };
+    // Only calls that go ahead become part of the history workflow rules look at
+    await this.recordToolCall(toolCall.name, params, context);
+
+    // Warn-mode violations don't block, but the agent hears of them before the tool runs
+    const warnings = this.formatWarnModeMessage(toolCall.name, checkResult.violations);
+
+    return {
+      allowed: true,
+      compliance: checkResult.compliance,
+      inherited_violations: inheritedViolations,
+      diagnostics: checkResult.diagnostics || [],
+      ...(warnings && { additional_context: warnings })
+    };
+  }
+
+  /**
+   * Warnings for the violations of constraints in warn mode, for an allowed tool call
+   * @returns {string|null}
+   */
+  formatWarnModeMessage(toolName, violations) {
+    const warnings = violations.filter(v => this.getConstraintMode(v) === 'warn');
+    if (warnings.length === 0) {
+      return null;
+    }
+
+    const lines = [`⚠️ **Constraint warnings for ${toolName}** (warn mode, not blocking)`, ''];
+    warnings.forEach((violation, index) => {
+      lines.push(`**${index + 1}. ${violation.severity.toUpperCase()} [${violation.constraint_id}]: ${violation.message}**`);
+      if (violation.suggestion) {
+        lines.push(`   💡 Suggestion: ${violation.suggestion}`);
+      }
+      lines.push(...this.formatViolationLocations(violation));
+      lines.push('');
+    });
+
+    return lines.join('\n').trimEnd();
+  }
+
+  /**
+   * Summary of the enabled constraints for the agent's context at session start
+   * Read from the directory of the config that applies, so a project without its
+   * own .constraint-monitor.yaml doesn't get one created.
+   * @param {object} [context]
+   * @returns {Promise<{additional_context: string|null}>} - null when disabled or nothing to report
+   */
+  async buildSessionContext(context = {}) {
+    if (!this.config.enforcement?.enabled || !this.constraintConfigPath) {
+      return { additional_context: null };
+    }
+
+    const { ConfigManager } = await import('../utils/config-manager.js');
+    const configManager = new ConfigManager();
+    const configDir = dirname(this.constraintConfigPath);
+    const settings = configManager.getSessionContextSettings(configDir);
+    if (!settings.enabled) {
+      return { additional_context: null };
+    }
+
+    const summary = new ConstraintSummary(settings, {
+      blockingLevels: this.config.enforcement.blocking_levels || ['critical', 'error']
+    }).render(configManager.getProjectConstraintsWithGroups(configDir), {
+      projectName: context.project || this.getProjectName()
+    });
+    if (summary) {
+      logger.info(`Session context: ${summary.included.length} constraints, ${summary.omitted.length} omitted, ~${summary.tokens} tokens`);
+    }
+    return { additional_context: summary?.text || null };
+  }
+
+  /**
+   * Check a tool call after it ran: the file a Write/Edit/MultiEdit/NotebookEdit call
+   * wrote (post-edit checks) and what the tool returned (tool result checks)
+   * The call can't be blocked any more. Violations of the blocking severities are fed
+   * back as `message`, those of the warning severities as `additional_context`, and
+   * the feedback is followed up to see whether the next steps fix it.
+   * @param {object} toolCall - name and parameters
+   * @param {object|string} [toolResponse] - tool_response from the hook data
+   * @param {object} [context]
+   * @returns {Promise<{allowed: boolean, message?: string, additional_context?: string, violations: Array<object>}>}
+   */
+  async enforcePostToolConstraints(toolCall, toolResponse, context = {}) {
+    if (!this.config.enforcement?.enabled) {
+      return { allowed: true, violations: [] };
+    }
+
+    const params = toolCall.parameters || toolCall.arguments || {};
+    const filePath = POST_EDIT_TOOLS.includes(toolCall.name) ? (params.file_path || params.notebook_path || null) : null;
+    const constraintEngine = await this.getConstraintEngine();
+
+    let violations = [];
+    const checked = [];
+    if (filePath) {
+      violations.push(...await constraintEngine.validatePostFileEdit(filePath, { projectRoot: this.projectPath }));
+      checked.push(...constraintEngine.getPostEditConstraints(filePath).map(([id]) => ({ constraint_id: id, file_path: filePath })));
+    }
+    if (toolResponse !== undefined) {
+      const toolResult = await constraintEngine.checkToolResult(toolCall.name, params, toolResponse);
+      violations.push(...toolResult.violations);
+      checked.push(...toolResult.checked.map(id => ({ constraint_id: id, file_path: null })));
+    }
+
+    const shadowChecked = checked
+      .map(({ constraint_id: id }) => id)
+      .filter(id => constraintEngine.constraints.get(id)?.mode === 'shadow');
+    await this.recordShadowChecks({ type: 'post_tool' }, violations, context, shadowChecked);
+
+    violations = await this.applyOverrides(violations, {
+      sessionId: context.sessionId,
+      requestId: context.requestId,
+      toolName: toolCall.name,
+      filePath
+    });
+
+    const logged = violations.length > 0
+      ? await this.logViolationsToStorage(violations, { ...context, filePath }, 'post_tool')
+      : [];
+    const withIds = violations.map((violation, index) => ({ ...violation, id: logged[index]?.id }));
+
+    const blocking = withIds.filter(v => this.shouldBlockViolation(v));
+    const warnings = withIds.filter(v => this.isFeedbackWarning(v));
+    await this.trackFeedback(toolCall.name, checked, [...blocking, ...warnings], context);
+
+    const message = this.formatPostToolMessage(toolCall.name, blocking, true);
+    const additionalContext = this.formatPostToolMessage(toolCall.name, warnings, false);
+    return {
+      allowed: !message,
+      ...(message && { reason: 'constraint_violation', message }),
+      ...(additionalContext && { additional_context: additionalContext }),
+      violations
+    };
+  }
+
+  isWarningSeverity(severity) {
+    const warningLevels = this.config.enforcement?.warning_levels || ['warning'];
+    return warningLevels.includes(severity);
+  }
+
+  /**
+   * Violations fed back as warnings after a tool ran: those of the warning severities,
+   * and those of the blocking severities when their constraint is in warn mode
+   */
+  isFeedbackWarning(violation) {
+    const mode = this.getConstraintMode(violation);
+    if (violation.override || mode === 'shadow') {
+      return false;
+    }
+    return this.isWarningSeverity(violation.severity) || (mode === 'warn' && this.isBlockingSeverity(violation.severity));
   }
 
+  /**
+   * Count a check for the shadow constraints it covered, and whether they would have blocked
+   * @param {object} call - type ('prompt', 'tool_call' or 'post_tool'), toolName and filePath
+   * @param {Array<object>} violations - Violations of the check
+   * @param {object} context
+   * @param {string[]} [checked] - Shadow constraints checked; by default those that apply to the call
+   */
+  async recordShadowChecks(call, violations, context, checked) {
+    try {
+      const constraintEngine = await this.getConstraintEngine();
+      const ids = checked ?? constraintEngine.getShadowConstraints(call)
+        .filter(([, constraint]) => constraintAppliesToCall(constraint, call))
+        .map(([id]) => id);
+      if (ids.length === 0) {
+        return;
+      }
+
+      await constraintEngine.recordShadowChecks({
+        project: context.project || this.getProjectName(),
+        requestId: context.requestId,
+        checked: ids,
+        wouldBlock: violations
+          .filter(v => ids.includes(v.constraint_id) && this.isBlockingSeverity(v.severity))
+          .map(v => v.constraint_id)
+      });
+    } catch (error) {
+      logger.warn('Could not record shadow constraint checks:', error.message);
+    }
+  }
+
+  /**
+   * Record a post-tool step and resolve the violations fixed since they were fed back
+   */
+  async trackFeedback(toolName, checked, fedBack, context) {
+    try {
+      const constraintEngine = await this.getConstraintEngine();
+      const resolved = await constraintEngine.trackFeedback({
+        sessionId: context.sessionId,
+        project: context.project || this.getProjectName(),
+        requestId: context.requestId,
+        tool: toolName,
+        checked,
+        fedBack
+      });
+
+      const fixed = resolved.filter(feedback => feedback.outcome === 'fixed' && feedback.violation_id);
+      for (const feedback of fixed) {
+        await constraintEngine.violationRepository?.updateStatus([feedback.violation_id], 'resolved', {
+          actor: 'post-tool-hook',
+          reason: `Fixed ${feedback.steps} step(s) after the post-tool hook reported it`
+        });
+      }
+    } catch (error) {
+      logger.warn('Could not track post-tool feedback:', error.message);
+    }
+  }
+
+  /**
+   * Feedback on violations found after a tool ran
+   * @param {boolean} blocking - Violations to correct now, rather than warnings to keep in mind
+   * @returns {string|null}
+   */
+  formatPostToolMessage(toolName, violations, blocking) {
+    if (violations.length === 0) {
+      return null;
+    }
+
+    const lines = blocking
+      ? [`🚫 **CONSTRAINT VIOLATION DETECTED AFTER ${toolName}**`, '', 'The tool ran, but the result breaks these constraints:', '']
+      : [`⚠️ **Constraint warnings after ${toolName}**`, ''];
+
+    violations.forEach((violation, index) => {
+      lines.push(`**${index + 1}. ${violation.severity.toUpperCase()} [${violation.constraint_id}]: ${violation.message}**`);
+      if (violation.check_type) {
+        lines.push(`   📋 Check (${violation.check_type}): ${violation.reason}`);
+      }
+      if (violation.tool_result) {
+        lines.push(`   🧪 Result: ${violation.tool_result.reason}`);
+        if (violation.tool_result.excerpt) {
+          lines.push(`      > ${violation.tool_result.excerpt}`);
+        }
+      }
+      const suggestion = this.constraintEngine?.constraints.get(violation.constraint_id)?.suggestion;
+      if (suggestion) {
+        lines.push(`   💡 Suggestion: ${suggestion}`);
+      }
+      lines.push('');
+    });
+
+    if (blocking) {
+      lines.push('Please fix this in your next step before continuing.');
+      lines.push('To override a constraint, include in your prompt: OVERRIDE_CONSTRAINT: <constraint-id> [files=<glob>] [tools=<Tool>] [ttl=10m] -- <justification>');
+      lines.push('');
+      lines.push('📊 View detailed constraint information: http://localhost:3030');
+    }
+
+    return lines.join('\n').trimEnd();
+  }
+
+  /**
+   * Workflow violations of a tool call, given the session's earlier calls
+   */
+  async checkWorkflowConstraints(toolName, params, context) {
+    try {
+      const constraintEngine = await this.getConstraintEngine();
+      return await constraintEngine.checkWorkflow(toolName, params, { sessionId: context.sessionId });
+    } catch (error) {
+      logger.error('🔴 Workflow constraint checking error:', error.message);
+      return []; // Fail open
+    }
+  }
+
+  async recordToolCall(toolName, params, context) {
+    try {
+      const constraintEngine = await this.getConstraintEngine();
+      await constraintEngine.recordToolCall(toolName, params, {
+        sessionId: context.sessionId,
+        project: context.project,
+        requestId: context.requestId
+      });
+    } catch (error) {
+      logger.warn('Could not record tool call in session history:', error.message);
+    }
+  }
+
+  /**
+   * Check a file before and after a simulated edit
+   * @returns {Promise<{checkResult: object, inheritedViolations: Array<object>}>} - checkResult holds
+   *   only the violations the edit introduces
+   */
+  async checkEditedFile(simulation, context) {
+    const check = async (fileContent) => {
+      const { content, sourceContent, segments } = buildFileContent(fileContent, context.filePath);
+      const result = await this.checkConstraintsDirectly(content, 'tool_call', { ...context, sourceContent });
+      result.violations = mapViolationLocations(result.violations || [], segments);
+      result.suppressed = mapViolationLocations(result.suppressed || [], segments);
+      return result;
+    };
+
+    const afterResult = await check(simulation.after);
+    // A new file has nothing to inherit
+    const beforeResult = simulation.before ? await check(simulation.before) : { violations: [] };
+
+    const { introduced, inherited } = diffViolations(beforeResult.violations, afterResult.violations, simulation.changedLines);
+    // Only suppressions the edit adds are new; the others were recorded before
+    const newSuppressions = diffViolations(beforeResult.suppressed || [], afterResult.suppressed, simulation.changedLines).introduced;
+
+    if (inherited.length > 0) {
+      logger.info(`Edit to ${context.filePath} keeps ${inherited.length} pre-existing violation(s): ${inherited.map(v => v.constraint_id).join(', ')}`);
+    }
+
+    return {
+      checkResult: {
+        ...afterResult,
+        violations: introduced,
+        suppressed: newSuppressions,
+        diagnostics: [...(afterResult.diagnostics || []), ...(beforeResult.diagnostics || [])]
+      },
+      inheritedViolations: inherited
+    };
+  }
+
+  /**
+   * Mode fields of a stored violation; shadow violations record whether they would have blocked
+   */
+  describeMode(violation) {
+    const mode = this.getConstraintMode(violation);
+    if (mode === 'shadow') {
+      return { mode, shadow: true, would_block: this.isBlockingSeverity(violation.severity) };
+    }
+    return mode === 'warn' ? { mode } : {};
+  }
+
+  /**
+   * Store violations for the dashboard
+   * With a context.requestId the record ids are derived from it, so storing the
+   * violations of a request twice (daemon and fallback) keeps one copy.
+   * @returns {Promise<Array<object>>} - The stored records, in the order of `violations`; none if storing failed
+   */
   async logViolationsToStorage(violations, context, type) {
     try {
-      const { readFileSync, writeFileSync } = await import('fs');
-      const violationStoragePath = '/Users/q284340/Agentic/coding/.mcp-sync/violation-history.json';
-
-      // Read existing violations
-      let existingData = { violations: [] };
-      try {
-        const content = readFileSync(violationStoragePath, 'utf8');
-        existingData = JSON.parse(content);
-      } catch (error) {
-        logger.info('Creating new violation storage...');
+      const { violationRepository } = await this.getConstraintEngine();
+      if (!violationRepository) {
+        logger.warn('Violation storage not available, violations not logged');
+        return [];
       }
 
       // Add each violation with full context
       // Use project from context, or detect from working directory
       const projectName = context.project || this.getProjectName();
 
-      for (const violation of violations) {
-        const loggedViolation = {
-          id: `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
-          timestamp: new Date().toISOString(),
-          sessionId: context.sessionId || `live-session-${Date.now()}`,
-          constraint_id: violation.constraint_id,
-          message: violation.message,
-          severity: violation.severity,
-          tool: type === 'prompt' ? 'live-prompt-hook' : 'live-tool-hook',
-          context: projectName,
-          project: projectName,
-          repository: projectName,
-          source: 'main',
-          file_path: context.filePath || violation.file_path || 'unknown',
-          matches: violation.matches || 1,
-          detected_at: new Date().toISOString(),
-          pattern: violation.pattern
-        };
-
-        existingData.violations.push(loggedViolation);
-        logger.info(`📝 LOGGED TO DASHBOARD [${projectName}]: ${violation.constraint_id} (${violation.severity})`);
+      const loggedViolations = violations.map((violation, index) => ({
+        id: context.requestId ? `${context.requestId}-${index}` : `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+        timestamp: new Date().toISOString(),
+        session_id: context.sessionId || `live-session-${Date.now()}`,
+        constraint_id: violation.constraint_id,
+        message: violation.message,
+        severity: violation.severity,
+        tool: LOGGED_HOOK_NAMES[type] || 'live-tool-hook',
+        context: projectName,
+        project: projectName,
+        repository: projectName,
+        source: 'main',
+        file_path: context.filePath || violation.file_path || 'unknown',
+        matches: violation.matches || 1,
+        detected_at: new Date().toISOString(),
+        pattern: violation.pattern,
+        line: violation.line,
+        column: violation.column,
+        locations: violation.locations || [],
+        ...(violation.status && { status: violation.status }),
+        ...this.describeMode(violation),
+        ...(violation.suppression && { suppression: violation.suppression }),
+        ...(violation.override && { override: violation.override })
+      }));
+
+      await violationRepository.insertViolations(loggedViolations);
+
+      for (const violation of loggedViolations) {
+        logger.info(`📝 LOGGED TO DASHBOARD [${projectName}]: ${violation.constraint_id} (${violation.severity}${violation.shadow ? ', shadow' : ''})`);
       }
-
-      // Write back to storage
-      writeFileSync(violationStoragePath, JSON.stringify(existingData, null, 2));
+      return loggedViolations;
     } catch (error) {
       logger.error('❌ Failed to log violations to storage:', error);
+      return [];
     }
   }
 }
 
-// Hook entry points for Claude Code integration
-const enforcer = new RealTimeConstraintEnforcer();
+// Hook entry points for Claude Code integration; the enforcer is created on first
+// use so the hook daemon can import this module without loading a config
+let enforcer = null;
+
+function getEnforcer() {
+  if (!enforcer) {
+    enforcer = new RealTimeConstraintEnforcer();
+  }
+  return enforcer;
+}
 
 /**
  * Pre-prompt hook: Called before Claude processes any user prompt
  */
 export async function prePromptHook(prompt, context = {}) {
   try {
-    const result = await enforcer.enforcePromptConstraints(prompt, context);
+    const result = await getEnforcer().enforcePromptConstraints(prompt, context);
     
     if (!result.allowed) {
       // Block execution by throwing an error with the violation message
@@ -393,14 +884,19 @@ export async function prePromptHook(prompt, context = {}) {
  */
 export async function preToolHook(toolCall, context = {}) {
   try {
-    const result = await enforcer.enforceToolConstraints(toolCall, context);
+    const result = await getEnforcer().enforceToolConstraints(toolCall, context);
     
     if (!result.allowed) {
       // Block tool execution by throwing an error
       throw new Error(result.message);
     }
     
-    return { continue: true, compliance: result.compliance };
+    return {
+      continue: true,
+      compliance: result.compliance,
+      inherited_violations: result.inherited_violations || [],
+      additional_context: result.additional_context || null
+    };
   } catch (error) {
     if (error.message.includes('CONSTRAINT VIOLATION')) {
       throw error; // Re-throw constraint violations to block execution
@@ -412,6 +908,35 @@ export async function preToolHook(toolCall, context = {}) {
   }
 }
 
+/**
+ * Post-tool hook: Called after a tool ran, with what it returned
+ * Never blocks; resolves with the feedback for the agent, if any.
+ */
+export async function postToolHook(toolCall, toolResponse, context = {}) {
+  try {
+    const result = await getEnforcer().enforcePostToolConstraints(toolCall, toolResponse, context);
+    return { continue: true, feedback: result.message || null, additional_context: result.additional_context || null };
+  } catch (error) {
+    // Log errors but don't get in the way
+    logger.error('⚠️ Post-tool constraint hook error:', error.message);
+    return { continue: true, feedback: null, additional_context: null };
+  }
+}
+
+/**
+ * Session-start hook: Called when a session starts, resumes or is compacted
+ * Never blocks; resolves with the constraint summary for the agent's context.
+ */
+export async function sessionStartHook(context = {}) {
+  try {
+    const result = await getEnforcer().buildSessionContext(context);
+    return { continue: true, additional_context: result.additional_context };
+  } catch (error) {
+    logger.error('⚠️ Session-start constraint hook error:', error.message);
+    return { continue: true, additional_context: null };
+  }
+}
+
 // CLI support for testing
 if (import.meta.url === `file://${process.argv[1]}`) {
   const [,, action, content] = process.argv;
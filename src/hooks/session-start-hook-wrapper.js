@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Session-Start Hook Wrapper for Claude Code
+ *
+ * This script is called by Claude Code when a session starts, resumes, is cleared
+ * or compacted. It prints a summary of the project's enabled constraints as
+ * additional context (JSON on stdout), so Claude knows the rules before it
+ * breaks one. See settings.session_context in the constraint config.
+ */
+
+async function processSessionStartHook() {
+  // CRITICAL: Set environment variable to suppress console logging
+  // Stdout carries the JSON response, nothing else may be printed there
+  process.env.CLAUDE_CODE_HOOK = 'true';
+
+  try {
+    // Read hook data from stdin (Claude Code format)
+    let hookData = '';
+    if (process.stdin.isTTY !== true) {
+      const chunks = [];
+      for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+      }
+      if (chunks.length > 0) {
+        hookData = Buffer.concat(chunks).toString('utf8').trim();
+      }
+    }
+
+    let sessionData = {};
+    if (hookData) {
+      try {
+        sessionData = JSON.parse(hookData);
+      } catch (parseError) {
+        console.error('⚠️ Invalid session-start hook data format');
+        process.exit(0);
+      }
+    }
+
+    // Check through the constraint daemon when it runs, in-process otherwise
+    const { sessionStartHook } = await import('./hook-client.js');
+
+    const context = {
+      timestamp: Date.now(),
+      source: 'claude-code-session-start-hook',
+      trigger: sessionData.source || 'startup',
+      workingDirectory: process.cwd(),
+      sessionId: sessionData.session_id || process.env.CLAUDE_SESSION_ID || 'default'
+    };
+
+    const result = await sessionStartHook(context);
+
+    if (result.additional_context) {
+      process.stdout.write(JSON.stringify({
+        hookSpecificOutput: {
+          hookEventName: 'SessionStart',
+          additionalContext: result.additional_context
+        }
+      }));
+    }
+    process.exit(0);
+
+  } catch (error) {
+    // Log errors but continue (fail open)
+    console.error('⚠️ Session-start hook error:', error.message);
+    process.exit(0);
+  }
+}
+
+processSessionStartHook();
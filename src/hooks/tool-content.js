@@ -0,0 +1,184 @@
+/**
+ * Tool Call Content
+ *
+ * Builds the text that is checked for a tool call out of its parameters, and
+ * maps violation locations in that text back to the parameter they came from,
+ * so an Edit violation points at a line of `new_string` rather than a line of
+ * the combined blob.
+ */
+
+import { TextLocator } from '../utils/text-locator.js';
+
+/**
+ * Build the content to check for a tool call
+ * @param {string} toolName - Name of the tool (Write, Edit, MultiEdit, Bash, ...)
+ * @param {object} params - Tool parameters
+ * @param {object} context - Hook context, serialized for tools without dedicated handling
+ * @returns {{content: string, sourceContent: string|undefined, segments: Array<object>}}
+ */
+export function buildToolContent(toolName, params, context = {}) {
+  const parts = [];
+  let hasSource = false;
+
+  // For Write/Edit tool calls, check the content being written
+  if (['Write', 'Edit', 'MultiEdit'].includes(toolName)) {
+    // IMPORTANT: DO NOT check old_string - it may contain violations we're trying to fix!
+    // Only check new_string (what's being written) to avoid deadlocks
+    if (params.content) {
+      parts.push({ field: 'content', value: params.content });
+    } else if (params.new_string) {
+      parts.push({ field: 'new_string', value: params.new_string });
+    }
+
+    // For MultiEdit, check all new_string values (not old_string)
+    if (params.edits && Array.isArray(params.edits)) {
+      params.edits.forEach((edit, index) => {
+        parts.push({ field: `edits[${index}].new_string`, value: edit.new_string || '' });
+      });
+    }
+
+    hasSource = true;
+
+    // SPECIAL CASE: For file path constraints, also check the file path
+    if (params.file_path) {
+      parts.push({ field: 'file_path', value: params.file_path, source: false });
+    }
+  } else if (toolName === 'Bash') {
+    // SPECIAL CASE: For Bash tool calls, extract just the command for constraint checking
+    // This allows command-specific constraints like no-ukb-bash-command to work properly
+    parts.push({ field: params.command ? 'command' : 'script', value: params.command || params.script || '' });
+    // Also include description for context
+    if (params.description) {
+      parts.push({ field: 'description', value: params.description, prefix: '// ' });
+    }
+  } else {
+    // For other tools, serialize the entire call
+    parts.push({
+      field: 'tool_call',
+      value: JSON.stringify({ tool: toolName, parameters: params, context }, null, 2)
+    });
+  }
+
+  return assembleSegments(parts, hasSource);
+}
+
+/**
+ * Whether a constraint's `tool_filter` and `file_pattern` let it apply to a tool call
+ * Without a tool name or file path the respective filter doesn't apply; an invalid
+ * `file_pattern` matches everything.
+ * @param {object} constraint
+ * @param {object} call
+ * @param {string} [call.toolName]
+ * @param {string} [call.filePath]
+ * @returns {boolean}
+ */
+export function constraintAppliesToCall(constraint, { toolName, filePath } = {}) {
+  if (Array.isArray(constraint.tool_filter) && toolName && !constraint.tool_filter.includes(toolName)) {
+    return false;
+  }
+  if (constraint.file_pattern && filePath) {
+    try {
+      return new RegExp(constraint.file_pattern).test(filePath);
+    } catch {
+      return true;
+    }
+  }
+  return true;
+}
+
+/**
+ * Build the content to check for a whole file, e.g. the result of applying an edit
+ * Locations in the file content are reported with `field: 'file'`, i.e. as file line numbers.
+ * @param {string} fileContent - Full file content
+ * @param {string} [filePath] - Appended so path constraints still apply
+ * @returns {{content: string, sourceContent: string, segments: Array<object>}}
+ */
+export function buildFileContent(fileContent, filePath) {
+  const parts = [{ field: 'file', value: fileContent }];
+  if (filePath) {
+    parts.push({ field: 'file_path', value: filePath, source: false });
+  }
+  return assembleSegments(parts, true);
+}
+
+function assembleSegments(parts, hasSource) {
+  const segments = [];
+  let startLine = 1;
+  for (const part of parts) {
+    const prefix = part.prefix || '';
+    const text = prefix + part.value;
+    const lineCount = text.split('\n').length;
+    segments.push({ ...part, prefix, text, startLine, lineCount });
+    startLine += lineCount;
+  }
+
+  const content = segments.map(segment => segment.text).join('\n');
+
+  // AST constraints parse only the code being written, not the appended file path
+  const sourceContent = hasSource
+    ? segments.filter(segment => segment.source !== false).map(segment => segment.text).join('\n')
+    : undefined;
+
+  return { content, sourceContent, segments };
+}
+
+/**
+ * Rewrite violation locations so they refer to the tool parameter they were found in
+ * Each location gains a `field` (e.g. `new_string`, `edits[1].new_string`, `command`),
+ * and its line, column and context become relative to that parameter's value.
+ * @param {Array<object>} violations - Violations from ConstraintEngine.checkConstraints
+ * @param {Array<object>} segments - Segments from buildToolContent
+ * @returns {Array<object>} - The same violations with mapped locations
+ */
+export function mapViolationLocations(violations, segments) {
+  const locators = new Map();
+  const getLocator = (segment) => {
+    if (!locators.has(segment)) {
+      locators.set(segment, new TextLocator(segment.value));
+    }
+    return locators.get(segment);
+  };
+
+  return violations.map(violation => {
+    if (!Array.isArray(violation.locations) || violation.locations.length === 0) {
+      return violation;
+    }
+
+    // Path constraints are matched against the file path itself, not the combined content
+    if (violation.applies_to === 'file_path') {
+      const locations = violation.locations.map(location => ({ field: 'file_path', ...location }));
+      return { ...violation, locations };
+    }
+
+    const locations = violation.locations.map(location => {
+      const segment = segments.find(s => location.line >= s.startLine && location.line < s.startLine + s.lineCount);
+      if (!segment) {
+        return location;
+      }
+
+      const toField = (line, column) => {
+        const fieldLine = line - segment.startLine + 1;
+        const fieldColumn = fieldLine === 1 ? Math.max(1, column - segment.prefix.length) : column;
+        return { line: fieldLine, column: fieldColumn };
+      };
+
+      const start = toField(location.line, location.column);
+      // A match can run past the end of its segment; clamp it to the segment's last line
+      const end = location.end_line < segment.startLine + segment.lineCount
+        ? toField(location.end_line, location.end_column)
+        : toField(segment.startLine + segment.lineCount - 1, segment.text.split('\n').pop().length + 1);
+
+      return {
+        ...location,
+        field: segment.field,
+        line: start.line,
+        column: start.column,
+        end_line: end.line,
+        end_column: end.column,
+        context: getLocator(segment).contextAround(start.line)
+      };
+    });
+
+    return { ...violation, line: locations[0].line, column: locations[0].column, locations };
+  });
+}
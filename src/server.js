@@ -17,6 +17,7 @@ import {
 } from '@modelcontextprotocol/sdk/types.js';
 
 import { ConstraintEngine } from './engines/constraint-engine.js';
+import { ConstraintExampleRunner } from './engines/example-runner.js';
 import { StatusGenerator } from './status/status-generator.js';
 import { ConfigManager } from './utils/config-manager.js';
 import { logger } from './utils/logger.js';
@@ -74,7 +75,7 @@ class ConstraintMonitorServer {
           },
           {
             name: 'check_constraints',
-            description: 'Check code or actions against defined constraints',
+            description: 'Check code or actions against defined constraints. Each violation lists the line, column, snippet and surrounding lines of its matches. Matches silenced by inline suppression comments (constraint-disable-next-line <id> -- <reason>) are listed under suppressed',
             inputSchema: {
               type: 'object',
               properties: {
@@ -95,9 +96,41 @@ class ConstraintMonitorServer {
               required: ['content', 'type']
             }
           },
+          {
+            name: 'suggest_fixes',
+            description: 'Check content and return automatic fixes for violations of constraints that define a fix, as unified diff patches',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                content: {
+                  type: 'string',
+                  description: 'Code to check and fix'
+                },
+                filePath: {
+                  type: 'string',
+                  description: 'Optional file path, used for file-specific constraints and patch headers'
+                }
+              },
+              required: ['content']
+            }
+          },
+          {
+            name: 'test_constraints',
+            description: 'Run constraint self-tests: check every constraint against its examples.match / examples.no_match lists and report the examples that fail',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                constraintIds: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Only test these constraints (default: all)'
+                }
+              }
+            }
+          },
           {
             name: 'get_violation_history',
-            description: 'Get history of constraint violations and their resolutions',
+            description: 'Get history of constraint violations, newest first, with compliance metrics and trend computed from the stored data',
             inputSchema: {
               type: 'object',
               properties: {
@@ -106,13 +139,71 @@ class ConstraintMonitorServer {
                   description: 'Maximum number of violations to return',
                   default: 10
                 },
+                cursor: {
+                  type: 'string',
+                  description: 'next_cursor from a previous response, to fetch the next page'
+                },
+                project: {
+                  type: 'string',
+                  description: 'Optional project name to filter violations'
+                },
+                constraintId: {
+                  type: 'string',
+                  description: 'Optional constraint ID to filter violations'
+                },
+                severity: {
+                  type: 'string',
+                  enum: ['info', 'warning', 'error', 'critical'],
+                  description: 'Optional severity to filter violations'
+                },
                 sessionId: {
                   type: 'string',
                   description: 'Optional session ID to filter violations'
+                },
+                status: {
+                  type: 'string',
+                  description: 'Optional violation status to filter by (e.g. active)'
+                },
+                since: {
+                  type: 'string',
+                  description: 'Optional ISO timestamp, only violations at or after it'
+                },
+                until: {
+                  type: 'string',
+                  description: 'Optional ISO timestamp, only violations before it'
                 }
               }
             }
           },
+          {
+            name: 'update_violation_status',
+            description: 'Acknowledge, resolve, suppress or reopen stored violations; each change is recorded with actor, reason and timestamp',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                ids: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'IDs of the violations to update'
+                },
+                status: {
+                  type: 'string',
+                  enum: ['acknowledged', 'resolved', 'suppressed', 'active'],
+                  description: 'New status; "active" reopens a violation'
+                },
+                actor: {
+                  type: 'string',
+                  description: 'Who makes the change',
+                  default: 'mcp'
+                },
+                reason: {
+                  type: 'string',
+                  description: 'Why the status changes'
+                }
+              },
+              required: ['ids', 'status']
+            }
+          },
           {
             name: 'update_constraints',
             description: 'Update or add constraint rules',
@@ -125,15 +216,82 @@ class ConstraintMonitorServer {
                     type: 'object',
                     properties: {
                       id: { type: 'string' },
+                      type: {
+                        type: 'string',
+                        enum: ['pattern', 'ast', 'composite', 'workflow', 'shell'],
+                        description: 'Matcher kind: regex pattern (default), AST selector for JS/TS, composite condition, workflow rule or shell command matcher'
+                      },
                       pattern: { type: 'string' },
+                      selector: {
+                        type: 'string',
+                        description: 'esquery selector, required when type is "ast"'
+                      },
+                      condition: {
+                        type: 'object',
+                        description: 'Required when type is "composite": one of pattern (with flags), all, any or not; children of all may add within_lines',
+                        properties: {
+                          pattern: { type: 'string' },
+                          flags: { type: 'string' },
+                          all: { type: 'array', items: { type: 'object' } },
+                          any: { type: 'array', items: { type: 'object' } },
+                          not: { type: 'object' },
+                          within_lines: { type: 'integer', minimum: 0 }
+                        }
+                      },
+                      workflow: {
+                        type: 'object',
+                        description: 'Required when type is "workflow": on calls matching "when", "require" a call since the last "since" call, or allow at most "max" "when" calls since it. Matchers take tool, file and command',
+                        properties: {
+                          when: { type: 'object' },
+                          require: { type: 'object' },
+                          since: { type: 'object' },
+                          max: { type: 'integer', minimum: 0 },
+                          same_file: { type: 'boolean' }
+                        },
+                        required: ['when']
+                      },
+                      shell: {
+                        type: 'object',
+                        description: 'Required when type is "shell": executable name glob, subcommand, flags and argument regexes of a command the Bash call runs; each a string or a list',
+                        properties: {
+                          command: { type: ['string', 'array'], items: { type: 'string' } },
+                          subcommand: { type: ['string', 'array'], items: { type: 'string' } },
+                          flags: { type: 'array' },
+                          args: { type: ['string', 'array'], items: { type: 'string' } }
+                        },
+                        required: ['command']
+                      },
+                      mode: {
+                        type: 'string',
+                        enum: ['enforce', 'warn', 'shadow'],
+                        description: 'enforce (default) blocks at the blocking levels; warn never blocks; shadow is checked and recorded, never shown to the agent'
+                      },
                       message: { type: 'string' },
                       severity: { 
                         type: 'string',
                         enum: ['info', 'warning', 'error', 'critical']
                       },
-                      enabled: { type: 'boolean', default: true }
+                      enabled: { type: 'boolean', default: true },
+                      examples: {
+                        type: 'object',
+                        description: 'Self-test examples: content (or file paths for applies_to: file_path) the constraint must and must not match',
+                        properties: {
+                          match: { type: 'array', items: { type: 'string' } },
+                          no_match: { type: 'array', items: { type: 'string' } }
+                        }
+                      },
+                      fix: {
+                        type: 'object',
+                        description: 'Automatic fix: a regex "replace" template (optionally with its own "pattern") or a named "transform"',
+                        properties: {
+                          replace: { type: 'string' },
+                          pattern: { type: 'string' },
+                          transform: { type: 'string' },
+                          description: { type: 'string' }
+                        }
+                      }
                     },
-                    required: ['id', 'pattern', 'message']
+                    required: ['id', 'message']
                   }
                 }
               },
@@ -157,9 +315,18 @@ class ConstraintMonitorServer {
           case 'check_constraints':
             return await this.checkConstraints(args);
           
+          case 'suggest_fixes':
+            return await this.suggestFixes(args);
+
+          case 'test_constraints':
+            return await this.testConstraints(args);
+
           case 'get_violation_history':
             return await this.getViolationHistory(args);
           
+          case 'update_violation_status':
+            return await this.updateViolationStatus(args);
+
           case 'update_constraints':
             return await this.updateConstraints(args);
           
@@ -218,12 +385,18 @@ class ConstraintMonitorServer {
       type: args.type,
       filePath: args.filePath
     });
+    // Shadow constraints are on trial: the hooks record them, the agent doesn't see them
+    const shown = violation => this.constraintEngine.constraints.get(violation.constraint_id)?.mode !== 'shadow';
+    const violations = (results.violations || []).filter(shown);
 
     return {
       content: [{
         type: 'text',
         text: JSON.stringify({
-          violations: results.violations || [],
+          violations,
+          suppressed: (results.suppressed || []).filter(shown),
+          invalid_suppressions: results.invalid_suppressions || [],
+          diagnostics: results.diagnostics || [],
           compliance_score: results.compliance || 10,
           suggestions: results.suggestions || [],
           risk_assessment: results.risk || 'low',
@@ -233,10 +406,59 @@ class ConstraintMonitorServer {
     };
   }
 
+  async suggestFixes(args) {
+    const results = await this.constraintEngine.suggestFixes({
+      content: args.content,
+      type: 'code',
+      filePath: args.filePath
+    });
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          fixes: results.fixes,
+          unfixable: results.unfixable,
+          patch: results.patch,
+          fixed_content: results.fixed_content,
+          checked_at: new Date().toISOString()
+        }, null, 2)
+      }]
+    };
+  }
+
+  async testConstraints(args) {
+    const runner = new ConstraintExampleRunner(this.constraintEngine);
+    const report = await runner.run({ constraintIds: args.constraintIds });
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          passed: report.passed,
+          total: report.total,
+          failed: report.failed,
+          constraints_tested: report.constraints_tested,
+          untested: report.untested,
+          failures: report.failures,
+          summary: ConstraintExampleRunner.formatReport(report),
+          tested_at: new Date().toISOString()
+        }, null, 2)
+      }]
+    };
+  }
+
   async getViolationHistory(args) {
     const history = await this.constraintEngine.getViolationHistory({
       limit: args.limit || 10,
-      sessionId: args.sessionId
+      cursor: args.cursor,
+      project: args.project,
+      constraintId: args.constraintId,
+      severity: args.severity,
+      sessionId: args.sessionId,
+      status: args.status,
+      since: args.since,
+      until: args.until
     });
 
     return {
@@ -245,24 +467,54 @@ class ConstraintMonitorServer {
         text: JSON.stringify({
           violations: history.violations || [],
           total_count: history.total || 0,
+          next_cursor: history.next_cursor || null,
           session_metrics: history.metrics || {},
+          ...(history.storage_unavailable && { error: 'Violation storage is not available' }),
           retrieved_at: new Date().toISOString()
         }, null, 2)
       }]
     };
   }
 
+  async updateViolationStatus(args) {
+    const result = await this.constraintEngine.updateViolationStatus(args.ids || [], args.status, {
+      actor: args.actor || 'mcp',
+      reason: args.reason
+    });
+
+    return {
+      content: [{
+        type: 'text',
+        text: JSON.stringify({
+          status: args.status,
+          updated: result.updated,
+          failed: result.failed,
+          updated_at: new Date().toISOString()
+        }, null, 2)
+      }]
+    };
+  }
+
   async updateConstraints(args) {
-    const result = await this.constraintEngine.updateConstraints(args.constraints);
+    // Same schema and semantic checks as constraints loaded from YAML; invalid ones are left out
+    const { constraints, issues } = this.config.validateConstraints(args.constraints || []);
+    const result = await this.constraintEngine.updateConstraints(constraints);
+    const rejected = (args.constraints || [])
+      .map(constraint => constraint?.id)
+      .filter(id => !result.updated?.includes(id));
 
     return {
       content: [{
         type: 'text',
         text: JSON.stringify({
           updated_constraints: result.updated || [],
+          rejected_constraints: rejected,
+          issues: issues.map(({ severity, rule, message, path, constraint_id }) => ({ severity, rule, message, path, constraint_id })),
           active_constraints: result.active || 0,
           updated_at: new Date().toISOString(),
-          message: 'Constraints updated successfully'
+          message: rejected.length > 0
+            ? `${rejected.length} invalid constraint(s) not updated`
+            : 'Constraints updated successfully'
         }, null, 2)
       }]
     };
@@ -0,0 +1,123 @@
+const ASCII_BITS = 7;
+const ASCII_SIZE = 1 << ASCII_BITS;
+
+/**
+ * Aho–Corasick automaton: finds which of many keywords occur in a text in one pass
+ *
+ * ASCII letters are compared case-insensitively. A case-sensitive keyword can
+ * therefore report a hit its regex then doesn't match, but never misses one,
+ * which is what a prefilter needs.
+ */
+export class AhoCorasick {
+  /**
+   * @param {string[]} keywords
+   */
+  constructor(keywords) {
+    this.keywordCount = keywords.length;
+    // Per state: transitions by char code, failure link, keyword indices ending here
+    this.transitions = [new Map()];
+    this.failure = [0];
+    this.outputs = [null];
+
+    keywords.forEach((keyword, index) => this.addKeyword(keyword, index));
+    this.buildFailureLinks();
+    this.buildAsciiTable();
+  }
+
+  addKeyword(keyword, index) {
+    let state = 0;
+    for (let i = 0; i < keyword.length; i++) {
+      const code = foldCode(keyword.charCodeAt(i));
+      let next = this.transitions[state].get(code);
+      if (next === undefined) {
+        next = this.transitions.length;
+        this.transitions.push(new Map());
+        this.failure.push(0);
+        this.outputs.push(null);
+        this.transitions[state].set(code, next);
+      }
+      state = next;
+    }
+    (this.outputs[state] ||= []).push(index);
+  }
+
+  buildFailureLinks() {
+    const queue = [...this.transitions[0].values()];
+    this.breadthFirstOrder = queue;
+    for (let head = 0; head < queue.length; head++) {
+      const state = queue[head];
+      for (const [code, next] of this.transitions[state]) {
+        let fallback = this.failure[state];
+        while (fallback !== 0 && !this.transitions[fallback].has(code)) {
+          fallback = this.failure[fallback];
+        }
+        const target = this.transitions[fallback].get(code);
+        this.failure[next] = target !== undefined && target !== next ? target : 0;
+
+        // A state also ends every keyword its failure state ends
+        const inherited = this.outputs[this.failure[next]];
+        if (inherited) {
+          this.outputs[next] = [...(this.outputs[next] || []), ...inherited];
+        }
+        queue.push(next);
+      }
+    }
+  }
+
+  /**
+   * Next state for every state and ASCII character, failure links resolved,
+   * so the common case is a single array lookup per character
+   */
+  buildAsciiTable() {
+    const table = new Int32Array(this.transitions.length * ASCII_SIZE);
+    for (const state of [0, ...this.breadthFirstOrder]) {
+      const row = state * ASCII_SIZE;
+      const fallbackRow = this.failure[state] * ASCII_SIZE;
+      for (let code = 0; code < ASCII_SIZE; code++) {
+        const next = this.transitions[state].get(foldCode(code));
+        table[row + code] = next !== undefined ? next : (state === 0 ? 0 : table[fallbackRow + code]);
+      }
+    }
+    this.asciiTable = table;
+  }
+
+  /**
+   * Next state for a non-ASCII character, following failure links
+   */
+  step(state, code) {
+    let next = this.transitions[state].get(code);
+    while (next === undefined && state !== 0) {
+      state = this.failure[state];
+      next = this.transitions[state].get(code);
+    }
+    return next ?? 0;
+  }
+
+  /**
+   * Indices of the keywords that occur in the text
+   * @param {string} text
+   * @returns {Set<number>}
+   */
+  search(text) {
+    const found = new Set();
+    const { asciiTable, outputs } = this;
+    let state = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      state = code < ASCII_SIZE ? asciiTable[(state << ASCII_BITS) | code] : this.step(state, code);
+
+      const output = outputs[state];
+      if (output) {
+        for (const index of output) found.add(index);
+        if (found.size === this.keywordCount) break;
+      }
+    }
+
+    return found;
+  }
+}
+
+function foldCode(code) {
+  return code >= 65 && code <= 90 ? code + 32 : code;
+}
@@ -0,0 +1,39 @@
+/**
+ * Compliance scoring shared by the dashboard API and violation history metrics
+ */
+
+// Score reduction per violation, by severity
+export const SEVERITY_WEIGHTS = {
+  critical: 3,
+  error: 2,
+  warning: 1
+};
+
+/**
+ * Compliance score (1-10) for a set of violations, from their severity counts
+ * @param {{critical?: number, error?: number, warning?: number}} counts
+ * @returns {number}
+ */
+export function calculateComplianceScore(counts = {}) {
+  const scoreReduction = Object.entries(SEVERITY_WEIGHTS)
+    .reduce((sum, [severity, weight]) => sum + (counts[severity] || 0) * weight, 0);
+
+  if (scoreReduction === 0) {
+    return 10.0;
+  }
+
+  const maxReduction = Math.min(scoreReduction * 0.5, 9.0); // Cap at 90% reduction
+  return Math.max(1.0, 10.0 - maxReduction);
+}
+
+/**
+ * Count violations by severity
+ * @param {Array<{severity: string}>} violations
+ * @returns {object}
+ */
+export function countBySeverity(violations) {
+  return violations.reduce((counts, violation) => {
+    counts[violation.severity] = (counts[violation.severity] || 0) + 1;
+    return counts;
+  }, {});
+}
@@ -1,8 +1,11 @@
 import { readFileSync, existsSync, writeFileSync } from 'fs';
-import { join, dirname } from 'path';
+import { join, dirname, resolve } from 'path';
 import { fileURLToPath } from 'url';
 import { parse, stringify } from 'yaml';
 import { logger } from './logger.js';
+import { ConstraintConfigValidator, getConstraintValidator } from './constraint-validator.js';
+
+export const BASELINE_FILE = '.constraint-baseline.json';
 
 export class ConfigManager {
   constructor() {
@@ -14,7 +17,9 @@ export class ConfigManager {
       constraints: {
         enabled: true,
         configFile: './constraints.yaml',
-        autoUpdate: true
+        autoUpdate: true,
+        // Budget per regex constraint and check; longer-running patterns are skipped
+        regexTimeoutMs: parseInt(process.env.CONSTRAINT_REGEX_TIMEOUT_MS) || 500
       },
       databases: {
         qdrant: {
@@ -25,6 +30,10 @@ export class ConfigManager {
         analytics: {
           path: process.env.ANALYTICS_DB_PATH || ':memory:',
           enabled: true
+        },
+        violations: {
+          // SQLite violation history; null uses data/violations.db in this package
+          path: process.env.VIOLATIONS_DB_PATH || null
         }
       },
       monitoring: {
@@ -155,6 +164,26 @@ export class ConfigManager {
     return null;
   }
 
+  /**
+   * Path of the project's violation baseline (.constraint-baseline.json)
+   * The baseline sits in the project root: the nearest directory, from the current
+   * working directory up to 5 levels, with a baseline or a .constraint-monitor.yaml.
+   * CODING_REPO is not consulted; a baseline belongs to the project it was made for.
+   * @returns {string} - The file, which may not exist yet; in the cwd if no root is found
+   */
+  getBaselinePath() {
+    let currentDir = process.cwd();
+    for (let i = 0; i <= 5; i++) {
+      if (existsSync(join(currentDir, BASELINE_FILE)) || existsSync(join(currentDir, '.constraint-monitor.yaml'))) {
+        return join(currentDir, BASELINE_FILE);
+      }
+      const parentDir = dirname(currentDir);
+      if (parentDir === currentDir) break;
+      currentDir = parentDir;
+    }
+    return join(process.cwd(), BASELINE_FILE);
+  }
+
   /**
    * Get enforcement settings from the constraint config file
    * Returns the enforcement section with enabled flag, blocking levels, etc.
@@ -215,10 +244,9 @@ export class ConfigManager {
 
     if (configPath) {
       try {
-        const content = readFileSync(configPath, 'utf8');
-        const data = parse(content);
+        const constraints = this.loadValidatedConstraints(configPath);
         logger.info(`Loaded project constraints from ${configPath}`);
-        return data.constraints || [];
+        return constraints;
       } catch (error) {
         logger.error(`Failed to parse project constraints from ${configPath}`, { error: error.message });
       }
@@ -234,16 +262,60 @@ export class ConfigManager {
     }
     
     try {
-      const content = readFileSync(constraintsPath, 'utf8');
-      const data = parse(content);
+      const constraints = this.loadValidatedConstraints(constraintsPath);
       logger.info(`Loaded fallback constraints from ${constraintsPath}`);
-      return data.constraints || [];
+      return constraints;
     } catch (error) {
       logger.error('Failed to parse constraints.yaml', { error: error.message });
       return this.getDefaultConstraints();
     }
   }
 
+  /**
+   * Constraints of a config file that pass schema validation
+   * Issues are logged as file:line:column; constraints with errors are skipped.
+   * Constraints without a `mode` get the file's `enforcement.default_mode`, if set.
+   * Throws if the file isn't valid YAML.
+   */
+  loadValidatedConstraints(filePath) {
+    const result = getConstraintValidator().validateFile(filePath);
+
+    for (const issue of result.issues) {
+      const message = `Constraint config: ${ConstraintConfigValidator.formatIssue(issue, filePath)}`;
+      if (issue.severity === 'error') {
+        logger.error(message);
+      } else {
+        logger.warn(message);
+      }
+    }
+
+    if (!result.data) {
+      throw new Error(result.issues[0]?.message || 'Invalid YAML');
+    }
+
+    const skipped = (result.data.constraints?.length || 0) - result.constraints.length;
+    if (skipped > 0) {
+      logger.warn(`Skipped ${skipped} invalid constraint${skipped === 1 ? '' : 's'} in ${filePath}`);
+    }
+
+    // The file's default mode goes with its constraints, so it survives copying them to a project
+    const defaultMode = result.data.enforcement?.default_mode;
+    return defaultMode
+      ? result.constraints.map(constraint => ({ mode: defaultMode, ...constraint }))
+      : result.constraints;
+  }
+
+  /**
+   * Constraints that don't come from a file (update_constraints), validated as if they did
+   * Issue paths and lines refer to `constraints:` in the YAML of the given list.
+   * @param {Array<object>} constraints
+   * @returns {{constraints: Array<object>, issues: Array<object>}} - The constraints without errors
+   */
+  validateConstraints(constraints) {
+    const result = getConstraintValidator().validate(stringify({ constraints }));
+    return { constraints: result.constraints, issues: result.issues };
+  }
+
   getDefaultConstraints() {
     return [
       {
@@ -252,7 +324,8 @@ export class ConfigManager {
         message: 'Use Logger.log() instead of console.log for better log management',
         severity: 'warning',
         enabled: true,
-        suggestion: 'Replace with: Logger.log(\'info\', \'category\', message)'
+        suggestion: 'Replace with: Logger.log(\'info\', \'category\', message)',
+        fix: { transform: 'console-log-to-logger' }
       },
       {
         id: 'no-var-declarations',
@@ -260,7 +333,8 @@ export class ConfigManager {
         message: 'Use \'let\' or \'const\' instead of \'var\'',
         severity: 'warning',
         enabled: true,
-        suggestion: 'Use \'let\' for mutable variables, \'const\' for immutable'
+        suggestion: 'Use \'let\' for mutable variables, \'const\' for immutable',
+        fix: { replace: 'let ', description: 'Replace \'var\' with \'let\'' }
       },
       {
         id: 'proper-error-handling',
@@ -276,7 +350,8 @@ export class ConfigManager {
         message: 'Potential hardcoded secret detected',
         severity: 'critical',
         enabled: true,
-        suggestion: 'Use environment variables or secure key management'
+        suggestion: 'Use environment variables or secure key management',
+        overridable: false
       },
       {
         id: 'no-eval-usage',
@@ -450,10 +525,87 @@ export class ConfigManager {
         show_empty_groups: false,
         collapse_disabled_groups: true,
         sort_by_severity: true
+      },
+      overrides: {
+        default_ttl_minutes: 5,
+        max_ttl_minutes: 60,
+        default_max_uses: 3
+      },
+      workflow: {
+        history_limit: 500,
+        retention_hours: 24
+      },
+      post_edit: {
+        plugins: {}
+      },
+      feedback: {
+        max_steps: 5
+      },
+      session_context: {
+        enabled: true,
+        max_tokens: 800,
+        severities: ['critical', 'error', 'warning'],
+        include_suggestions: true
       }
     };
   }
 
+  /**
+   * TTL and use limits for OVERRIDE_CONSTRAINT requests, from `settings.overrides`
+   */
+  getOverrideSettings() {
+    return this.getConstraintSettings().overrides || this.getDefaultSettings().overrides;
+  }
+
+  /**
+   * Session history limits for workflow constraints, from `settings.workflow`
+   */
+  getWorkflowSettings() {
+    return this.getConstraintSettings().workflow || this.getDefaultSettings().workflow;
+  }
+
+  /**
+   * How long the post-tool hook follows up on its feedback, from `settings.feedback`
+   */
+  getFeedbackSettings() {
+    return this.getConstraintSettings().feedback || this.getDefaultSettings().feedback;
+  }
+
+  /**
+   * Post-edit check plugins from `settings.post_edit`, with module paths resolved
+   * against the directory of the config file that lists them
+   */
+  getPostEditSettings() {
+    const settings = this.getConstraintSettings().post_edit || this.getDefaultSettings().post_edit;
+    const configPath = this.findProjectConfig();
+    const baseDir = configPath ? dirname(configPath) : process.cwd();
+    const plugins = Object.fromEntries(
+      Object.entries(settings.plugins || {}).map(([name, modulePath]) => [name, resolve(baseDir, modulePath)])
+    );
+    return { ...settings, plugins };
+  }
+
+  /**
+   * Constraint summary the session-start hook gives the agent, from `settings.session_context`
+   * of the project's .constraint-monitor.yaml, falling back to the global settings
+   * @param {string} [projectPath]
+   */
+  getSessionContextSettings(projectPath) {
+    const defaults = this.getDefaultSettings().session_context;
+    const projectConfigPath = projectPath ? join(projectPath, '.constraint-monitor.yaml') : null;
+
+    if (projectConfigPath && existsSync(projectConfigPath)) {
+      try {
+        const data = parse(readFileSync(projectConfigPath, 'utf8'));
+        return { ...defaults, ...data?.settings?.session_context };
+      } catch (error) {
+        logger.error(`Failed to parse project settings from ${projectConfigPath}`, { error: error.message });
+      }
+    }
+
+    return { ...defaults, ...this.getConstraintSettings().session_context };
+  }
+
   // Per-project configuration methods
   getProjectConstraints(projectPath) {
     if (!projectPath) {
@@ -466,10 +618,9 @@ export class ConfigManager {
     
     if (existsSync(projectConfigPath)) {
       try {
-        const content = readFileSync(projectConfigPath, 'utf8');
-        const data = parse(content);
+        const constraints = this.loadValidatedConstraints(projectConfigPath);
         logger.info(`Loaded project-specific constraints from ${projectConfigPath}`);
-        return data.constraints || [];
+        return constraints;
       } catch (error) {
         logger.error(`Failed to parse project constraints from ${projectConfigPath}`, { error: error.message });
       }
@@ -0,0 +1,493 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseDocument, LineCounter } from 'yaml';
+import Ajv from 'ajv';
+import esquery from 'esquery';
+import { FixGenerator } from '../engines/fix-generator.js';
+import { CompositeCondition } from '../engines/composite-condition.js';
+import { WorkflowMonitor } from '../engines/workflow-monitor.js';
+import { PostEditValidator } from '../engines/post-edit-validator.js';
+import { ShellMatcher } from '../engines/shell-matcher.js';
+import { analyzeRegex } from './regex-safety.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const CONSTRAINT_SCHEMA_PATH = join(__dirname, '../../schemas/constraint-config.schema.json');
+
+// Regex shapes that are exponential rather than polynomial
+const EXPONENTIAL_REGEX_KINDS = new Set(['nested-quantifier', 'overlapping-alternation']);
+
+/**
+ * Validation and linting for constraint configuration files
+ *
+ * Checks a constraints.yaml / .constraint-monitor.yaml against
+ * schemas/constraint-config.schema.json, then compiles each constraint's regexes
+ * and AST selector and checks how composite conditions combine. Every issue
+ * carries the YAML line and column it refers to:
+ *
+ *   { rule: 'schema', severity: 'error', message: 'must be one of: info, warning, error, critical',
+ *     path: 'constraints[3].severity', line: 42, column: 15, constraint_id: 'no-eval-usage' }
+ *
+ * Constraints with errors are left out of `constraints`; unknown properties are
+ * warnings, so a typo doesn't turn a constraint off. Lint mode adds duplicate-id,
+ * unreachable-group and catastrophic-backtracking checks.
+ */
+export class ConstraintConfigValidator {
+  constructor() {
+    const schema = JSON.parse(readFileSync(CONSTRAINT_SCHEMA_PATH, 'utf8'));
+    this.schema = schema;
+    this.validateSchema = new Ajv({ allErrors: true, strict: false }).compile(schema);
+    this.fixGenerator = new FixGenerator();
+    this.postEditValidator = new PostEditValidator();
+  }
+
+  /**
+   * @param {string} content - YAML source
+   * @param {object} [options]
+   * @param {boolean} [options.lint] - Also run the lint rules
+   * @returns {{data: object|null, constraints: Array<object>, issues: Array<object>,
+   *   errors: number, warnings: number}} - data is null when the YAML doesn't parse
+   */
+  validate(content, { lint = false } = {}) {
+    const lineCounter = new LineCounter();
+    const doc = parseDocument(content, { lineCounter });
+
+    if (doc.errors.length > 0) {
+      const issues = doc.errors.map(error => ({
+        rule: 'yaml-syntax',
+        severity: 'error',
+        message: error.message.split('\n')[0].replace(/ at line \d+, column \d+:?$/, ''),
+        path: '',
+        line: error.linePos?.[0]?.line ?? 1,
+        column: error.linePos?.[0]?.col ?? 1,
+        constraint_id: null
+      }));
+      return summarize(null, [], issues);
+    }
+
+    const data = doc.toJS() ?? {};
+    const context = { doc, lineCounter, data };
+    const issues = [
+      ...this.checkSchema(context),
+      ...this.checkSemantics(context),
+      ...(lint ? this.checkLintRules(context) : [])
+    ];
+    issues.sort((a, b) => a.line - b.line || a.column - b.column);
+
+    const invalid = new Set(issues
+      .filter(issue => issue.severity === 'error' && issue.constraintIndex !== undefined)
+      .map(issue => issue.constraintIndex));
+    const constraints = Array.isArray(data.constraints)
+      ? data.constraints.filter((constraint, index) => !invalid.has(index))
+      : [];
+
+    return summarize(data, constraints, issues.map(({ constraintIndex, ...issue }) => issue));
+  }
+
+  /**
+   * Read and validate a constraint file
+   * @param {string} filePath
+   * @param {object} [options] - See validate()
+   */
+  validateFile(filePath, options) {
+    return this.validate(readFileSync(filePath, 'utf8'), options);
+  }
+
+  checkSchema(context) {
+    if (this.validateSchema(context.data)) {
+      return [];
+    }
+
+    const errors = this.validateSchema.errors;
+    // oneOf reports one error per branch; keep only the summary
+    const oneOfPaths = new Set(errors.filter(error => error.keyword === 'oneOf').map(error => error.instancePath));
+    // anyOf reports every branch and a summary; keep only the first branch
+    const anyOfPaths = new Set(errors.filter(error => error.keyword === 'anyOf').map(error => error.instancePath));
+    const reportedAnyOfPaths = new Set();
+    const issues = [];
+
+    for (const error of errors) {
+      if (error.keyword === 'if' || error.keyword === 'anyOf' || (oneOfPaths.has(error.instancePath) && error.keyword !== 'oneOf')) {
+        continue;
+      }
+      if (anyOfPaths.has(error.instancePath)) {
+        if (reportedAnyOfPaths.has(error.instancePath)) continue;
+        reportedAnyOfPaths.add(error.instancePath);
+      }
+
+      const segments = parsePointer(error.instancePath);
+      if (error.keyword === 'additionalProperties') {
+        const property = error.params.additionalProperty;
+        const suggestion = closestMatch(property, Object.keys(this.getSchemaAt(segments)?.properties || {}));
+        issues.push(this.createIssue(context, [...segments, property], {
+          rule: 'unknown-property',
+          severity: 'warning',
+          message: `Unknown property "${property}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`,
+          atKey: true
+        }));
+      } else if (error.keyword === 'required') {
+        const property = error.params.missingProperty;
+        const isConstraint = segments[0] === 'constraints' && segments.length === 2;
+        issues.push(this.createIssue(context, segments, {
+          rule: isConstraint && property === 'message' ? 'missing-message' : 'schema',
+          severity: 'error',
+          message: describeMissingProperty(property, isConstraint)
+        }));
+      } else {
+        issues.push(this.createIssue(context, segments, {
+          rule: 'schema',
+          severity: 'error',
+          message: describeSchemaError(error)
+        }));
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Checks the schema can't express: regexes compile, selectors parse, groups exist
+   */
+  checkSemantics(context) {
+    const { data } = context;
+    const issues = [];
+    if (!Array.isArray(data.constraints)) {
+      return issues;
+    }
+
+    const groupIds = Array.isArray(data.constraint_groups)
+      ? new Set(data.constraint_groups.map(group => group?.id))
+      : null;
+
+    data.constraints.forEach((constraint, index) => {
+      if (!constraint || typeof constraint !== 'object') return;
+      const at = (key, issue) => issues.push(this.createIssue(context, ['constraints', index, ...key], issue));
+
+      if (constraint.type === 'ast') {
+        if (typeof constraint.selector === 'string') {
+          try {
+            esquery.parse(constraint.selector);
+          } catch (error) {
+            at(['selector'], { rule: 'invalid-selector', severity: 'error', message: `Invalid AST selector: ${error.message}` });
+          }
+        }
+      } else if (constraint.type === 'composite' && constraint.condition !== undefined) {
+        const problem = CompositeCondition.validate(constraint.condition);
+        if (problem) {
+          at(['condition', ...problem.path], { rule: 'invalid-condition', severity: 'error', message: `Invalid condition: ${problem.message}` });
+        }
+      } else if (constraint.type === 'workflow' && constraint.workflow !== undefined) {
+        const problem = WorkflowMonitor.validateRule(constraint.workflow);
+        if (problem) {
+          at(['workflow'], { rule: 'invalid-workflow', severity: 'error', message: `Invalid workflow: ${problem}` });
+        }
+      } else if (constraint.type === 'shell' && constraint.shell !== undefined) {
+        const problem = ShellMatcher.validateRule(constraint.shell);
+        if (problem) {
+          at(['shell'], { rule: 'invalid-shell-rule', severity: 'error', message: `Invalid shell rule: ${problem}` });
+        }
+      }
+
+      if (constraint.validation_type === 'post_file_edit' && typeof constraint.check_type === 'string') {
+        const problem = this.postEditValidator.validateConstraint(constraint);
+        const plugins = data.settings?.post_edit?.plugins || {};
+        if (problem) {
+          at(['check_type'], { rule: 'invalid-post-edit-check', severity: 'error', message: `Invalid post-edit check: ${problem}` });
+        } else if (constraint.check_type === 'plugin' && !Object.hasOwn(plugins, constraint.plugin)) {
+          at(['plugin'], { rule: 'invalid-post-edit-check', severity: 'error', message: `Plugin "${constraint.plugin}" is not listed in settings.post_edit.plugins` });
+        }
+      }
+
+      for (const { pattern, flags, path } of constraintPatterns(constraint)) {
+        const error = getRegexError(pattern, flags);
+        if (error) {
+          at(path, { rule: 'invalid-regex', severity: 'error', message: `Invalid pattern: ${error}` });
+        }
+      }
+
+      for (const key of ['file_pattern', 'command_pattern']) {
+        if (typeof constraint[key] !== 'string') continue;
+        const error = getRegexError(constraint[key]);
+        if (error) {
+          at([key], { rule: 'invalid-regex', severity: 'error', message: `Invalid ${key}: ${error}` });
+        }
+      }
+
+      if (constraint.fix && typeof constraint.fix === 'object') {
+        const fixError = this.fixGenerator.validateFix(constraint.fix);
+        if (fixError) {
+          // The engine drops the fix and keeps checking the constraint
+          at(['fix'], { rule: 'invalid-fix', severity: 'warning', message: `Fix will be ignored: ${fixError}` });
+        }
+      }
+
+      if (groupIds && typeof constraint.group === 'string' && !groupIds.has(constraint.group)) {
+        at(['group'], {
+          rule: 'unknown-group',
+          severity: 'warning',
+          message: `Group "${constraint.group}" is not defined in constraint_groups`
+        });
+      }
+    });
+
+    return issues;
+  }
+
+  checkLintRules(context) {
+    const { data } = context;
+    const issues = [];
+    const constraints = Array.isArray(data.constraints) ? data.constraints : [];
+    const firstIndexById = new Map();
+
+    constraints.forEach((constraint, index) => {
+      if (!constraint || typeof constraint !== 'object') return;
+
+      if (typeof constraint.id === 'string') {
+        if (firstIndexById.has(constraint.id)) {
+          const firstLine = this.createIssue(context, ['constraints', firstIndexById.get(constraint.id), 'id'], {}).line;
+          issues.push(this.createIssue(context, ['constraints', index, 'id'], {
+            rule: 'duplicate-id',
+            severity: 'error',
+            message: `Duplicate constraint id "${constraint.id}" (first defined on line ${firstLine}); only the last definition is used`
+          }));
+        } else {
+          firstIndexById.set(constraint.id, index);
+        }
+      }
+
+      for (const { pattern, flags, path } of constraintPatterns(constraint)) {
+        if (getRegexError(pattern, flags)) continue;
+        for (const finding of analyzeRegex(pattern, flags)) {
+          issues.push(this.createIssue(context, ['constraints', index, ...path], {
+            rule: 'catastrophic-backtracking',
+            severity: EXPONENTIAL_REGEX_KINDS.has(finding.kind) ? 'error' : 'warning',
+            message: finding.message
+          }));
+        }
+      }
+    });
+
+    if (Array.isArray(data.constraint_groups)) {
+      const usedGroups = new Set(constraints.map(constraint => constraint?.group));
+      data.constraint_groups.forEach((group, index) => {
+        if (group?.id && !usedGroups.has(group.id)) {
+          issues.push(this.createIssue(context, ['constraint_groups', index, 'id'], {
+            rule: 'unreachable-group',
+            severity: 'warning',
+            message: `Group "${group.id}" has no constraints`
+          }));
+        }
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Issue located at a path in the document
+   * Paths that don't exist (a missing property) fall back to their nearest parent.
+   * @param {object} context
+   * @param {Array<string|number>} segments - Path into the document
+   * @param {object} issue - rule, severity, message; atKey points at a map key instead of its value
+   */
+  createIssue({ doc, lineCounter, data }, segments, { atKey = false, ...issue }) {
+    let node = null;
+    for (let length = segments.length; length >= 0 && !node; length--) {
+      const path = segments.slice(0, length);
+      if (atKey && length === segments.length && length > 0) {
+        const parent = path.length > 1 ? doc.getIn(path.slice(0, -1), true) : doc.contents;
+        node = parent?.items?.find(pair => pair.key?.value === path[path.length - 1])?.key ?? null;
+      } else {
+        node = length === 0 ? doc.contents : doc.getIn(path, true);
+      }
+    }
+
+    const position = node?.range ? lineCounter.linePos(node.range[0]) : { line: 1, col: 1 };
+    const inConstraint = segments[0] === 'constraints' && typeof segments[1] === 'number';
+    const constraint = inConstraint ? data.constraints?.[segments[1]] : null;
+
+    return {
+      ...issue,
+      path: formatPath(segments),
+      line: position.line,
+      column: position.col,
+      constraint_id: typeof constraint?.id === 'string' ? constraint.id : null,
+      ...(inConstraint && { constraintIndex: segments[1] })
+    };
+  }
+
+  /**
+   * Schema node for a document path, following $refs and array items
+   */
+  getSchemaAt(segments) {
+    let schema = this.schema;
+    for (const segment of segments) {
+      schema = this.resolveRef(schema);
+      schema = typeof segment === 'number' ? schema?.items : schema?.properties?.[segment];
+    }
+    return this.resolveRef(schema);
+  }
+
+  resolveRef(schema) {
+    if (!schema?.$ref) return schema;
+    return schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], this.schema);
+  }
+
+  /**
+   * "file:line:column severity [rule] message" for terminals and logs
+   * @param {object} issue
+   * @param {string} [filePath]
+   * @returns {string}
+   */
+  static formatIssue(issue, filePath) {
+    const location = `${filePath ? `${filePath}:` : ''}${issue.line}:${issue.column}`;
+    return `${location} ${issue.severity} [${issue.rule}] ${issue.message}`;
+  }
+
+  /**
+   * Human-readable lint report
+   * @param {object} result - Result of validate()
+   * @param {string} [filePath]
+   * @returns {string}
+   */
+  static formatReport(result, filePath) {
+    const lines = result.issues.map(issue => `${issue.severity === 'error' ? '❌' : '⚠️ '} ${ConstraintConfigValidator.formatIssue(issue, filePath)}`);
+    const counts = `${result.errors} error${result.errors === 1 ? '' : 's'}, ${result.warnings} warning${result.warnings === 1 ? '' : 's'}`;
+    const summary = filePath ? `${filePath}: ${counts}` : counts;
+    lines.push(result.errors > 0 ? `❌ ${summary}` : `✅ ${summary}`);
+    return lines.join('\n');
+  }
+}
+
+let sharedValidator = null;
+
+/**
+ * Validator instance shared within the process; compiling the schema is the expensive part
+ * @returns {ConstraintConfigValidator}
+ */
+export function getConstraintValidator() {
+  if (!sharedValidator) {
+    sharedValidator = new ConstraintConfigValidator();
+  }
+  return sharedValidator;
+}
+
+function summarize(data, constraints, issues) {
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+  return { data, constraints, issues, errors, warnings: issues.length - errors };
+}
+
+/**
+ * Regexes of a constraint with their path in it: its pattern, the leaves of a
+ * well-formed composite condition, or the output pattern of a tool result check
+ * @returns {Array<{pattern: string, flags: string|undefined, path: Array<string|number>}>}
+ */
+function constraintPatterns(constraint) {
+  if (constraint.validation_type === 'post_tool_result') {
+    return typeof constraint.output_pattern === 'string'
+      ? [{ pattern: constraint.output_pattern, flags: constraint.flags, path: ['output_pattern'] }]
+      : [];
+  }
+  if (constraint.type === 'ast' || constraint.type === 'workflow' || constraint.type === 'shell' || constraint.validation_type) {
+    return [];
+  }
+  if (constraint.type === 'composite') {
+    if (CompositeCondition.validate(constraint.condition)) return [];
+    return new CompositeCondition(constraint.condition).leaves
+      .filter(leaf => typeof leaf.pattern === 'string')
+      .map(leaf => ({ pattern: leaf.pattern, flags: leaf.flags, path: ['condition', ...leaf.path, 'pattern'] }));
+  }
+  return typeof constraint.pattern === 'string'
+    ? [{ pattern: constraint.pattern, flags: constraint.flags, path: ['pattern'] }]
+    : [];
+}
+
+/**
+ * Compile error for a pattern as the engine compiles it, or null
+ */
+function getRegexError(pattern, flags = '') {
+  let source = pattern;
+  let extraFlags = '';
+  if (source.startsWith('(?i)')) {
+    source = source.substring(4);
+    extraFlags = 'i';
+  }
+  try {
+    new RegExp(source, 'g' + (flags || '') + extraFlags);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function describeSchemaError(error) {
+  switch (error.keyword) {
+    case 'enum':
+      return `must be one of: ${error.params.allowedValues.join(', ')}`;
+    case 'oneOf':
+      return /\/(tool|file)$/.test(error.instancePath)
+        ? 'must be a string or a list of strings'
+        : 'must be a string or an object with "content" and/or "file_path"';
+    case 'pattern':
+      return error.instancePath.endsWith('/flags') ? 'flags may only contain d, i, m, s, u and v' : error.message;
+    default:
+      return error.message;
+  }
+}
+
+function describeMissingProperty(property, isConstraint) {
+  if (isConstraint && property === 'message') return 'Constraint has no "message"';
+  if (isConstraint && property === 'pattern') return 'Constraint needs a "pattern" (or type: ast with a "selector")';
+  if (isConstraint && property === 'selector') return 'AST constraint needs a "selector"';
+  if (isConstraint && property === 'condition') return 'Composite constraint needs a "condition"';
+  if (isConstraint && property === 'workflow') return 'Workflow constraint needs a "workflow" rule';
+  if (isConstraint && property === 'check_type') return 'Post-edit constraint needs a "check_type"';
+  if (isConstraint && (property === 'exit_code' || property === 'output_pattern')) return 'Tool result constraint needs "exit_code" and/or "output_pattern"';
+  return `Missing required property "${property}"`;
+}
+
+function parsePointer(pointer) {
+  if (!pointer) return [];
+  return pointer.slice(1).split('/').map(segment => {
+    const key = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    return /^\d+$/.test(key) ? Number(key) : key;
+  });
+}
+
+function formatPath(segments) {
+  return segments.reduce((path, segment) => typeof segment === 'number'
+    ? `${path}[${segment}]`
+    : (path ? `${path}.${segment}` : String(segment)), '');
+}
+
+/**
+ * Closest known key for a misspelt one, within a small edit distance
+ */
+function closestMatch(value, candidates) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    const distance = editDistance(value.toLowerCase(), candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return bestDistance <= Math.max(2, Math.floor(value.length / 3)) ? best : null;
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
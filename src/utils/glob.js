@@ -0,0 +1,49 @@
+/**
+ * Minimal glob matching for override scopes
+ *
+ * `**` matches across directories, `*` and `?` within one path segment. Relative
+ * patterns match at any directory boundary, so `src/cli/**` matches
+ * `/home/me/project/src/cli/main.js`.
+ */
+
+/**
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+  const normalized = pattern.replace(/\\/g, '/');
+  let source = '';
+
+  for (let i = 0; i < normalized.length; i++) {
+    const char = normalized[i];
+    if (char === '*' && normalized[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      if (normalized[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const anchor = normalized.startsWith('/') ? '^' : '(?:^|/)';
+  return new RegExp(`${anchor}${source}$`);
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function matchesGlob(filePath, pattern) {
+  if (!filePath || !pattern) return false;
+  return globToRegExp(pattern).test(filePath.replace(/\\/g, '/'));
+}
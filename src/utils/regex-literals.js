@@ -0,0 +1,115 @@
+import { parseRegex } from './regex-parser.js';
+
+// Shorter literals occur too often to be worth screening for
+export const MIN_LITERAL_LENGTH = 3;
+
+/**
+ * Literals a regex can't match without
+ *
+ * Returns strings of which at least one occurs in every match, compared with
+ * ASCII letters lowercased (see AhoCorasick). Text containing none of them can't
+ * match, so the regex doesn't need to run:
+ *
+ *   \beval\s*\(            → ['eval']
+ *   console\.(log|debug)   → ['console.']
+ *   (?:TODO|FIXME):        → ['todo', 'fixme']
+ *
+ * @param {string} pattern - Regex source; a leading (?i) is allowed
+ * @param {string} [flags]
+ * @returns {string[]|null} - null when no literal of MIN_LITERAL_LENGTH is required
+ */
+export function extractRequiredLiterals(pattern, flags = '') {
+  let source = pattern;
+  if (source.startsWith('(?i)')) {
+    source = source.substring(4);
+    flags += 'i';
+  }
+
+  const ignoreCase = flags.includes('i');
+  // Unicode case folding maps some non-ASCII characters to ASCII letters (ſ → s)
+  if (ignoreCase && /[uv]/.test(flags)) {
+    return null;
+  }
+
+  try {
+    const literals = requiredLiterals(parseRegex(source), ignoreCase);
+    return literals ? [...new Set(literals.map(foldAsciiCase))] : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * One literal per alternative; every alternative needs one
+ */
+function requiredLiterals(alternatives, ignoreCase) {
+  const literals = [];
+  for (const sequence of alternatives) {
+    const best = sequenceLiterals(sequence, ignoreCase);
+    if (!best) return null;
+    literals.push(...best);
+  }
+  return literals;
+}
+
+/**
+ * Best required literal set of a sequence: its longest run of literal characters,
+ * or the literals of a required group, whichever has the longer shortest literal
+ */
+function sequenceLiterals(sequence, ignoreCase) {
+  const candidates = [];
+  let run = '';
+  const endRun = () => {
+    if (run.length >= MIN_LITERAL_LENGTH) candidates.push([run]);
+    run = '';
+  };
+
+  for (const term of sequence) {
+    const { node } = term;
+
+    if (node.zeroWidth) {
+      // Anchors and lookarounds consume nothing, so the run continues
+      continue;
+    }
+
+    const char = node.type === 'atom' ? literalChar(node.source, ignoreCase) : null;
+    if (char !== null && term.min >= 1) {
+      run += char;
+      if (term.max !== 1) endRun();
+      continue;
+    }
+
+    endRun();
+    if (node.type === 'group' && term.min >= 1) {
+      const groupLiterals = requiredLiterals(node.alternatives, ignoreCase);
+      if (groupLiterals) candidates.push(groupLiterals);
+    }
+  }
+  endRun();
+
+  if (candidates.length === 0) return null;
+  const shortest = literals => Math.min(...literals.map(literal => literal.length));
+  return candidates.reduce((best, candidate) => (shortest(candidate) > shortest(best) ? candidate : best));
+}
+
+/**
+ * The character an atom matches literally, or null
+ */
+function literalChar(source, ignoreCase) {
+  let char = null;
+  if (source.length === 1 && source !== '.') {
+    char = source;
+  } else if (source.length === 2 && source[0] === '\\' && !/[0-9A-Za-z]/.test(source[1])) {
+    char = source[1];
+  }
+
+  // Case-insensitive matching of non-ASCII characters isn't a simple fold
+  if (char !== null && ignoreCase && char.charCodeAt(0) > 127) {
+    return null;
+  }
+  return char;
+}
+
+function foldAsciiCase(text) {
+  return text.replace(/[A-Z]/g, char => char.toLowerCase());
+}
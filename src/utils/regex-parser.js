@@ -0,0 +1,152 @@
+/**
+ * Minimal parser for JavaScript regex sources, for static analysis
+ *
+ * Produces alternatives → sequences → terms. A term is {node, min, max, source};
+ * a node is an atom ({type: 'atom', source, zeroWidth?, any?}) or a group
+ * ({type: 'group', alternatives, zeroWidth, source}). Atom sources are valid
+ * regexes matching one character, so they can be tested directly.
+ */
+
+/**
+ * @param {string} source - Regex source without delimiters or a (?i) prefix
+ * @returns {Array<Array<object>>} - Alternatives, each a sequence of terms
+ * @throws {Error} - If the source can't be parsed
+ */
+export function parseRegex(source) {
+  return new RegexParser(source).parse();
+}
+
+class RegexParser {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+  }
+
+  parse() {
+    const alternatives = this.parseAlternatives();
+    if (this.pos < this.source.length) {
+      throw new Error(`Unexpected ")" at ${this.pos}`);
+    }
+    return alternatives;
+  }
+
+  parseAlternatives() {
+    const alternatives = [this.parseSequence()];
+    while (this.source[this.pos] === '|') {
+      this.pos++;
+      alternatives.push(this.parseSequence());
+    }
+    return alternatives;
+  }
+
+  parseSequence() {
+    const sequence = [];
+    while (this.pos < this.source.length && this.source[this.pos] !== '|' && this.source[this.pos] !== ')') {
+      const start = this.pos;
+      const node = this.parseAtom();
+      const { min, max } = this.parseQuantifier();
+      sequence.push({ node, min, max, source: this.source.slice(start, this.pos) });
+    }
+    return sequence;
+  }
+
+  parseAtom() {
+    const start = this.pos;
+    const char = this.source[this.pos];
+
+    if (char === '(') {
+      this.pos++;
+      let zeroWidth = false;
+      if (this.source.startsWith('?:', this.pos)) {
+        this.pos += 2;
+      } else if (/^\?<?[=!]/.test(this.source.slice(this.pos, this.pos + 3))) {
+        zeroWidth = true;
+        this.pos += this.source[this.pos + 1] === '<' ? 3 : 2;
+      } else if (this.source.startsWith('?<', this.pos)) {
+        this.pos = this.source.indexOf('>', this.pos) + 1;
+      }
+      const alternatives = this.parseAlternatives();
+      if (this.source[this.pos] !== ')') {
+        throw new Error('Unterminated group');
+      }
+      this.pos++;
+      return { type: 'group', alternatives, zeroWidth, source: this.source.slice(start, this.pos) };
+    }
+
+    if (char === '[') {
+      this.pos++;
+      if (this.source[this.pos] === '^') this.pos++;
+      if (this.source[this.pos] === ']') this.pos++;
+      while (this.pos < this.source.length && this.source[this.pos] !== ']') {
+        this.pos += this.source[this.pos] === '\\' ? 2 : 1;
+      }
+      if (this.pos >= this.source.length) {
+        throw new Error('Unterminated character class');
+      }
+      this.pos++;
+      return { type: 'atom', source: this.source.slice(start, this.pos) };
+    }
+
+    if (char === '\\') {
+      this.pos += 2;
+      const escaped = this.source[start + 1];
+      if (escaped === 'b' || escaped === 'B') {
+        return { type: 'atom', source: this.source.slice(start, this.pos), zeroWidth: true };
+      }
+      if (/[1-9]/.test(escaped) || escaped === 'k') {
+        // Backreference: matches whatever the group matched
+        if (escaped === 'k') this.pos = this.source.indexOf('>', this.pos) + 1;
+        while (/[0-9]/.test(this.source[this.pos] || '')) this.pos++;
+        return { type: 'atom', source: this.source.slice(start, this.pos), any: true };
+      }
+      if (escaped === 'u' && this.source[this.pos] === '{') {
+        this.pos = this.source.indexOf('}', this.pos) + 1;
+      } else if (escaped === 'u') {
+        this.pos += 4;
+      } else if (escaped === 'x') {
+        this.pos += 2;
+      } else if ((escaped === 'p' || escaped === 'P') && this.source[this.pos] === '{') {
+        this.pos = this.source.indexOf('}', this.pos) + 1;
+      } else if (escaped === 'c') {
+        this.pos += 1;
+      }
+      return { type: 'atom', source: this.source.slice(start, this.pos) };
+    }
+
+    this.pos++;
+    if (char === '^' || char === '$') {
+      return { type: 'atom', source: char, zeroWidth: true };
+    }
+    return { type: 'atom', source: char === '.' ? '.' : escapeLiteral(char) };
+  }
+
+  parseQuantifier() {
+    const char = this.source[this.pos];
+    let quantifier = null;
+
+    if (char === '*') quantifier = { min: 0, max: Infinity, length: 1 };
+    else if (char === '+') quantifier = { min: 1, max: Infinity, length: 1 };
+    else if (char === '?') quantifier = { min: 0, max: 1, length: 1 };
+    else if (char === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(this.source.slice(this.pos));
+      if (match) {
+        const min = Number(match[1]);
+        const max = match[2] === undefined ? min : (match[3] === '' ? Infinity : Number(match[3]));
+        quantifier = { min, max, length: match[0].length };
+      }
+    }
+
+    if (!quantifier) {
+      return { min: 1, max: 1 };
+    }
+
+    this.pos += quantifier.length;
+    // Lazy and possessive-looking suffixes don't change what can match
+    if (this.source[this.pos] === '?') this.pos++;
+    return { min: quantifier.min, max: quantifier.max };
+  }
+}
+
+function escapeLiteral(char) {
+  return /[\\^$.*+?()[\]{}|/]/.test(char) ? `\\${char}` : char;
+}
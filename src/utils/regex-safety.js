@@ -0,0 +1,176 @@
+/**
+ * Static checks for regexes that can backtrack catastrophically
+ *
+ * Patterns are parsed into a small tree of atoms, groups and quantifiers, and three
+ * shapes are reported:
+ *
+ * - nested-quantifier: a repeated group whose last unbounded term can also start
+ *   the next repetition, e.g. `(a+)+` or `(\w+\s?)*`. Exponential.
+ * - overlapping-alternation: a repeated group with single-atom alternatives that
+ *   match the same character, e.g. `(.|\s)*` or `(\w|\d)+`. Exponential.
+ * - adjacent-quantifiers: two unbounded atoms in a row that match the same
+ *   character, e.g. `\s*\s*` or `.*.*`. Polynomial.
+ *
+ * The analysis is a heuristic that catches the common shapes, not every slow
+ * pattern. Patterns it can't parse are reported as safe; invalid regexes are
+ * reported by the config validator.
+ */
+
+import { parseRegex } from './regex-parser.js';
+
+// Characters used to decide whether two atoms can match the same character
+const SAMPLE_CHARACTERS = [
+  '\t', '\n', '\r',
+  ...Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)),
+  'é', 'ß', '中'
+];
+
+/**
+ * @param {string} pattern - Regex source; a leading (?i) is allowed
+ * @param {string} [flags]
+ * @returns {Array<{kind: string, message: string, snippet: string}>}
+ */
+export function analyzeRegex(pattern, flags = '') {
+  let source = pattern;
+  if (source.startsWith('(?i)')) {
+    source = source.substring(4);
+    flags += 'i';
+  }
+
+  let tree;
+  try {
+    tree = parseRegex(source);
+  } catch {
+    return [];
+  }
+
+  const issues = [];
+  const overlaps = createOverlapTest(flags);
+  checkAlternatives(tree, issues, overlaps);
+  return issues;
+}
+
+/**
+ * @returns {boolean} - true if the pattern has none of the reported shapes
+ */
+export function isSafeRegex(pattern, flags = '') {
+  return analyzeRegex(pattern, flags).length === 0;
+}
+
+function checkAlternatives(alternatives, issues, overlaps) {
+  for (const sequence of alternatives) {
+    sequence.forEach((term, index) => {
+      const { node } = term;
+
+      if (node.type === 'group' && !node.zeroWidth && term.max === Infinity) {
+        const starts = firstAtoms(node.alternatives);
+        const repeatable = lastUnboundedAtoms(node.alternatives);
+        if (repeatable.some(atom => starts.some(start => overlaps(atom, start)))) {
+          issues.push({
+            kind: 'nested-quantifier',
+            snippet: term.source,
+            message: `Nested quantifier in "${term.source}": the repeated group can split the same input in exponentially many ways`
+          });
+        } else {
+          const singles = node.alternatives
+            .filter(alternative => alternative.length === 1 && alternative[0].node.type === 'atom')
+            .map(alternative => alternative[0].node);
+          const clash = singles.find((atom, i) => singles.slice(i + 1).some(other => overlaps(atom, other)));
+          if (clash) {
+            issues.push({
+              kind: 'overlapping-alternation',
+              snippet: term.source,
+              message: `Overlapping alternatives in "${term.source}": alternatives match the same characters inside a repetition`
+            });
+          }
+        }
+      }
+
+      const next = sequence[index + 1];
+      if (next && term.max === Infinity && next.max === Infinity &&
+          node.type === 'atom' && next.node.type === 'atom' && !node.zeroWidth && !next.node.zeroWidth &&
+          overlaps(node, next.node)) {
+        issues.push({
+          kind: 'adjacent-quantifiers',
+          snippet: term.source + next.source,
+          message: `Adjacent quantifiers "${term.source}${next.source}" match the same characters and backtrack polynomially`
+        });
+      }
+
+      if (node.type === 'group') {
+        checkAlternatives(node.alternatives, issues, overlaps);
+      }
+    });
+  }
+}
+
+/**
+ * Atoms that can consume the first character of a match of the alternatives
+ */
+function firstAtoms(alternatives) {
+  const atoms = [];
+  for (const sequence of alternatives) {
+    for (const term of sequence) {
+      if (term.node.zeroWidth) continue;
+      atoms.push(...(term.node.type === 'group' ? firstAtoms(term.node.alternatives) : [term.node]));
+      if (term.min > 0) break;
+    }
+  }
+  return atoms;
+}
+
+/**
+ * Unbounded atoms that can consume the last character of a match of the alternatives
+ */
+function lastUnboundedAtoms(alternatives, enclosingUnbounded = false) {
+  const atoms = [];
+  for (const sequence of alternatives) {
+    for (let i = sequence.length - 1; i >= 0; i--) {
+      const term = sequence[i];
+      if (term.node.zeroWidth) continue;
+
+      const unbounded = enclosingUnbounded || term.max === Infinity;
+      if (term.node.type === 'group') {
+        atoms.push(...lastUnboundedAtoms(term.node.alternatives, unbounded));
+      } else if (unbounded) {
+        atoms.push(term.node);
+      }
+      if (term.min > 0) break;
+    }
+  }
+  return atoms;
+}
+
+/**
+ * Whether two atoms match a common character, by testing sample characters
+ */
+function createOverlapTest(flags) {
+  const regexFlags = [...new Set(flags.replace(/[gy]/g, ''))].join('');
+  const cache = new Map();
+
+  const matchedBy = (atom) => {
+    if (!cache.has(atom.source)) {
+      let matched;
+      if (atom.any) {
+        matched = new Set(SAMPLE_CHARACTERS);
+      } else {
+        try {
+          const regex = new RegExp(`^(?:${atom.source})$`, regexFlags);
+          matched = new Set(SAMPLE_CHARACTERS.filter(char => regex.test(char)));
+        } catch {
+          matched = new Set(SAMPLE_CHARACTERS);
+        }
+      }
+      cache.set(atom.source, matched);
+    }
+    return cache.get(atom.source);
+  };
+
+  return (a, b) => {
+    const left = matchedBy(a);
+    for (const char of matchedBy(b)) {
+      if (left.has(char)) return true;
+    }
+    return false;
+  };
+}
@@ -0,0 +1,432 @@
+/**
+ * Minimal parser for shell command lines, for static analysis of Bash tool calls
+ *
+ * Splits a command line into the simple commands it runs: those of pipelines,
+ * lists (`&&`, `||`, `;`, `&`, newlines), subshells, `{ }` groups, command
+ * substitutions (`$(...)`, backticks) and process substitutions. Each simple
+ * command is {words, assignments, start, end}; a word is {value, start, end}
+ * with the value after quote removal, or null when it depends on an expansion
+ * that can't be resolved statically. Resolved are: variables assigned earlier
+ * in the same command line (`X=rm; $X`) and `$(echo ...)`/`$(printf ...)` of
+ * static words. Heredoc bodies and comments are skipped.
+ *
+ * It is not a full shell grammar: `case` patterns and function definitions are
+ * only approximated. Offsets index into the parsed source.
+ */
+
+/**
+ * @param {string} source - Command line
+ * @returns {Array<{words: Array<object>, assignments: Array<object>, start: number, end: number}>}
+ *   Simple commands in the order they appear
+ */
+export function parseShell(source) {
+  return new ShellParser(source).parse();
+}
+
+// Reserved words that open or continue a compound command before the command itself
+const LEADING_RESERVED = new Set(['if', 'then', 'else', 'elif', 'do', 'while', 'until', '!', '{']);
+
+// Reserved words that close a compound command, or start a header that isn't a command
+const NON_COMMAND_RESERVED = new Set(['fi', 'done', 'esac', '}', 'for', 'select', 'case', 'in', 'function']);
+
+const ASSIGNMENT = /^([A-Za-z_][A-Za-z0-9_]*)(\+?=)/;
+
+const REDIRECT = /^(?:\d+|\{[A-Za-z_][A-Za-z0-9_]*\})?(?:<<<|<<-|<<|<>|<&|>&|>>|>\||&>>|&>|<|>)/;
+
+// Characters that end an unquoted word
+const WORD_BREAK = new Set([' ', '\t', '\n', ';', '&', '|', '(', ')', '<', '>']);
+
+const ANSI_C_ESCAPES = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', e: '\x1b', E: '\x1b', f: '\f', v: '\v', '\\': '\\', "'": "'", '"': '"', '?': '?' };
+
+class ShellParser {
+  /**
+   * @param {string} source
+   * @param {object} [options]
+   * @param {number} [options.offset] - Added to every position, for nested sources
+   * @param {Map<string, string>} [options.variables] - Known variable values, shared with nested parsers
+   */
+  constructor(source, { offset = 0, variables = new Map() } = {}) {
+    this.source = source;
+    this.offset = offset;
+    this.variables = variables;
+    this.pos = 0;
+    this.commands = [];
+    this.pendingHeredocs = [];
+  }
+
+  parse() {
+    this.parseList(null);
+    return this.commands;
+  }
+
+  /**
+   * Commands up to `closer` (the `)` of a subshell or substitution) or the end
+   */
+  parseList(closer) {
+    while (this.pos < this.source.length) {
+      this.skipBlanks();
+      const char = this.source[this.pos];
+      if (char === undefined) {
+        return;
+      }
+      if (char === '\n') {
+        this.pos++;
+        this.skipHeredocBodies();
+      } else if (char === ')') {
+        this.pos++;
+        // Stray ")" outside a subshell: the end of a case pattern
+        if (closer === ')') return;
+      } else if (char === '(' && !this.atRedirect()) {
+        this.pos++;
+        this.parseList(')');
+      } else if (';&|'.includes(char) && !this.atRedirect()) {
+        this.pos++;
+      } else {
+        this.parseSimpleCommand();
+      }
+    }
+  }
+
+  parseSimpleCommand() {
+    const words = [];
+    const assignments = [];
+    let start = null;
+
+    while (this.pos < this.source.length) {
+      this.skipBlanks();
+      if (this.atCommandEnd()) break;
+      start ??= this.position();
+
+      const redirect = this.readRedirect();
+      if (redirect) {
+        this.skipBlanks();
+        const target = this.readWord();
+        if (target && (redirect.endsWith('<<') || redirect.endsWith('<<-'))) {
+          this.pendingHeredocs.push({ delimiter: target.value ?? target.raw, stripTabs: redirect.endsWith('<<-') });
+        }
+        continue;
+      }
+
+      const word = this.readWord();
+      if (!word) {
+        // Nothing readable here; skip the character rather than loop
+        this.pos++;
+        continue;
+      }
+
+      const assignment = words.length === 0 && ASSIGNMENT.exec(word.raw);
+      if (assignment) {
+        assignments.push({ name: assignment[1], value: word.value === null ? null : word.value.slice(word.value.indexOf('=') + 1), start: word.start, end: word.end });
+      } else {
+        words.push(word);
+      }
+    }
+
+    // Reserved words in front of the command (`if`, `then`, `do`, ...) aren't part of it
+    while (words.length > 0 && LEADING_RESERVED.has(words[0].value)) {
+      words.shift();
+    }
+
+    if (words.length === 0) {
+      // A statement of assignments only sets variables for the rest of the line
+      for (const { name, value } of assignments) {
+        this.setVariable(name, value);
+      }
+      return;
+    }
+    if (NON_COMMAND_RESERVED.has(words[0].value)) {
+      return;
+    }
+    if (['export', 'declare', 'local', 'readonly', 'typeset'].includes(words[0].value)) {
+      for (const word of words.slice(1)) {
+        const assignment = ASSIGNMENT.exec(word.raw);
+        if (assignment) {
+          this.setVariable(assignment[1], word.value === null ? null : word.value.slice(word.value.indexOf('=') + 1));
+        }
+      }
+    }
+
+    this.commands.push({ words, assignments, start, end: words[words.length - 1].end });
+  }
+
+  setVariable(name, value) {
+    if (value === null) {
+      this.variables.delete(name);
+    } else {
+      this.variables.set(name, value);
+    }
+  }
+
+  atCommandEnd() {
+    const char = this.source[this.pos];
+    if (char === undefined || char === '\n' || char === ')' || char === '(') {
+      return char !== '(' || !this.atRedirect();
+    }
+    return ';&|'.includes(char) && !this.atRedirect();
+  }
+
+  atRedirect() {
+    const rest = this.source.slice(this.pos, this.pos + 16);
+    // <( and >( are process substitutions, read as words
+    return REDIRECT.test(rest) && !/^[<>]\(/.test(rest);
+  }
+
+  readRedirect() {
+    if (!this.atRedirect()) {
+      return null;
+    }
+    const [operator] = REDIRECT.exec(this.source.slice(this.pos, this.pos + 16));
+    this.pos += operator.length;
+    return operator;
+  }
+
+  /**
+   * Spaces, tabs, line continuations and comments; not newlines, which end a command
+   */
+  skipBlanks() {
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos];
+      if (char === ' ' || char === '\t') {
+        this.pos++;
+      } else if (char === '\\' && this.source[this.pos + 1] === '\n') {
+        this.pos += 2;
+      } else if (char === '#') {
+        const newline = this.source.indexOf('\n', this.pos);
+        this.pos = newline === -1 ? this.source.length : newline;
+      } else {
+        return;
+      }
+    }
+  }
+
+  skipHeredocBodies() {
+    for (const { delimiter, stripTabs } of this.pendingHeredocs) {
+      while (this.pos < this.source.length) {
+        const newline = this.source.indexOf('\n', this.pos);
+        const lineEnd = newline === -1 ? this.source.length : newline;
+        let line = this.source.slice(this.pos, lineEnd);
+        this.pos = newline === -1 ? lineEnd : lineEnd + 1;
+        if (stripTabs) line = line.replace(/^\t+/, '');
+        if (line === delimiter) break;
+      }
+    }
+    this.pendingHeredocs = [];
+  }
+
+  position() {
+    return this.pos + this.offset;
+  }
+
+  /**
+   * @returns {{value: string|null, raw: string, start: number, end: number}|null}
+   */
+  readWord() {
+    const start = this.pos;
+    let value = '';
+    let dynamic = false;
+    const append = part => {
+      if (part === null) dynamic = true;
+      else value += part;
+    };
+
+    // Process substitution: its commands run, its value is a file name
+    if (/^[<>]\(/.test(this.source.slice(this.pos, this.pos + 2))) {
+      this.pos += 2;
+      this.parseList(')');
+      return { value: null, raw: this.source.slice(start, this.pos), start: start + this.offset, end: this.position() };
+    }
+
+    while (this.pos < this.source.length) {
+      const char = this.source[this.pos];
+      if (WORD_BREAK.has(char)) {
+        break;
+      }
+
+      if (char === '\\') {
+        const next = this.source[this.pos + 1];
+        this.pos += 2;
+        if (next !== undefined && next !== '\n') value += next;
+      } else if (char === "'") {
+        const close = this.source.indexOf("'", this.pos + 1);
+        const end = close === -1 ? this.source.length : close;
+        value += this.source.slice(this.pos + 1, end);
+        this.pos = end + 1;
+      } else if (char === '"') {
+        this.pos++;
+        append(this.readDoubleQuoted());
+      } else if (char === '$') {
+        append(this.readDollar());
+      } else if (char === '`') {
+        append(this.readBackticks());
+      } else {
+        value += char;
+        this.pos++;
+      }
+    }
+
+    if (this.pos === start) {
+      return null;
+    }
+    this.pos = Math.min(this.pos, this.source.length);
+    return { value: dynamic ? null : value, raw: this.source.slice(start, this.pos), start: start + this.offset, end: this.position() };
+  }
+
+  /**
+   * Content of "..." after the opening quote; null if it has unresolved expansions
+   */
+  readDoubleQuoted() {
+    let value = '';
+    let dynamic = false;
+
+    while (this.pos < this.source.length && this.source[this.pos] !== '"') {
+      const char = this.source[this.pos];
+      if (char === '\\' && '$`"\\\n'.includes(this.source[this.pos + 1])) {
+        if (this.source[this.pos + 1] !== '\n') value += this.source[this.pos + 1];
+        this.pos += 2;
+      } else if (char === '$') {
+        const part = this.readDollar();
+        if (part === null) dynamic = true;
+        else value += part;
+      } else if (char === '`') {
+        const part = this.readBackticks();
+        if (part === null) dynamic = true;
+        else value += part;
+      } else {
+        value += char;
+        this.pos++;
+      }
+    }
+    this.pos++; // closing quote
+    return dynamic ? null : value;
+  }
+
+  /**
+   * An expansion starting with $; its static value, or null
+   */
+  readDollar() {
+    const next = this.source[this.pos + 1];
+
+    if (next === '(' && this.source[this.pos + 2] === '(') {
+      this.pos = this.findClosing(this.pos + 3, '(', ')', 2);
+      return null;
+    }
+    if (next === '(') {
+      this.pos += 2;
+      const before = this.commands.length;
+      this.parseList(')');
+      return evaluateSubstitution(this.commands.slice(before));
+    }
+    if (next === '{') {
+      const end = this.findClosing(this.pos + 2, '{', '}', 1);
+      const name = this.source.slice(this.pos + 2, end - 1);
+      this.pos = end;
+      return /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? (this.variables.get(name) ?? null) : null;
+    }
+    if (next === "'") {
+      this.pos += 2;
+      return this.readAnsiC();
+    }
+    if (next === '"') {
+      this.pos += 2;
+      return this.readDoubleQuoted();
+    }
+
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(this.source.slice(this.pos + 1));
+    if (name) {
+      this.pos += 1 + name[0].length;
+      return this.variables.get(name[0]) ?? null;
+    }
+    if (next !== undefined && /[0-9@*#?$!-]/.test(next)) {
+      this.pos += 2;
+      return null;
+    }
+
+    // A lone $ is literal
+    this.pos++;
+    return '$';
+  }
+
+  readAnsiC() {
+    let value = '';
+    while (this.pos < this.source.length && this.source[this.pos] !== "'") {
+      const char = this.source[this.pos];
+      if (char !== '\\') {
+        value += char;
+        this.pos++;
+        continue;
+      }
+
+      const escape = this.source[this.pos + 1];
+      const hex = /^x([0-9A-Fa-f]{1,2})/.exec(this.source.slice(this.pos + 1));
+      const octal = /^[0-7]{1,3}/.exec(this.source.slice(this.pos + 1));
+      if (hex) {
+        value += String.fromCharCode(parseInt(hex[1], 16));
+        this.pos += 1 + hex[0].length;
+      } else if (octal) {
+        value += String.fromCharCode(parseInt(octal[0], 8));
+        this.pos += 1 + octal[0].length;
+      } else {
+        value += ANSI_C_ESCAPES[escape] ?? `\\${escape ?? ''}`;
+        this.pos += 2;
+      }
+    }
+    this.pos++; // closing quote
+    return value;
+  }
+
+  /**
+   * `...` command substitution; its commands are parsed like those of $(...)
+   */
+  readBackticks() {
+    let end = this.pos + 1;
+    while (end < this.source.length && this.source[end] !== '`') {
+      end += this.source[end] === '\\' ? 2 : 1;
+    }
+
+    const inner = new ShellParser(this.source.slice(this.pos + 1, end), {
+      offset: this.offset + this.pos + 1,
+      variables: this.variables
+    }).parse();
+    this.commands.push(...inner);
+    this.pos = end + 1;
+    return evaluateSubstitution(inner);
+  }
+
+  /**
+   * Position after the bracket that closes `depth` opened ones
+   */
+  findClosing(from, open, close, depth) {
+    let pos = from;
+    while (pos < this.source.length && depth > 0) {
+      if (this.source[pos] === open) depth++;
+      else if (this.source[pos] === close) depth--;
+      pos++;
+    }
+    return pos;
+  }
+}
+
+/**
+ * Output of a command substitution that only echoes static words, or null
+ */
+function evaluateSubstitution(commands) {
+  if (commands.length !== 1 || commands[0].assignments.length > 0) {
+    return null;
+  }
+
+  const values = commands[0].words.map(word => word.value);
+  if (values.includes(null)) {
+    return null;
+  }
+
+  const [name, ...args] = values;
+  if (name === 'echo') {
+    while (/^-[neE]+$/.test(args[0] || '')) args.shift();
+    return args.join(' ');
+  }
+  if (name === 'printf' && args.length > 0) {
+    if (args[0] === '%s') return args.slice(1).join('');
+    if (!/[%\\]/.test(args[0])) return args[0];
+  }
+  return null;
+}
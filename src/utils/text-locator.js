@@ -0,0 +1,76 @@
+/**
+ * Text Locator
+ * Converts character offsets into line/column positions with surrounding context
+ */
+
+const MAX_LINE_LENGTH = 200;
+
+export class TextLocator {
+  constructor(text) {
+    this.text = text || '';
+    this.lines = this.text.split('\n');
+
+    // Offset of the first character of every line, for binary search
+    this.lineStarts = [0];
+    for (let i = 0; i < this.text.length; i++) {
+      if (this.text.charCodeAt(i) === 10) {
+        this.lineStarts.push(i + 1);
+      }
+    }
+  }
+
+  /**
+   * Convert a 0-based character offset into a 1-based line/column position
+   */
+  position(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return { line: low + 1, column: offset - this.lineStarts[low] + 1 };
+  }
+
+  /**
+   * Get the lines surrounding a 1-based line number
+   * @returns {{start_line: number, lines: string[]}}
+   */
+  contextAround(line, contextLines = 2) {
+    const startIndex = Math.max(0, line - 1 - contextLines);
+    const endIndex = Math.min(this.lines.length, line + contextLines);
+
+    return {
+      start_line: startIndex + 1,
+      lines: this.lines.slice(startIndex, endIndex).map(text => truncate(text))
+    };
+  }
+
+  /**
+   * Describe the span [start, end) of the text
+   * @returns {{line: number, column: number, end_line: number, end_column: number, snippet: string, context: object}}
+   */
+  locate(start, end, contextLines = 2) {
+    const from = this.position(start);
+    const to = this.position(Math.max(start, end));
+
+    return {
+      line: from.line,
+      column: from.column,
+      end_line: to.line,
+      end_column: to.column,
+      snippet: truncate(this.text.slice(start, end)),
+      context: this.contextAround(from.line, contextLines)
+    };
+  }
+}
+
+function truncate(text) {
+  return text.length > MAX_LINE_LENGTH ? `${text.slice(0, MAX_LINE_LENGTH)}…` : text;
+}
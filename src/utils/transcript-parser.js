@@ -0,0 +1,190 @@
+import { readFileSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const TRANSCRIPT_FORMATS_PATH = join(__dirname, '../../config/transcript-formats.json');
+
+/**
+ * What the records of a format pattern carry, by pattern name. Patterns not
+ * listed (turn starts, tool results, assistant text) carry nothing to replay.
+ */
+const PATTERN_ROLES = {
+  userMessage: 'prompt',
+  userTurnEnd: 'prompt',
+  assistantMessage: 'tool_calls',
+  toolUse: 'tool_call'
+};
+
+/**
+ * Session transcripts as the prompts and tool calls the hooks would have seen
+ *
+ * Transcripts are JSON Lines. The formats in config/transcript-formats.json
+ * describe them: each pattern names a record `type` and the fields a record of
+ * that type must have. A transcript is read with the format whose patterns match
+ * most of its records, and records that match a pattern are turned into events
+ * by the pattern's role (see PATTERN_ROLES):
+ *
+ *   { kind: 'prompt', text, timestamp, line }
+ *   { kind: 'tool_call', tool, input, id, timestamp, line }
+ *
+ * `line` is the 1-based line of the record in the transcript.
+ */
+export class TranscriptParser {
+  /**
+   * @param {Object<string, object>} formats - The `formats` of transcript-formats.json
+   */
+  constructor(formats) {
+    this.formats = Object.values(formats);
+  }
+
+  /**
+   * Parser for the formats of a definitions file
+   * @param {string} [file] - Defaults to config/transcript-formats.json
+   * @returns {TranscriptParser}
+   */
+  static load(file = TRANSCRIPT_FORMATS_PATH) {
+    const definitions = JSON.parse(readFileSync(file, 'utf8'));
+    return new TranscriptParser(definitions.formats || {});
+  }
+
+  /**
+   * @param {string} file - Transcript (.jsonl)
+   * @returns {object} - See parse()
+   */
+  parseFile(file) {
+    return this.parse(readFileSync(file, 'utf8'), { source: file });
+  }
+
+  /**
+   * @param {string} content - Transcript, one JSON record per line
+   * @param {object} [options]
+   * @param {string} [options.source] - File name, the session id when records have none
+   * @returns {{source: string|null, session_id: string|null, format: string|null, events: Array<object>,
+   *   records: number, invalid_lines: number, incomplete_records: number}}
+   *   `format` is null when no format matches; `incomplete_records` had a pattern's type
+   *   but not its required fields
+   */
+  parse(content, { source = null } = {}) {
+    const records = [];
+    let invalidLines = 0;
+
+    content.split('\n').forEach((line, index) => {
+      if (line.trim().length === 0) return;
+      try {
+        const record = JSON.parse(line);
+        if (record && typeof record === 'object') {
+          records.push({ record, line: index + 1 });
+        }
+      } catch {
+        invalidLines++;
+      }
+    });
+
+    const format = this.detectFormat(records.map(({ record }) => record));
+    const withSession = records.find(({ record }) => record.sessionId || record.session_id)?.record;
+    const result = {
+      source,
+      session_id: withSession?.sessionId || withSession?.session_id || (source ? basename(source).replace(/\.jsonl?$/, '') : null),
+      format: format?.id ?? null,
+      events: [],
+      records: records.length,
+      invalid_lines: invalidLines,
+      incomplete_records: 0
+    };
+    if (!format) {
+      return result;
+    }
+
+    for (const { record, line } of records) {
+      const [name, pattern] = Object.entries(format.patterns).find(([, candidate]) => candidate.type === record.type) || [];
+      if (!pattern) continue;
+      if (!hasRequiredFields(record, pattern)) {
+        result.incomplete_records++;
+        continue;
+      }
+      result.events.push(...toEvents(PATTERN_ROLES[name], record, line));
+    }
+    return result;
+  }
+
+  /**
+   * The format whose patterns match the most records
+   * @param {Array<object>} records
+   * @returns {object|null}
+   */
+  detectFormat(records) {
+    let best = null;
+    let bestCount = 0;
+
+    for (const format of this.formats) {
+      const patterns = Object.values(format.patterns || {});
+      const count = records.filter(record => patterns.some(pattern => pattern.type === record.type && hasRequiredFields(record, pattern))).length;
+      if (count > bestCount) {
+        best = format;
+        bestCount = count;
+      }
+    }
+    return best;
+  }
+}
+
+function hasRequiredFields(record, pattern) {
+  return (pattern.required || []).every(field => record[field] !== undefined && record[field] !== null);
+}
+
+function toEvents(role, record, line) {
+  const timestamp = record.timestamp ?? null;
+
+  if (role === 'prompt') {
+    // Meta records are injected by the agent, not typed by the user
+    if (record.isMeta) return [];
+    const text = promptText(record.message ? record.message.content : record.content);
+    return text ? [{ kind: 'prompt', text, timestamp, line }] : [];
+  }
+
+  if (role === 'tool_calls') {
+    const content = record.message?.content;
+    if (!Array.isArray(content)) return [];
+    return content
+      .filter(block => block?.type === 'tool_use' && block.name)
+      .map(block => ({ kind: 'tool_call', tool: block.name, input: block.input || {}, id: block.id ?? null, timestamp, line }));
+  }
+
+  if (role === 'tool_call') {
+    const input = parseJson(record.input_json);
+    return [{ kind: 'tool_call', tool: record.tool_name, input, id: record.tool_use_id ?? null, timestamp, line }];
+  }
+
+  return [];
+}
+
+/**
+ * Text the user typed: a string, or the text blocks of a content array.
+ * Arrays of tool results only are the agent's bookkeeping, not prompts.
+ */
+function promptText(content) {
+  if (typeof content === 'string') {
+    return content.trim().length > 0 ? content : null;
+  }
+  if (!Array.isArray(content)) {
+    return null;
+  }
+  const text = content
+    .filter(block => block?.type === 'text' && typeof block.text === 'string')
+    .map(block => block.text)
+    .join('\n');
+  return text.trim().length > 0 ? text : null;
+}
+
+function parseJson(value) {
+  if (value && typeof value === 'object') {
+    return value;
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+}
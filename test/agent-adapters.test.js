@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Agent Hook Adapter Test Suite
+ *
+ * Tests:
+ * - Payload normalization and answers per agent, from the fixtures in fixtures/agent-hooks
+ * - The same constraints for every agent's tool calls
+ * - Warnings and override grants through the shared prompt and tool paths
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert';
+import { ConstraintEngine } from '../src/engines/constraint-engine.js';
+import { buildToolContent } from '../src/hooks/tool-content.js';
+import { OverrideRepository } from '../src/databases/override-repository.js';
+import { AGENT_ADAPTERS, detectAgentAdapter } from '../src/hooks/adapters/index.js';
+import { runAgentHook } from '../src/hooks/agent-hook.js';
+import { grantPromptOverrides } from '../src/hooks/hook-client.js';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('Agent Hook Adapters', () => {
+  const fixtureDir = path.join(__dirname, 'fixtures', 'agent-hooks');
+  const reason = 'CONSTRAINT VIOLATION: no-force-push\nForce push rewrites shared history';
+  const additionalContext = 'Remember: no-force-push';
+
+  // Hook client stand-in: everything allowed, or everything a violation
+  const stubHooks = (block, calls = []) => ({
+    preToolHook: async (toolCall, context) => {
+      calls.push({ toolCall, context });
+      if (block) throw new Error(reason);
+      return { continue: true };
+    },
+    prePromptHook: async (prompt, context) => {
+      calls.push({ prompt, context });
+      if (block) throw new Error(reason);
+      return { continue: true };
+    },
+    postToolHook: async (toolCall, toolResponse, context) => {
+      calls.push({ toolCall, toolResponse, context });
+      return { continue: true, feedback: block ? reason : null, additional_context: additionalContext };
+    },
+    sessionStartHook: async context => {
+      calls.push({ context });
+      return { continue: true, additional_context: additionalContext };
+    },
+    grantPromptOverrides: async () => []
+  });
+
+  // Fixtures give stdout as parsed JSON, null for no output
+  const rendered = ({ exitCode, stdout, stderr }) => ({ exitCode, stdout: stdout ? JSON.parse(stdout) : null, stderr });
+  const withoutInput = event => event.toolCall
+    ? { ...event, toolCall: Object.fromEntries(Object.entries(event.toolCall).filter(([key]) => key !== 'input')) }
+    : event;
+
+  for (const adapter of AGENT_ADAPTERS) {
+    test(`should normalize ${adapter.name} hook payloads and answer in its format`, async () => {
+      const files = fs.readdirSync(path.join(fixtureDir, adapter.id)).filter(file => file.endsWith('.json')).sort();
+      assert.ok(files.length >= 3, `fixtures for ${adapter.id}`);
+
+      for (const file of files) {
+        const fixture = JSON.parse(fs.readFileSync(path.join(fixtureDir, adapter.id, file), 'utf8'));
+        assert.strictEqual(detectAgentAdapter(fixture.payload)?.id, adapter.id, `${file} detected`);
+
+        const calls = [];
+        const allowed = await runAgentHook(fixture.payload, { hooks: stubHooks(false, calls) });
+        assert.deepStrictEqual(withoutInput(allowed.event), { agent: adapter.id, ...fixture.event }, `${file} event`);
+        if (allowed.event.toolCall) {
+          assert.strictEqual(allowed.event.toolCall.input, allowed.event.toolCall.parameters);
+          assert.strictEqual(calls[0].context.toolName, fixture.event.toolCall.name);
+        }
+        assert.strictEqual(calls[0].context.sessionId, fixture.event.sessionId);
+        assert.strictEqual(calls[0].context.agent, adapter.id);
+        assert.deepStrictEqual(rendered(allowed), fixture.allow, `${file} allowed`);
+
+        const blocked = await runAgentHook(fixture.payload, { agent: adapter.id, hooks: stubHooks(true) });
+        assert.deepStrictEqual(rendered(blocked), fixture.block, `${file} blocked`);
+      }
+      console.log(`   ✓ ${files.length} ${adapter.name} fixtures normalized and rendered`);
+    });
+  }
+
+  test('should check normalized tool calls like Claude Code ones', async () => {
+    const engine = new ConstraintEngine({
+      getConstraints: () => [{
+        id: 'no-force-push',
+        type: 'shell',
+        message: 'Force push rewrites shared history',
+        severity: 'error',
+        shell: { command: 'git', subcommand: 'push', flags: [['--force', '-f']] }
+      }]
+    });
+    await engine.loadConstraintsFromConfig();
+
+    const violationsFor = async file => {
+      const { payload } = JSON.parse(fs.readFileSync(path.join(fixtureDir, file), 'utf8'));
+      const { event } = await runAgentHook(payload, { hooks: stubHooks(false) });
+      const { content } = buildToolContent(event.toolCall.name, event.toolCall.parameters);
+      const result = await engine.checkConstraints({ content, type: 'tool_call', command: event.toolCall.parameters.command, semanticValidation: false });
+      return result.violations.map(v => v.constraint_id);
+    };
+
+    for (const file of ['claude-code/pre-tool-use.json', 'cursor/before-shell-execution.json', 'gemini-cli/before-tool-shell.json', 'windsurf/pre-run-command.json']) {
+      assert.deepStrictEqual(await violationsFor(file), ['no-force-push'], file);
+    }
+    await engine.close();
+    console.log('   ✓ The same shell constraint fires for every agent\'s shell command');
+  });
+
+  test('should pass over events it does not check and reject unknown agents', async () => {
+    const calls = [];
+    const result = await runAgentHook({ hook_event_name: 'stop', conversation_id: 'c1', generation_id: 'g1', status: 'completed' }, { hooks: stubHooks(true, calls) });
+    assert.deepStrictEqual(result, { exitCode: 0, stdout: '', stderr: '', event: null });
+    assert.strictEqual(calls.length, 0);
+
+    assert.strictEqual(detectAgentAdapter({ text: 'hello' }), null);
+    await assert.rejects(runAgentHook({ text: 'hello' }, { hooks: stubHooks(false) }), /unknown agent/);
+    await assert.rejects(runAgentHook({}, { agent: 'notepad', hooks: stubHooks(false) }), /Unknown agent "notepad"/);
+    console.log('   ✓ Unchecked events answered with nothing, unknown payloads and agents rejected');
+  });
+
+  test('should pass warn-mode warnings of allowed tool calls to the agents that take context', async () => {
+    const warning = '⚠️ **Constraint warnings for Bash** (warn mode, not blocking)';
+    const hooks = { preToolHook: async () => ({ continue: true, additional_context: warning }) };
+    const render = async file => {
+      const { payload } = JSON.parse(fs.readFileSync(path.join(fixtureDir, file), 'utf8'));
+      const { exitCode, stdout } = await runAgentHook(payload, { hooks });
+      return { exitCode, stdout: stdout ? JSON.parse(stdout) : null };
+    };
+
+    assert.deepStrictEqual(await render('claude-code/pre-tool-use.json'), {
+      exitCode: 0,
+      stdout: { hookSpecificOutput: { hookEventName: 'PreToolUse', additionalContext: warning } }
+    });
+    assert.deepStrictEqual(await render('cursor/before-shell-execution.json'), {
+      exitCode: 0,
+      stdout: { permission: 'allow', agent_message: warning }
+    });
+    assert.deepStrictEqual(await render('windsurf/pre-run-command.json'), { exitCode: 0, stdout: null });
+    console.log('   ✓ Warnings rendered as Claude Code context and Cursor agent messages');
+  });
+
+  test('should grant the override directives of every agent\'s prompts', async () => {
+    const previousDbPath = process.env.VIOLATIONS_DB_PATH;
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-overrides-'));
+    process.env.VIOLATIONS_DB_PATH = path.join(tmpDir, 'violations.db');
+    const hooks = { ...stubHooks(false), grantPromptOverrides };
+    const prompt = 'Print the summary. OVERRIDE_CONSTRAINT: no-console-log tools=Bash -- CLI output';
+
+    try {
+      const rendered = {};
+      for (const file of ['claude-code/user-prompt-submit.json', 'cursor/before-submit-prompt.json', 'gemini-cli/before-agent.json', 'windsurf/pre-user-prompt.json']) {
+        const { payload } = JSON.parse(fs.readFileSync(path.join(fixtureDir, file), 'utf8'));
+        const withPrompt = payload.tool_info ? { ...payload, tool_info: { ...payload.tool_info, user_prompt: prompt } } : { ...payload, prompt };
+        const result = await runAgentHook(withPrompt, { hooks });
+        assert.strictEqual(result.event.prompt, prompt, file);
+        rendered[result.event.agent] = { sessionId: result.event.sessionId, stdout: result.stdout };
+      }
+
+      const repository = new OverrideRepository({ path: process.env.VIOLATIONS_DB_PATH });
+      const overrides = await repository.listOverrides({ status: 'active' });
+      await repository.close();
+      assert.deepStrictEqual(
+        overrides.map(override => [override.session_id, override.constraint_ids, override.tools]).sort(),
+        Object.values(rendered).map(({ sessionId }) => [sessionId, ['no-console-log'], ['Bash']]).sort()
+      );
+      assert.match(JSON.parse(rendered['claude-code'].stdout).hookSpecificOutput.additionalContext, /Constraint override active for: no-console-log \(tools Bash\)/);
+      assert.match(JSON.parse(rendered['gemini-cli'].stdout).hookSpecificOutput.additionalContext, /Constraint override active/);
+      console.log(`   ✓ Overrides granted for ${overrides.length} agents' sessions`);
+    } finally {
+      if (previousDbPath === undefined) {
+        delete process.env.VIOLATIONS_DB_PATH;
+      } else {
+        process.env.VIOLATIONS_DB_PATH = previousDbPath;
+      }
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
@@ -14,9 +14,42 @@
 import { test, describe, before, after } from 'node:test';
 import assert from 'node:assert';
 import { ConstraintEngine } from '../src/engines/constraint-engine.js';
+import { buildToolContent, buildFileContent, mapViolationLocations } from '../src/hooks/tool-content.js';
+import { EditSimulator, diffViolations } from '../src/hooks/edit-simulator.js';
+import { ViolationRepository } from '../src/databases/violation-repository.js';
+import { DashboardServer } from '../src/dashboard-server.js';
+import { OverrideRepository } from '../src/databases/override-repository.js';
+import { SqliteDatabase } from '../src/databases/sqlite-database.js';
+import { OverrideManager } from '../src/engines/override-manager.js';
+import { SessionHistoryRepository } from '../src/databases/session-history-repository.js';
+import { WorkflowMonitor } from '../src/engines/workflow-monitor.js';
+import { ConstraintExampleRunner } from '../src/engines/example-runner.js';
+import { BacktestRunner } from '../src/engines/backtest-runner.js';
+import { TranscriptParser } from '../src/utils/transcript-parser.js';
+import { CompositeCondition } from '../src/engines/composite-condition.js';
+import { PostEditValidator } from '../src/engines/post-edit-validator.js';
+import { ToolResultChecker } from '../src/engines/tool-result-checker.js';
+import { FeedbackTracker } from '../src/engines/feedback-tracker.js';
+import { FeedbackRepository } from '../src/databases/feedback-repository.js';
+import { ShadowCheckRepository } from '../src/databases/shadow-check-repository.js';
+import { ConstraintBaseline } from '../src/engines/constraint-baseline.js';
+import { ProjectScanner } from '../src/engines/project-scanner.js';
+import { RealTimeConstraintEnforcer } from '../src/hooks/real-time-constraint-hook.js';
+import { ConstraintDaemon } from '../src/daemon/constraint-daemon.js';
+import { DaemonClient } from '../src/daemon/daemon-client.js';
+import { ConstraintSummary, estimateTokens } from '../src/hooks/constraint-summary.js';
+import { ShellMatcher } from '../src/engines/shell-matcher.js';
+import { parseShell } from '../src/utils/shell-parser.js';
+import { ConstraintConfigValidator } from '../src/utils/constraint-validator.js';
+import { analyzeRegex } from '../src/utils/regex-safety.js';
+import { extractRequiredLiterals } from '../src/utils/regex-literals.js';
+import { AhoCorasick } from '../src/utils/aho-corasick.js';
+import { ConfigManager } from '../src/utils/config-manager.js';
+import os from 'os';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import fs from 'fs';
+import { execFileSync } from 'child_process';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -446,6 +479,2766 @@ describe('ConstraintEngine - Performance Benchmarks', () => {
   });
 });
 
+describe('ConstraintEngine - AST Constraints', () => {
+  let engine;
+
+  before(async () => {
+    // Stub config source so the test does not depend on the project's YAML
+    engine = new ConstraintEngine({
+      getConstraints: () => [
+        {
+          id: 'no-console-log-call',
+          type: 'ast',
+          selector: 'CallExpression[callee.object.name="console"][callee.property.name="log"]',
+          message: 'Use Logger.log() instead of console.log',
+          severity: 'warning'
+        },
+        {
+          id: 'no-empty-catch',
+          type: 'ast',
+          selector: 'CatchClause[body.body.length=0]',
+          message: 'Empty catch blocks should be avoided',
+          severity: 'error'
+        },
+        {
+          id: 'no-var-declarations',
+          type: 'ast',
+          selector: 'VariableDeclaration[kind="var"]',
+          message: "Use 'let' or 'const' instead of 'var'",
+          severity: 'warning'
+        }
+      ]
+    });
+    await engine.loadConstraintsFromConfig();
+  });
+
+  test('should ignore matches inside comments and strings', async () => {
+    const result = await engine.checkConstraints({
+      content: '// console.log("debug")\nconst hint = "use console.log sparingly";\n',
+      filePath: 'comments.js',
+      type: 'code'
+    });
+
+    assert.strictEqual(result.violations.length, 0, 'Comments and strings should not match');
+    console.log(`   ✓ Ignored console.log in comments and strings`);
+  });
+
+  test('should report line and column for structural matches', async () => {
+    const content = [
+      'try {',
+      '  doWork();',
+      '} catch (error) {',
+      '}',
+      'var legacy = 1;',
+      '  console.log(legacy);'
+    ].join('\n');
+
+    const result = await engine.checkConstraints({ content, filePath: 'app.ts', type: 'code' });
+    const byId = Object.fromEntries(result.violations.map(v => [v.constraint_id, v]));
+
+    assert.deepStrictEqual([byId['no-empty-catch'].line, byId['no-empty-catch'].column], [3, 3]);
+    assert.deepStrictEqual([byId['no-var-declarations'].line, byId['no-var-declarations'].column], [5, 1]);
+    assert.deepStrictEqual([byId['no-console-log-call'].line, byId['no-console-log-call'].column], [6, 3]);
+    assert.strictEqual(byId['no-console-log-call'].matches, 1);
+    assert.ok(byId['no-empty-catch'].selector, 'AST violations should carry their selector');
+    console.log(`   ✓ Multi-line empty catch, var and console.log located`);
+  });
+
+  test('should skip AST constraints for non-JS files', async () => {
+    const result = await engine.checkConstraints({
+      content: '```js\nconsole.log(1)\n```',
+      filePath: 'README.md',
+      type: 'code'
+    });
+
+    assert.strictEqual(result.violations.length, 0, 'Markdown should not be parsed as JS');
+    console.log(`   ✓ Skipped non-JS content`);
+  });
+});
+
+describe('ConstraintEngine - Violation Locations', () => {
+  let engine;
+
+  before(async () => {
+    engine = new ConstraintEngine({
+      getConstraints: () => [
+        {
+          id: 'no-console-log',
+          pattern: 'console\\.log',
+          message: 'Use Logger.log() instead of console.log',
+          severity: 'warning'
+        },
+        {
+          id: 'no-tmp-files',
+          pattern: '\\.tmp$',
+          message: 'Temporary files should not be written',
+          severity: 'error',
+          applies_to: 'file_path'
+        }
+      ]
+    });
+    await engine.loadConstraintsFromConfig();
+  });
+
+  test('should report every match with snippet and context', async () => {
+    const content = [
+      'function save(user) {',
+      '  console.log(user);',
+      '  store(user);',
+      '  console.log("saved");',
+      '}'
+    ].join('\n');
+
+    const result = await engine.checkConstraints({ content, filePath: 'save.js', type: 'code' });
+    const violation = result.violations.find(v => v.constraint_id === 'no-console-log');
+
+    assert.strictEqual(violation.locations.length, 2);
+    assert.deepStrictEqual([violation.line, violation.column], [2, 3]);
+    assert.deepStrictEqual(violation.locations[1], {
+      line: 4,
+      column: 3,
+      end_line: 4,
+      end_column: 14,
+      snippet: 'console.log',
+      context: { start_line: 2, lines: ['  console.log(user);', '  store(user);', '  console.log("saved");', '}'] }
+    });
+    console.log(`   ✓ Both matches located with surrounding lines`);
+  });
+
+  test('should cap reported locations but keep the full match count', async () => {
+    const content = Array.from({ length: 30 }, (_, i) => `console.log(${i});`).join('\n');
+    const result = await engine.checkConstraints({ content, filePath: 'many.js', type: 'code' });
+    const violation = result.violations.find(v => v.constraint_id === 'no-console-log');
+
+    assert.strictEqual(violation.matches, 30);
+    assert.strictEqual(violation.locations.length, 20);
+    console.log(`   ✓ 30 matches counted, 20 locations reported`);
+  });
+
+  test('should map Edit locations back into new_string', async () => {
+    const params = {
+      file_path: '/project/src/cache.tmp',
+      old_string: 'console.log(old)',
+      new_string: 'const cache = {};\nexport function get(key) {\n  console.log(key);\n}'
+    };
+    const { content, sourceContent, segments } = buildToolContent('Edit', params);
+    const result = await engine.checkConstraints({ content, sourceContent, filePath: params.file_path, type: 'tool_call' });
+    const mapped = mapViolationLocations(result.violations, segments);
+    const byId = Object.fromEntries(mapped.map(v => [v.constraint_id, v]));
+
+    const location = byId['no-console-log'].locations[0];
+    assert.strictEqual(byId['no-console-log'].matches, 1, 'old_string must not be checked');
+    assert.strictEqual(location.field, 'new_string');
+    assert.deepStrictEqual([location.line, location.column], [3, 3]);
+    assert.deepStrictEqual(location.context.lines, params.new_string.split('\n'));
+
+    const pathLocation = byId['no-tmp-files'].locations[0];
+    assert.strictEqual(pathLocation.field, 'file_path');
+    assert.deepStrictEqual([pathLocation.line, pathLocation.column], [1, 19]);
+    console.log(`   ✓ Edit and file path positions mapped to their fields`);
+  });
+
+  test('should map MultiEdit and Bash locations to their fields', async () => {
+    const multiEdit = buildToolContent('MultiEdit', {
+      file_path: 'src/a.js',
+      edits: [
+        { old_string: 'a', new_string: 'const a = 1;' },
+        { old_string: 'b', new_string: 'function b() {\n  console.log(a);\n}' }
+      ]
+    });
+    const multiResult = await engine.checkConstraints({ content: multiEdit.content, filePath: 'src/a.js', type: 'tool_call' });
+    const [multiViolation] = mapViolationLocations(multiResult.violations, multiEdit.segments);
+    assert.strictEqual(multiViolation.locations[0].field, 'edits[1].new_string');
+    assert.deepStrictEqual([multiViolation.line, multiViolation.column], [2, 3]);
+
+    const bash = buildToolContent('Bash', { command: 'node app.js', description: 'run console.log check' });
+    const bashResult = await engine.checkConstraints({ content: bash.content, type: 'tool_call' });
+    const [bashViolation] = mapViolationLocations(bashResult.violations, bash.segments);
+    assert.strictEqual(bashViolation.locations[0].field, 'description');
+    assert.deepStrictEqual([bashViolation.line, bashViolation.column], [1, 5]);
+    console.log(`   ✓ MultiEdit and Bash positions mapped to their fields`);
+  });
+});
+
+describe('ConstraintEngine - Edit-Aware Checking', () => {
+  let engine;
+  let tmpDir;
+  let simulator;
+
+  const checkFile = async (fileContent, filePath) => {
+    const { content, sourceContent, segments } = buildFileContent(fileContent, filePath);
+    const result = await engine.checkConstraints({ content, sourceContent, filePath, type: 'tool_call' });
+    return mapViolationLocations(result.violations, segments);
+  };
+
+  const checkEdit = async (toolName, params) => {
+    const simulation = simulator.simulate(toolName, params);
+    const before = await checkFile(simulation.before, params.file_path);
+    const after = await checkFile(simulation.after, params.file_path);
+    return diffViolations(before, after, simulation.changedLines);
+  };
+
+  before(async () => {
+    engine = new ConstraintEngine({
+      getConstraints: () => [
+        {
+          id: 'no-console-log',
+          pattern: 'console\\.log',
+          message: 'Use Logger.log() instead of console.log',
+          severity: 'warning'
+        },
+        {
+          id: 'no-empty-catch',
+          type: 'ast',
+          selector: 'CatchClause[body.body.length=0]',
+          message: 'Empty catch blocks should be avoided',
+          severity: 'error'
+        }
+      ]
+    });
+    await engine.loadConstraintsFromConfig();
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-edit-'));
+    simulator = new EditSimulator(tmpDir);
+    fs.writeFileSync(path.join(tmpDir, 'load.js'), [
+      'export function load() {',
+      '  console.log("loading");',
+      '  try {',
+      '    return read();',
+      '  } catch (error) {',
+      '    report(error);',
+      '  }',
+      '}'
+    ].join('\n'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should detect violations that only exist after the edit is applied', async () => {
+    const { introduced } = await checkEdit('Edit', {
+      file_path: 'load.js',
+      old_string: '    report(error);\n',
+      new_string: ''
+    });
+
+    const emptyCatch = introduced.find(v => v.constraint_id === 'no-empty-catch');
+    assert.ok(emptyCatch, 'Emptying the catch body should be detected');
+    assert.strictEqual(emptyCatch.locations[0].field, 'file');
+    assert.strictEqual(emptyCatch.line, 5, 'Location should be a line of the edited file');
+    console.log(`   ✓ Empty catch created by the edit detected at file line ${emptyCatch.line}`);
+  });
+
+  test('should report pre-existing violations as inherited', async () => {
+    const { introduced, inherited } = await checkEdit('Edit', {
+      file_path: 'load.js',
+      old_string: '    report(error);',
+      new_string: '    report(error, { retry: true });'
+    });
+
+    assert.strictEqual(introduced.length, 0, 'Unrelated edit should not introduce violations');
+    assert.deepStrictEqual(inherited.map(v => v.constraint_id), ['no-console-log']);
+    assert.strictEqual(inherited[0].inherited, true);
+    console.log(`   ✓ Existing console.log inherited, edit allowed`);
+  });
+
+  test('should mark only the newly added occurrence as introduced', async () => {
+    const { introduced, inherited } = await checkEdit('MultiEdit', {
+      file_path: 'load.js',
+      edits: [
+        { old_string: '    report(error);', new_string: '    console.log(error);' }
+      ]
+    });
+
+    assert.strictEqual(inherited.length, 0);
+    const violation = introduced.find(v => v.constraint_id === 'no-console-log');
+    assert.strictEqual(violation.inherited_matches, 1);
+    assert.deepStrictEqual(violation.locations.map(l => [l.line, l.introduced]), [[6, true], [2, false]]);
+    console.log(`   ✓ New console.log at line 6 introduced, line 2 pre-existing`);
+  });
+
+  test('should fall back when the edit cannot be applied', () => {
+    assert.strictEqual(simulator.simulate('Edit', { file_path: 'load.js', old_string: 'missing', new_string: 'x' }), null);
+    assert.strictEqual(simulator.simulate('Edit', { file_path: 'load.js', old_string: '  ', new_string: 'x' }), null, 'Ambiguous edit');
+
+    const created = simulator.simulate('Write', { file_path: 'new.js', content: 'console.log(1);' });
+    assert.strictEqual(created.before, '', 'New files start empty');
+    console.log(`   ✓ Unmatched and ambiguous edits fall back, new files start empty`);
+  });
+});
+
+describe('ConstraintEngine - Fix Suggestions', () => {
+  let engine;
+
+  before(async () => {
+    engine = new ConstraintEngine({
+      getConstraints: () => [
+        {
+          id: 'no-console-log',
+          pattern: 'console\\.log',
+          message: 'Use Logger.log() instead of console.log',
+          severity: 'warning',
+          fix: { transform: 'console-log-to-logger' }
+        },
+        {
+          id: 'no-var-declarations',
+          pattern: '\\bvar\\s+(\\w+)',
+          message: "Use 'let' or 'const' instead of 'var'",
+          severity: 'warning',
+          fix: { replace: 'let $1' }
+        },
+        {
+          id: 'no-empty-catch',
+          type: 'ast',
+          selector: 'CatchClause[body.body.length=0]',
+          message: 'Empty catch blocks should be avoided',
+          severity: 'error'
+        },
+        {
+          id: 'bad-transform',
+          pattern: 'debugger',
+          message: 'Remove debugger statements',
+          fix: { transform: 'does-not-exist' }
+        }
+      ]
+    });
+    await engine.loadConstraintsFromConfig();
+  });
+
+  test('should attach a unified diff to fixable violations', async () => {
+    const content = 'var total = 0;\nconsole.log(total);\n';
+    const result = await engine.checkConstraints({ content, filePath: 'src/total.js', type: 'code' });
+    const byId = Object.fromEntries(result.violations.map(v => [v.constraint_id, v]));
+
+    assert.deepStrictEqual(byId['no-var-declarations'].fix.replacements.map(r => [r.original, r.replacement]), [['var total', 'let total']]);
+    assert.ok(byId['no-console-log'].fix.patch.includes('-console.log(total);\n+Logger.log(total);'));
+    assert.ok(byId['no-console-log'].fix.patch.includes('src/total.js'), 'Patch should name the file');
+    console.log(`   ✓ Replace template and named transform produce patches`);
+  });
+
+  test('should ignore unusable fix blocks but keep the constraint', async () => {
+    const result = await engine.checkConstraints({ content: 'debugger;', filePath: 'a.js', type: 'code' });
+    assert.strictEqual(result.violations.length, 1);
+    assert.strictEqual(result.violations[0].fix, undefined);
+    console.log(`   ✓ Unknown transform dropped, constraint still active`);
+  });
+
+  test('should combine all fixes into one patch', async () => {
+    const content = 'var a = 1;\ntry { a++; } catch (e) {}\nconsole.log(a);\n';
+    const result = await engine.suggestFixes({ content, filePath: 'combined.js', type: 'code' });
+
+    assert.deepStrictEqual(result.fixes.map(f => f.constraint_id).sort(), ['no-console-log', 'no-var-declarations']);
+    assert.deepStrictEqual(result.unfixable.map(f => f.constraint_id), ['no-empty-catch']);
+    assert.strictEqual(result.fixed_content, 'let a = 1;\ntry { a++; } catch (e) {}\nLogger.log(a);\n');
+    assert.ok(result.patch.startsWith('Index: combined.js'));
+    console.log(`   ✓ Combined patch fixes var and console.log, empty catch reported unfixable`);
+  });
+
+  test('should patch only the source when the file path is appended', async () => {
+    const sourceContent = 'console.log(1);';
+    const result = await engine.checkConstraints({
+      content: `${sourceContent}\n/logs/console.log`,
+      sourceContent,
+      filePath: '/logs/console.log',
+      type: 'tool_call'
+    });
+
+    const fix = result.violations.find(v => v.constraint_id === 'no-console-log').fix;
+    assert.strictEqual(fix.replacements.length, 1, 'Match in the appended path should not be rewritten');
+    console.log(`   ✓ Fix limited to the source content`);
+  });
+});
+
+describe('ConstraintEngine - Violation Storage', () => {
+  let tmpDir;
+  let repository;
+
+  const violation = (id, overrides = {}) => ({
+    id,
+    constraint_id: 'no-console-log',
+    message: 'Use Logger.log() instead of console.log',
+    severity: 'warning',
+    timestamp: `2026-01-0${id}T10:00:00.000Z`,
+    project: 'alpha',
+    session_id: 'session-1',
+    file_path: 'src/app.js',
+    locations: [{ line: id, column: 1 }],
+    ...overrides
+  });
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-store-'));
+    repository = new ViolationRepository({ path: path.join(tmpDir, 'violations.db') });
+    await repository.initialize();
+  });
+
+  after(async () => {
+    await repository.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should store violations with their details and skip duplicate ids', async () => {
+    const inserted = await repository.insertViolations([
+      violation(1),
+      violation(2, { project: 'beta', severity: 'error', constraint_id: 'no-var-declarations' }),
+      violation(3, { sessionId: 'session-2', session_id: undefined })
+    ]);
+    const again = await repository.insertViolations([violation(1)]);
+
+    assert.strictEqual(inserted, 3);
+    assert.strictEqual(again, 0, 'Existing ids should not be inserted twice');
+
+    const stored = await repository.getViolation('1');
+    assert.deepStrictEqual(stored.locations, [{ line: 1, column: 1 }], 'Extra fields round-trip');
+    assert.strictEqual(stored.status, 'active');
+    assert.strictEqual((await repository.getViolation('3')).session_id, 'session-2', 'camelCase sessionId normalized');
+    console.log(`   ✓ Stored 3 violations, duplicate skipped`);
+  });
+
+  test('should apply a migration once when processes start together', () => {
+    const file = path.join(tmpDir, 'racing.db');
+    const migrations = [
+      { name: '001_create_items', up: 'CREATE TABLE items (id INTEGER PRIMARY KEY)' },
+      { name: '002_add_item_name', up: 'ALTER TABLE items ADD COLUMN name TEXT' }
+    ];
+    const first = new SqliteDatabase(file);
+    const second = new SqliteDatabase(file);
+    first.open();
+
+    // The second process migrates after the first read what was applied
+    function* racing() {
+      assert.deepStrictEqual(second.migrate(migrations), ['001_create_items', '002_add_item_name']);
+      yield* migrations;
+    }
+
+    try {
+      assert.deepStrictEqual(first.migrate(racing()), []);
+      assert.strictEqual(first.open().prepare('SELECT COUNT(*) AS count FROM schema_migrations').get().count, 2);
+      console.log(`   ✓ Migrations applied by a concurrent start skipped`);
+    } finally {
+      first.close();
+      second.close();
+    }
+  });
+
+  test('should filter and paginate queries', async () => {
+    const alpha = await repository.queryViolations({ project: 'alpha' });
+    assert.deepStrictEqual(alpha.violations.map(v => v.id), ['1', '3']);
+
+    const errors = await repository.queryViolations({ severity: 'error' });
+    assert.deepStrictEqual(errors.violations.map(v => v.id), ['2']);
+
+    const page = await repository.queryViolations({ limit: 1, offset: 1, order: 'desc' });
+    assert.deepStrictEqual([page.violations.map(v => v.id), page.total], [['2'], 3]);
+
+    const ranged = await repository.queryViolations({ since: '2026-01-02T00:00:00Z', until: '2026-01-03T00:00:00Z' });
+    assert.deepStrictEqual(ranged.violations.map(v => v.id), ['2']);
+    console.log(`   ✓ Project, severity, time range and offset pagination`);
+  });
+
+  test('should import legacy JSON files only once', async () => {
+    const legacyFile = path.join(tmpDir, 'violation-history.json');
+    fs.writeFileSync(legacyFile, JSON.stringify({
+      violations: [violation(4), violation(1), { constraint_id: 'missing-id' }]
+    }));
+
+    const first = await repository.importLegacyFiles([{ name: 'mcp-sync', path: legacyFile }]);
+    const second = await repository.importLegacyFiles([{ name: 'mcp-sync', path: legacyFile }]);
+
+    assert.strictEqual(first.imported, 1, 'Only the new record with an id is imported');
+    assert.strictEqual(second, null, 'Import runs once');
+    assert.strictEqual((await repository.getViolation('4')).source, 'mcp-sync');
+    console.log(`   ✓ Legacy import ran once and skipped known ids`);
+  });
+
+  test('should serve violation history from the repository', async () => {
+    const engine = new ConstraintEngine({ getConstraints: () => [] });
+    engine.violationRepository = repository;
+
+    const history = await engine.getViolationHistory({ limit: 2 });
+    assert.deepStrictEqual(history.violations.map(v => v.id), ['4', '3'], 'Most recent first');
+    assert.strictEqual(history.total, 4);
+    console.log(`   ✓ getViolationHistory reads persisted violations`);
+  });
+});
+
+describe('ConstraintEngine - Violation History', () => {
+  let tmpDir;
+  let engine;
+
+  const DAY = 24 * 60 * 60 * 1000;
+  const until = new Date('2026-03-15T00:00:00.000Z');
+  const daysBefore = (days) => new Date(until.getTime() - days * DAY).toISOString();
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-history-'));
+    engine = new ConstraintEngine({ getConstraints: () => [] });
+    engine.violationRepository = new ViolationRepository({ path: path.join(tmpDir, 'violations.db') });
+
+    const records = [];
+    // Previous week: 4 violations in session A (2 critical, 2 warnings)
+    for (let i = 0; i < 4; i++) {
+      records.push({
+        id: `prev-${i}`,
+        constraint_id: i < 2 ? 'no-hardcoded-secrets' : 'no-console-log',
+        severity: i < 2 ? 'critical' : 'warning',
+        timestamp: daysBefore(11 - i),
+        project: 'alpha',
+        session_id: 'session-a'
+      });
+    }
+    // Current week: 2 warnings, sessions B and C, one in another project
+    records.push({ id: 'cur-0', constraint_id: 'no-console-log', severity: 'warning', timestamp: daysBefore(3), project: 'alpha', session_id: 'session-b' });
+    records.push({ id: 'cur-1', constraint_id: 'no-console-log', severity: 'warning', timestamp: daysBefore(1), project: 'beta', session_id: 'session-c' });
+    await engine.violationRepository.insertViolations(records);
+  });
+
+  after(async () => {
+    await engine.violationRepository.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should page through filtered history with cursors', async () => {
+    const first = await engine.getViolationHistory({ limit: 2, project: 'alpha' });
+    assert.deepStrictEqual(first.violations.map(v => v.id), ['cur-0', 'prev-3']);
+    assert.strictEqual(first.total, 5);
+    assert.ok(first.next_cursor, 'More pages available');
+
+    const ids = [...first.violations.map(v => v.id)];
+    let cursor = first.next_cursor;
+    while (cursor) {
+      const page = await engine.getViolationHistory({ limit: 2, project: 'alpha', cursor });
+      ids.push(...page.violations.map(v => v.id));
+      cursor = page.next_cursor;
+    }
+    assert.deepStrictEqual(ids, ['cur-0', 'prev-3', 'prev-2', 'prev-1', 'prev-0']);
+
+    const critical = await engine.getViolationHistory({ severity: 'critical', constraintId: 'no-hardcoded-secrets' });
+    assert.strictEqual(critical.total, 2);
+
+    await assert.rejects(() => engine.getViolationHistory({ cursor: 'not-a-cursor' }), /Invalid cursor/);
+    console.log(`   ✓ Walked 5 filtered violations in pages of 2`);
+  });
+
+  test('should report unavailable storage instead of unfiltered history', async () => {
+    const bare = new ConstraintEngine();
+    const history = await bare.getViolationHistory({ shadow: true, constraintId: 'no-var' });
+    assert.strictEqual(history.storage_unavailable, true);
+    assert.deepStrictEqual(history.violations, []);
+    assert.strictEqual(history.total, 0);
+    assert.strictEqual(history.metrics.average_compliance, null);
+    console.log(`   ✓ Flagged missing violation storage`);
+  });
+
+  test('should compute metrics from stored violations', async () => {
+    const { metrics } = await engine.getViolationHistory({});
+
+    // Session A: 2 critical + 2 warnings -> 10 - min(8 * 0.5, 9) = 6; sessions B and C: 9.5 each
+    assert.strictEqual(metrics.average_compliance, 8.3);
+    assert.strictEqual(metrics.sessions_analyzed, 3);
+    assert.strictEqual(metrics.most_common_violation, 'no-console-log');
+    assert.deepStrictEqual(metrics.most_common_violations.map(c => [c.constraint_id, c.count]), [['no-console-log', 4], ['no-hardcoded-secrets', 2]]);
+    console.log(`   ✓ Average compliance ${metrics.average_compliance} over ${metrics.sessions_analyzed} sessions`);
+  });
+
+  test('should compare comparable windows for the improvement trend', async () => {
+    const weekly = await engine.getViolationHistory({ since: daysBefore(7), until: until.toISOString() });
+    assert.strictEqual(weekly.metrics.improvement_trend, 'improving');
+    assert.deepStrictEqual([weekly.metrics.trend.current.violations, weekly.metrics.trend.previous.violations], [2, 4]);
+    assert.strictEqual(weekly.metrics.trend.change_percent, -50);
+
+    const empty = await engine.getViolationHistory({ since: daysBefore(40), until: daysBefore(30) });
+    assert.strictEqual(empty.metrics.improvement_trend, 'stable', 'No data in either window');
+
+    const fresh = await engine.getViolationHistory({ project: 'beta', since: daysBefore(7), until: until.toISOString() });
+    assert.strictEqual(fresh.metrics.improvement_trend, 'insufficient_data');
+    console.log(`   ✓ Week over week: 4 -> 2 violations, improving`);
+  });
+});
+
+describe('ConstraintEngine - Violation Lifecycle', () => {
+  let tmpDir;
+  let engine;
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-lifecycle-'));
+    engine = new ConstraintEngine({ getConstraints: () => [] });
+    engine.violationRepository = new ViolationRepository({ path: path.join(tmpDir, 'violations.db') });
+
+    await engine.violationRepository.insertViolations([
+      { id: 'v1', constraint_id: 'no-console-log', severity: 'warning', project: 'alpha', file_path: 'src/app.js' },
+      { id: 'v2', constraint_id: 'no-var-declarations', severity: 'warning', project: 'alpha', file_path: 'src/app.js' },
+      { id: 'v3', constraint_id: 'no-console-log', severity: 'warning', project: 'alpha', file_path: 'src/other.js' }
+    ]);
+  });
+
+  after(async () => {
+    await engine.violationRepository.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should record each transition with actor and reason', async () => {
+    await engine.updateViolationStatus(['v1'], 'acknowledged', { actor: 'alice' });
+    const { updated, failed } = await engine.updateViolationStatus(['v1', 'missing'], 'resolved', {
+      actor: 'alice',
+      reason: 'Replaced with logger'
+    });
+
+    assert.deepStrictEqual(updated.map(v => [v.id, v.status]), [['v1', 'resolved']]);
+    assert.deepStrictEqual(failed.map(f => [f.id, f.code]), [['missing', 'not_found']]);
+
+    const events = await engine.getViolationEvents('v1');
+    assert.deepStrictEqual(
+      events.map(e => [e.from_status, e.to_status, e.actor, e.reason]),
+      [['active', 'acknowledged', 'alice', null], ['acknowledged', 'resolved', 'alice', 'Replaced with logger']]
+    );
+    assert.ok(events.every(e => !Number.isNaN(new Date(e.timestamp).getTime())));
+    console.log(`   ✓ active -> acknowledged -> resolved recorded with actor and reason`);
+  });
+
+  test('should reject transitions the lifecycle does not allow', async () => {
+    await engine.updateViolationStatus(['v2'], 'suppressed', { actor: 'bob', reason: 'Generated file' });
+    const { updated, failed } = await engine.updateViolationStatus(['v2'], 'resolved', { actor: 'bob' });
+
+    assert.strictEqual(updated.length, 0);
+    assert.strictEqual(failed[0].code, 'invalid_transition');
+    await assert.rejects(() => engine.updateViolationStatus(['v2'], 'closed'), /Invalid violation status/);
+    console.log(`   ✓ suppressed -> resolved rejected`);
+  });
+
+  test('should reopen resolved violations when the constraint fires again on the file', async () => {
+    await engine.updateViolationStatus(['v3'], 'resolved', { actor: 'alice' });
+    await engine.violationRepository.insertViolations([
+      { id: 'v4', constraint_id: 'no-console-log', severity: 'warning', project: 'alpha', file_path: 'src/app.js' }
+    ]);
+
+    assert.strictEqual((await engine.violationRepository.getViolation('v1')).status, 'active');
+    assert.strictEqual((await engine.violationRepository.getViolation('v3')).status, 'resolved', 'Other file stays resolved');
+
+    const reopen = (await engine.getViolationEvents('v1')).pop();
+    assert.strictEqual(reopen.actor, 'system');
+    assert.match(reopen.reason, /fired again on src\/app\.js \(violation v4\)/);
+    console.log(`   ✓ Resolved violation reopened by a new match on the same file`);
+  });
+
+  test('should answer unknown dashboard actions with 400, prototype names included', async () => {
+    const respond = () => {
+      const res = { code: null, body: null };
+      res.status = code => { res.code = code; return res; };
+      res.json = body => { res.body = body; return res; };
+      return res;
+    };
+    // Unknown actions are answered before storage is touched
+    const server = Object.create(DashboardServer.prototype);
+
+    for (const action of ['constructor', 'toString', '__proto__', 'close']) {
+      const single = respond();
+      await server.handleViolationAction({ params: { id: 'v1', action }, body: {} }, single);
+      assert.strictEqual(single.code, 400, action);
+      assert.match(single.body.message, /Unknown violation action/);
+
+      const bulk = respond();
+      await server.handleBulkViolationAction({ body: { ids: ['v1'], action } }, bulk);
+      assert.strictEqual(bulk.code, 400, action);
+    }
+    console.log(`   ✓ constructor, toString and other unknown actions rejected with 400`);
+  });
+});
+
+describe('ConstraintEngine - Inline Suppressions', () => {
+  let engine;
+
+  before(async () => {
+    engine = new ConstraintEngine({
+      getConstraints: () => [
+        { id: 'no-console-log', pattern: 'console\\.log', message: 'Use Logger.log() instead of console.log', severity: 'warning' },
+        { id: 'no-var-declarations', pattern: '\\bvar\\s+', message: "Use 'let' or 'const' instead of 'var'", severity: 'warning' },
+        { id: 'no-temp-files', pattern: '\\.tmp$', applies_to: 'file_path', message: 'No temp files', severity: 'error' }
+      ]
+    });
+    await engine.loadConstraintsFromConfig();
+  });
+
+  test('should suppress the next line, the same line and blocks', async () => {
+    const content = [
+      '// constraint-disable-next-line no-console-log -- CLI output',
+      'console.log("a");',
+      'console.log("b");',
+      'var x = 1; // constraint-disable-line no-var-declarations -- generated',
+      '/* constraint-disable no-console-log, no-var-declarations -- debug helpers */',
+      'console.log("c"); var y;',
+      '/* constraint-enable no-console-log */',
+      'console.log("d"); var z;'
+    ].join('\n');
+
+    const result = await engine.checkConstraints({ content, type: 'code', filePath: 'src/cli.js' });
+
+    const consoleLog = result.violations.find(v => v.constraint_id === 'no-console-log');
+    assert.deepStrictEqual(consoleLog.locations.map(l => l.line), [3, 8]);
+    assert.ok(!result.violations.some(v => v.constraint_id === 'no-var-declarations'), 'Block still open for var');
+
+    const suppressed = result.suppressed.map(v => [v.constraint_id, v.suppression.kind, v.suppression.line, v.matches]);
+    assert.deepStrictEqual(suppressed.sort(), [
+      ['no-console-log', 'disable', 5, 1],
+      ['no-console-log', 'disable-next-line', 1, 1],
+      ['no-var-declarations', 'disable', 5, 2],
+      ['no-var-declarations', 'disable-line', 4, 1]
+    ]);
+    assert.ok(result.suppressed.every(v => v.status === 'suppressed'));
+    assert.strictEqual(result.suppressed.find(v => v.suppression.kind === 'disable-next-line').suppression.reason, 'CLI output');
+    console.log(`   ✓ ${result.suppressed.length} suppressions honoured, 2 console.log matches left`);
+  });
+
+  test('should require a reason', async () => {
+    const content = '# constraint-disable-next-line no-console-log\nconsole.log("a");';
+    const result = await engine.checkConstraints({ content, type: 'code', filePath: 'script.py' });
+
+    assert.strictEqual(result.violations.length, 1);
+    assert.strictEqual(result.suppressed.length, 0);
+    assert.deepStrictEqual(result.invalid_suppressions.map(s => [s.line, s.kind]), [[1, 'disable-next-line']]);
+    assert.match(result.invalid_suppressions[0].error, /reason is required/);
+    console.log(`   ✓ Directive without reason ignored and reported`);
+  });
+
+  test('should suppress path constraints only file-wide', async () => {
+    const lineLevel = await engine.checkConstraints({
+      content: '// constraint-disable-next-line no-temp-files -- scratch\nlet a;',
+      type: 'code',
+      filePath: 'notes.tmp'
+    });
+    assert.strictEqual(lineLevel.violations.length, 1);
+
+    const fileLevel = await engine.checkConstraints({
+      content: '<!-- constraint-disable-file no-temp-files -- scratch file -->\nlet a;',
+      type: 'code',
+      filePath: 'notes.tmp'
+    });
+    assert.strictEqual(fileLevel.violations.length, 0);
+    assert.strictEqual(fileLevel.suppressed[0].suppression.reason, 'scratch file');
+    console.log(`   ✓ File-level directive suppresses a path constraint`);
+  });
+
+  test('should keep blocking a non-overridable rule despite a suppression comment', async () => {
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-suppress-'));
+    const secrets = new ConstraintEngine({
+      getConstraints: () => [
+        { id: 'no-hardcoded-secrets', pattern: "(api[_-]?key)\\s*[=:]\\s*['\"][^'\"]{8,}['\"]", flags: 'i', message: 'Hardcoded secret', severity: 'critical', overridable: false }
+      ]
+    });
+    await secrets.loadConstraintsFromConfig();
+
+    try {
+      fs.writeFileSync(path.join(projectDir, '.constraint-monitor.yaml'), 'constraints: []\n');
+      const enforcer = new RealTimeConstraintEnforcer(projectDir);
+      enforcer.constraintEngine = secrets;
+
+      for (const content of [
+        "const apiKey = 'sk-1234567890abcdef'; // constraint-disable-line no-hardcoded-secrets -- x",
+        "// constraint-disable-file no-hardcoded-secrets -- fixtures\nconst apiKey = 'sk-1234567890abcdef';"
+      ]) {
+        const result = await enforcer.enforceToolConstraints(
+          { name: 'Write', parameters: { file_path: path.join(projectDir, 'config.js'), content } },
+          { sessionId: 's1' }
+        );
+        assert.strictEqual(result.allowed, false);
+        assert.match(result.message, /no-hardcoded-secrets can't be suppressed inline/);
+      }
+
+      const checked = await secrets.checkConstraints({
+        content: "const apiKey = 'sk-1234567890abcdef'; // constraint-disable-line no-hardcoded-secrets -- x",
+        type: 'code',
+        filePath: 'config.js'
+      });
+      assert.deepStrictEqual(checked.violations.map(v => v.constraint_id), ['no-hardcoded-secrets']);
+      assert.strictEqual(checked.suppressed.length, 0);
+      assert.deepStrictEqual(checked.invalid_suppressions.map(s => [s.line, s.kind, s.constraint_ids]), [[1, 'disable-line', ['no-hardcoded-secrets']]]);
+      console.log(`   ✓ Suppression of a non-overridable rule rejected, the write still blocked`);
+    } finally {
+      await secrets.close();
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    }
+  });
+
+  test('should honour suppressible over the overridable default', async () => {
+    const gated = new ConstraintEngine({
+      getConstraints: () => [
+        { id: 'no-console-log', pattern: 'console\\.log', message: 'No console.log', severity: 'warning', suppressible: false },
+        { id: 'no-eval-usage', pattern: '\\beval\\(', message: 'No eval', severity: 'critical', overridable: false, suppressible: true }
+      ]
+    });
+    await gated.loadConstraintsFromConfig();
+
+    try {
+      const result = await gated.checkConstraints({
+        content: [
+          'console.log(x); // constraint-disable-line no-console-log -- CLI output',
+          'eval(code); // constraint-disable-line no-eval-usage -- sandboxed'
+        ].join('\n'),
+        type: 'code',
+        filePath: 'src/cli.js'
+      });
+
+      assert.deepStrictEqual(result.violations.map(v => v.constraint_id), ['no-console-log']);
+      assert.deepStrictEqual(result.suppressed.map(v => v.constraint_id), ['no-eval-usage']);
+      assert.deepStrictEqual(result.invalid_suppressions.map(s => s.constraint_ids), [['no-console-log']]);
+      console.log(`   ✓ suppressible: false rejected the directive, suppressible: true honoured it`);
+    } finally {
+      await gated.close();
+    }
+  });
+
+  test('should store suppressions as suppressed violations with their reason', async () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-suppress-'));
+    const repository = new ViolationRepository({ path: path.join(tmpDir, 'violations.db') });
+
+    try {
+      const content = '// constraint-disable-next-line no-console-log -- CLI output\nconsole.log("a");';
+      const { suppressed } = await engine.checkConstraints({ content, type: 'code', filePath: 'src/cli.js' });
+      await repository.insertViolations(suppressed.map((violation, i) => ({ ...violation, id: `s${i}` })));
+
+      assert.deepStrictEqual(await repository.countByConstraint({ status: 'suppressed' }), { 'no-console-log': 1 });
+      const [event] = await repository.getEvents('s0');
+      assert.deepStrictEqual([event.to_status, event.actor, event.reason], ['suppressed', 'inline-suppression', 'CLI output']);
+      console.log(`   ✓ Suppression recorded with its reason in the audit trail`);
+    } finally {
+      await repository.close();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('ConstraintEngine - Constraint Overrides', () => {
+  let tmpDir;
+  let repository;
+  let manager;
+
+  const constraints = new Map([
+    ['no-console-log', { id: 'no-console-log', severity: 'error' }],
+    ['no-hardcoded-secrets', { id: 'no-hardcoded-secrets', severity: 'critical', overridable: false }]
+  ]);
+  const violation = (constraintId) => ({ constraint_id: constraintId, severity: 'error' });
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-overrides-'));
+    repository = new OverrideRepository({ path: path.join(tmpDir, 'violations.db') });
+    manager = new OverrideManager({ repository, getConstraint: id => constraints.get(id) });
+  });
+
+  after(async () => {
+    await repository.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should parse scope, TTL, uses and justification', () => {
+    const [directive, missingReason] = OverrideManager.parseDirectives(
+      'Please go ahead.\nOVERRIDE_CONSTRAINT: no-console-log,no-var files=scripts/**,bin/*.js tools=Write ttl=15m uses=5 -- CLI prints to stdout\n' +
+      'OVERRIDE_CONSTRAINT: no-console-log'
+    );
+
+    assert.deepStrictEqual(directive.constraint_ids, ['no-console-log', 'no-var']);
+    assert.deepStrictEqual(directive.paths, ['scripts/**', 'bin/*.js']);
+    assert.deepStrictEqual(directive.tools, ['Write']);
+    assert.strictEqual(directive.ttl_ms, 15 * 60 * 1000);
+    assert.strictEqual(directive.max_uses, 5);
+    assert.strictEqual(directive.justification, 'CLI prints to stdout');
+    assert.deepStrictEqual(directive.errors, []);
+    assert.match(missingReason.errors[0], /justification is required/);
+    console.log(`   ✓ Directive options parsed`);
+  });
+
+  test('should reject overrides without justification or against policy', async () => {
+    const [unjustified] = await manager.grantFromPrompt('OVERRIDE_CONSTRAINT: no-console-log', { sessionId: 's1' });
+    assert.strictEqual(unjustified.override, null);
+
+    const [secrets] = await manager.grantFromPrompt('OVERRIDE_CONSTRAINT: no-hardcoded-secrets -- test key', { sessionId: 's1' });
+    assert.strictEqual(secrets.override, null);
+    assert.strictEqual(secrets.rejected[0].constraint_id, 'no-hardcoded-secrets');
+
+    const rejections = await manager.getAuditLog({ event: 'rejected' });
+    assert.strictEqual(rejections.length, 2);
+    assert.strictEqual((await manager.listActive()).length, 0);
+    console.log(`   ✓ Unjustified and non-overridable requests rejected and audited`);
+  });
+
+  test('should apply only within session, tool and file scope', async () => {
+    const [{ override }] = await manager.grantFromPrompt(
+      'OVERRIDE_CONSTRAINT: no-console-log files=scripts/** tools=Write uses=2 -- CLI output',
+      { sessionId: 's1' }
+    );
+
+    const outOfScope = [
+      { sessionId: 's2', toolName: 'Write', filePath: '/repo/scripts/run.js' },
+      { sessionId: 's1', toolName: 'Edit', filePath: '/repo/scripts/run.js' },
+      { sessionId: 's1', toolName: 'Write', filePath: '/repo/src/app.js' }
+    ];
+    for (const context of outOfScope) {
+      const [result] = await manager.applyOverrides([violation('no-console-log')], context);
+      assert.strictEqual(result.override, undefined, JSON.stringify(context));
+    }
+
+    const inScope = { sessionId: 's1', toolName: 'Write', filePath: '/repo/scripts/run.js' };
+    const [first] = await manager.applyOverrides([violation('no-console-log')], inScope);
+    assert.strictEqual(first.override.id, override.id);
+    await manager.applyOverrides([violation('no-console-log')], inScope);
+
+    const ended = await repository.getOverride(override.id);
+    assert.deepStrictEqual([ended.status, ended.uses], ['exhausted', 2]);
+    const [third] = await manager.applyOverrides([violation('no-console-log')], inScope);
+    assert.strictEqual(third.override, undefined, 'Exhausted override no longer applies');
+
+    const events = (await manager.getAuditLog({ overrideId: override.id })).map(e => e.event).reverse();
+    assert.deepStrictEqual(events, ['created', 'used', 'used', 'exhausted']);
+    console.log(`   ✓ Override applied twice in scope, then exhausted`);
+  });
+
+  test('should count one use for a request checked twice', async () => {
+    const [{ override }] = await manager.grantFromPrompt('OVERRIDE_CONSTRAINT: no-console-log uses=1 -- CLI output', { sessionId: 's3' });
+    const context = { sessionId: 's3', toolName: 'Write', filePath: '/repo/cli.js', requestId: 'request-1' };
+
+    const [first] = await manager.applyOverrides([violation('no-console-log')], context);
+    const [again] = await manager.applyOverrides([violation('no-console-log')], context);
+    assert.strictEqual(first.override.id, override.id);
+    assert.strictEqual(again.override?.id, override.id, 'The request keeps the override its first check exhausted');
+
+    const [other] = await manager.applyOverrides([violation('no-console-log')], { ...context, requestId: 'request-2' });
+    assert.strictEqual(other.override, undefined);
+
+    const stored = await repository.getOverride(override.id);
+    assert.deepStrictEqual([stored.status, stored.uses], ['exhausted', 1]);
+    const events = (await manager.getAuditLog({ overrideId: override.id })).map(e => e.event).reverse();
+    assert.deepStrictEqual(events, ['created', 'used', 'exhausted']);
+    console.log(`   ✓ Repeated request used the override once`);
+  });
+
+  test('should expire after the TTL and support revocation', async () => {
+    const expiring = await manager.grant({ constraint_ids: ['no-console-log'], justification: 'short', ttl_ms: 1 }, { sessionId: 's1' });
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.ok(!(await manager.listActive()).some(o => o.id === expiring.override.id));
+    assert.strictEqual((await repository.getOverride(expiring.override.id)).status, 'expired');
+
+    const { override } = await manager.grant({ constraint_ids: ['no-console-log'], justification: 'debugging' }, { sessionId: 's1' });
+    const revoked = await manager.revoke(override.id, { actor: 'alice', reason: 'done' });
+    assert.deepStrictEqual([revoked.status, revoked.ended_by, revoked.end_reason], ['revoked', 'alice', 'done']);
+    assert.strictEqual(await manager.revoke(override.id, { actor: 'alice' }), null, 'Already revoked');
+    console.log(`   ✓ Expired and revoked overrides closed with audit entries`);
+  });
+});
+
+describe('ConstraintEngine - Constraint Examples', () => {
+  let runner;
+
+  before(async () => {
+    const engine = new ConstraintEngine({
+      getConstraints: () => [
+        {
+          id: 'double-escaped',
+          pattern: 'function\\\\s+[a-z]',
+          message: 'Escaped twice, matches a literal backslash',
+          examples: { match: ['function getUserData() {}'] }
+        },
+        {
+          id: 'no-console-log',
+          pattern: 'console\\.log',
+          message: 'Use Logger.log() instead of console.log',
+          exceptions: [{ path: '**/*.test.js' }],
+          examples: {
+            match: ['console.log(user);'],
+            no_match: ['logger.info(user);', { content: 'console.log(user);', file_path: 'src/user.test.js' }]
+          }
+        },
+        {
+          id: 'no-temp-files',
+          pattern: 'temp',
+          applies_to: 'file_path',
+          enabled: false,
+          message: 'No temporary files',
+          examples: { match: ['src/temp-user.js'], no_match: ['src/user.js'] }
+        },
+        {
+          id: 'broken-pattern',
+          pattern: '([a-z',
+          message: 'Does not compile',
+          examples: { no_match: ['anything'] }
+        },
+        { id: 'no-examples', pattern: 'TODO', message: 'No TODOs' }
+      ]
+    });
+    await engine.loadConstraintsFromConfig();
+    runner = new ConstraintExampleRunner(engine);
+  });
+
+  test('should report examples a constraint fails', async () => {
+    const report = await runner.run();
+
+    assert.strictEqual(report.passed, false);
+    assert.strictEqual(report.total, 7);
+    assert.deepStrictEqual(report.failures.map(f => f.constraint_id), ['double-escaped', 'broken-pattern']);
+    assert.match(report.failures[1].error, /Invalid pattern/);
+    assert.deepStrictEqual(report.untested, ['no-examples']);
+    assert.match(ConstraintExampleRunner.formatReport(report), /❌ double-escaped: expected a match, got none/);
+    console.log(`   ✓ ${report.failed} of ${report.total} examples failed as expected`);
+  });
+
+  test('should check path examples, exceptions and disabled constraints', async () => {
+    const report = await runner.run({ constraintIds: ['no-console-log', 'no-temp-files'] });
+
+    assert.strictEqual(report.passed, true, ConstraintExampleRunner.formatReport(report));
+    assert.strictEqual(report.constraints_tested, 2);
+    assert.deepStrictEqual(report.results.find(r => r.constraint_id === 'no-temp-files' && r.expectation === 'match').matches, ['temp']);
+    console.log(`   ✓ ${report.total} path, exception and disabled-constraint examples passed`);
+  });
+
+  test('should pass the examples of the shipped constraint files', async () => {
+    for (const file of ['constraints.yaml', '.constraint-monitor.yaml']) {
+      const fileRunner = await ConstraintExampleRunner.load({ file: path.join(projectRoot, file) });
+      const report = await fileRunner.run();
+      assert.ok(report.passed, `${file}:\n${ConstraintExampleRunner.formatReport(report)}`);
+      assert.ok(report.total > 0, `${file} has examples`);
+      console.log(`   ✓ ${file}: ${report.total} examples passed`);
+    }
+  });
+});
+
+describe('ConstraintEngine - Config Validation', () => {
+  const validator = new ConstraintConfigValidator();
+  const config = [
+    'constraint_groups:',
+    '  - id: security',
+    '  - id: unused',
+    'constraints:',
+    '  - id: no-eval-usage',
+    '    group: security',
+    '    pattern: "\\\\beval\\\\s*\\\\("',
+    '    message: eval() usage detected',
+    '    sevrity: critical',
+    '  - id: bad-severity',
+    '    pattern: TODO',
+    '    message: No TODOs',
+    '    severity: urgent',
+    '  - id: no-message',
+    '    pattern: FIXME',
+    '  - id: broken-regex',
+    '    pattern: "([a-z"',
+    '    message: Does not compile',
+    '  - id: no-eval-usage',
+    '    pattern: "(\\\\w+\\\\s?)*;"',
+    '    message: Slow on long lines',
+    ''
+  ].join('\n');
+
+  test('should report schema errors with YAML line numbers and drop invalid constraints', () => {
+    const result = validator.validate(config);
+    const byRule = rule => result.issues.filter(issue => issue.rule === rule);
+
+    assert.deepStrictEqual(byRule('schema').map(i => [i.line, i.column, i.constraint_id]), [[13, 15, 'bad-severity']]);
+    assert.match(byRule('schema')[0].message, /info, warning, error, critical/);
+    assert.deepStrictEqual(byRule('invalid-regex').map(i => [i.line, i.path]), [[17, 'constraints[3].pattern']]);
+
+    const [unknown] = byRule('unknown-property');
+    assert.strictEqual(unknown.severity, 'warning');
+    assert.strictEqual(unknown.line, 9);
+    assert.match(unknown.message, /did you mean "severity"/);
+
+    assert.deepStrictEqual(result.constraints.map(c => c.id), ['no-eval-usage', 'no-eval-usage']);
+    assert.strictEqual(byRule('duplicate-id').length, 0, 'Lint rules only run in lint mode');
+    console.log(`   ✓ ${result.errors} errors and ${result.warnings} warning located, ${result.constraints.length} constraints kept`);
+  });
+
+  test('should lint duplicate ids, unreachable groups, slow regexes and missing messages', () => {
+    const result = validator.validate(config, { lint: true });
+    const lines = rule => result.issues.filter(issue => issue.rule === rule).map(issue => issue.line);
+
+    assert.deepStrictEqual(lines('duplicate-id'), [19]);
+    assert.deepStrictEqual(lines('unreachable-group'), [3]);
+    assert.deepStrictEqual(lines('catastrophic-backtracking'), [20]);
+    assert.deepStrictEqual(lines('missing-message'), [14]);
+    assert.match(ConstraintConfigValidator.formatReport(result, 'constraints.yaml'), /constraints\.yaml:19:9 error \[duplicate-id\]/);
+    console.log(`   ✓ Lint found ${result.issues.length} issues`);
+  });
+
+  test('should report YAML syntax errors and AST selector errors', () => {
+    const syntax = validator.validate('constraints:\n  - id: [unclosed\n');
+    assert.strictEqual(syntax.data, null);
+    assert.strictEqual(syntax.issues[0].rule, 'yaml-syntax');
+
+    const ast = validator.validate('constraints:\n  - id: bad-selector\n    type: ast\n    selector: "CallExpression["\n    message: Broken\n  - id: no-selector\n    type: ast\n    message: Missing\n');
+    assert.deepStrictEqual(ast.issues.map(i => [i.rule, i.line]), [['invalid-selector', 4], ['schema', 6]]);
+    assert.match(ast.issues[1].message, /needs a "selector"/);
+    assert.strictEqual(ast.constraints.length, 0);
+    console.log('   ✓ Syntax and selector errors reported');
+  });
+
+  test('should flag catastrophic backtracking shapes only', () => {
+    for (const pattern of ['(a+)+', '(\\w+\\s?)*', '(.|\\s)*', '(\\w|\\d)+', '\\s*\\s*']) {
+      assert.ok(analyzeRegex(pattern).length > 0, `${pattern} should be flagged`);
+    }
+    for (const pattern of ['(?:\\s*,\\s*\\w+)*', '\\d+(?:\\.\\d+)*', '\\s+\\w*', 'console\\.log']) {
+      assert.deepStrictEqual(analyzeRegex(pattern), [], `${pattern} should be safe`);
+    }
+    console.log('   ✓ Regex safety analysis');
+  });
+
+  test('should skip invalid constraints when ConfigManager loads a file', () => {
+    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-config-'));
+    const file = path.join(tmpDir, '.constraint-monitor.yaml');
+    fs.writeFileSync(file, config);
+
+    try {
+      const constraints = new ConfigManager().loadValidatedConstraints(file);
+      assert.deepStrictEqual(constraints.map(c => c.id), ['no-eval-usage', 'no-eval-usage']);
+    } finally {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    }
+    console.log('   ✓ Invalid constraints skipped on load');
+  });
+
+  test('should lint the shipped constraint files without errors', () => {
+    for (const file of ['constraints.yaml', '.constraint-monitor.yaml']) {
+      const result = validator.validateFile(path.join(projectRoot, file), { lint: true });
+      assert.strictEqual(result.errors, 0, ConstraintConfigValidator.formatReport(result, file));
+      console.log(`   ✓ ${file}: ${result.constraints.length} constraints, ${result.warnings} warnings`);
+    }
+  });
+
+  test('should validate constraints updated over MCP like those from YAML', async () => {
+    const { constraints, issues } = new ConfigManager().validateConstraints([
+      { id: 'no-force-push', type: 'shell', shell: { command: 'git', subcommand: 'push', flags: [['-f', '--force']] }, message: 'No force push', severity: 'critical', mode: 'warn' },
+      { id: 'no-eval-near-input', type: 'composite', condition: { all: [{ pattern: 'eval\\(' }, { pattern: 'input', within_lines: 2 }] }, message: 'eval of input' },
+      { id: 'no-shell-type', type: 'shell', message: 'Missing matcher' },
+      { id: 'bad-mode', pattern: 'TODO', message: 'No TODO', mode: 'loud' }
+    ]);
+
+    assert.deepStrictEqual(constraints.map(c => c.id), ['no-force-push', 'no-eval-near-input']);
+    assert.deepStrictEqual([...new Set(issues.filter(i => i.severity === 'error').map(i => i.constraint_id))], ['no-shell-type', 'bad-mode']);
+
+    const engine = new ConstraintEngine({ getConstraints: () => [] });
+    await engine.loadConstraintsFromConfig();
+    const result = await engine.updateConstraints(constraints);
+    assert.deepStrictEqual(result.updated, ['no-force-push', 'no-eval-near-input']);
+    assert.strictEqual(engine.constraints.get('no-force-push').mode, 'warn');
+    assert.strictEqual(engine.constraints.get('no-eval-near-input').mode, 'enforce');
+    await engine.close();
+    console.log(`   ✓ Shell and composite constraints accepted, invalid ones rejected with their issues`);
+  });
+});
+
+describe('ConstraintEngine - Regex Time Budget', () => {
+  let engine;
+
+  before(async () => {
+    engine = new ConstraintEngine({
+      getConstraints: () => [
+        { id: 'catastrophic', pattern: '(a+)+$', message: 'Backtracks exponentially', severity: 'error' },
+        { id: 'no-eval-usage', pattern: '\\beval\\s*\\(', message: 'eval() usage detected', severity: 'critical' },
+        { id: 'temp-files', pattern: 'temp', applies_to: 'file_path', message: 'No temporary files' }
+      ],
+      get: key => (key === 'constraints.regexTimeoutMs' ? 200 : undefined)
+    });
+    await engine.loadConstraintsFromConfig();
+  });
+
+  after(async () => {
+    await engine.close();
+  });
+
+  test('should report a constraint_timeout and still check the other constraints', async () => {
+    const start = Date.now();
+    const result = await engine.checkConstraints({
+      content: `eval(input);\n${'a'.repeat(40)}!`,
+      type: 'code',
+      filePath: 'src/temp.js'
+    });
+
+    assert.ok(Date.now() - start < 10000, 'Check should not wait for the pattern to finish');
+    assert.deepStrictEqual(result.diagnostics.map(d => [d.type, d.constraint_id, d.timeout_ms]), [['constraint_timeout', 'catastrophic', 200]]);
+    assert.deepStrictEqual(result.violations.map(v => v.constraint_id).sort(), ['no-eval-usage', 'temp-files']);
+    console.log(`   ✓ Timed out after ${Date.now() - start}ms, other constraints checked`);
+  });
+
+  test('should keep matching in a fresh worker after a timeout', async () => {
+    const result = await engine.checkConstraints({ content: 'aaaa', type: 'code', filePath: 'src/app.js' });
+
+    assert.deepStrictEqual(result.diagnostics, []);
+    assert.deepStrictEqual(result.violations.map(v => v.constraint_id), ['catastrophic']);
+    console.log('   ✓ Pattern matched normally on short input');
+  });
+
+  test('should report patterns that do not compile as errors, not timeouts', async () => {
+    const broken = new ConstraintEngine({
+      getConstraints: () => [{ id: 'broken', pattern: '([a-z', message: 'Does not compile' }]
+    });
+    await broken.loadConstraintsFromConfig();
+
+    const result = await broken.checkConstraints({ content: 'abc', type: 'code' });
+    await broken.close();
+
+    assert.deepStrictEqual(result.violations, []);
+    assert.deepStrictEqual(result.diagnostics, []);
+    console.log('   ✓ Invalid pattern skipped');
+  });
+});
+
+describe('ConstraintEngine - Pattern Index', () => {
+  test('should extract the literals a pattern requires', () => {
+    assert.deepStrictEqual(extractRequiredLiterals('\\beval\\s*\\('), ['eval']);
+    assert.deepStrictEqual(extractRequiredLiterals('console\\.(log|debug)'), ['console.']);
+    assert.deepStrictEqual(extractRequiredLiterals('(?i)(TODO|FIXME):'), ['todo', 'fixme']);
+    assert.deepStrictEqual(extractRequiredLiterals('\\.puml$'), ['.puml']);
+    // No literal of three characters is required
+    assert.strictEqual(extractRequiredLiterals('\\b\\d{2,}\\b'), null);
+    assert.strictEqual(extractRequiredLiterals('(foo|ab)x'), null);
+    assert.strictEqual(extractRequiredLiterals('co?lo?r'), null);
+    assert.deepStrictEqual(extractRequiredLiterals('colou?r'), ['colo']);
+    // Unicode case folding isn't a simple lowercase
+    assert.strictEqual(extractRequiredLiterals('secret', 'iu'), null);
+    console.log('   ✓ Required literals extracted');
+  });
+
+  test('should find keywords in one pass, ignoring ASCII case', () => {
+    const automaton = new AhoCorasick(['eval', 'console.', 'val', 'todo']);
+    assert.deepStrictEqual([...automaton.search('Console.log(evaluate())')].sort(), [0, 1, 2]);
+    assert.deepStrictEqual([...automaton.search('nothing here')], []);
+    assert.deepStrictEqual([...automaton.search('café TODO')], [3]);
+    console.log('   ✓ Multi-keyword search');
+  });
+
+  test('should only run regexes whose literals occur and rebuild after updates', async () => {
+    const engine = new ConstraintEngine({
+      getConstraints: () => [
+        { id: 'no-eval-usage', pattern: '\\beval\\s*\\(', message: 'eval() usage detected' },
+        { id: 'no-todo', pattern: '(?i)\\btodo\\b', message: 'No TODOs' },
+        { id: 'magic-numbers', pattern: '\\b\\d{3,}\\b', message: 'No magic numbers' }
+      ]
+    });
+    await engine.loadConstraintsFromConfig();
+
+    const index = engine.getPatternIndex();
+    const entries = ['no-eval-usage', 'no-todo', 'magic-numbers'].map(id => index.get(id));
+    assert.deepStrictEqual(index.screen('// TODO: later', 'content', entries).map(e => e.id), ['no-todo', 'magic-numbers']);
+
+    let result = await engine.checkConstraints({ content: 'const timeout = 5000; // todo', type: 'code', filePath: 'a.js' });
+    assert.deepStrictEqual(result.violations.map(v => v.constraint_id).sort(), ['magic-numbers', 'no-todo']);
+
+    await engine.updateConstraints([{ id: 'no-todo', pattern: '\\bFIXME\\b', message: 'No FIXMEs' }]);
+    assert.notStrictEqual(engine.getPatternIndex(), index, 'Index rebuilt after updateConstraints');
+    result = await engine.checkConstraints({ content: '// todo FIXME', type: 'code', filePath: 'a.js' });
+    assert.deepStrictEqual(result.violations.map(v => v.constraint_id), ['no-todo']);
+    assert.strictEqual(result.violations[0].locations[0].snippet, 'FIXME');
+
+    await engine.close();
+    console.log('   ✓ Screened regexes and rebuilt index');
+  });
+});
+
+describe('ConstraintEngine - Composite Constraints', () => {
+  let engine;
+
+  before(async () => {
+    engine = new ConstraintEngine({
+      getConstraints: () => [
+        {
+          id: 'fetch-without-abort',
+          type: 'composite',
+          message: 'fetch() without an AbortController',
+          condition: { all: [{ pattern: '\\bfetch\\s*\\(' }, { not: { pattern: 'AbortController' } }] }
+        },
+        {
+          id: 'todo-without-issue',
+          type: 'composite',
+          message: 'TODO without an issue link',
+          condition: { all: [{ pattern: '\\bTODO\\b' }, { not: { pattern: '#\\d+|/issues/\\d+' }, within_lines: 0 }] }
+        },
+        {
+          id: 'password-near-literal',
+          type: 'composite',
+          message: 'Password near a string literal',
+          condition: { all: [{ pattern: '(?i)password' }, { pattern: '[\'"][^\'"]{8,}[\'"]', within_lines: 3 }] }
+        },
+        {
+          id: 'debug-output',
+          type: 'composite',
+          message: 'Debug output',
+          condition: { any: [{ pattern: 'console\\.debug' }, { all: [{ pattern: '\\bdebugger\\b' }, { not: { pattern: '@allow-debugger' } }] }] }
+        },
+        { id: 'not-only', type: 'composite', message: 'Nothing to report', condition: { not: { pattern: 'x' } } }
+      ]
+    });
+    await engine.loadConstraintsFromConfig();
+  });
+
+  after(async () => {
+    await engine.close();
+  });
+
+  const check = content => engine.checkConstraints({ content, type: 'code', filePath: 'src/app.js', semanticValidation: false });
+
+  test('should combine conditions with all and not', async () => {
+    let result = await check('const response = await fetch(url);');
+    assert.deepStrictEqual(result.violations.map(v => v.constraint_id), ['fetch-without-abort']);
+
+    const violation = result.violations[0];
+    assert.strictEqual(violation.line, 1);
+    assert.strictEqual(violation.column, 24);
+    assert.strictEqual(violation.locations[0].snippet, 'fetch(');
+    assert.strictEqual(violation.file_path, 'src/app.js');
+
+    result = await check('const controller = new AbortController();\nawait fetch(url, { signal: controller.signal });');
+    assert.deepStrictEqual(result.violations, []);
+    console.log('   ✓ fetch( reported only without AbortController in the file');
+  });
+
+  test('should apply within_lines to each match', async () => {
+    const result = await check([
+      '// TODO: handle retries',
+      '// TODO: see #123',
+      'const password = readPassword();',
+      '',
+      '',
+      '',
+      'const greeting = "hello world!";',
+      'const dbPassword =',
+      '  "correct-horse-battery";'
+    ].join('\n'));
+
+    const byId = Object.fromEntries(result.violations.map(v => [v.constraint_id, v]));
+    assert.deepStrictEqual(byId['todo-without-issue'].locations.map(l => l.line), [1]);
+    // Line 3 is four lines from the nearest literal
+    assert.deepStrictEqual(byId['password-near-literal'].locations.map(l => l.line), [8]);
+    console.log('   ✓ Same-line and 3-line proximity');
+  });
+
+  test('should match any of nested conditions', async () => {
+    let result = await check('debugger;\nconsole.debug(state);');
+    const violation = result.violations.find(v => v.constraint_id === 'debug-output');
+    assert.deepStrictEqual(violation.locations.map(l => l.snippet), ['debugger', 'console.debug']);
+
+    result = await check('debugger; // @allow-debugger');
+    assert.strictEqual(result.violations.find(v => v.constraint_id === 'debug-output'), undefined);
+    console.log('   ✓ any over a leaf and a nested all');
+  });
+
+  test('should skip composite constraints without an anchor condition', () => {
+    assert.strictEqual(engine.constraints.has('not-only'), false);
+    assert.match(CompositeCondition.validate({ not: { pattern: 'x' } }).message, /only allowed directly inside "all"/);
+    assert.deepStrictEqual(CompositeCondition.validate({ all: [{ pattern: 'a' }, { pattern: 'b', any: [] }] }).path, ['all', 1]);
+    assert.strictEqual(CompositeCondition.validate({ all: [{ pattern: 'a' }, { not: { pattern: 'b' }, within_lines: 2 }] }), null);
+    console.log('   ✓ Malformed conditions rejected');
+  });
+
+  test('should validate and lint composite conditions in config files', () => {
+    const result = new ConstraintConfigValidator().validate([
+      'constraints:',
+      '  - id: composite-ok',
+      '    type: composite',
+      '    message: ok',
+      '    condition:',
+      '      all:',
+      '        - pattern: "\\\\bfetch\\\\("',
+      '        - not: { pattern: AbortController }',
+      '  - id: no-condition',
+      '    type: composite',
+      '    message: missing',
+      '  - id: bad-leaf',
+      '    type: composite',
+      '    message: bad',
+      '    condition:',
+      '      any:',
+      '        - pattern: "(a+)+$"',
+      '        - pattern: "[unclosed"'
+    ].join('\n'), { lint: true });
+
+    assert.deepStrictEqual(result.constraints.map(c => c.id), ['composite-ok']);
+    assert.deepStrictEqual(result.issues.map(issue => [issue.rule, issue.line, issue.path]), [
+      ['schema', 9, 'constraints[1]'],
+      ['catastrophic-backtracking', 17, 'constraints[2].condition.any[0].pattern'],
+      ['invalid-regex', 18, 'constraints[2].condition.any[1].pattern']
+    ]);
+    console.log('   ✓ Condition issues located on their leaf');
+  });
+});
+
+describe('ConstraintEngine - Workflow Constraints', () => {
+  let tmpDir;
+  let dbPath;
+  let engine;
+
+  const workflowConstraints = [
+    {
+      id: 'render-puml-before-commit',
+      type: 'workflow',
+      message: 'Render PlantUML before committing',
+      severity: 'error',
+      workflow: {
+        when: { tool: 'Bash', command: { command: 'git', subcommand: 'commit' } },
+        require: { tool: 'Bash', command: 'plantuml' },
+        since: { tool: ['Write', 'Edit', 'MultiEdit'], file: '*.puml' }
+      }
+    },
+    {
+      id: 'test-before-commit',
+      type: 'workflow',
+      message: 'Run the tests before committing',
+      severity: 'error',
+      workflow: {
+        when: { tool: 'Bash', command: { command: 'git', subcommand: 'commit' } },
+        require: { tool: 'Bash', command: { command: ['npm', 'pnpm'], subcommand: 'test' } },
+        since: { tool: ['Write', 'Edit', 'MultiEdit'] }
+      }
+    },
+    {
+      id: 'read-before-rewrite',
+      type: 'workflow',
+      message: 'Read the file again before writing it more often',
+      severity: 'warning',
+      workflow: { when: { tool: 'Write' }, max: 2, since: { tool: 'Read' }, same_file: true },
+      exceptions: [{ path: '**/*.test.js' }]
+    },
+    { id: 'no-when', type: 'workflow', message: 'Invalid', workflow: { require: { tool: 'Read' } } },
+    { id: 'no-eval-usage', pattern: '\\beval\\s*\\(', message: 'eval() usage detected' }
+  ];
+
+  // Each call runs in a new engine on the same database, like separate hook invocations
+  const runCall = async (toolName, params, sessionId = 'session-1') => {
+    const hookEngine = new ConstraintEngine({ getConstraints: () => workflowConstraints.map(c => ({ ...c })) });
+    await hookEngine.loadConstraintsFromConfig();
+    const repository = new SessionHistoryRepository({ path: dbPath });
+    hookEngine.workflowMonitor = new WorkflowMonitor({ repository, getConstraints: call => hookEngine.getWorkflowConstraints(call) });
+
+    const violations = await hookEngine.checkWorkflow(toolName, params, { sessionId });
+    if (!violations.some(v => v.severity === 'error')) {
+      await hookEngine.recordToolCall(toolName, params, { sessionId });
+    }
+    await repository.close();
+    return violations;
+  };
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-workflow-'));
+    dbPath = path.join(tmpDir, 'violations.db');
+    engine = new ConstraintEngine({ getConstraints: () => workflowConstraints.map(c => ({ ...c })) });
+    await engine.loadConstraintsFromConfig();
+  });
+
+  after(async () => {
+    await engine.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should load valid workflow rules and leave them out of content checks', async () => {
+    assert.ok(engine.constraints.has('render-puml-before-commit'));
+    assert.strictEqual(engine.constraints.has('no-when'), false);
+    assert.strictEqual(WorkflowMonitor.validateRule({ when: { tool: 'Write' }, max: 1, require: { tool: 'Read' } }), 'needs either "require" or "max"');
+    assert.match(WorkflowMonitor.validateRule({ when: { command: '\\bgit\\s+commit' }, max: 1 }), /"when" has a "command" that isn't an executable name/);
+    assert.match(WorkflowMonitor.validateRule({ when: { command: { subcommand: 'commit' } }, max: 1 }), /"when" has an invalid "command": needs a "command"/);
+
+    const result = await engine.checkConstraints({ content: 'git commit -m "x"; eval(code)', type: 'tool_call', semanticValidation: false });
+    assert.deepStrictEqual(result.violations.map(v => v.constraint_id), ['no-eval-usage']);
+    assert.deepStrictEqual(await engine.checkWorkflow('Bash', { command: 'git commit -m "x"' }), [], 'No history database, no workflow checks');
+    console.log('   ✓ Workflow rules validated and kept apart from pattern matching');
+  });
+
+  test('should require a call since the last matching call', async () => {
+    assert.deepStrictEqual(await runCall('Bash', { command: 'git commit -m "start"' }), [], 'Nothing edited yet');
+
+    await runCall('Edit', { file_path: '/repo/docs/puml/flow.puml', old_string: 'a', new_string: 'b' });
+    let violations = await runCall('Bash', { command: 'git commit -am "Update flow"' });
+    assert.deepStrictEqual(violations.map(v => v.constraint_id).sort(), ['render-puml-before-commit', 'test-before-commit']);
+
+    const puml = violations.find(v => v.constraint_id === 'render-puml-before-commit');
+    assert.strictEqual(puml.workflow.reason, 'No Bash running plantuml since Edit /repo/docs/puml/flow.puml');
+    assert.strictEqual(puml.workflow.since.file_path, '/repo/docs/puml/flow.puml');
+    assert.deepStrictEqual(puml.locations, []);
+
+    // Mentioning a command isn't running it
+    await runCall('Bash', { command: 'echo plantuml' });
+    await runCall('Bash', { command: 'git log --grep "plantuml"' });
+    await runCall('Bash', { command: 'npm test' });
+    violations = await runCall('Bash', { command: 'git commit -am "Update flow"' });
+    assert.deepStrictEqual(violations.map(v => v.constraint_id), ['render-puml-before-commit']);
+
+    await runCall('Bash', { command: 'cd docs && plantuml -tpng puml/flow.puml' });
+    await runCall('Bash', { command: 'npm test' });
+    violations = await runCall('Bash', { command: 'git commit -am "Update flow"' });
+    assert.deepStrictEqual(violations, []);
+
+    // Another session has its own history
+    violations = await runCall('Bash', { command: 'git commit -m "x"' }, 'session-2');
+    assert.deepStrictEqual(violations, []);
+    console.log('   ✓ Commit blocked until render and tests ran after the edit');
+  });
+
+  test('should count calls per file since the last read', async () => {
+    const write = file => runCall('Write', { file_path: file, content: 'x' }, 'session-3');
+
+    assert.deepStrictEqual(await write('/repo/src/a.js'), []);
+    assert.deepStrictEqual(await write('/repo/src/a.js'), []);
+    assert.deepStrictEqual(await write('/repo/src/b.js'), [], 'Other files count separately');
+
+    const [violation] = await write('/repo/src/a.js');
+    assert.strictEqual(violation.constraint_id, 'read-before-rewrite');
+    assert.deepStrictEqual([violation.workflow.count, violation.workflow.max], [3, 2]);
+    assert.strictEqual(violation.workflow.reason, '3 Write calls on /repo/src/a.js in this session, at most 2 allowed');
+
+    await runCall('Read', { file_path: '/repo/src/a.js' }, 'session-3');
+    assert.deepStrictEqual(await write('/repo/src/a.js'), [], 'Count restarts after a read');
+    assert.deepStrictEqual(await write('/repo/src/a.test.js'), []);
+    assert.deepStrictEqual(await write('/repo/src/a.test.js'), []);
+    assert.deepStrictEqual(await write('/repo/src/a.test.js'), [], 'Excepted file');
+    console.log('   ✓ Write limit per file, reset by Read');
+  });
+
+  test('should drop calls older than the retention period', async () => {
+    const repository = new SessionHistoryRepository({ path: dbPath });
+    await repository.insertToolCall({ session_id: 'old', tool: 'Read', timestamp: '2020-01-01T00:00:00.000Z' });
+    const monitor = new WorkflowMonitor({ repository, getConstraints: () => [], settings: { retention_hours: 1 } });
+
+    await monitor.record({ tool: 'Read', file_path: '/repo/a.js', command: null }, { sessionId: 'old' });
+    const calls = await repository.listToolCalls('old');
+    await repository.close();
+
+    assert.deepStrictEqual(calls.map(call => call.file_path), ['/repo/a.js']);
+    console.log('   ✓ Expired history deleted');
+  });
+});
+
+describe('ConstraintEngine - Post-Edit Checks', () => {
+  let tmpDir;
+  let engine;
+
+  const postEditConstraints = [
+    {
+      id: 'tests-for-modules',
+      validation_type: 'post_file_edit',
+      check_type: 'companion_file',
+      file_pattern: '(?:^|/)src/(.+)\\.js$',
+      companion: ['test/$1.test.js', 'src/$1.test.js'],
+      message: '{{relative_path}} has no test at {{companion_path}}',
+      severity: 'error',
+      exceptions: [{ path: '**/index.js' }]
+    },
+    {
+      id: 'puml-png-fresh',
+      validation_type: 'post_file_edit',
+      check_type: 'artifact_freshness',
+      file_pattern: 'docs/puml/.+\\.puml$',
+      target: 'docs/images/{{basename}}.png',
+      max_age_seconds: 60,
+      message: 'Render {{relative_path}} to {{target_path}}',
+      severity: 'warning'
+    },
+    {
+      id: 'legacy-png',
+      validation_type: 'post_file_edit',
+      check_type: 'file_timestamp_comparison',
+      file_pattern: '\\.puml$',
+      message: 'Missing {{png_path}}',
+      severity: 'info'
+    },
+    {
+      id: 'config-parseable',
+      validation_type: 'post_file_edit',
+      check_type: 'parseable',
+      file_pattern: '\\.(json|ya?ml)$',
+      message: '{{relative_path}} no longer parses: {{error}}',
+      severity: 'error'
+    },
+    {
+      id: 'short-modules',
+      validation_type: 'post_file_edit',
+      check_type: 'max_lines',
+      max_lines: 3,
+      file_pattern: '\\.js$',
+      message: '{{basename}} has {{line_count}} lines, limit {{max_lines}}',
+      severity: 'warning'
+    },
+    {
+      id: 'named-exports-only',
+      validation_type: 'post_file_edit',
+      check_type: 'plugin',
+      plugin: 'no-default-export',
+      options: { allow: ['index.js'] },
+      file_pattern: '\\.js$',
+      message: '{{relative_path}}: use named exports',
+      severity: 'error'
+    },
+    { id: 'no-companion', validation_type: 'post_file_edit', check_type: 'companion_file', message: 'Invalid' },
+    { id: 'unknown-check', validation_type: 'post_file_edit', check_type: 'spell_check', message: 'Invalid' },
+    { id: 'no-eval-usage', pattern: '\\beval\\s*\\(', message: 'eval() usage detected' }
+  ];
+
+  const write = (relativePath, content, mtime) => {
+    const filePath = path.join(tmpDir, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+    if (mtime) fs.utimesSync(filePath, mtime, mtime);
+    return filePath;
+  };
+
+  const check = async (relativePath, constraintIds) => {
+    const violations = await engine.validatePostFileEdit(path.join(tmpDir, relativePath), { projectRoot: tmpDir });
+    return constraintIds ? violations.filter(v => constraintIds.includes(v.constraint_id)) : violations;
+  };
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-post-edit-'));
+    write('checks/no-default-export.js', [
+      'import path from "path";',
+      'export default ({ filePath, options, readContent }) =>',
+      '  !options.allow.includes(path.basename(filePath)) && /export default/.test(readContent())',
+      '    ? { reason: "Default export found", line: 1 }',
+      '    : null;'
+    ].join('\n'));
+
+    engine = new ConstraintEngine({
+      getConstraints: () => postEditConstraints.map(c => ({ ...c })),
+      getPostEditSettings: () => ({ plugins: { 'no-default-export': path.join(tmpDir, 'checks/no-default-export.js') } })
+    });
+    await engine.loadConstraintsFromConfig();
+  });
+
+  after(async () => {
+    await engine.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should load post-edit checks without a pattern and leave them out of content checks', async () => {
+    assert.ok(engine.constraints.has('tests-for-modules'));
+    assert.strictEqual(engine.constraints.has('no-companion'), false);
+    assert.strictEqual(engine.constraints.has('unknown-check'), false);
+    assert.strictEqual(new PostEditValidator().validateConstraint({ check_type: 'parseable', format: 'toml' }), 'unknown format "toml" (known: json, yaml, package_json)');
+
+    const result = await engine.checkConstraints({ content: 'export default eval(code)', filePath: 'src/a.js', semanticValidation: false });
+    assert.deepStrictEqual(result.violations.map(v => v.constraint_id), ['no-eval-usage']);
+    console.log('   ✓ Post-edit checks validated and kept apart from pattern matching');
+  });
+
+  test('should require a companion file named from the file_pattern groups', async () => {
+    write('src/engines/parser.js', 'export const parse = () => 1;\n');
+    write('src/index.js', 'export * from "./engines/parser.js";\n');
+
+    const [missing] = await check('src/engines/parser.js', ['tests-for-modules']);
+    assert.strictEqual(missing.message, `src/engines/parser.js has no test at ${path.join(tmpDir, 'test/engines/parser.test.js')}`);
+    assert.deepStrictEqual(missing.expected_companions, [path.join(tmpDir, 'test/engines/parser.test.js'), path.join(tmpDir, 'src/engines/parser.test.js')]);
+    assert.strictEqual(missing.check_type, 'companion_file');
+
+    write('src/engines/parser.test.js', 'test();\n');
+    assert.deepStrictEqual(await check('src/engines/parser.js', ['tests-for-modules']), []);
+    assert.deepStrictEqual(await check('src/index.js', ['tests-for-modules']), [], 'Excluded by exceptions');
+    console.log('   ✓ Companion file found under either template');
+  });
+
+  test('should compare generated artifacts with their source', async () => {
+    const now = Date.now() / 1000;
+    write('docs/puml/flow.puml', '@startuml\n@enduml\n', now);
+
+    const missing = await check('docs/puml/flow.puml', ['puml-png-fresh', 'legacy-png']);
+    assert.deepStrictEqual(missing.map(v => [v.constraint_id, v.reason]), [
+      ['puml-png-fresh', 'Generated file does not exist'],
+      ['legacy-png', 'PNG file does not exist']
+    ]);
+    assert.strictEqual(missing[1].expected_png, path.join(tmpDir, 'docs/puml/flow.png'));
+
+    write('docs/images/flow.png', 'png', now - 600);
+    const [outdated] = await check('docs/puml/flow.puml', ['puml-png-fresh']);
+    assert.strictEqual(outdated.age_diff_seconds, 600);
+    assert.strictEqual(outdated.message, `Render docs/puml/flow.puml to ${path.join(tmpDir, 'docs/images/flow.png')}`);
+
+    write('docs/images/flow.png', 'png', now - 30);
+    assert.deepStrictEqual(await check('docs/puml/flow.puml', ['puml-png-fresh']), []);
+    console.log('   ✓ Missing and outdated artifacts reported, recent ones accepted');
+  });
+
+  test('should check that files parse and stay short', async () => {
+    write('config/ok.yaml', 'a: 1\nb: [1, 2]\n');
+    write('config/broken.json', '{"a": 1,}');
+    write('config/broken.yaml', 'a: [1, 2\n');
+    write('package.json', '{"name": "demo", "dependencies": {"yaml": 2}}');
+
+    assert.deepStrictEqual(await check('config/ok.yaml'), []);
+    const broken = [
+      ...await check('config/broken.json'),
+      ...await check('config/broken.yaml'),
+      ...await check('package.json')
+    ];
+    assert.deepStrictEqual(broken.map(v => v.format), ['json', 'yaml', 'package_json']);
+    assert.match(broken[0].message, /^config\/broken\.json no longer parses: /);
+    assert.strictEqual(broken[2].reason, 'File does not parse as package_json: "dependencies" must map names to strings');
+
+    write('src/long.js', 'export const a = 1;\nexport const b = 2;\nexport const c = 3;\nexport const d = 4;\n');
+    const [long] = await check('src/long.js', ['short-modules']);
+    assert.strictEqual(long.message, 'long has 4 lines, limit 3');
+    console.log('   ✓ JSON, YAML and package.json parse errors and line limits reported');
+  });
+
+  test('should run plugin checks with their options', async () => {
+    write('src/widget.js', 'export default function widget() {}\n');
+    write('src/index.js', 'export default {};\n');
+
+    const [found] = await check('src/widget.js', ['named-exports-only']);
+    assert.deepStrictEqual([found.reason, found.line, found.message], ['Default export found', 1, 'src/widget.js: use named exports']);
+    assert.deepStrictEqual(await check('src/index.js', ['named-exports-only']), []);
+
+    const validator = new PostEditValidator({ projectRoot: tmpDir });
+    validator.registerCheck('always-fails', { requires: ['limit'], run: async () => [{ reason: 'Nope' }] });
+    assert.strictEqual(validator.validateConstraint({ check_type: 'always-fails' }), 'check_type always-fails needs "limit"');
+    const [custom] = await validator.validate('custom', { check_type: 'always-fails', limit: 1, message: 'Failed {{basename}}', severity: 'info' }, 'src/index.js');
+    assert.deepStrictEqual([custom.reason, custom.message], ['Nope', 'Failed index']);
+    console.log('   ✓ Plugins loaded from settings and checks registered programmatically');
+  });
+
+  test('should validate post-edit checks in config files', () => {
+    const result = new ConstraintConfigValidator().validate([
+      'settings:',
+      '  post_edit:',
+      '    plugins:',
+      '      known: ./checks/known.js',
+      'constraints:',
+      '  - id: no-check-type',
+      '    validation_type: post_file_edit',
+      '    message: missing',
+      '  - id: no-target',
+      '    validation_type: post_file_edit',
+      '    check_type: artifact_freshness',
+      '    message: missing',
+      '  - id: unknown-plugin',
+      '    validation_type: post_file_edit',
+      '    check_type: plugin',
+      '    plugin: unknown',
+      '    message: missing',
+      '  - id: known-plugin',
+      '    validation_type: post_file_edit',
+      '    check_type: plugin',
+      '    plugin: known',
+      '    message: ok'
+    ].join('\n'));
+
+    assert.deepStrictEqual(result.issues.map(issue => [issue.rule, issue.line, issue.path]), [
+      ['schema', 6, 'constraints[0]'],
+      ['invalid-post-edit-check', 11, 'constraints[1].check_type'],
+      ['invalid-post-edit-check', 16, 'constraints[2].plugin']
+    ]);
+    console.log('   ✓ Missing check options and unknown plugins reported');
+  });
+});
+
+describe('ConstraintEngine - Post-Tool Feedback', () => {
+  let tmpDir;
+  let engine;
+
+  const toolResultConstraints = [
+    {
+      id: 'tests-failing',
+      validation_type: 'post_tool_result',
+      command_pattern: '\\b(npm|pnpm)\\s+(run\\s+)?test\\b',
+      output_pattern: '^# fail [1-9]',
+      flags: 'm',
+      message: 'Tests are failing after {{command}}',
+      severity: 'warning'
+    },
+    {
+      id: 'build-must-succeed',
+      validation_type: 'post_tool_result',
+      command_pattern: '\\bnpm\\s+run\\s+build\\b',
+      exit_code: 'nonzero',
+      message: '{{command}} exited with {{exit_code}}',
+      severity: 'error'
+    },
+    {
+      id: 'panic-in-output',
+      validation_type: 'post_tool_result',
+      tool_filter: ['Bash', 'mcp__runner__run'],
+      exit_code: [101],
+      output_pattern: 'panicked at',
+      message: '{{tool}} panicked',
+      severity: 'error'
+    },
+    { id: 'no-conditions', validation_type: 'post_tool_result', message: 'Invalid' },
+    { id: 'bad-exit-code', validation_type: 'post_tool_result', exit_code: 'failed', message: 'Invalid' },
+    { id: 'no-eval-usage', pattern: '\\beval\\s*\\(', message: 'eval() usage detected' }
+  ];
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-post-tool-'));
+    engine = new ConstraintEngine({ getConstraints: () => toolResultConstraints.map(c => ({ ...c })) });
+    await engine.loadConstraintsFromConfig();
+  });
+
+  after(async () => {
+    await engine.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should load tool result checks and leave them out of content checks', async () => {
+    assert.ok(engine.constraints.has('tests-failing'));
+    assert.strictEqual(engine.constraints.has('no-conditions'), false);
+    assert.strictEqual(engine.constraints.has('bad-exit-code'), false);
+    assert.strictEqual(ToolResultChecker.validateConstraint({ output_pattern: '(' }).startsWith('"output_pattern" is not a valid regex'), true);
+    assert.strictEqual(ToolResultChecker.validateConstraint({ exit_code: [1, 2] }), null);
+
+    const result = await engine.checkConstraints({ content: 'npm test # fail 3; eval(code)', type: 'tool_call', semanticValidation: false });
+    assert.deepStrictEqual(result.violations.map(v => v.constraint_id), ['no-eval-usage']);
+    console.log('   ✓ Tool result checks validated and kept apart from pattern matching');
+  });
+
+  test('should match exit codes and output of matching commands', async () => {
+    const failing = await engine.checkToolResult('Bash', { command: 'npm test' }, {
+      stdout: '# tests 12\n# pass 10\n# fail 2\n',
+      stderr: ''
+    });
+    assert.deepStrictEqual(failing.checked, ['tests-failing', 'panic-in-output']);
+    const [violation] = failing.violations;
+    assert.deepStrictEqual(
+      [violation.constraint_id, violation.message, violation.tool_result.excerpt],
+      ['tests-failing', 'Tests are failing after npm test', '# fail 2']
+    );
+
+    const passing = await engine.checkToolResult('Bash', { command: 'npm test' }, { stdout: '# pass 12\n# fail 0\n', stderr: '' });
+    assert.deepStrictEqual(passing.violations, []);
+
+    const build = await engine.checkToolResult('Bash', { command: 'npm run build' }, { stdout: '', stderr: 'error TS2304', exitCode: 2 });
+    assert.deepStrictEqual(build.violations.map(v => [v.constraint_id, v.message]), [['build-must-succeed', 'npm run build exited with 2']]);
+    assert.strictEqual(build.violations[0].tool_result.reason, 'npm run build: exit code 2');
+
+    const withoutExitCode = await engine.checkToolResult('Bash', { command: 'npm run build' }, { stdout: '', stderr: 'error TS2304' });
+    assert.deepStrictEqual(withoutExitCode.violations, [], 'No exit code reported, nothing to compare');
+
+    const panic = await engine.checkToolResult('mcp__runner__run', {}, { output: "thread 'main' panicked at src/main.rs:3", exit_code: 101 });
+    assert.deepStrictEqual(panic.violations.map(v => v.message), ['mcp__runner__run panicked']);
+    assert.deepStrictEqual((await engine.checkToolResult('Read', { file_path: 'a.txt' }, 'panicked at')).checked, []);
+    console.log('   ✓ Exit codes, output patterns, command patterns and tool filters applied');
+  });
+
+  test('should follow up on feedback until it is fixed or given up', async () => {
+    const repository = new FeedbackRepository({ path: path.join(tmpDir, 'violations.db') });
+    const tracker = new FeedbackTracker({ repository, settings: { max_steps: 2 } });
+    const step = (checked, fedBack, sessionId = 'session-1') => tracker.observe({
+      sessionId,
+      project: 'demo',
+      tool: 'Edit',
+      checked: checked.map(([id, file]) => ({ constraint_id: id, file_path: file })),
+      fedBack: fedBack.map(([id, file]) => ({ constraint_id: id, file_path: file, severity: 'error' }))
+    });
+
+    assert.deepStrictEqual(await step([['parseable', 'a.json'], ['parseable', 'b.json']], [['parseable', 'a.json'], ['parseable', 'b.json']]), []);
+    await step([['tests-failing', null]], [['tests-failing', null]], 'session-2');
+
+    // a.json fixed right away; b.json still broken, reported again without a second entry
+    const fixed = await step([['parseable', 'a.json'], ['parseable', 'b.json']], [['parseable', 'b.json']]);
+    assert.deepStrictEqual(fixed.map(f => [f.file_path, f.outcome, f.steps]), [['a.json', 'fixed', 1]]);
+    assert.deepStrictEqual((await repository.listPending('session-1')).map(f => f.file_path), ['b.json']);
+
+    // Other tools don't check b.json; it is given up after max_steps
+    const unfixed = await step([], []);
+    assert.deepStrictEqual(unfixed.map(f => [f.file_path, f.outcome]), [['b.json', 'unfixed']]);
+
+    // Fixed, but not in the next step
+    await step([], [], 'session-2');
+    const late = await step([['tests-failing', null]], [], 'session-2');
+    assert.deepStrictEqual(late.map(f => [f.constraint_id, f.outcome, f.steps]), [['tests-failing', 'fixed', 2]]);
+
+    const stats = await repository.getStats({ project: 'demo' });
+    assert.deepStrictEqual(
+      [stats.total, stats.pending, stats.fixed, stats.fixed_next_step, stats.unfixed, stats.fixed_next_step_rate],
+      [3, 0, 2, 1, 1, 1 / 3]
+    );
+    assert.deepStrictEqual(stats.by_constraint.map(row => [row.constraint_id, row.total, row.fixed_next_step_rate]), [['parseable', 2, 0.5], ['tests-failing', 1, 0]]);
+    assert.strictEqual((await repository.getStats({ project: 'other' })).fixed_next_step_rate, null);
+    await repository.close();
+    console.log('   ✓ Feedback fixed in the next step, fixed later and unfixed after max_steps counted');
+  });
+
+  test('should validate tool result checks in config files', () => {
+    const result = new ConstraintConfigValidator().validate([
+      'constraints:',
+      '  - id: no-conditions',
+      '    validation_type: post_tool_result',
+      '    message: missing',
+      '  - id: bad-output-pattern',
+      '    validation_type: post_tool_result',
+      '    output_pattern: "fail ("',
+      '    message: broken',
+      '  - id: bad-command-pattern',
+      '    validation_type: post_tool_result',
+      '    command_pattern: "npm ("',
+      '    exit_code: nonzero',
+      '    message: broken'
+    ].join('\n'));
+
+    assert.deepStrictEqual(result.issues.map(issue => [issue.rule, issue.line, issue.path]), [
+      ['schema', 2, 'constraints[0]'],
+      ['invalid-regex', 7, 'constraints[1].output_pattern'],
+      ['invalid-regex', 11, 'constraints[2].command_pattern']
+    ]);
+    console.log('   ✓ Missing conditions and broken regexes reported');
+  });
+});
+
+describe('ConstraintEngine - Session Context', () => {
+  const fixtureDir = path.join(__dirname, 'fixtures', 'session-context');
+  let configManager;
+  let groupedData;
+
+  before(() => {
+    configManager = new ConfigManager();
+    groupedData = configManager.getProjectConstraintsWithGroups(fixtureDir);
+  });
+
+  test('should render the enabled constraints of a project by group', () => {
+    const settings = configManager.getSessionContextSettings(fixtureDir);
+    assert.deepStrictEqual(settings, {
+      enabled: true,
+      max_tokens: 400,
+      severities: ['critical', 'error', 'warning'],
+      include_suggestions: true
+    });
+
+    const summary = new ConstraintSummary(settings).render(groupedData, { projectName: 'fixture' });
+    const expected = fs.readFileSync(path.join(fixtureDir, 'expected-summary.md'), 'utf8');
+    assert.strictEqual(summary.text + '\n', expected);
+    assert.deepStrictEqual(summary.omitted, []);
+    assert.ok(!summary.included.includes('no-hardcoded-secrets'), 'Disabled');
+    assert.ok(!summary.included.includes('proper-function-naming'), 'Severity not listed');
+    console.log('   ✓ Summary grouped with icons, most severe group first');
+  });
+
+  test('should keep the most severe rules within the token budget', () => {
+    const tight = new ConstraintSummary({ max_tokens: 150 }).render(groupedData, { projectName: 'fixture' });
+    assert.ok(tight.tokens <= 150, `${tight.tokens} tokens`);
+    assert.strictEqual(estimateTokens(tight.text), tight.tokens);
+    assert.deepStrictEqual(tight.included, ['no-eval-usage']);
+    assert.match(tight.text, /_4 more rules not shown \(2 error, 2 warning\)/);
+
+    // Suggestions go before the rules do
+    const withoutSuggestions = new ConstraintSummary({ max_tokens: 150 }).render(groupedData);
+    assert.deepStrictEqual(withoutSuggestions.included, ['no-eval-usage', 'proper-error-handling']);
+    assert.match(withoutSuggestions.text, /`proper-error-handling`: Empty catch blocks should be avoided$/m);
+
+    const blockingOnly = new ConstraintSummary({ severities: ['critical'] }, { blockingLevels: ['critical'] }).render(groupedData);
+    assert.deepStrictEqual(blockingOnly.included, ['no-eval-usage']);
+    assert.match(blockingOnly.text, /Rules marked critical block the tool call/);
+    assert.strictEqual(new ConstraintSummary({ severities: [] }).render(groupedData), null);
+    console.log('   ✓ Budget filled by severity, suggestions dropped before rules');
+  });
+
+  test('should fall back to the global session context settings', () => {
+    const settings = configManager.getSessionContextSettings(os.tmpdir());
+    assert.strictEqual(settings.enabled, true);
+    assert.strictEqual(typeof settings.max_tokens, 'number');
+    assert.ok(Array.isArray(settings.severities));
+    console.log('   ✓ Projects without their own config use the global settings');
+  });
+});
+
 // Run all tests
 console.log('\n🧪 Starting Comprehensive Constraint Engine Tests\n');
 console.log('=' .repeat(60));
+
+describe('ConstraintEngine - Shell Constraints', () => {
+  let engine;
+
+  before(async () => {
+    engine = new ConstraintEngine({
+      getConstraints: () => [
+        {
+          id: 'no-force-push',
+          type: 'shell',
+          message: 'Force push rewrites shared history',
+          severity: 'error',
+          shell: { command: 'git', subcommand: 'push', flags: [['--force', '-f']] }
+        },
+        {
+          id: 'no-recursive-force-delete',
+          type: 'shell',
+          message: 'rm -rf needs a human',
+          severity: 'critical',
+          shell: { command: 'rm', flags: [['-r', '-R', '--recursive'], ['-f', '--force']] }
+        },
+        {
+          id: 'no-push-to-main',
+          type: 'shell',
+          message: 'Push to a branch, not to main',
+          shell: { command: 'git', subcommand: 'push', args: '^(main|master)$' }
+        },
+        { id: 'no-sudo', type: 'shell', message: 'No sudo', severity: 'info', shell: { command: 'sudo' } },
+        { id: 'no-command', type: 'shell', message: 'Invalid', shell: { subcommand: 'push' } },
+        { id: 'bad-args', type: 'shell', message: 'Invalid', shell: { command: 'git', args: '([a-z' } }
+      ]
+    });
+    await engine.loadConstraintsFromConfig();
+  });
+
+  after(async () => {
+    await engine.close();
+  });
+
+  const check = command => {
+    const { content } = buildToolContent('Bash', { command, description: 'Run it' });
+    return engine.checkConstraints({ content, type: 'tool_call', command, semanticValidation: false });
+  };
+  const ids = result => result.violations.map(v => v.constraint_id).sort();
+
+  test('should resolve quoting, escapes and static expansions', () => {
+    const words = source => parseShell(source).map(command => command.words.map(word => word.value));
+
+    assert.deepStrictEqual(words(`r''m -rf /tmp/x`), [['rm', '-rf', '/tmp/x']]);
+    assert.deepStrictEqual(words('\\rm "-r"f $\'\\x2f\''), [['rm', '-rf', '/']]);
+    assert.deepStrictEqual(words('$(echo rm) -rf /'), [['echo', 'rm'], ['rm', '-rf', '/']]);
+    assert.deepStrictEqual(words('X=rm; $X -rf /; unset X'), [['rm', '-rf', '/'], ['unset', 'X']]);
+    assert.deepStrictEqual(words('cat <<EOF > notes.md\nrm -rf /\nEOF\nls # rm -rf'), [['cat'], ['ls']]);
+    assert.deepStrictEqual(words('if [ -d dist ]; then (cd dist && ls "$HOME"); fi'), [['[', '-d', 'dist', ']'], ['cd', 'dist'], ['ls', null]]);
+
+    const [command] = parseShell('FOO=1 npm test 2>&1 | tee out.log').slice(0, 1);
+    assert.deepStrictEqual(command.assignments.map(a => [a.name, a.value]), [['FOO', '1']]);
+    assert.deepStrictEqual([command.start, command.end], [0, 14]);
+    console.log('   ✓ Quotes, escapes, $\'...\', variables and $(echo ...) resolved; heredocs and comments skipped');
+  });
+
+  test('should match the commands a line runs, not the text that mentions them', async () => {
+    assert.deepStrictEqual(ids(await check('echo "never run rm -rf /"')), []);
+    assert.deepStrictEqual(ids(await check("git commit -m 'no git push --force here'")), []);
+    assert.deepStrictEqual(ids(await check('git push --force-with-lease origin feature')), []);
+
+    assert.deepStrictEqual(ids(await check(`r''m -rf /tmp/build`)), ['no-recursive-force-delete']);
+    assert.deepStrictEqual(ids(await check('$(echo rm) -fr /tmp/build')), ['no-recursive-force-delete']);
+
+    // Executables that can't be resolved are matched on their flags and arguments
+    for (const command of ['"$CMD" -rf /', '${X:-rm} -rf /tmp', 'sudo "$(which rm)" -r --force /srv']) {
+      const unresolved = await check(command);
+      assert.deepStrictEqual(ids(unresolved), ['no-recursive-force-delete', ...(command.startsWith('sudo') ? ['no-sudo'] : [])], command);
+      assert.deepStrictEqual(
+        unresolved.diagnostics.map(d => [d.type, d.constraint_id]),
+        [['shell_unresolved_command', 'no-recursive-force-delete']],
+        command
+      );
+    }
+    assert.deepStrictEqual(ids(await check('"$TOOL" push -f origin main')), ['no-force-push', 'no-push-to-main']);
+    assert.deepStrictEqual(ids(await check('"$CMD" --version && $X push')), [], 'No flags or args of a rule, no match');
+
+    const result = await check('npm test && git -C repo push -f origin main');
+    assert.deepStrictEqual(ids(result), ['no-force-push', 'no-push-to-main']);
+    const violation = result.violations.find(v => v.constraint_id === 'no-force-push');
+    assert.strictEqual(violation.locations[0].snippet, 'git -C repo push -f origin main');
+    assert.strictEqual(violation.column, 13);
+    assert.deepStrictEqual(violation.shell, { command: 'git', subcommand: 'push', flags: [['--force', '-f']] });
+
+    // Prompts and file contents have no command to parse
+    const prompt = await engine.checkConstraints({ content: 'git push --force', type: 'prompt', semanticValidation: false });
+    assert.deepStrictEqual(ids(prompt), []);
+    console.log('   ✓ Quoted mentions ignored, obfuscated and unresolved commands matched, prompts never match');
+  });
+
+  test('should look through wrappers and nested scripts', async () => {
+    assert.deepStrictEqual(ids(await check('sudo -u deploy /bin/rm -r -f /srv/app')), ['no-recursive-force-delete', 'no-sudo']);
+    assert.deepStrictEqual(ids(await check('find . -name "*.tmp" | xargs rm -rf')), ['no-recursive-force-delete']);
+    assert.deepStrictEqual(ids(await check('find dist -type d -exec rm -rf {} +')), ['no-recursive-force-delete']);
+    assert.deepStrictEqual(ids(await check('timeout 60 env CI=1 git push --force')), ['no-force-push']);
+    assert.deepStrictEqual(ids(await check('git push origin -- --force')), []);
+
+    const nested = await check('bash -lc "cd app && git push -f"');
+    assert.deepStrictEqual(ids(nested), ['no-force-push']);
+    assert.strictEqual(nested.violations[0].locations[0].snippet, '"cd app && git push -f"');
+    assert.deepStrictEqual(ids(await check("eval 'rm -rf build'")), ['no-recursive-force-delete']);
+
+    const matcher = new ShellMatcher();
+    const [command] = matcher.describe('git -c user.name=x --git-dir=.git commit -am wip');
+    assert.strictEqual(command.name, 'git');
+    assert.deepStrictEqual(command.positionals, ['commit', 'wip']);
+    assert.deepStrictEqual([...command.flags], ['-c', '--git-dir', '-am', '-a', '-m']);
+    console.log('   ✓ sudo, xargs, find -exec, timeout/env, bash -c and eval unwrapped; global options skipped');
+  });
+
+  test('should reject invalid shell rules', () => {
+    assert.deepStrictEqual([...engine.constraints.keys()].sort(), ['no-force-push', 'no-push-to-main', 'no-recursive-force-delete', 'no-sudo']);
+    assert.match(ShellMatcher.validateRule({ command: 'git', flags: '--force' }), /"flags" must be a list/);
+    assert.match(ShellMatcher.validateRule({ command: 'git', sub: 'push' }), /unknown key\(s\) "sub"/);
+
+    const result = new ConstraintConfigValidator().validate([
+      'constraints:',
+      '  - id: no-force-push',
+      '    type: shell',
+      '    shell: { command: git, args: "([a-z" }',
+      '    message: No force push',
+      '  - id: no-shell-block',
+      '    type: shell',
+      '    message: Missing rule',
+      ''
+    ].join('\n'));
+    const issue = result.issues.find(i => i.rule === 'invalid-shell-rule');
+    assert.strictEqual(issue.line, 4);
+    assert.match(issue.message, /"args" has an invalid regex/);
+    assert.ok(result.issues.some(i => i.rule === 'schema' && i.constraint_id === 'no-shell-block' && /shell/.test(i.message)));
+    assert.deepStrictEqual(result.constraints, []);
+    console.log('   ✓ Rules without a command, with bad flags or bad regexes rejected with YAML positions');
+  });
+});
+
+describe('ConstraintEngine - Transcript Backtest', () => {
+  const fixtureDir = path.join(__dirname, 'fixtures', 'backtest');
+
+  test('should read prompts and tool calls from both transcript formats', () => {
+    const parser = TranscriptParser.load();
+
+    const legacy = parser.parseFile(path.join(fixtureDir, 'legacy-session.jsonl'));
+    assert.strictEqual(legacy.format, 'claude-legacy-v1');
+    assert.strictEqual(legacy.session_id, 'legacy-session');
+    assert.strictEqual(legacy.invalid_lines, 1);
+    assert.deepStrictEqual(legacy.events.map(e => [e.kind, e.tool ?? e.text, e.line]), [
+      ['prompt', 'Add a greeting to src/app.js', 1],
+      ['tool_call', 'Write', 2],
+      ['tool_call', 'Bash', 5],
+      ['tool_call', 'Edit', 6]
+    ]);
+
+    const v2 = parser.parseFile(path.join(fixtureDir, 'v2-session.jsonl'));
+    assert.strictEqual(v2.format, 'claude-code-v2');
+    assert.strictEqual(v2.session_id, 'v2-session');
+    assert.deepStrictEqual(v2.events.map(e => e.kind), ['prompt', 'tool_call']);
+    assert.strictEqual(v2.events[0].text, 'Leave a note in the parser');
+    assert.deepStrictEqual(v2.events[1].input, { file_path: 'src/parser.js', old_string: 'parse()', new_string: 'parse() // TODO handle errors' });
+
+    assert.strictEqual(parser.parseFile(path.join(fixtureDir, 'server-log.jsonl')).format, null);
+    console.log('   ✓ Legacy and v2 transcripts parsed into prompts and tool calls, other JSON Lines not');
+  });
+
+  test('should report what the candidate blocks and warns on differently', async () => {
+    const runner = await BacktestRunner.load({
+      baseline: path.join(fixtureDir, 'baseline.yaml'),
+      candidate: path.join(fixtureDir, 'candidate.yaml')
+    });
+    const files = BacktestRunner.findTranscripts([fixtureDir]);
+    assert.deepStrictEqual(files.map(file => path.basename(file)), ['legacy-session.jsonl', 'server-log.jsonl', 'v2-session.jsonl']);
+
+    const report = await runner.replay(files);
+    await runner.close();
+
+    assert.strictEqual(report.transcripts, 2);
+    assert.deepStrictEqual(report.unrecognized.map(file => path.basename(file)), ['server-log.jsonl']);
+    assert.deepStrictEqual(report.events, { prompts: 2, tool_calls: 4 });
+
+    // console.log went from warning to error
+    assert.deepStrictEqual(report.new_blocks.map(e => [e.line, e.tool, e.constraints, e.baseline]), [[2, 'Write', ['no-console-log'], 'warn']]);
+    // no-eval was dropped
+    assert.deepStrictEqual(report.removed_blocks.map(e => [e.line, e.tool, e.constraints, e.candidate]), [[6, 'Edit', ['no-eval'], 'pass']]);
+    // The new TODO rule only applies to .js files
+    assert.deepStrictEqual(report.new_warnings.map(e => [path.basename(e.transcript), e.excerpt, e.constraints]), [['v2-session.jsonl', 'Edit src/parser.js', ['no-todo-in-code']]]);
+    assert.deepStrictEqual(report.removed_warnings, []);
+
+    assert.deepStrictEqual(report.constraints['no-root-delete'], { baseline: { blocked: 1, warned: 0 }, candidate: { blocked: 1, warned: 0 } });
+    assert.deepStrictEqual(report.constraints['no-console-log'], { baseline: { blocked: 0, warned: 1 }, candidate: { blocked: 1, warned: 0 } });
+    assert.deepStrictEqual(report.constraints_added, ['no-todo-in-code']);
+    assert.deepStrictEqual(report.constraints_removed, ['no-eval']);
+
+    const text = BacktestRunner.formatReport(report);
+    assert.match(text, /🛑 New blocks \(1\):\n  .*legacy-session\.jsonl:2 \[no-console-log\] Write src\/app\.js/);
+    assert.match(text, /no-console-log: 0\/1 → 1\/0/);
+    assert.doesNotMatch(text, /no-root-delete:/);
+    console.log('   ✓ New and removed blocks and warnings listed, with counts per constraint');
+  });
+
+  test('should find no differences when replaying a constraint set against itself', async () => {
+    const baseline = path.join(fixtureDir, 'baseline.yaml');
+    const runner = await BacktestRunner.load({ baseline, candidate: baseline });
+    const report = await runner.replay([path.join(fixtureDir, 'legacy-session.jsonl')]);
+    await runner.close();
+
+    assert.deepStrictEqual(report.totals.baseline, report.totals.candidate);
+    assert.deepStrictEqual(report.totals.baseline, { blocked: 2, warned: 1, passed: 1 });
+    assert.strictEqual(report.new_blocks.length + report.removed_blocks.length + report.new_warnings.length + report.removed_warnings.length, 0);
+    assert.match(BacktestRunner.formatReport(report), /✅ No differences in what is blocked or warned on/);
+    console.log('   ✓ Identical constraint sets give an empty diff');
+  });
+});
+
+describe('ConstraintEngine - Rollout Modes', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-modes-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should give constraints the file\'s default mode and leave shadow ones out of compliance', async () => {
+    const file = path.join(tmpDir, 'modes.yaml');
+    fs.writeFileSync(file, [
+      'enforcement:',
+      '  default_mode: shadow',
+      'constraints:',
+      '  - id: no-eval',
+      '    pattern: eval\\(',
+      '    message: No eval',
+      '    severity: critical',
+      '    suggestion: Parse the input instead',
+      '  - id: no-var',
+      '    pattern: \\bvar\\s',
+      '    message: No var',
+      '    severity: error',
+      '    mode: enforce',
+      '  - id: no-todo',
+      '    pattern: TODO',
+      '    message: No TODO',
+      '    mode: off'
+    ].join('\n'));
+
+    const constraints = new ConfigManager().loadValidatedConstraints(file);
+    assert.deepStrictEqual(constraints.map(c => [c.id, c.mode]), [['no-eval', 'shadow'], ['no-var', 'enforce']], 'Unknown modes are schema errors');
+
+    const engine = new ConstraintEngine({ getConstraints: () => [...constraints, { id: 'no-debugger', pattern: 'debugger', message: 'No debugger' }] });
+    await engine.loadConstraintsFromConfig();
+    assert.strictEqual(engine.constraints.get('no-debugger').mode, 'enforce');
+
+    const result = await engine.checkConstraints({ content: 'eval(code)', type: 'code', semanticValidation: false });
+    assert.deepStrictEqual(result.violations.map(v => v.constraint_id), ['no-eval']);
+    assert.deepStrictEqual(result.suggestions, [], 'Shadow suggestions are not shown');
+    assert.strictEqual(result.compliance, 10);
+    assert.strictEqual(result.risk, 'low');
+
+    // One of the two constraints that count is broken; the shadow one doesn't dilute the score
+    const scored = await engine.checkConstraints({ content: 'var x = eval(code)', type: 'code', semanticValidation: false });
+    assert.deepStrictEqual(scored.violations.map(v => v.constraint_id).sort(), ['no-eval', 'no-var']);
+    assert.strictEqual(scored.compliance, 5);
+    assert.deepStrictEqual(engine.getShadowConstraints({ type: 'prompt' }).map(([id]) => id), ['no-eval']);
+    await engine.close();
+    console.log('   ✓ Default mode applied per file, shadow violations reported but not scored');
+  });
+
+  test('should leave shadow constraints out of fix suggestions', async () => {
+    const engine = new ConstraintEngine({
+      getConstraints: () => [
+        { id: 'no-var', pattern: '\\bvar\\s+(\\w+)', message: 'No var', severity: 'error', fix: { replace: 'let $1' } },
+        { id: 'no-debugger', pattern: 'debugger', message: 'No debugger', severity: 'error', mode: 'shadow', suggestion: 'Remove it', fix: { replace: '' } },
+        { id: 'no-todo', pattern: 'TODO', message: 'No TODO', severity: 'warning', mode: 'shadow' }
+      ]
+    });
+    await engine.loadConstraintsFromConfig();
+
+    const content = 'var a = 1; // TODO\ndebugger;\n';
+    const result = await engine.suggestFixes({ content, filePath: 'trial.js', type: 'code' });
+    assert.deepStrictEqual(result.fixes.map(fix => fix.constraint_id), ['no-var']);
+    assert.deepStrictEqual(result.unfixable, []);
+    assert.strictEqual(result.fixed_content, 'let a = 1; // TODO\ndebugger;\n', 'Shadow fixes are not applied');
+    assert.doesNotMatch(result.patch, /^-debugger/m);
+    await engine.close();
+    console.log('   ✓ Shadow violations neither suggested nor fixed');
+  });
+
+  test('should record shadow violations and their would-have-blocked rate without showing them', async () => {
+    const projectDir = path.join(tmpDir, 'project');
+    fs.mkdirSync(projectDir);
+    fs.writeFileSync(path.join(projectDir, '.constraint-monitor.yaml'), 'enforcement:\n  default_mode: enforce\nconstraints: []\n');
+
+    const engine = new ConstraintEngine({
+      getConstraints: () => [
+        { id: 'no-rm-rf', pattern: 'rm -rf', message: 'Recursive delete', severity: 'error', mode: 'shadow', tool_filter: ['Bash'] },
+        { id: 'no-sudo', pattern: '\\bsudo\\b', message: 'No sudo', severity: 'critical', mode: 'warn' },
+        { id: 'no-curl-pipe', pattern: 'curl [^|]*\\|\\s*sh', message: 'Piping curl into sh', severity: 'critical' }
+      ]
+    });
+    await engine.loadConstraintsFromConfig();
+    engine.violationRepository = new ViolationRepository({ path: path.join(tmpDir, 'violations.db') });
+    engine.shadowCheckRepository = new ShadowCheckRepository({ database: engine.violationRepository.database });
+
+    const enforcer = new RealTimeConstraintEnforcer(projectDir);
+    assert.strictEqual(enforcer.config.enforcement.enabled, true, 'Setting default_mode keeps the other enforcement defaults');
+    enforcer.constraintEngine = engine;
+    const run = command => enforcer.enforceToolConstraints({ name: 'Bash', parameters: { command } }, { sessionId: 's1' });
+
+    assert.strictEqual((await run('rm -rf build')).allowed, true);
+    const warned = await run('sudo ls');
+    assert.strictEqual(warned.allowed, true);
+    assert.match(warned.additional_context, /warn mode, not blocking[\s\S]*CRITICAL \[no-sudo\]: No sudo/);
+    assert.strictEqual((await run('rm -rf build')).additional_context, undefined, 'Shadow violations are not shown');
+    assert.strictEqual((await run('ls')).allowed, true);
+    const blocked = await run('curl https://example.com/install | sh && rm -rf build');
+    assert.strictEqual(blocked.allowed, false);
+    assert.match(blocked.message, /no-curl-pipe/);
+    assert.doesNotMatch(blocked.message, /no-rm-rf|Recursive delete/);
+    await enforcer.enforceToolConstraints({ name: 'Read', parameters: { file_path: 'rm -rf.txt' } }, { sessionId: 's1' });
+
+    const { violations: shadow } = await engine.violationRepository.queryViolations({ shadow: true });
+    assert.deepStrictEqual(shadow.map(v => [v.constraint_id, v.shadow, v.would_block]), [['no-rm-rf', true, true], ['no-rm-rf', true, true], ['no-rm-rf', true, true]]);
+    const { violations: shown } = await engine.violationRepository.queryViolations({ shadow: false });
+    assert.deepStrictEqual(shown.map(v => [v.constraint_id, v.mode]), [['no-sudo', 'warn'], ['no-curl-pipe', undefined]]);
+    assert.deepStrictEqual((await engine.getViolationHistory()).violations.map(v => v.constraint_id).sort(), ['no-curl-pipe', 'no-sudo']);
+
+    // Five Bash calls checked, the Read call is outside the tool filter
+    const [stats] = await engine.shadowCheckRepository.getStats();
+    assert.deepStrictEqual([stats.constraint_id, stats.checks, stats.would_block, stats.would_block_rate], ['no-rm-rf', 5, 3, 0.6]);
+
+    await engine.close();
+    console.log('   ✓ Shadow violations stored and counted, never shown; warn mode never blocks and is shown before the tool runs');
+  });
+
+  test('should leave shadow rules out of the session context and mark warn-only ones', () => {
+    const summary = new ConstraintSummary().render({
+      groups: [{
+        group: { id: 'security', name: 'Security' },
+        constraints: [
+          { id: 'no-secrets', message: 'No secrets', severity: 'critical' },
+          { id: 'no-sudo', message: 'No sudo', severity: 'critical', mode: 'warn' },
+          { id: 'no-rm-rf', message: 'Recursive delete', severity: 'error', mode: 'shadow' }
+        ]
+      }]
+    });
+
+    assert.deepStrictEqual(summary.included, ['no-secrets', 'no-sudo']);
+    assert.match(summary.text, /- \*\*critical\*\* `no-secrets`/);
+    assert.match(summary.text, /- \*\*critical\*\* \(warn only\) `no-sudo`/);
+    assert.doesNotMatch(summary.text, /no-rm-rf/);
+    console.log('   ✓ Shadow rules kept from the agent, warn-only rules marked');
+  });
+});
+
+describe('ConstraintEngine - Violation Baseline', () => {
+  let tmpDir;
+  const constraints = [
+    { id: 'no-console-log', pattern: 'console\\.log', message: 'Use the logger', severity: 'warning' },
+    { id: 'no-var', pattern: '\\bvar\\s+\\w+', message: 'No var', severity: 'error', file_pattern: '\\.js$' },
+    { id: 'no-rm-rf', pattern: 'rm -rf', message: 'Recursive delete', severity: 'error', tool_filter: ['Bash'] }
+  ];
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-baseline-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeFiles = (root, files) => {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), content);
+    }
+  };
+
+  test('should let a file keep as many matches of a fingerprint as the baseline counts', () => {
+    const root = path.join(tmpDir, 'filter');
+    const fingerprint = ConstraintBaseline.fingerprint('no-var', 'src/a.js', 'var  count');
+    assert.strictEqual(fingerprint, ConstraintBaseline.fingerprint('no-var', 'src/a.js', 'var count'), 'Whitespace is collapsed');
+    assert.notStrictEqual(fingerprint, ConstraintBaseline.fingerprint('no-var', 'src/b.js', 'var count'));
+
+    const baseline = new ConstraintBaseline({
+      root,
+      entries: [{ fingerprint, constraint_id: 'no-var', file_path: 'src/a.js', count: 2 }]
+    });
+    const spans = ['var count', 'var\tcount', 'var total', 'var count'].map(snippet => ({ snippet }));
+
+    const { remaining, baselined } = baseline.filter('no-var', path.join(root, 'src/a.js'), spans);
+    assert.deepStrictEqual(baselined.map(s => s.snippet), ['var count', 'var\tcount']);
+    assert.deepStrictEqual(remaining.map(s => s.snippet), ['var total', 'var count']);
+    assert.strictEqual(baseline.filter('no-var', 'src/a.js', spans).baselined.length, 2, 'Relative paths are relative to the root');
+    assert.strictEqual(baseline.filter('no-var', path.join(tmpDir, 'other/src/a.js'), spans).baselined.length, 0, 'Files outside the root');
+
+    assert.strictEqual(ConstraintBaseline.load(path.join(root, 'missing.json')), null);
+    fs.mkdirSync(root, { recursive: true });
+    fs.writeFileSync(path.join(root, '.constraint-baseline.json'), '{"entries": ');
+    assert.strictEqual(ConstraintBaseline.load(path.join(root, '.constraint-baseline.json')), null, 'An unreadable baseline is ignored');
+    console.log('   ✓ Baselined up to the count per fingerprint, independent of whitespace and line');
+  });
+
+  test('should record a project\'s violations and report only new ones afterwards', async () => {
+    const root = path.join(tmpDir, 'project');
+    writeFiles(root, {
+      'src/app.js': 'var total = 0;\nconsole.log(total);\n',
+      'src/util.js': 'export const add = (a, b) => a + b;\n',
+      'scripts/clean.sh': 'rm -rf build\nconsole.log\n',
+      'node_modules/dep/index.js': 'var x = console.log;\n',
+      'assets/logo.bin': Buffer.from([0, 1, 2, 0x63, 0x6f, 0x6e])
+    });
+    const file = path.join(root, '.constraint-baseline.json');
+    const engine = new ConstraintEngine({ getConstraints: () => constraints, getBaselinePath: () => file });
+    await engine.loadConstraintsFromConfig();
+    assert.strictEqual(engine.baseline, null);
+
+    const scanner = new ProjectScanner(engine, { root });
+    assert.deepStrictEqual(scanner.listFiles(), ['assets/logo.bin', 'scripts/clean.sh', 'src/app.js', 'src/util.js']);
+    assert.deepStrictEqual(scanner.constraintsFor('scripts/clean.sh'), ['no-console-log'], 'file_pattern and tool_filter apply');
+
+    const baseline = new ConstraintBaseline({ root, file }).track();
+    const report = await scanner.scan([], { baseline });
+    assert.deepStrictEqual(report.skipped, [{ file_path: 'assets/logo.bin', reason: 'binary' }]);
+    assert.deepStrictEqual(report.violations.map(v => [v.file_path, v.constraint_id, v.line]),
+      [['scripts/clean.sh', 'no-console-log', 2], ['src/app.js', 'no-console-log', 2], ['src/app.js', 'no-var', 1]]);
+    assert.deepStrictEqual(baseline.update(report.files), { added: 3, removed: 0 });
+    baseline.save();
+
+    await engine.reloadConfiguration();
+    assert.strictEqual(engine.baseline.entries.size, 3);
+
+    // The same code moved down a line, plus a new console.log
+    const content = '\nconsole.log(total);\nvar   total = 0;\nconsole.log(total);\n';
+    const result = await engine.checkConstraints({ content, type: 'code', filePath: path.join(root, 'src/app.js') });
+    assert.deepStrictEqual(result.violations.map(v => [v.constraint_id, v.matches, v.line]), [['no-console-log', 1, 4]]);
+    assert.deepStrictEqual(result.baselined.map(b => [b.constraint_id, b.matches]), [['no-console-log', 1], ['no-var', 1]]);
+
+    const unfiltered = await engine.checkConstraints({ content, type: 'code', filePath: path.join(root, 'src/app.js'), baseline: null });
+    assert.deepStrictEqual(unfiltered.violations.map(v => [v.constraint_id, v.matches]), [['no-console-log', 2], ['no-var', 1]]);
+    assert.deepStrictEqual((await scanner.scan()).violations, [], 'A rescan finds nothing new');
+    await engine.close();
+    console.log('   ✓ Baseline written from a scan; moved code stays baselined, new matches are reported');
+  });
+
+  test('should only shrink the baseline when pruning', async () => {
+    const root = path.join(tmpDir, 'prune');
+    writeFiles(root, {
+      'a.js': 'console.log(1); console.log(2); var x = 1;\n',
+      'b.js': 'console.log(3);\n',
+      'c.js': 'var y = 2;\n'
+    });
+    const file = path.join(root, '.constraint-baseline.json');
+    const engine = new ConstraintEngine({ getConstraints: () => constraints, getBaselinePath: () => file });
+    await engine.loadConstraintsFromConfig();
+    const scanner = new ProjectScanner(engine, { root });
+
+    const created = new ConstraintBaseline({ root, file }).track();
+    created.update((await scanner.scan([], { baseline: created })).files);
+    created.save();
+    assert.strictEqual(created.totalCount(), 5);
+
+    // One console.log fixed in a.js and a new var added, b.js deleted, c.js not scanned
+    writeFiles(root, { 'a.js': 'console.log(1);\nvar x = 1;\nvar z = 3;\n' });
+    fs.rmSync(path.join(root, 'b.js'));
+
+    const baseline = ConstraintBaseline.load(file).track();
+    const report = await scanner.scan(['a.js'].map(f => path.join(root, f)), { baseline });
+    assert.deepStrictEqual(report.violations.map(v => [v.constraint_id, v.matches]), [['no-var', 1]]);
+    assert.deepStrictEqual(baseline.prune(report.files), { added: 0, removed: 2 });
+    assert.deepStrictEqual(baseline.toJSON().entries.map(e => [e.file_path, e.constraint_id, e.count]),
+      [['a.js', 'no-console-log', 1], ['a.js', 'no-var', 1], ['c.js', 'no-var', 1]]);
+    await engine.close();
+    console.log('   ✓ Pruning lowers counts and drops fixed and deleted entries, never adds new ones');
+  });
+});
+
+describe('ConstraintEngine - Repository Scan', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-scan-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const writeProject = (root, files) => {
+    for (const [file, content] of Object.entries(files)) {
+      fs.mkdirSync(path.dirname(path.join(root, file)), { recursive: true });
+      fs.writeFileSync(path.join(root, file), content);
+    }
+  };
+
+  const config = [
+    'enforcement:',
+    '  blocking_levels: [critical, error]',
+    'constraints:',
+    '  - id: no-console-log',
+    '    pattern: console\\.log',
+    '    message: Use the logger',
+    '    severity: warning',
+    '    exceptions:',
+    '      - path: "scripts/**"',
+    '  - id: no-eval',
+    '    pattern: \\beval\\(',
+    '    message: No eval',
+    '    severity: critical',
+    '    file_pattern: \\.js$',
+    '  - id: no-sudo',
+    '    pattern: \\bsudo\\b',
+    '    message: No sudo',
+    '    severity: error',
+    '    mode: warn',
+    '  - id: no-todo',
+    '    pattern: TODO',
+    '    message: No TODO',
+    '    severity: error',
+    '    mode: shadow'
+  ].join('\n');
+
+  test('should scan the files git lists with each constraint\'s file filters', async () => {
+    const root = path.join(tmpDir, 'repo');
+    writeProject(root, {
+      '.gitignore': 'dist/\n',
+      'src/app.js': 'console.log(eval(input)); // TODO\n',
+      'src/notes.md': 'Call eval(x) and console.log\n',
+      'scripts/setup.sh': 'console.log\nsudo make install\n',
+      'dist/bundle.js': 'eval(code)\n'
+    });
+    fs.writeFileSync(path.join(root, 'constraints.yaml'), config);
+    execFileSync('git', ['init', '-q'], { cwd: root });
+
+    const configManager = new ConfigManager();
+    const scanner = await ProjectScanner.load({ configManager, file: path.join(root, 'constraints.yaml'), root });
+    assert.deepStrictEqual(scanner.listFiles(), ['.gitignore', 'scripts/setup.sh', 'src/app.js', 'src/notes.md'], 'dist/ and the config are left out');
+    assert.deepStrictEqual(scanner.listFiles([path.join(root, 'src')]), ['src/app.js', 'src/notes.md']);
+
+    const report = await scanner.scan([path.join(root, 'src'), path.join(root, 'scripts')]);
+    assert.deepStrictEqual(report.violations.map(v => [v.file_path, v.constraint_id, v.line, v.column]), [
+      ['scripts/setup.sh', 'no-sudo', 2, 1],
+      ['src/app.js', 'no-console-log', 1, 1],
+      ['src/app.js', 'no-eval', 1, 13],
+      ['src/notes.md', 'no-console-log', 1, 18]
+    ], 'Exceptions and file_pattern apply; shadow constraints are not scanned');
+
+    assert.deepStrictEqual(scanner.blockingLevels, ['critical', 'error']);
+    assert.deepStrictEqual(scanner.failures(report.violations, scanner.blockingLevels).map(v => v.constraint_id), ['no-eval'], 'Warn mode never fails');
+    assert.deepStrictEqual(scanner.failures(report.violations, []), []);
+    await scanner.close();
+    console.log('   ✓ .gitignore, file_pattern and exceptions respected; only enforced severities fail');
+  });
+
+  test('should find the same violations in worker threads', async () => {
+    const root = path.join(tmpDir, 'workers');
+    const files = { 'constraints.yaml': config };
+    for (let i = 0; i < 60; i++) {
+      files[`src/module-${String(i).padStart(2, '0')}.js`] = i % 3 === 0 ? `export const run = () => eval('${i}');\n` : `export const value = ${i};\n`;
+    }
+    writeProject(root, files);
+
+    const scanner = await ProjectScanner.load({ configManager: new ConfigManager(), file: path.join(root, 'constraints.yaml'), root });
+    const inProcess = await scanner.scan([], { baseline: null });
+    const inWorkers = await scanner.scan([], { baseline: null, workers: 2 });
+    await scanner.close();
+
+    const summarize = report => report.violations.map(v => [v.file_path, v.constraint_id, v.line, v.column]);
+    assert.strictEqual(inWorkers.files.length, 60);
+    assert.strictEqual(inProcess.violations.filter(v => v.constraint_id === 'no-eval').length, 20);
+    assert.deepStrictEqual(summarize(inWorkers), summarize(inProcess));
+    console.log('   ✓ Worker scan matches the in-process scan, in file order');
+  });
+
+  test('should leave the project configuration and baseline out of a scan', () => {
+    const root = path.join(tmpDir, 'clean');
+    writeProject(root, {
+      '.constraint-monitor.yaml': [
+        'constraints:',
+        '  - id: no-eval',
+        '    pattern: \\beval\\(',
+        '    message: No eval',
+        '    severity: critical',
+        '    examples:',
+        '      match: ["eval(input)"]',
+        '      no_match: ["evaluate(input)"]'
+      ].join('\n'),
+      '.constraint-baseline.json': JSON.stringify({ version: 1, entries: [] }),
+      'src/app.js': 'export const run = input => JSON.parse(input);\n'
+    });
+    execFileSync('git', ['init', '-q'], { cwd: root });
+
+    const { CODING_REPO, ...env } = process.env;
+    const output = execFileSync(process.execPath, [path.join(projectRoot, 'bin/constraint-monitor'), 'scan', '--json', '--workers=1'], {
+      cwd: root,
+      env,
+      encoding: 'utf8'
+    });
+    const report = JSON.parse(output);
+    assert.deepStrictEqual(report.files, ['src/app.js']);
+    assert.strictEqual(report.failures, 0);
+    console.log('   ✓ Clean project scans clean although its config examples match');
+  });
+
+  test('should report a scan as text and SARIF', async () => {
+    const scanner = new ProjectScanner(
+      { constraints: new Map([['no-eval', { id: 'no-eval', message: 'No eval', severity: 'critical', suggestion: 'Parse the input', mode: 'enforce' }]]) },
+      { root: tmpDir }
+    );
+    const report = {
+      root: tmpDir,
+      files: ['src/app.js', 'src/util.js'],
+      baselined: 2,
+      skipped: [{ file_path: 'logo.png', reason: 'binary' }],
+      violations: [{
+        constraint_id: 'no-eval',
+        message: 'No eval',
+        severity: 'critical',
+        file_path: 'src/app.js',
+        matches: 2,
+        locations: [
+          { line: 7, column: 3, end_line: 7, end_column: 8, snippet: 'eval(' },
+          { line: 2, column: 10, end_line: 2, end_column: 15, snippet: 'eval(' }
+        ]
+      }]
+    };
+
+    const failures = scanner.failures(report.violations, ['critical']);
+    const text = ProjectScanner.formatReport(report, { failures, failOn: ['critical'] });
+    assert.match(text, /^src\/app\.js\n  2:10 +critical no-eval  No eval\n  7:3 +critical no-eval/);
+    assert.match(text, /❌ 1 violation \(1 critical\) in 1 file, 1 failing the scan \(critical\)/);
+    assert.match(text, /2 files scanned, 2 baselined, 1 skipped/);
+
+    const sarif = scanner.toSarif(report);
+    assert.strictEqual(sarif.version, '2.1.0');
+    const [run] = sarif.runs;
+    assert.deepStrictEqual(run.tool.driver.rules, [{
+      id: 'no-eval',
+      shortDescription: { text: 'No eval' },
+      help: { text: 'Parse the input' },
+      defaultConfiguration: { level: 'error' }
+    }]);
+    assert.strictEqual(run.results.length, 2, 'One result per match');
+    assert.deepStrictEqual(run.results[0].locations[0].physicalLocation, {
+      artifactLocation: { uri: 'src/app.js', uriBaseId: 'SRCROOT' },
+      region: { startLine: 7, startColumn: 3, endLine: 7, endColumn: 8, snippet: { text: 'eval(' } }
+    });
+    assert.strictEqual(run.results[0].partialFingerprints['constraintBaseline/v1'], ConstraintBaseline.fingerprint('no-eval', 'src/app.js', 'eval('));
+    console.log('   ✓ Text report grouped by file and line; SARIF rules, regions and fingerprints');
+  });
+});
+
+describe('ConstraintEngine - Daemon Timeouts', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'constraint-daemon-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should skip requests whose client disconnected while they were queued', async () => {
+    const daemon = new ConstraintDaemon({ projectPath: tmpDir, socketPath: path.join(tmpDir, 'daemon.sock'), idleTimeoutMs: 0 });
+    const dispatched = [];
+    daemon.dispatch = async ({ method }) => {
+      dispatched.push(method);
+      return { allowed: true };
+    };
+    const socket = (destroyed) => ({ destroyed, written: [], write(line) { this.written.push(JSON.parse(line)); } });
+
+    const gone = socket(true);
+    const waiting = socket(false);
+    daemon.handleRequest(gone, JSON.stringify({ id: 1, method: 'preToolHook', params: {} }));
+    daemon.handleRequest(waiting, JSON.stringify({ id: 2, method: 'postToolHook', params: {} }));
+    await daemon.queue;
+
+    assert.deepStrictEqual(dispatched, ['postToolHook']);
+    assert.deepStrictEqual(gone.written, []);
+    assert.deepStrictEqual(waiting.written, [{ id: 2, result: { allowed: true } }]);
+    console.log(`   ✓ Request of a disconnected client not dispatched`);
+  });
+
+  test('should log the violations of a request checked twice once', async () => {
+    const projectDir = path.join(tmpDir, 'project');
+    fs.mkdirSync(projectDir);
+    fs.writeFileSync(path.join(projectDir, '.constraint-monitor.yaml'), 'constraints: []\n');
+
+    const engine = new ConstraintEngine({
+      getConstraints: () => [{ id: 'no-eval', pattern: '\\beval\\(', message: 'No eval', severity: 'critical' }]
+    });
+    await engine.loadConstraintsFromConfig();
+    engine.violationRepository = new ViolationRepository({ path: path.join(tmpDir, 'violations.db') });
+
+    try {
+      const enforcer = new RealTimeConstraintEnforcer(projectDir);
+      enforcer.constraintEngine = engine;
+      const toolCall = { name: 'Write', parameters: { file_path: path.join(projectDir, 'run.js'), content: 'eval(code);\n' } };
+
+      // The daemon finishing late and the client's in-process fallback
+      for (const requestId of ['request-1', 'request-1', 'request-2']) {
+        const result = await enforcer.enforceToolConstraints(toolCall, { sessionId: 's1', requestId });
+        assert.strictEqual(result.allowed, false);
+      }
+
+      const stored = await engine.violationRepository.queryViolations({ limit: 10 });
+      assert.deepStrictEqual(stored.violations.map(v => v.id).sort(), ['request-1-0', 'request-2-0']);
+      console.log(`   ✓ Repeated request stored its violation once`);
+    } finally {
+      await engine.close();
+    }
+  });
+
+  test('should record the history, shadow checks and feedback of a request the daemon finished late once', async () => {
+    const projectDir = path.join(tmpDir, 'late-project');
+    fs.mkdirSync(projectDir);
+    fs.writeFileSync(path.join(projectDir, '.constraint-monitor.yaml'), 'constraints: []\n');
+    const dbPath = path.join(tmpDir, 'late.db');
+
+    // The daemon and the hook process falling back each have their own engine on the database
+    const createEnforcer = async () => {
+      const engine = new ConstraintEngine({
+        getConstraints: () => [
+          { id: 'no-rm-rf', pattern: 'rm -rf', message: 'Recursive delete', severity: 'error', mode: 'shadow', tool_filter: ['Bash'] },
+          {
+            id: 'build-must-succeed',
+            validation_type: 'post_tool_result',
+            command_pattern: '\\bnpm\\s+run\\s+build\\b',
+            exit_code: 'nonzero',
+            message: '{{command}} exited with {{exit_code}}',
+            severity: 'error'
+          }
+        ]
+      });
+      await engine.loadConstraintsFromConfig();
+      engine.violationRepository = new ViolationRepository({ path: dbPath });
+      const { database } = engine.violationRepository;
+      engine.workflowMonitor = new WorkflowMonitor({
+        repository: new SessionHistoryRepository({ database }),
+        getConstraints: call => engine.getWorkflowConstraints(call)
+      });
+      engine.feedbackTracker = new FeedbackTracker({ repository: new FeedbackRepository({ database }) });
+      engine.shadowCheckRepository = new ShadowCheckRepository({ database });
+
+      const enforcer = new RealTimeConstraintEnforcer(projectDir);
+      enforcer.constraintEngine = engine;
+      return enforcer;
+    };
+
+    const daemonEnforcer = await createEnforcer();
+    const fallbackEnforcer = await createEnforcer();
+    const daemon = new ConstraintDaemon({ projectPath: projectDir, socketPath: path.join(tmpDir, 'late.sock'), idleTimeoutMs: 0 });
+    daemon.getEnforcer = async () => daemonEnforcer;
+
+    // Hold every request the daemon dequeued until the client has fallen back
+    let release;
+    const dispatch = daemon.dispatch.bind(daemon);
+    daemon.dispatch = async request => {
+      await new Promise(resolve => { release = resolve; });
+      return dispatch(request);
+    };
+    const client = new DaemonClient({ socketPath: daemon.socketPath, timeoutMs: 200 });
+    const checkLate = async (method, params, fallback) => {
+      await assert.rejects(client.request(method, params), /did not answer/);
+      const result = await fallback(params);
+      release();
+      await daemon.queue;
+      return result;
+    };
+
+    await daemon.start();
+    try {
+      const toolCall = { name: 'Bash', parameters: { command: 'npm run build && rm -rf dist/tmp' } };
+
+      const pre = await checkLate('preToolHook', { toolCall, context: { sessionId: 's1', requestId: 'pre-1' } },
+        params => fallbackEnforcer.enforceToolConstraints(params.toolCall, params.context));
+      assert.strictEqual(pre.allowed, true, 'Shadow violations do not block');
+
+      const post = await checkLate('postToolHook', {
+        toolCall,
+        toolResponse: { stdout: '', stderr: 'error TS2304', exitCode: 2 },
+        context: { sessionId: 's1', requestId: 'post-1' }
+      }, params => fallbackEnforcer.enforcePostToolConstraints(params.toolCall, params.toolResponse, params.context));
+      assert.strictEqual(post.allowed, false);
+
+      const engine = fallbackEnforcer.constraintEngine;
+      const history = await engine.workflowMonitor.repository.listToolCalls('s1');
+      assert.deepStrictEqual(history.map(call => [call.tool, call.request_id]), [['Bash', 'pre-1']]);
+
+      const [shadow] = await engine.shadowCheckRepository.getStats();
+      assert.deepStrictEqual([shadow.constraint_id, shadow.checks, shadow.would_block], ['no-rm-rf', 1, 1]);
+
+      const pending = await engine.feedbackTracker.repository.listPending('s1');
+      assert.deepStrictEqual(pending.map(feedback => [feedback.constraint_id, feedback.steps]), [['build-must-succeed', 0]]);
+
+      const stored = await engine.violationRepository.queryViolations({ limit: 10 });
+      assert.deepStrictEqual(stored.violations.map(v => v.id).sort(), ['post-1-0', 'pre-1-0']);
+      console.log('   ✓ Late daemon request recorded its tool call, shadow check and feedback step once');
+    } finally {
+      await daemon.stop();
+      await fallbackEnforcer.close();
+    }
+  });
+});
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Constraint Matching Benchmark
+ *
+ * Checks 100 regex constraints against 1 MB of code, comparing the compiled
+ * pattern index (one literal scan, then only the regexes that can match) with
+ * compiling every regex on every check and running them all in the regex worker.
+ *
+ * Tests:
+ * - Same matches as running every regex
+ * - Index matching faster than running every regex
+ * - End-to-end checkConstraints time for the same input
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { ConstraintEngine } from '../src/engines/constraint-engine.js';
+import { RegexRunner } from '../src/engines/regex-runner.js';
+import { parse } from 'yaml';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.join(__dirname, '..');
+
+const CONSTRAINT_COUNT = 100;
+const CONTENT_BYTES = 1024 * 1024;
+const RUNS = 3;
+
+/**
+ * The shipped regex constraints, topped up with generated ones
+ */
+function buildConstraints() {
+  const shipped = parse(fs.readFileSync(path.join(projectRoot, 'constraints.yaml'), 'utf8')).constraints
+    .filter(constraint => (!constraint.type || constraint.type === 'pattern') && !constraint.validation_type)
+    .map(constraint => ({ ...constraint, enabled: true, semantic_validation: false }));
+
+  const generated = [];
+  for (let i = 0; generated.length + shipped.length < CONSTRAINT_COUNT; i++) {
+    const shapes = [
+      { pattern: `\\bdeprecatedApi${i}\\s*\\(` },
+      { pattern: `(?i)legacy_flag_${i}\\b` },
+      { pattern: `from\\s+['"]old-module-${i}['"]` },
+      // No required literal, so it always runs
+      { pattern: `\\b[A-Z]{4}_${i % 10}[A-Z]{3}\\b` }
+    ];
+    generated.push({
+      id: `generated-${i}`,
+      message: `Generated constraint ${i}`,
+      severity: 'warning',
+      ...shapes[i % shapes.length]
+    });
+  }
+
+  return [...shipped, ...generated];
+}
+
+/**
+ * About 1 MB of ordinary code with a few violations spread through it
+ */
+function buildContent() {
+  const block = [
+    'export async function loadUserProfile(userId, options = {}) {',
+    '  const response = await fetch(`/api/users/${userId}`, { headers: options.headers });',
+    '  if (!response.ok) {',
+    '    throw new Error(`Failed to load user ${userId}: ${response.status}`);',
+    '  }',
+    '  const profile = await response.json();',
+    '  return { ...profile, loadedAt: Date.now() };',
+    '}',
+    ''
+  ].join('\n');
+  const violations = ['deprecatedApi8(config);', 'const enabled = LEGACY_FLAG_13;', "import x from 'old-module-2';", 'ABCD_1XYZ', 'console.log(profile);'];
+
+  const parts = [];
+  let length = 0;
+  for (let i = 0; length < CONTENT_BYTES; i++) {
+    const part = i % 400 === 0 ? `${violations[(i / 400) % violations.length]}\n${block}` : block;
+    parts.push(part);
+    length += part.length;
+  }
+  return parts.join('');
+}
+
+/**
+ * Compile every regex and run them all in the regex worker, as each check did
+ * before the pattern index
+ * @returns {Promise<Map<string, number>>} - Match count per constraint
+ */
+async function matchEveryRegex(runner, constraints, content) {
+  const jobs = constraints.map(constraint => {
+    let pattern = constraint.pattern;
+    let extractedFlags = '';
+    if (pattern.startsWith('(?i)')) {
+      pattern = pattern.substring(4);
+      extractedFlags += 'i';
+    }
+    const regex = new RegExp(pattern, 'g' + (constraint.flags || '') + extractedFlags);
+    return { source: regex.source, flags: regex.flags };
+  });
+
+  const results = await runner.matchAll(content, jobs);
+  return new Map(constraints.map((constraint, index) => [constraint.id, results[index].spans.length]));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+describe('Constraint Matching - 100 constraints × 1 MB', () => {
+  let constraints;
+  let content;
+  let engine;
+  let runner;
+  const timings = {};
+
+  before(async () => {
+    constraints = buildConstraints();
+    content = buildContent();
+    engine = new ConstraintEngine({
+      getConstraints: () => constraints.map(constraint => ({ ...constraint })),
+      // The benchmark measures matching, not the time budget
+      get: key => (key === 'constraints.regexTimeoutMs' ? 30000 : undefined)
+    });
+    await engine.loadConstraintsFromConfig();
+    runner = new RegexRunner({ timeoutMs: 30000 });
+  });
+
+  after(async () => {
+    await engine.close();
+    await runner.close();
+  });
+
+  test('should find the same matches as running every regex', async () => {
+    const expected = await matchEveryRegex(runner, constraints, content);
+    const { matches, diagnostics } = await engine.matchPatterns(Array.from(engine.constraints.entries()), { content, filePath: 'src/users.js' });
+
+    assert.strictEqual(constraints.length, CONSTRAINT_COUNT);
+    assert.ok(content.length >= CONTENT_BYTES);
+    assert.deepStrictEqual(diagnostics, []);
+    for (const constraint of constraints.filter(c => c.applies_to !== 'file_path')) {
+      assert.strictEqual(matches.get(constraint.id).spans.length, expected.get(constraint.id), constraint.id);
+    }
+
+    const matched = Array.from(expected.values()).filter(count => count > 0).length;
+    console.log(`   ✓ ${CONSTRAINT_COUNT} constraints, ${(content.length / 1024).toFixed(0)} KB, ${matched} constraints matching`);
+  });
+
+  test('should match faster than running every regex', async () => {
+    const entries = Array.from(engine.constraints.entries());
+    const measure = async (fn) => {
+      const runs = [];
+      for (let i = 0; i < RUNS; i++) {
+        const start = performance.now();
+        await fn();
+        runs.push(performance.now() - start);
+      }
+      return median(runs);
+    };
+
+    timings.everyRegex = await measure(() => matchEveryRegex(runner, constraints, content));
+    timings.index = await measure(() => engine.matchPatterns(entries, { content, filePath: 'src/users.js' }));
+    const index = engine.getPatternIndex();
+    const contentEntries = entries.map(([id]) => index.get(id)).filter(entry => entry.appliesTo === 'content');
+    const screened = index.screen(content, 'content', contentEntries);
+
+    console.log(`   📊 every regex: ${timings.everyRegex.toFixed(0)}ms, pattern index: ${timings.index.toFixed(0)}ms (median of ${RUNS}, ${screened.length} regexes run)`);
+    assert.ok(
+      timings.index < timings.everyRegex,
+      `Pattern index ${timings.index.toFixed(0)}ms should beat running every regex ${timings.everyRegex.toFixed(0)}ms`
+    );
+  });
+
+  test('should report end-to-end check time', async () => {
+    const start = performance.now();
+    const result = await engine.checkConstraints({ content, type: 'code', filePath: 'src/users.js', semanticValidation: false });
+    const elapsed = performance.now() - start;
+
+    assert.ok(result.violations.some(v => v.constraint_id === 'generated-8'));
+    console.log(`   📊 checkConstraints: ${elapsed.toFixed(0)}ms, ${result.violations.length} violations`);
+  });
+});
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Hook Latency Benchmark
+ *
+ * Runs the pre-tool hook wrapper as Claude Code does (a new process per tool call)
+ * with and without the constraint daemon, and reports p50/p95 latency.
+ *
+ * Tests:
+ * - Fallback to in-process checking when no daemon is running
+ * - Same blocking decisions through the daemon
+ * - Daemon latency below in-process latency
+ */
+
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { DaemonClient } from '../src/daemon/daemon-client.js';
+import os from 'os';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.join(__dirname, '..');
+const hookWrapper = path.join(projectRoot, 'src/hooks/pre-tool-hook-wrapper.js');
+const daemonScript = path.join(projectRoot, 'src/daemon/constraint-daemon.js');
+
+const IN_PROCESS_RUNS = 5;
+const DAEMON_RUNS = 15;
+
+const benignCall = {
+  tool_name: 'Write',
+  tool_input: { file_path: '/tmp/hook-latency/example.js', content: 'const answer = 42;\n' }
+};
+const violatingCall = {
+  tool_name: 'Write',
+  tool_input: { file_path: '/tmp/hook-latency/example.js', content: 'const result = eval(input);\n' }
+};
+
+/**
+ * Run the hook wrapper once with the given hook input
+ * @returns {Promise<{status: number, stderr: string, ms: number}>}
+ */
+function runHook(input, env) {
+  return new Promise((resolve, reject) => {
+    const start = performance.now();
+    const child = spawn(process.execPath, [hookWrapper], { cwd: projectRoot, env });
+    let stderr = '';
+    const timer = setTimeout(() => child.kill(), 30000);
+
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', reject);
+    child.on('close', status => {
+      clearTimeout(timer);
+      resolve({ status, stderr, ms: performance.now() - start });
+    });
+    child.stdin.end(JSON.stringify(input));
+  });
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+async function measure(runs, env) {
+  const timings = [];
+  for (let i = 0; i < runs; i++) {
+    const { status, ms } = await runHook(benignCall, env);
+    assert.strictEqual(status, 0, 'Benign tool call should be allowed');
+    timings.push(ms);
+  }
+  return { p50: percentile(timings, 50), p95: percentile(timings, 95) };
+}
+
+describe('Hook Latency - Constraint Daemon', () => {
+  let tmpDir;
+  let env;
+  let daemon;
+  let client;
+  const latency = {};
+
+  before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hook-latency-'));
+    env = {
+      ...process.env,
+      VIOLATIONS_DB_PATH: path.join(tmpDir, 'violations.db'),
+      CONSTRAINT_DAEMON_SOCKET: path.join(tmpDir, 'daemon.sock'),
+      CONSTRAINT_DAEMON_TIMEOUT_MS: '5000',
+      CLAUDE_SESSION_ID: 'hook-latency-test'
+    };
+    client = new DaemonClient({ socketPath: env.CONSTRAINT_DAEMON_SOCKET, timeoutMs: 1000 });
+  });
+
+  after(async () => {
+    if (daemon && daemon.exitCode === null) {
+      await client.request('shutdown').catch(() => daemon.kill());
+      await new Promise(resolve => daemon.once('exit', resolve));
+    }
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('should check in-process when no daemon is running', async () => {
+    const blocked = await runHook(violatingCall, env);
+    assert.strictEqual(blocked.status, 2, 'Violation should block without the daemon');
+    assert.match(blocked.stderr, /no-eval-usage/);
+
+    latency.inProcess = await measure(IN_PROCESS_RUNS, env);
+    console.log(`   📊 in-process: p50=${latency.inProcess.p50.toFixed(0)}ms p95=${latency.inProcess.p95.toFixed(0)}ms (${IN_PROCESS_RUNS} runs)`);
+  });
+
+  test('should block the same violations through the daemon', async () => {
+    daemon = spawn(process.execPath, [daemonScript, 'start', '--idle-timeout=5'], { cwd: projectRoot, env, stdio: 'ignore' });
+
+    let status = null;
+    for (let attempt = 0; attempt < 120 && !status; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 250));
+      status = await client.ping().catch(() => null);
+    }
+    assert.ok(status, 'Daemon should start within 30 seconds');
+    assert.strictEqual(status.pid, daemon.pid);
+
+    const blocked = await runHook(violatingCall, env);
+    assert.strictEqual(blocked.status, 2, 'Violation should block through the daemon');
+    assert.match(blocked.stderr, /no-eval-usage/);
+    assert.strictEqual((await client.ping()).requests, status.requests + 2, 'Hook was answered by the daemon');
+    console.log(`   ✓ Daemon blocked no-eval-usage`);
+  });
+
+  test('should report p50/p95 hook latency with the daemon below in-process', async () => {
+    latency.daemon = await measure(DAEMON_RUNS, env);
+    console.log(`   📊 daemon: p50=${latency.daemon.p50.toFixed(0)}ms p95=${latency.daemon.p95.toFixed(0)}ms (${DAEMON_RUNS} runs)`);
+
+    assert.ok(latency.inProcess, 'In-process baseline measured');
+    assert.ok(
+      latency.daemon.p50 < latency.inProcess.p50,
+      `Daemon p50 ${latency.daemon.p50.toFixed(0)}ms should beat in-process p50 ${latency.inProcess.p50.toFixed(0)}ms`
+    );
+  });
+});